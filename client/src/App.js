@@ -41,7 +41,13 @@ import {
   CompareArrows as RerankIcon,
   Psychology as PreprocessIcon,
   Summarize as SummarizeIcon,
-  Schema as SchemaIcon
+  Schema as SchemaIcon,
+  Insights as InsightsIcon,
+  ViewColumn as CombinedIcon,
+  Science as ExperimentIcon,
+  Rule as CalibrationIcon,
+  Assessment as EvaluationIcon,
+  FileCopy as DuplicateIcon
 } from '@mui/icons-material';
 import { SnackbarProvider } from 'notistack';
 
@@ -52,9 +58,15 @@ import QuerySearch from './components/search/QuerySearch';
 import BM25Search from './components/search/BM25Search';
 import HybridSearch from './components/search/HybridSearch';
 import RerankingSearch from './components/search/RerankingSearch';
+import CombinedSearch from './components/search/CombinedSearch';
+import RetrievalEvaluation from './components/search/RetrievalEvaluation';
 import QueryPreprocessing from './components/processing/QueryPreprocessing';
 import SummarizationDedup from './components/processing/SummarizationDedup';
 import PromptSchemaManager from './components/processing/PromptSchemaManager';
+import DuplicateStoryReport from './components/processing/DuplicateStoryReport';
+import RatingsDashboard from './components/dashboard/RatingsDashboard';
+import PromptExperiment from './components/dashboard/PromptExperiment';
+import RatingCalibration from './components/dashboard/RatingCalibration';
 import Settings from './components/settings/Settings';
 
 // Enterprise color palette
@@ -150,6 +162,27 @@ const drawerWidth = 280;
 const collapsedDrawerWidth = 72;
 
 const menuItems = [
+  { 
+    id: 'combined-search', 
+    label: 'Combined Search', 
+    icon: <CombinedIcon />, 
+    component: CombinedSearch,
+    description: 'User stories & test cases side by side'
+  },
+  { 
+    id: 'retrieval-evaluation', 
+    label: 'Evaluation', 
+    icon: <EvaluationIcon />, 
+    component: RetrievalEvaluation,
+    description: 'Score & tune search methods on judgments'
+  },
+  { 
+    id: 'duplicate-stories', 
+    label: 'Duplicate Stories', 
+    icon: <DuplicateIcon />, 
+    component: DuplicateStoryReport,
+    description: 'Find & review near-duplicate backlog stories'
+  },
   { 
     id: 'prompt-schema', 
     label: 'Prompt & Schema', 
@@ -157,6 +190,27 @@ const menuItems = [
     component: PromptSchemaManager,
     description: 'Configure prompt templates & JSON schemas'
   },
+  { 
+    id: 'ratings-dashboard', 
+    label: 'Rating Dashboard', 
+    icon: <InsightsIcon />, 
+    component: RatingsDashboard,
+    description: 'Score distributions, readiness share & trends'
+  },
+  { 
+    id: 'prompt-experiments', 
+    label: 'Prompt A/B Experiments', 
+    icon: <ExperimentIcon />, 
+    component: PromptExperiment,
+    description: 'Compare two prompt versions or models'
+  },
+  { 
+    id: 'rating-calibration', 
+    label: 'Rating Calibration', 
+    icon: <CalibrationIcon />, 
+    component: RatingCalibration,
+    description: 'Model vs. human ratings on a golden set'
+  },
   { 
     id: 'settings', 
     label: 'Settings', 
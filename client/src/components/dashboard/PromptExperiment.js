@@ -0,0 +1,439 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Card,
+  CardContent,
+  CircularProgress,
+  Chip,
+  Alert,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Paper,
+  TextField,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import ScienceIcon from '@mui/icons-material/Science';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import { useSnackbar } from 'notistack';
+
+const API_BASE = 'http://localhost:3001/api';
+
+const CRITERIA = [
+  { id: 'titleClarity', label: 'Title Clarity' },
+  { id: 'descriptionCompleteness', label: 'Description Completeness' },
+  { id: 'acceptanceCriteriaQuality', label: 'Acceptance Criteria Quality' },
+  { id: 'businessValueAlignment', label: 'Business Value Alignment' },
+  { id: 'technicalFeasibility', label: 'Technical Feasibility' },
+  { id: 'complianceCoverage', label: 'Compliance Coverage' }
+];
+
+const VARIANTS = ['a', 'b'];
+
+const EMPTY_VARIANT = { promptVersion: '', model: '' };
+
+const formatDelta = (value, digits = 2) => {
+  if (value === null || value === undefined) return '—';
+  return `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+};
+
+const deltaColor = (value) => {
+  if (!value) return 'text.secondary';
+  return value > 0 ? 'success.main' : 'error.main';
+};
+
+const formatRate = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+
+function PromptExperiment() {
+  const [promptVersions, setPromptVersions] = useState([]);
+  const [variants, setVariants] = useState({ a: { ...EMPTY_VARIANT }, b: { ...EMPTY_VARIANT } });
+  const [storiesFile, setStoriesFile] = useState('stories.json');
+  const [storyLimit, setStoryLimit] = useState(10);
+  const [concurrency, setConcurrency] = useState(2);
+  const [temperature, setTemperature] = useState(0);
+  const [jobId, setJobId] = useState(null);
+  const [job, setJob] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { enqueueSnackbar } = useSnackbar();
+
+  useEffect(() => {
+    fetch(`${API_BASE}/prompts/versions`)
+      .then(response => response.json())
+      .then(data => setPromptVersions(data.success ? data.versions : []))
+      .catch(() => setPromptVersions([]));
+  }, []);
+
+  // Poll the experiment job until it finishes
+  useEffect(() => {
+    if (!jobId) return;
+
+    const pollInterval = setInterval(async () => {
+      try {
+        const response = await fetch(`${API_BASE}/jobs/${jobId}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load experiment status');
+        }
+
+        setJob(data);
+        if (data.status === 'completed') {
+          clearInterval(pollInterval);
+          setJobId(null);
+          enqueueSnackbar(`Experiment complete: ${data.summary.compared} of ${data.total} stories compared`, { variant: 'success' });
+        }
+      } catch (err) {
+        clearInterval(pollInterval);
+        setJobId(null);
+        setError(err.message);
+      }
+    }, 2000);
+
+    return () => clearInterval(pollInterval);
+  }, [jobId, enqueueSnackbar]);
+
+  const updateVariant = (name, field, value) => {
+    setVariants(prev => ({ ...prev, [name]: { ...prev[name], [field]: value } }));
+  };
+
+  const handleRun = async () => {
+    setStarting(true);
+    setError(null);
+    setJob(null);
+
+    try {
+      const response = await fetch(`${API_BASE}/experiments/rating`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          file: storiesFile,
+          limit: storyLimit,
+          concurrency,
+          temperature,
+          variants: Object.fromEntries(VARIANTS.map(name => [name, {
+            promptVersion: variants[name].promptVersion || undefined,
+            model: variants[name].model.trim() || undefined
+          }]))
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to start experiment');
+      }
+
+      setJobId(data.jobId);
+      enqueueSnackbar(`Rating ${data.storiesCount} stories with both variants`, { variant: 'info' });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const running = Boolean(jobId);
+  const comparison = job?.comparison;
+  const summary = comparison?.summary;
+
+  const renderVariantSetup = (name) => (
+    <Grid item xs={12} md={6} key={name}>
+      <Paper variant="outlined" sx={{ p: 2 }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 'bold', mb: 2 }}>
+          Variant {name.toUpperCase()}
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+          <FormControl size="small" sx={{ minWidth: 220 }}>
+            <InputLabel>Prompt Version</InputLabel>
+            <Select
+              value={variants[name].promptVersion}
+              label="Prompt Version"
+              onChange={(e) => updateVariant(name, 'promptVersion', e.target.value)}
+              disabled={running}
+            >
+              <MenuItem value="">Active version</MenuItem>
+              {promptVersions.map(version => (
+                <MenuItem key={version.version} value={version.label}>
+                  {version.label}{version.active ? ' (active)' : ''} — {version.author}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            label="Model"
+            size="small"
+            value={variants[name].model}
+            onChange={(e) => updateVariant(name, 'model', e.target.value)}
+            placeholder="Configured model"
+            helperText="Leave blank to use LLM_MODEL"
+            disabled={running}
+            sx={{ flex: 1, minWidth: 200 }}
+          />
+        </Box>
+      </Paper>
+    </Grid>
+  );
+
+  const renderVariantSummary = (name) => {
+    const stats = summary.variants[name];
+    return (
+      <Grid item xs={12} md={4} key={name}>
+        <Card>
+          <CardContent>
+            <Typography variant="subtitle2" color="text.secondary">Variant {name.toUpperCase()}</Typography>
+            <Typography variant="subtitle1" sx={{ fontWeight: 'bold', mb: 1 }}>{job.variants[name].label}</Typography>
+            <Typography variant="body2">JSON validity: <strong>{formatRate(stats.validityRate)}</strong> ({stats.valid}/{stats.rated + stats.failed}, {stats.repaired} repaired)</Typography>
+            <Typography variant="body2">Failed runs: {stats.failed}</Typography>
+            <Typography variant="body2">Tokens: {stats.tokens.toLocaleString()}</Typography>
+            <Typography variant="body2">Cost: ${stats.cost.toFixed(6)}</Typography>
+          </CardContent>
+        </Card>
+      </Grid>
+    );
+  };
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h4" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <ScienceIcon color="primary" />
+          Prompt A/B Experiments
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Rate the same user stories with two prompt/schema versions or two models and compare the results side by side.
+          Experiment ratings are not added to the story rating history.
+        </Typography>
+      </Box>
+
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        {VARIANTS.map(renderVariantSetup)}
+      </Grid>
+
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+          <TextField
+            label="Stories File (src/data)"
+            size="small"
+            value={storiesFile}
+            onChange={(e) => setStoriesFile(e.target.value)}
+            disabled={running}
+          />
+          <TextField
+            label="Stories"
+            type="number"
+            size="small"
+            value={storyLimit}
+            onChange={(e) => setStoryLimit(Math.max(1, parseInt(e.target.value) || 1))}
+            disabled={running}
+            sx={{ width: 110 }}
+          />
+          <TextField
+            label="Concurrency"
+            type="number"
+            size="small"
+            value={concurrency}
+            onChange={(e) => setConcurrency(Math.max(1, Math.min(5, parseInt(e.target.value) || 1)))}
+            inputProps={{ min: 1, max: 5 }}
+            disabled={running}
+            sx={{ width: 120 }}
+          />
+          <TextField
+            label="Temperature"
+            type="number"
+            size="small"
+            value={temperature}
+            onChange={(e) => setTemperature(Math.max(0, Math.min(2, parseFloat(e.target.value) || 0)))}
+            inputProps={{ min: 0, max: 2, step: 0.1 }}
+            disabled={running}
+            sx={{ width: 120 }}
+          />
+          <Button
+            variant="contained"
+            startIcon={running || starting ? <CircularProgress size={18} color="inherit" /> : <PlayArrowIcon />}
+            onClick={handleRun}
+            disabled={running || starting}
+          >
+            {running ? 'Running…' : 'Run Experiment'}
+          </Button>
+        </Box>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>
+      )}
+
+      {job && job.status === 'in-progress' && (
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            {job.progress} of {job.total} stories rated by both variants{job.currentFile ? ` — ${job.currentFile}` : ''}
+          </Typography>
+          <LinearProgress variant="determinate" value={job.total > 0 ? (job.progress / job.total) * 100 : 0} />
+        </Box>
+      )}
+
+      {summary && summary.stories > 0 && (
+        <>
+          {/* Variant totals with B - A differences between them */}
+          <Grid container spacing={2} sx={{ mb: 3 }}>
+            {renderVariantSummary('a')}
+            <Grid item xs={12} md={4}>
+              <Card>
+                <CardContent>
+                  <Typography variant="subtitle2" color="text.secondary">Difference (B − A)</Typography>
+                  <Typography variant="subtitle1" sx={{ fontWeight: 'bold', mb: 1 }}>
+                    {summary.compared} stories compared
+                  </Typography>
+                  <Typography variant="body2" sx={{ color: deltaColor(summary.averageScore.meanDelta) }}>
+                    Average score: {formatDelta(summary.averageScore.meanDelta)}
+                  </Typography>
+                  <Typography variant="body2" sx={{ color: deltaColor(summary.differences.validityRate) }}>
+                    JSON validity: {summary.differences.validityRate === null ? '—' : `${summary.differences.validityRate > 0 ? '+' : ''}${(summary.differences.validityRate * 100).toFixed(1)} pts`}
+                  </Typography>
+                  <Typography variant="body2">
+                    Tokens: {summary.differences.tokens > 0 ? '+' : ''}{summary.differences.tokens.toLocaleString()}
+                  </Typography>
+                  <Typography variant="body2">
+                    Cost: {summary.differences.cost > 0 ? '+' : ''}${summary.differences.cost.toFixed(6)}
+                  </Typography>
+                  <Typography variant="body2">
+                    Readiness flips: {summary.readiness.flips} ({formatRate(summary.readiness.flipRate)})
+                  </Typography>
+                </CardContent>
+              </Card>
+            </Grid>
+            {renderVariantSummary('b')}
+          </Grid>
+
+          <Grid container spacing={3}>
+            {/* Per-criterion score deltas */}
+            <Grid item xs={12} md={7}>
+              <Card>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>Per-Criterion Scores</Typography>
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Criterion</TableCell>
+                          <TableCell align="right">A</TableCell>
+                          <TableCell align="right">B</TableCell>
+                          <TableCell align="right">Δ Mean</TableCell>
+                          <TableCell align="right">Mean |Δ|</TableCell>
+                          <TableCell align="right">Changed</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {[...CRITERIA, { id: 'averageScore', label: 'Average Score' }].map(criterion => {
+                          const stats = criterion.id === 'averageScore' ? summary.averageScore : summary.criteria[criterion.id];
+                          return (
+                            <TableRow key={criterion.id}>
+                              <TableCell sx={criterion.id === 'averageScore' ? { fontWeight: 'bold' } : undefined}>{criterion.label}</TableCell>
+                              <TableCell align="right">{stats.meanA ?? '—'}</TableCell>
+                              <TableCell align="right">{stats.meanB ?? '—'}</TableCell>
+                              <TableCell align="right" sx={{ color: deltaColor(stats.meanDelta), fontWeight: 'bold' }}>
+                                {formatDelta(stats.meanDelta)}
+                              </TableCell>
+                              <TableCell align="right">{stats.meanAbsDelta ?? '—'}</TableCell>
+                              <TableCell align="right">{stats.changed}/{stats.compared}</TableCell>
+                            </TableRow>
+                          );
+                        })}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </CardContent>
+              </Card>
+            </Grid>
+
+            {/* Readiness transitions */}
+            <Grid item xs={12} md={5}>
+              <Card sx={{ height: '100%' }}>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>Readiness Flips</Typography>
+                  {summary.readiness.flips === 0 ? (
+                    <Typography variant="body2" color="text.secondary">
+                      No story changed readiness status between the variants.
+                    </Typography>
+                  ) : (
+                    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+                      {Object.entries(summary.readiness.transitions).map(([transition, count]) => (
+                        <Box key={transition} sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                          <Typography variant="body2">{transition}</Typography>
+                          <Chip size="small" label={count} />
+                        </Box>
+                      ))}
+                    </Box>
+                  )}
+                </CardContent>
+              </Card>
+            </Grid>
+
+            {/* Side-by-side results per story */}
+            <Grid item xs={12}>
+              <Card>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>Stories</Typography>
+                  <TableContainer sx={{ maxHeight: 520 }}>
+                    <Table size="small" stickyHeader>
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Story</TableCell>
+                          <TableCell align="right">A Score</TableCell>
+                          <TableCell align="right">B Score</TableCell>
+                          <TableCell align="right">Δ</TableCell>
+                          <TableCell>A Readiness</TableCell>
+                          <TableCell>B Readiness</TableCell>
+                          <TableCell>A JSON</TableCell>
+                          <TableCell>B JSON</TableCell>
+                          <TableCell align="right">Tokens A / B</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {comparison.stories.map(story => (
+                          <TableRow key={story.storyKey} sx={story.readinessFlip ? { bgcolor: 'rgba(255, 152, 0, 0.08)' } : undefined}>
+                            <TableCell>
+                              <Typography variant="body2" sx={{ fontWeight: 'bold' }}>{story.storyKey}</Typography>
+                              <Typography variant="caption" color="text.secondary">{story.summary}</Typography>
+                            </TableCell>
+                            <TableCell align="right">{story.a.averageScore ?? '—'}</TableCell>
+                            <TableCell align="right">{story.b.averageScore ?? '—'}</TableCell>
+                            <TableCell align="right" sx={{ color: deltaColor(story.deltas.averageScore), fontWeight: 'bold' }}>
+                              {formatDelta(story.deltas.averageScore)}
+                            </TableCell>
+                            <TableCell>{story.a.error ? <Chip size="small" color="error" label="failed" title={story.a.error} /> : story.a.readinessStatus || '—'}</TableCell>
+                            <TableCell>
+                              {story.b.error ? <Chip size="small" color="error" label="failed" title={story.b.error} /> : story.b.readinessStatus || '—'}
+                              {story.readinessFlip && <Chip size="small" color="warning" label="flip" sx={{ ml: 1 }} />}
+                            </TableCell>
+                            <TableCell>
+                              <Chip size="small" color={story.a.validationPassed ? 'success' : 'error'} label={story.a.validationPassed ? 'valid' : 'invalid'} />
+                            </TableCell>
+                            <TableCell>
+                              <Chip size="small" color={story.b.validationPassed ? 'success' : 'error'} label={story.b.validationPassed ? 'valid' : 'invalid'} />
+                            </TableCell>
+                            <TableCell align="right">{story.a.tokens.toLocaleString()} / {story.b.tokens.toLocaleString()}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </CardContent>
+              </Card>
+            </Grid>
+          </Grid>
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default PromptExperiment;
@@ -0,0 +1,544 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Card,
+  CardContent,
+  CircularProgress,
+  Chip,
+  Alert,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Paper,
+  TextField,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import RuleIcon from '@mui/icons-material/Rule';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import { useSnackbar } from 'notistack';
+
+const API_BASE = 'http://localhost:3001/api';
+
+const CRITERIA = [
+  { id: 'titleClarity', label: 'Title Clarity' },
+  { id: 'descriptionCompleteness', label: 'Description Completeness' },
+  { id: 'acceptanceCriteriaQuality', label: 'Acceptance Criteria Quality' },
+  { id: 'businessValueAlignment', label: 'Business Value Alignment' },
+  { id: 'technicalFeasibility', label: 'Technical Feasibility' },
+  { id: 'complianceCoverage', label: 'Compliance Coverage' }
+];
+
+const formatMetric = (value, digits = 2) => (value === null || value === undefined ? '—' : value.toFixed(digits));
+
+// Rough agreement bands for Spearman and kappa
+const agreementColor = (value) => {
+  if (value === null || value === undefined) return 'text.secondary';
+  if (value >= 0.6) return 'success.main';
+  if (value >= 0.4) return 'warning.main';
+  return 'error.main';
+};
+
+function RatingCalibration() {
+  const [goldenSets, setGoldenSets] = useState([]);
+  const [promptVersions, setPromptVersions] = useState([]);
+  const [goldenSet, setGoldenSet] = useState('');
+  const [promptVersion, setPromptVersion] = useState('');
+  const [model, setModel] = useState('');
+  const [concurrency, setConcurrency] = useState(2);
+  const [uploadName, setUploadName] = useState('');
+  const [uploadFile, setUploadFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [uploadErrors, setUploadErrors] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  const [job, setJob] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { enqueueSnackbar } = useSnackbar();
+
+  const loadGoldenSets = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/calibration/golden-sets`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to load golden sets');
+      }
+      setGoldenSets(data.goldenSets);
+      setGoldenSet(current => current || data.goldenSets[0]?.name || '');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const loadRuns = useCallback(async () => {
+    if (!goldenSet) {
+      setRuns([]);
+      return;
+    }
+    try {
+      const response = await fetch(`${API_BASE}/calibration/runs?goldenSet=${encodeURIComponent(goldenSet)}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to load calibration runs');
+      }
+      setRuns(data.runs);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [goldenSet]);
+
+  useEffect(() => {
+    loadGoldenSets();
+    fetch(`${API_BASE}/prompts/versions`)
+      .then(response => response.json())
+      .then(data => setPromptVersions(data.success ? data.versions : []))
+      .catch(() => setPromptVersions([]));
+  }, [loadGoldenSets]);
+
+  useEffect(() => {
+    setSelectedRun(null);
+    loadRuns();
+  }, [loadRuns]);
+
+  // Poll the calibration job until it finishes, then show the stored run
+  useEffect(() => {
+    if (!jobId) return;
+
+    const pollInterval = setInterval(async () => {
+      try {
+        const response = await fetch(`${API_BASE}/jobs/${jobId}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load calibration status');
+        }
+
+        setJob(data);
+        if (data.status === 'completed') {
+          clearInterval(pollInterval);
+          setJobId(null);
+          setSelectedRun({
+            goldenSet: data.goldenSet,
+            promptVersion: data.promptVersion,
+            model: data.model,
+            metrics: data.metrics,
+            rows: data.results,
+            createdAt: data.endTime
+          });
+          if (data.persistError) {
+            enqueueSnackbar(`Calibration finished but was not stored: ${data.persistError}`, { variant: 'warning' });
+          } else {
+            enqueueSnackbar('Calibration run complete', { variant: 'success' });
+          }
+          loadRuns();
+        }
+      } catch (err) {
+        clearInterval(pollInterval);
+        setJobId(null);
+        setError(err.message);
+      }
+    }, 2000);
+
+    return () => clearInterval(pollInterval);
+  }, [jobId, enqueueSnackbar, loadRuns]);
+
+  const handleUpload = async () => {
+    if (!uploadFile) return;
+
+    setUploading(true);
+    setUploadErrors([]);
+    try {
+      const formData = new FormData();
+      formData.append('file', uploadFile);
+      if (uploadName.trim()) formData.append('name', uploadName.trim());
+
+      const response = await fetch(`${API_BASE}/calibration/golden-sets`, { method: 'POST', body: formData });
+      const data = await response.json();
+      if (!response.ok) {
+        setUploadErrors(data.errors || []);
+        throw new Error(data.details || data.error || 'Failed to upload golden set');
+      }
+
+      enqueueSnackbar(`Stored golden set '${data.name}' (${data.count} stories)`, { variant: 'success' });
+      setUploadFile(null);
+      setUploadName('');
+      setGoldenSet(data.name);
+      loadGoldenSets();
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRun = async () => {
+    setStarting(true);
+    setError(null);
+    setJob(null);
+
+    try {
+      const response = await fetch(`${API_BASE}/calibration/runs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          goldenSet,
+          promptVersion: promptVersion || undefined,
+          model: model.trim() || undefined,
+          concurrency
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to start calibration');
+      }
+
+      setJobId(data.jobId);
+      enqueueSnackbar(`Rating ${data.storiesCount} golden stories with ${data.promptVersion}`, { variant: 'info' });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const handleSelectRun = async (runId) => {
+    try {
+      const response = await fetch(`${API_BASE}/calibration/runs/${runId}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to load calibration run');
+      }
+      setSelectedRun(data.run);
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    }
+  };
+
+  const running = Boolean(jobId);
+  const metrics = selectedRun?.metrics;
+  const readinessLabels = metrics ? Object.keys(metrics.readiness.confusion) : [];
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h4" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <RuleIcon color="primary" />
+          Rating Calibration
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Compare model criteria ratings with human ratings on a golden set: MAE and Spearman per criterion,
+          Cohen's kappa on readiness status. Runs are stored so calibration can be tracked across prompt versions.
+        </Typography>
+      </Box>
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        {/* Golden set upload */}
+        <Grid item xs={12} md={5}>
+          <Paper variant="outlined" sx={{ p: 2, height: '100%' }}>
+            <Typography variant="subtitle1" sx={{ fontWeight: 'bold', mb: 1 }}>Upload Golden Set</Typography>
+            <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 2 }}>
+              JSON array of stories (stories.json shape) with a humanRatings object holding the six criteria (1-10) and readinessStatus.
+              Uploading an existing name replaces that set.
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+              <Button variant="outlined" component="label" startIcon={<UploadFileIcon />} disabled={uploading}>
+                {uploadFile ? uploadFile.name : 'Choose JSON'}
+                <input type="file" accept=".json,application/json" hidden onChange={(e) => setUploadFile(e.target.files[0] || null)} />
+              </Button>
+              <TextField
+                label="Name"
+                size="small"
+                value={uploadName}
+                onChange={(e) => setUploadName(e.target.value)}
+                placeholder="Defaults to the file name"
+              />
+              <Button
+                variant="contained"
+                onClick={handleUpload}
+                disabled={!uploadFile || uploading}
+                startIcon={uploading ? <CircularProgress size={18} color="inherit" /> : null}
+              >
+                Upload
+              </Button>
+            </Box>
+            {uploadErrors.length > 0 && (
+              <Alert severity="error" sx={{ mt: 2, maxHeight: 160, overflow: 'auto' }}>
+                {uploadErrors.map(message => <div key={message}>{message}</div>)}
+              </Alert>
+            )}
+          </Paper>
+        </Grid>
+
+        {/* Calibration run */}
+        <Grid item xs={12} md={7}>
+          <Paper variant="outlined" sx={{ p: 2, height: '100%' }}>
+            <Typography variant="subtitle1" sx={{ fontWeight: 'bold', mb: 2 }}>Run Calibration</Typography>
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+              <FormControl size="small" sx={{ minWidth: 200 }}>
+                <InputLabel>Golden Set</InputLabel>
+                <Select value={goldenSet} label="Golden Set" onChange={(e) => setGoldenSet(e.target.value)} disabled={running}>
+                  {goldenSets.map(set => (
+                    <MenuItem key={set.name} value={set.name}>{set.name} ({set.count})</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" sx={{ minWidth: 180 }}>
+                <InputLabel>Prompt Version</InputLabel>
+                <Select value={promptVersion} label="Prompt Version" onChange={(e) => setPromptVersion(e.target.value)} disabled={running}>
+                  <MenuItem value="">Active version</MenuItem>
+                  {promptVersions.map(version => (
+                    <MenuItem key={version.version} value={version.label}>
+                      {version.label}{version.active ? ' (active)' : ''}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <TextField
+                label="Model"
+                size="small"
+                value={model}
+                onChange={(e) => setModel(e.target.value)}
+                placeholder="Configured model"
+                disabled={running}
+              />
+              <TextField
+                label="Concurrency"
+                type="number"
+                size="small"
+                value={concurrency}
+                onChange={(e) => setConcurrency(Math.max(1, Math.min(5, parseInt(e.target.value) || 1)))}
+                inputProps={{ min: 1, max: 5 }}
+                disabled={running}
+                sx={{ width: 120 }}
+              />
+              <Button
+                variant="contained"
+                startIcon={running || starting ? <CircularProgress size={18} color="inherit" /> : <PlayArrowIcon />}
+                onClick={handleRun}
+                disabled={!goldenSet || running || starting}
+              >
+                {running ? 'Running…' : 'Run'}
+              </Button>
+            </Box>
+            {job && job.status === 'in-progress' && (
+              <Box sx={{ mt: 2 }}>
+                <Typography variant="body2" sx={{ mb: 1 }}>
+                  {job.progress} of {job.total} golden stories rated{job.currentFile ? ` — ${job.currentFile}` : ''}
+                </Typography>
+                <LinearProgress variant="determinate" value={job.total > 0 ? (job.progress / job.total) * 100 : 0} />
+              </Box>
+            )}
+          </Paper>
+        </Grid>
+      </Grid>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>
+      )}
+
+      {/* Calibration history for the selected golden set */}
+      {runs.length > 0 && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>Calibration History — {goldenSet}</Typography>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Run At</TableCell>
+                    <TableCell>Prompt Version</TableCell>
+                    <TableCell>Model</TableCell>
+                    <TableCell align="right">Rated</TableCell>
+                    <TableCell align="right">Mean MAE</TableCell>
+                    <TableCell align="right">Mean Spearman</TableCell>
+                    <TableCell align="right">Readiness κ</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {runs.map(run => (
+                    <TableRow
+                      key={run._id}
+                      hover
+                      selected={selectedRun?._id === run._id}
+                      onClick={() => handleSelectRun(run._id)}
+                      sx={{ cursor: 'pointer' }}
+                    >
+                      <TableCell>{new Date(run.createdAt).toLocaleString()}</TableCell>
+                      <TableCell><Chip size="small" label={run.promptVersion} /></TableCell>
+                      <TableCell>{run.model}</TableCell>
+                      <TableCell align="right">{run.metrics.rated}/{run.metrics.stories}</TableCell>
+                      <TableCell align="right">{formatMetric(run.metrics.overall.mae)}</TableCell>
+                      <TableCell align="right" sx={{ color: agreementColor(run.metrics.overall.spearman) }}>
+                        {formatMetric(run.metrics.overall.spearman)}
+                      </TableCell>
+                      <TableCell align="right" sx={{ color: agreementColor(run.metrics.readiness.kappa) }}>
+                        {formatMetric(run.metrics.readiness.kappa)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </CardContent>
+        </Card>
+      )}
+
+      {metrics && (
+        <Grid container spacing={3}>
+          <Grid item xs={12}>
+            <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+              {selectedRun.promptVersion} · {selectedRun.model} — {metrics.rated} of {metrics.stories} golden stories rated
+            </Typography>
+          </Grid>
+
+          {/* Per-criterion agreement */}
+          <Grid item xs={12} md={8}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>Criteria Agreement</Typography>
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Criterion</TableCell>
+                        <TableCell align="right">n</TableCell>
+                        <TableCell align="right">MAE</TableCell>
+                        <TableCell align="right">Spearman</TableCell>
+                        <TableCell align="right">Human Mean</TableCell>
+                        <TableCell align="right">Model Mean</TableCell>
+                        <TableCell align="right">Bias</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {[...CRITERIA, { id: 'averageScore', label: 'Average Score' }].map(criterion => {
+                        const stats = criterion.id === 'averageScore' ? metrics.averageScore : metrics.criteria[criterion.id];
+                        return (
+                          <TableRow key={criterion.id}>
+                            <TableCell sx={criterion.id === 'averageScore' ? { fontWeight: 'bold' } : undefined}>{criterion.label}</TableCell>
+                            <TableCell align="right">{stats.n}</TableCell>
+                            <TableCell align="right">{formatMetric(stats.mae)}</TableCell>
+                            <TableCell align="right" sx={{ color: agreementColor(stats.spearman), fontWeight: 'bold' }}>
+                              {formatMetric(stats.spearman)}
+                            </TableCell>
+                            <TableCell align="right">{formatMetric(stats.meanHuman)}</TableCell>
+                            <TableCell align="right">{formatMetric(stats.meanModel)}</TableCell>
+                            <TableCell align="right">{stats.bias > 0 ? '+' : ''}{formatMetric(stats.bias)}</TableCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </CardContent>
+            </Card>
+          </Grid>
+
+          {/* Readiness status agreement */}
+          <Grid item xs={12} md={4}>
+            <Card sx={{ height: '100%' }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>Readiness Status</Typography>
+                <Typography variant="body2">
+                  Cohen's κ: <Box component="strong" sx={{ color: agreementColor(metrics.readiness.kappa) }}>{formatMetric(metrics.readiness.kappa)}</Box>
+                </Typography>
+                <Typography variant="body2" sx={{ mb: 2 }}>
+                  Raw agreement: {metrics.readiness.agreement === null ? '—' : `${(metrics.readiness.agreement * 100).toFixed(1)}%`} (n = {metrics.readiness.n})
+                </Typography>
+                {readinessLabels.length > 0 && (
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Human ↓ / Model →</TableCell>
+                          {readinessLabels.map(label => <TableCell key={label} align="right">{label}</TableCell>)}
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {readinessLabels.map(humanLabel => (
+                          <TableRow key={humanLabel}>
+                            <TableCell>{humanLabel}</TableCell>
+                            {readinessLabels.map(modelLabel => (
+                              <TableCell
+                                key={modelLabel}
+                                align="right"
+                                sx={humanLabel === modelLabel ? { fontWeight: 'bold', bgcolor: 'rgba(46, 125, 50, 0.08)' } : undefined}
+                              >
+                                {metrics.readiness.confusion[humanLabel][modelLabel]}
+                              </TableCell>
+                            ))}
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+
+          {/* Per-story human vs model */}
+          {selectedRun.rows && (
+            <Grid item xs={12}>
+              <Card>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>Stories</Typography>
+                  <TableContainer sx={{ maxHeight: 480 }}>
+                    <Table size="small" stickyHeader>
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Story</TableCell>
+                          <TableCell align="right">Human Avg</TableCell>
+                          <TableCell align="right">Model Avg</TableCell>
+                          <TableCell>Human Readiness</TableCell>
+                          <TableCell>Model Readiness</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {selectedRun.rows.map((row, index) => (
+                          <TableRow key={row.storyKey || index}>
+                            <TableCell>
+                              <Typography variant="body2" sx={{ fontWeight: 'bold' }}>{row.storyKey}</Typography>
+                              <Typography variant="caption" color="text.secondary">{row.summary}</Typography>
+                            </TableCell>
+                            <TableCell align="right">{formatMetric(row.human.averageScore)}</TableCell>
+                            <TableCell align="right">{row.model ? formatMetric(row.model.averageScore) : '—'}</TableCell>
+                            <TableCell>{row.human.readinessStatus || '—'}</TableCell>
+                            <TableCell>
+                              {row.model
+                                ? (
+                                  <Chip
+                                    size="small"
+                                    label={row.model.readinessStatus || 'N/A'}
+                                    color={row.model.readinessStatus === row.human.readinessStatus ? 'success' : 'warning'}
+                                  />
+                                )
+                                : <Chip size="small" color="error" label="failed" title={row.error} />}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                </CardContent>
+              </Card>
+            </Grid>
+          )}
+        </Grid>
+      )}
+    </Box>
+  );
+}
+
+export default RatingCalibration;
@@ -0,0 +1,417 @@
+import React, { useState, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Card,
+  CardContent,
+  CircularProgress,
+  Chip,
+  Alert,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Paper,
+  TextField,
+  LinearProgress,
+  Tabs,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import InsightsIcon from '@mui/icons-material/Insights';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import { useSnackbar } from 'notistack';
+
+const API_BASE = 'http://localhost:3001/api';
+
+const GROUP_TABS = [
+  { id: 'epic', label: 'Epic' },
+  { id: 'module', label: 'Module' },
+  { id: 'priority', label: 'Priority' },
+  { id: 'risk', label: 'Risk' },
+  { id: 'status', label: 'Status' },
+  { id: 'promptVersion', label: 'Prompt Version' }
+];
+
+const READINESS_COLORS = {
+  'Ready for Dev': 'success',
+  'Needs Refinement': 'warning',
+  'Blocked': 'error',
+  'Unknown': 'inherit'
+};
+
+function RatingsDashboard() {
+  const [trendInterval, setTrendInterval] = useState('week');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [groupField, setGroupField] = useState('epic');
+  const [promptVersion, setPromptVersion] = useState('');
+  const [promptVersions, setPromptVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [dashboard, setDashboard] = useState(null);
+  const [error, setError] = useState(null);
+
+  const { enqueueSnackbar } = useSnackbar();
+
+  const loadDashboard = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ interval: trendInterval });
+      if (fromDate) params.append('from', fromDate);
+      if (toDate) params.append('to', `${toDate}T23:59:59.999Z`);
+      if (promptVersion) params.append('promptVersion', promptVersion);
+
+      const response = await fetch(`${API_BASE}/ratings/dashboard?${params.toString()}`);
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.details || data.error || 'Failed to load dashboard');
+      }
+
+      setDashboard(data);
+    } catch (err) {
+      setError(err.message);
+      enqueueSnackbar(`Failed to load dashboard: ${err.message}`, { variant: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [trendInterval, fromDate, toDate, promptVersion, enqueueSnackbar]);
+
+  React.useEffect(() => {
+    loadDashboard();
+  }, [loadDashboard]);
+
+  // Registry versions for the prompt version filter (ad-hoc templates are still listed per group)
+  React.useEffect(() => {
+    fetch(`${API_BASE}/prompts/versions`)
+      .then(response => response.json())
+      .then(data => setPromptVersions(data.success ? data.versions : []))
+      .catch(() => setPromptVersions([]));
+  }, []);
+
+  const getScoreColor = (score) => {
+    if (score === null || score === undefined) return 'inherit';
+    if (score >= 8) return 'success';
+    if (score >= 6) return 'warning';
+    return 'error';
+  };
+
+  const maxHistogramCount = dashboard
+    ? Math.max(1, ...dashboard.histogram.map(bucket => bucket.count))
+    : 1;
+
+  return (
+    <Box sx={{ maxWidth: 1400, margin: 'auto', padding: 3 }}>
+      <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+          <InsightsIcon sx={{ fontSize: 40, mr: 2, color: 'primary.main' }} />
+          <Typography variant="h4" component="h1">
+            Rating Dashboard
+          </Typography>
+        </Box>
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          Score distributions and readiness share use the latest rating of each story. Trends include every rating run in the selected range.
+        </Typography>
+
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} md={2}>
+            <TextField
+              fullWidth
+              type="date"
+              label="From"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12} md={2}>
+            <TextField
+              fullWidth
+              type="date"
+              label="To"
+              value={toDate}
+              onChange={(e) => setToDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12} md={2}>
+            <FormControl fullWidth>
+              <InputLabel>Prompt Version</InputLabel>
+              <Select
+                value={promptVersion}
+                label="Prompt Version"
+                onChange={(e) => setPromptVersion(e.target.value)}
+              >
+                <MenuItem value="">All Versions</MenuItem>
+                {promptVersions.map(version => (
+                  <MenuItem key={version.version} value={version.label}>
+                    {version.label}{version.active ? ' (active)' : ''} — {version.author}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <FormControl fullWidth>
+              <InputLabel>Trend Interval</InputLabel>
+              <Select
+                value={trendInterval}
+                label="Trend Interval"
+                onChange={(e) => setTrendInterval(e.target.value)}
+              >
+                <MenuItem value="day">Daily</MenuItem>
+                <MenuItem value="week">Weekly</MenuItem>
+                <MenuItem value="month">Monthly</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <Button
+              fullWidth
+              variant="contained"
+              size="large"
+              onClick={loadDashboard}
+              disabled={loading}
+              startIcon={loading ? <CircularProgress size={20} /> : <RefreshIcon />}
+              sx={{ height: 56 }}
+            >
+              {loading ? 'Loading...' : 'Refresh'}
+            </Button>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      {dashboard && dashboard.overview.storiesRated === 0 && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          No ratings found for the selected range. Rate stories from Prompt &amp; Schema or run a batch rating job first.
+        </Alert>
+      )}
+
+      {dashboard && dashboard.overview.storiesRated > 0 && (
+        <>
+          {/* Overview */}
+          <Grid container spacing={2} sx={{ mb: 3 }}>
+            <Grid item xs={12} md={4}>
+              <Card>
+                <CardContent>
+                  <Typography variant="body2" color="text.secondary">Stories Rated</Typography>
+                  <Typography variant="h4">{dashboard.overview.storiesRated}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {dashboard.overview.totalRuns} rating run(s)
+                  </Typography>
+                </CardContent>
+              </Card>
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <Card>
+                <CardContent>
+                  <Typography variant="body2" color="text.secondary">Average Score</Typography>
+                  <Typography variant="h4" color={dashboard.overview.averageScore === null ? 'text.primary' : `${getScoreColor(dashboard.overview.averageScore)}.main`}>
+                    {dashboard.overview.averageScore ?? 'N/A'}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    Latest rating per story
+                  </Typography>
+                </CardContent>
+              </Card>
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <Card>
+                <CardContent>
+                  <Typography variant="body2" color="text.secondary" gutterBottom>Readiness Share</Typography>
+                  {dashboard.readiness.map(entry => (
+                    <Box key={entry.status} sx={{ mb: 1 }}>
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                        <Typography variant="body2">{entry.status}</Typography>
+                        <Typography variant="body2">{entry.count} ({entry.percentage}%)</Typography>
+                      </Box>
+                      <LinearProgress
+                        variant="determinate"
+                        value={entry.percentage}
+                        color={READINESS_COLORS[entry.status] || 'inherit'}
+                      />
+                    </Box>
+                  ))}
+                </CardContent>
+              </Card>
+            </Grid>
+          </Grid>
+
+          {/* Score Histogram */}
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                📊 Score Distribution
+              </Typography>
+              <Box sx={{ display: 'flex', alignItems: 'flex-end', gap: 1, height: 160 }}>
+                {dashboard.histogram.map(bucket => (
+                  <Box key={bucket.bucket} sx={{ flex: 1, textAlign: 'center' }}>
+                    <Typography variant="caption">{bucket.count}</Typography>
+                    <Box
+                      sx={{
+                        height: `${(bucket.count / maxHistogramCount) * 120}px`,
+                        bgcolor: `${getScoreColor(bucket.min)}.main`,
+                        borderRadius: 1
+                      }}
+                    />
+                    <Typography variant="caption" color="text.secondary">{bucket.bucket}</Typography>
+                  </Box>
+                ))}
+              </Box>
+            </CardContent>
+          </Card>
+
+          {/* Grouped Scores */}
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                🗂️ Scores by Group
+              </Typography>
+              <Tabs value={groupField} onChange={(e, value) => setGroupField(value)} sx={{ mb: 2 }}>
+                {GROUP_TABS.map(tab => (
+                  <Tab key={tab.id} value={tab.id} label={tab.label} />
+                ))}
+              </Tabs>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>{GROUP_TABS.find(tab => tab.id === groupField)?.label}</TableCell>
+                      <TableCell align="right">Stories</TableCell>
+                      <TableCell sx={{ width: '30%' }}>Average Score</TableCell>
+                      <TableCell align="right">Min</TableCell>
+                      <TableCell align="right">Max</TableCell>
+                      <TableCell>Readiness</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {(dashboard.groups[groupField] || []).map(group => (
+                      <TableRow key={group.group}>
+                        <TableCell>{group.group}</TableCell>
+                        <TableCell align="right">{group.count}</TableCell>
+                        <TableCell>
+                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                            <LinearProgress
+                              variant="determinate"
+                              value={(group.averageScore || 0) * 10}
+                              color={getScoreColor(group.averageScore)}
+                              sx={{ flex: 1 }}
+                            />
+                            <Typography variant="body2">{group.averageScore ?? 'N/A'}</Typography>
+                          </Box>
+                        </TableCell>
+                        <TableCell align="right">{group.minScore ?? '—'}</TableCell>
+                        <TableCell align="right">{group.maxScore ?? '—'}</TableCell>
+                        <TableCell>
+                          {Object.entries(group.readiness).map(([status, count]) => count > 0 && (
+                            <Chip
+                              key={status}
+                              size="small"
+                              label={`${status}: ${count}`}
+                              color={READINESS_COLORS[status]}
+                              variant="outlined"
+                              sx={{ mr: 0.5, mb: 0.5 }}
+                            />
+                          ))}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </CardContent>
+          </Card>
+
+          {/* Trend */}
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                📈 Score Trend ({trendInterval === 'day' ? 'daily' : `${trendInterval}ly`})
+              </Typography>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Period</TableCell>
+                      <TableCell align="right">Runs</TableCell>
+                      <TableCell align="right">Stories</TableCell>
+                      <TableCell sx={{ width: '30%' }}>Average Score</TableCell>
+                      <TableCell align="right">Change</TableCell>
+                      <TableCell>Readiness</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {dashboard.trend.map((period, index) => {
+                      const previous = index > 0 ? dashboard.trend[index - 1] : null;
+                      const change = previous && previous.averageScore !== null && period.averageScore !== null
+                        ? Math.round((period.averageScore - previous.averageScore) * 100) / 100
+                        : null;
+
+                      return (
+                        <TableRow key={period.period}>
+                          <TableCell>{period.period}</TableCell>
+                          <TableCell align="right">{period.runs}</TableCell>
+                          <TableCell align="right">{period.storiesRated}</TableCell>
+                          <TableCell>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                              <LinearProgress
+                                variant="determinate"
+                                value={(period.averageScore || 0) * 10}
+                                color={getScoreColor(period.averageScore)}
+                                sx={{ flex: 1 }}
+                              />
+                              <Typography variant="body2">{period.averageScore ?? 'N/A'}</Typography>
+                            </Box>
+                          </TableCell>
+                          <TableCell align="right">
+                            {change === null ? '—' : (
+                              <Chip
+                                size="small"
+                                label={`${change > 0 ? '+' : ''}${change}`}
+                                color={change > 0 ? 'success' : change < 0 ? 'error' : 'default'}
+                              />
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            {Object.entries(period.readiness).map(([status, count]) => count > 0 && (
+                              <Chip
+                                key={status}
+                                size="small"
+                                label={`${status}: ${count}`}
+                                color={READINESS_COLORS[status]}
+                                variant="outlined"
+                                sx={{ mr: 0.5, mb: 0.5 }}
+                              />
+                            ))}
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default RatingsDashboard;
@@ -0,0 +1,452 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Card,
+  CardContent,
+  CircularProgress,
+  Chip,
+  Alert,
+  Grid,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Paper,
+  Switch,
+  TextField,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip
+} from '@mui/material';
+import FileCopyIcon from '@mui/icons-material/FileCopy';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import { useSnackbar } from 'notistack';
+
+const API_BASE = 'http://localhost:3001/api';
+
+const DECISIONS = [
+  { id: 'merge', label: 'Merge', color: 'error' },
+  { id: 'keep-both', label: 'Keep both', color: 'success' },
+  { id: 'ignore', label: 'Ignore', color: 'default' }
+];
+
+const scoreColor = (score) => {
+  if (score >= 0.95) return 'error';
+  if (score >= 0.9) return 'warning';
+  return 'default';
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+
+function DuplicateStoryReport() {
+  const [threshold, setThreshold] = useState(0.85);
+  const [embeddingWeight, setEmbeddingWeight] = useState(0.6);
+  const [maxDocFrequency, setMaxDocFrequency] = useState(0.5);
+  const [useEmbeddings, setUseEmbeddings] = useState(true);
+  const [projectKey, setProjectKey] = useState('');
+  const [reports, setReports] = useState([]);
+  const [report, setReport] = useState(null);
+  const [decisionFilter, setDecisionFilter] = useState('all');
+  const [notes, setNotes] = useState({});
+  const [jobId, setJobId] = useState(null);
+  const [job, setJob] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { enqueueSnackbar } = useSnackbar();
+
+  const loadReports = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/userstories/duplicates/reports`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to load duplicate reports');
+      }
+      setReports(data.reports);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const loadReport = useCallback(async (reportId) => {
+    try {
+      const response = await fetch(`${API_BASE}/userstories/duplicates/reports/${reportId}`);
+      const data = await response.json();
+      if (response.status === 404) return;
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to load duplicate report');
+      }
+      setReport(data.report);
+      setNotes({});
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadReports();
+    loadReport('latest');
+  }, [loadReports, loadReport]);
+
+  // Poll the scan job until it finishes, then show its report
+  useEffect(() => {
+    if (!jobId) return;
+
+    const pollInterval = setInterval(async () => {
+      try {
+        const response = await fetch(`${API_BASE}/jobs/${jobId}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load scan status');
+        }
+
+        setJob(data);
+        if (data.status === 'completed') {
+          clearInterval(pollInterval);
+          setJobId(null);
+          setReport(data.report);
+          setNotes({});
+          if (data.persistError) {
+            enqueueSnackbar(`Scan finished but the report was not stored: ${data.persistError}`, { variant: 'warning' });
+          } else {
+            enqueueSnackbar(`Found ${data.report.groupCount} candidate duplicate groups`, { variant: 'success' });
+          }
+          loadReports();
+        } else if (data.status === 'failed') {
+          clearInterval(pollInterval);
+          setJobId(null);
+          setError(data.error || 'Duplicate scan failed');
+        }
+      } catch (err) {
+        clearInterval(pollInterval);
+        setJobId(null);
+        setError(err.message);
+      }
+    }, 2000);
+
+    return () => clearInterval(pollInterval);
+  }, [jobId, enqueueSnackbar, loadReports]);
+
+  const handleScan = async () => {
+    setStarting(true);
+    setError(null);
+    setJob(null);
+
+    try {
+      const response = await fetch(`${API_BASE}/userstories/duplicates/scan`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          threshold,
+          embeddingWeight,
+          maxDocFrequency,
+          useEmbeddings,
+          filters: projectKey.trim() ? { projectKey: projectKey.trim() } : {}
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.errors?.join('; ') || data.details || data.error || 'Failed to start duplicate scan');
+      }
+
+      setJobId(data.jobId);
+      enqueueSnackbar(`Scanning ${data.storiesCount} user stories`, { variant: 'info' });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const updateGroup = (groupId, changes) => {
+    setReport(current => ({
+      ...current,
+      groups: current.groups.map(group => (group.id === groupId ? { ...group, ...changes } : group))
+    }));
+  };
+
+  // Selecting the current decision again clears it
+  const handleDecision = async (group, decision) => {
+    try {
+      const clearing = !decision;
+      const response = await fetch(`${API_BASE}/userstories/duplicates/decisions/${group.id}`, clearing
+        ? { method: 'DELETE' }
+        : {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              decision,
+              note: notes[group.id] ?? group.note ?? '',
+              members: group.members.map(member => member.key)
+            })
+          });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to save decision');
+      }
+
+      updateGroup(group.id, clearing
+        ? { decision: null, decidedAt: null }
+        : { decision: data.decision, note: data.note, decidedAt: data.decidedAt });
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    }
+  };
+
+  // Notes are saved with the decision; editing the note of a decided group re-saves it
+  const handleNoteBlur = (group) => {
+    const note = notes[group.id];
+    if (note === undefined || note === (group.note || '') || !group.decision) return;
+    handleDecision(group, group.decision);
+  };
+
+  const running = Boolean(jobId);
+  const groups = report?.groups || [];
+  const visibleGroups = groups.filter(group => {
+    if (decisionFilter === 'all') return true;
+    if (decisionFilter === 'undecided') return !group.decision;
+    return group.decision === decisionFilter;
+  });
+  const decidedCount = groups.filter(group => group.decision).length;
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h4" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <FileCopyIcon color="primary" />
+          Duplicate Stories
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Scan the whole user story backlog for near-duplicates. Each pair is scored from embedding similarity and word overlap
+          (template words shared by most stories are ignored); linked pairs form candidate groups to merge, keep or ignore.
+        </Typography>
+      </Box>
+
+      <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 'bold', mb: 2 }}>Run Scan</Typography>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+          <TextField
+            label="Threshold"
+            type="number"
+            size="small"
+            value={threshold}
+            onChange={(e) => setThreshold(Number(e.target.value))}
+            inputProps={{ min: 0.5, max: 1, step: 0.01 }}
+            disabled={running}
+            sx={{ width: 120 }}
+          />
+          <Tooltip title="Share of the pair score from embedding similarity; the rest comes from word overlap">
+            <TextField
+              label="Embedding Weight"
+              type="number"
+              size="small"
+              value={embeddingWeight}
+              onChange={(e) => setEmbeddingWeight(Number(e.target.value))}
+              inputProps={{ min: 0, max: 1, step: 0.1 }}
+              disabled={running || !useEmbeddings}
+              sx={{ width: 150 }}
+            />
+          </Tooltip>
+          <Tooltip title="Words found in more than this share of the stories count as template text">
+            <TextField
+              label="Template Share"
+              type="number"
+              size="small"
+              value={maxDocFrequency}
+              onChange={(e) => setMaxDocFrequency(Number(e.target.value))}
+              inputProps={{ min: 0.05, max: 1, step: 0.05 }}
+              disabled={running}
+              sx={{ width: 140 }}
+            />
+          </Tooltip>
+          <TextField
+            label="Project Key"
+            size="small"
+            value={projectKey}
+            onChange={(e) => setProjectKey(e.target.value)}
+            placeholder="All projects"
+            disabled={running}
+            sx={{ width: 140 }}
+          />
+          <FormControlLabel
+            control={<Switch checked={useEmbeddings} onChange={(e) => setUseEmbeddings(e.target.checked)} disabled={running} />}
+            label="Use embeddings"
+          />
+          <Button
+            variant="contained"
+            startIcon={running || starting ? <CircularProgress size={18} color="inherit" /> : <PlayArrowIcon />}
+            onClick={handleScan}
+            disabled={running || starting}
+          >
+            {running ? 'Scanning…' : 'Scan Backlog'}
+          </Button>
+        </Box>
+        {job && job.status === 'in-progress' && (
+          <Box sx={{ mt: 2 }}>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              {job.progress} of {job.total} stories compared
+            </Typography>
+            <LinearProgress variant="determinate" value={job.total > 0 ? (job.progress / job.total) * 100 : 0} />
+          </Box>
+        )}
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+
+      {report && (
+        <>
+          <Grid container spacing={2} sx={{ mb: 3 }}>
+            {[
+              ['Stories Scanned', report.storyCount],
+              ['Candidate Groups', report.groupCount],
+              ['Stories in Groups', report.duplicateStoryCount],
+              ['Reviewed', `${decidedCount} / ${report.groupCount}`]
+            ].map(([label, value]) => (
+              <Grid item xs={6} md={3} key={label}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="caption" color="text.secondary">{label}</Typography>
+                    <Typography variant="h5">{value}</Typography>
+                  </CardContent>
+                </Card>
+              </Grid>
+            ))}
+          </Grid>
+
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center', mb: 2 }}>
+            {reports.length > 0 && (
+              <FormControl size="small" sx={{ minWidth: 260 }}>
+                <InputLabel>Report</InputLabel>
+                <Select
+                  value={reports.some(entry => entry._id === report._id) ? report._id : ''}
+                  label="Report"
+                  onChange={(e) => loadReport(e.target.value)}
+                >
+                  {reports.map(entry => (
+                    <MenuItem key={entry._id} value={entry._id}>
+                      {new Date(entry.createdAt).toLocaleString()} — {entry.groupCount} groups / {entry.storyCount} stories
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+            <ToggleButtonGroup size="small" exclusive value={decisionFilter} onChange={(e, value) => value && setDecisionFilter(value)}>
+              <ToggleButton value="all">All</ToggleButton>
+              <ToggleButton value="undecided">Undecided</ToggleButton>
+              {DECISIONS.map(decision => (
+                <ToggleButton key={decision.id} value={decision.id}>{decision.label}</ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+            <Typography variant="caption" color="text.secondary">
+              threshold {report.options.threshold} · embedding weight {report.options.embeddingWeight} · {report.pairCount} pairs
+              {report.templateTokens?.length > 0 ? ` · ${report.templateTokens.length} template words ignored` : ''}
+            </Typography>
+          </Box>
+
+          {visibleGroups.length === 0 && (
+            <Alert severity="info">
+              {groups.length === 0 ? 'No candidate duplicates at this threshold.' : 'No groups match this filter.'}
+            </Alert>
+          )}
+
+          {visibleGroups.map(group => (
+            <Card key={group.id} variant="outlined" sx={{ mb: 2 }}>
+              <CardContent>
+                <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 1 }}>
+                  <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+                    {group.size} stories
+                  </Typography>
+                  <Chip size="small" color={scoreColor(group.maxScore)} label={`max ${formatPercent(group.maxScore)}`} />
+                  {group.size > 2 && <Chip size="small" variant="outlined" label={`min ${formatPercent(group.minScore)}`} />}
+                  <Box sx={{ flex: 1 }} />
+                  <ToggleButtonGroup
+                    size="small"
+                    exclusive
+                    value={group.decision}
+                    onChange={(e, value) => handleDecision(group, value)}
+                  >
+                    {DECISIONS.map(decision => (
+                      <ToggleButton key={decision.id} value={decision.id} color={decision.color === 'default' ? 'standard' : decision.color}>
+                        {decision.label}
+                      </ToggleButton>
+                    ))}
+                  </ToggleButtonGroup>
+                </Box>
+
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Key</TableCell>
+                        <TableCell>Summary</TableCell>
+                        <TableCell>Description</TableCell>
+                        <TableCell>Epic</TableCell>
+                        <TableCell>Status</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {group.members.map(member => (
+                        <TableRow key={member.key}>
+                          <TableCell><Chip size="small" label={member.key} /></TableCell>
+                          <TableCell>{member.summary}</TableCell>
+                          <TableCell sx={{ maxWidth: 420 }}>
+                            <Typography variant="body2" color="text.secondary" noWrap title={member.description}>
+                              {member.description}
+                            </Typography>
+                          </TableCell>
+                          <TableCell>{member.epic || '—'}</TableCell>
+                          <TableCell>{member.status?.name || '—'}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+
+                <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 1 }}>
+                  {group.pairs.map(pair => (
+                    <Tooltip
+                      key={`${pair.a}-${pair.b}`}
+                      title={`Embedding ${formatPercent(pair.embeddingSimilarity)} · text ${formatPercent(pair.textSimilarity)}`}
+                    >
+                      <Chip size="small" variant="outlined" label={`${pair.a} ↔ ${pair.b}: ${formatPercent(pair.score)}`} />
+                    </Tooltip>
+                  ))}
+                </Box>
+
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Note"
+                  value={notes[group.id] ?? group.note ?? ''}
+                  onChange={(e) => setNotes(current => ({ ...current, [group.id]: e.target.value }))}
+                  onBlur={() => handleNoteBlur(group)}
+                  placeholder={group.decision ? '' : 'Saved with the decision'}
+                  sx={{ mt: 2 }}
+                />
+                {group.decidedAt && (
+                  <Typography variant="caption" color="text.secondary">
+                    Marked {DECISIONS.find(decision => decision.id === group.decision)?.label.toLowerCase()} on {new Date(group.decidedAt).toLocaleString()}
+                  </Typography>
+                )}
+              </CardContent>
+            </Card>
+          ))}
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default DuplicateStoryReport;
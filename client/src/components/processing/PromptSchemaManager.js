@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   Box,
   TextField,
@@ -30,7 +30,6 @@ import {
 import {
   Schema as SchemaIcon,
   Code as CodeIcon,
-  Save as SaveIcon,
   Refresh as ResetIcon,
   PlayArrow as TestIcon,
   ContentCopy as CopyIcon,
@@ -46,6 +45,7 @@ import {
   AutoAwesome as QualityIcon,
 } from '@mui/icons-material';
 import UserStoryValidationResults from './UserStoryValidationResults';
+import PromptVersionRegistry from './PromptVersionRegistry';
 
 function TabPanel({ children, value, index }) {
   return (
@@ -55,84 +55,155 @@ function TabPanel({ children, value, index }) {
   );
 }
 
+// Mirrors RATING_RESPONSE_SCHEMA on the server; rating responses are validated (and repaired) against this schema
 const DEFAULT_JSON_SCHEMA = `{
   "$schema": "http://json-schema.org/draft-07/schema#",
-  "title": "Healthcare Test Case",
+  "title": "User Story Rating",
   "type": "object",
+  "required": [
+    "analysis",
+    "rationale",
+    "finalRecommendation"
+  ],
   "properties": {
-    "testCaseId": {
-      "type": "string",
-      "description": "Unique identifier for the test case, e.g., TC_001"
-    },
-    "module": {
-      "type": "string",
-      "description": "Functional module name, e.g., Patient Registration"
-    },
-    "testCaseTitle": {
-      "type": "string",
-      "description": "Concise title describing what is being tested"
-    },
-    "testCaseDescription": {
-      "type": "string",
-      "description": "Detailed narrative explaining the purpose and flow of the test"
-    },
-    "testSteps": {
-      "type": "array",
-      "description": "Step-by-step instructions for executing the test",
-      "items": {
-        "type": "string"
-      }
-    },
-    "expectedResults": {
-      "type": "string",
-      "description": "Expected system behavior after test execution"
-    },
-    "priority": {
-      "type": "string",
-      "enum": ["Low", "Medium", "High", "Critical"]
-    },
-    "createdDate": {
-      "type": "string",
-      "format": "date",
-      "description": "Date when the test case was first created"
-    },
-    "modifiedDate": {
-      "type": "string",
-      "format": "date",
-      "description": "Date when the test case was last modified"
-    },
-    "author": {
-      "type": "string",
-      "description": "Author or QA engineer who created or updated the test"
-    },
-    "version": {
-      "type": "string",
-      "description": "Version of the test case document"
-    },
-    "relatedUserStories": {
-      "type": "array",
-      "description": "IDs of related user stories in the user story collection",
-      "items": {
-        "type": "string"
+    "analysis": {
+      "type": "object",
+      "required": [
+        "userStoryTitle",
+        "userStoryModule",
+        "summary",
+        "criteriaRatings",
+        "averageScore",
+        "readinessStatus",
+        "strengths",
+        "gapsIdentified",
+        "improvementRecommendations",
+        "linkedTestCases",
+        "sourceCitations"
+      ],
+      "properties": {
+        "userStoryTitle": {
+          "type": "string",
+          "minLength": 1
+        },
+        "userStoryModule": {
+          "type": "string",
+          "minLength": 1
+        },
+        "summary": {
+          "type": "string",
+          "minLength": 1
+        },
+        "criteriaRatings": {
+          "type": "object",
+          "required": [
+            "titleClarity",
+            "descriptionCompleteness",
+            "acceptanceCriteriaQuality",
+            "businessValueAlignment",
+            "technicalFeasibility",
+            "complianceCoverage"
+          ],
+          "properties": {
+            "titleClarity": {
+              "type": "number",
+              "minimum": 1,
+              "maximum": 10
+            },
+            "descriptionCompleteness": {
+              "type": "number",
+              "minimum": 1,
+              "maximum": 10
+            },
+            "acceptanceCriteriaQuality": {
+              "type": "number",
+              "minimum": 1,
+              "maximum": 10
+            },
+            "businessValueAlignment": {
+              "type": "number",
+              "minimum": 1,
+              "maximum": 10
+            },
+            "technicalFeasibility": {
+              "type": "number",
+              "minimum": 1,
+              "maximum": 10
+            },
+            "complianceCoverage": {
+              "type": "number",
+              "minimum": 1,
+              "maximum": 10
+            }
+          }
+        },
+        "averageScore": {
+          "type": "number",
+          "minimum": 1,
+          "maximum": 10
+        },
+        "readinessStatus": {
+          "type": "string",
+          "enum": [
+            "Ready for Dev",
+            "Needs Refinement",
+            "Blocked"
+          ]
+        },
+        "strengths": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "gapsIdentified": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "improvementRecommendations": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "linkedTestCases": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        },
+        "sourceCitations": {
+          "type": "array",
+          "items": {
+            "type": "string"
+          }
+        }
       }
     },
-    "metadata": {
+    "rationale": {
       "type": "object",
-      "description": "Additional tags for hybrid search filtering",
+      "required": [
+        "scoringExplanation",
+        "impactSummary"
+      ],
       "properties": {
-        "module": { "type": "string" },
-        "priority": { "type": "string" },
-        "environment": { "type": "string" },
-        "automationStatus": { "type": "boolean" }
+        "scoringExplanation": {
+          "type": "string",
+          "minLength": 1
+        },
+        "impactSummary": {
+          "type": "string",
+          "minLength": 1
+        }
       }
+    },
+    "finalRecommendation": {
+      "type": "string",
+      "minLength": 1
     }
-  },
-  "required": [
-    "testCaseId",
-    "testCaseTitle",
-    "testSteps",
-    "expectedResults"
-  ]
+  }
 }`;
 
 const DEFAULT_PROMPT_TEMPLATE = `# USER STORY VALIDATION & ANALYSIS
@@ -318,17 +389,110 @@ const EXAMPLE_TEST_CASES = `[
   }
 ]`;
 
+// Rating pipeline steps in the order /api/userstories/rate/stream reports them
+const RATING_STEPS = [
+  { step: 'preprocess', label: 'Preprocessing' },
+  { step: 'hybridSearch', label: 'Hybrid Search' },
+  { step: 'rerank', label: 'Re-Ranking' },
+  { step: 'dedup', label: 'Deduplication' },
+  { step: 'summarize', label: 'Summarization' },
+  { step: 'prompt', label: 'Prompt + Context' },
+  { step: 'generate', label: 'Generation + Validation' }
+];
+
+// Read a Server-Sent Events response (fetch body) and call onEvent(event, data) for each event;
+// when onEvent throws (an error event) the stream is cancelled before the error is rethrown
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffered += decoder.decode(value, { stream: true });
+
+      const blocks = buffered.split('\n\n');
+      buffered = blocks.pop();
+      blocks.forEach(block => {
+        let event = 'message';
+        const dataLines = [];
+        block.split('\n').forEach(line => {
+          if (line.startsWith('event:')) event = line.substring(6).trim();
+          else if (line.startsWith('data:')) dataLines.push(line.substring(5).trim());
+        });
+        if (dataLines.length > 0) onEvent(event, JSON.parse(dataLines.join('\n')));
+      });
+    }
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+}
+
+// Parse the JSON a model has streamed so far: open strings, arrays and objects are closed, and when that
+// is not enough (the text ends in a key or a half-written number) it is cut back to the last complete member
+function parsePartialJson(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+  const body = text.substring(start);
+
+  const stack = [];
+  const cutPoints = [];
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+      cutPoints.push({ index: i + 1, closers: [...stack] });
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+      if (stack.length === 0) {
+        try {
+          return JSON.parse(body.substring(0, i + 1));
+        } catch (e) {
+          return null;
+        }
+      }
+      cutPoints.push({ index: i + 1, closers: [...stack] });
+    } else if (ch === ',') {
+      cutPoints.push({ index: i, closers: [...stack] });
+    }
+  }
+
+  const close = (closers) => [...closers].reverse().join('');
+  const candidates = [body + (inString ? '"' : '') + close(stack)];
+  cutPoints.slice(-3).reverse().forEach(({ index, closers }) => candidates.push(body.substring(0, index) + close(closers)));
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (e) {
+      // try the next cut point
+    }
+  }
+  return null;
+}
+
 function PromptSchemaManager() {
   const [tabValue, setTabValue] = useState(0);
   const [jsonSchema, setJsonSchema] = useState(DEFAULT_JSON_SCHEMA);
   const [promptTemplate, setPromptTemplate] = useState(DEFAULT_PROMPT_TEMPLATE);
   const [schemaValid, setSchemaValid] = useState(true);
   const [schemaError, setSchemaError] = useState(null);
+  const [maxRepairAttempts, setMaxRepairAttempts] = useState(2);
   const [testQuery, setTestQuery] = useState(EXAMPLE_TEST_QUERY);
   const [testCases, setTestCases] = useState(EXAMPLE_TEST_CASES);
   const [testResult, setTestResult] = useState(null);
   const [testing, setTesting] = useState(false);
-  const [saved, setSaved] = useState(false);
+  const [testStreamText, setTestStreamText] = useState(null);
   
   // RAG comparison states
   const [ragResult, setRagResult] = useState(null);
@@ -338,12 +502,15 @@ function PromptSchemaManager() {
   // LLM + RAG Context states
   const [llmRagResult, setLlmRagResult] = useState(null);
   const [llmRagTesting, setLlmRagTesting] = useState(false);
+  const [ratingHistory, setRatingHistory] = useState(null);
   
   // Quality comparison states
   const [showQualityComparison, setShowQualityComparison] = useState(false);
   // Pipeline view states
   const [pipelineView, setPipelineView] = useState('reference'); // 'reference' | 'generated'
-  const [generationProgress, setGenerationProgress] = useState(0);
+  // Streamed pipeline progress: step events by step name, and the rating text of the current attempt
+  const [stepStatus, setStepStatus] = useState({});
+  const [liveRating, setLiveRating] = useState(null);
   const [accuracyScore, setAccuracyScore] = useState(null);
 
   // Validate JSON Schema
@@ -383,30 +550,27 @@ function PromptSchemaManager() {
     alert(`${type} copied to clipboard!`);
   };
 
-  // Save configuration
-  const handleSave = async () => {
-    if (!validateSchema(jsonSchema)) {
-      alert('Please fix JSON Schema errors before saving');
-      return;
-    }
-
-    try {
-      const config = {
-        jsonSchema: JSON.parse(jsonSchema),
-        promptTemplate: promptTemplate,
-        updatedAt: new Date().toISOString()
-      };
-
-      // Save to localStorage for now
-      localStorage.setItem('promptSchemaConfig', JSON.stringify(config));
-      setSaved(true);
-      setTimeout(() => setSaved(false), 2000);
-      alert('Configuration saved successfully!');
-    } catch (error) {
-      alert('Error saving configuration: ' + error.message);
-    }
+  // Load a registry version into the editors
+  const handleLoadVersion = (version) => {
+    const schemaText = version.jsonSchema ? JSON.stringify(version.jsonSchema, null, 2) : DEFAULT_JSON_SCHEMA;
+    setPromptTemplate(version.promptTemplate);
+    setJsonSchema(schemaText);
+    validateSchema(schemaText);
   };
 
+  // Start from the active registry version so ratings from this page use it
+  useEffect(() => {
+    fetch('http://localhost:3001/api/prompts/active')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (data?.version) {
+          setPromptTemplate(data.version.promptTemplate);
+          if (data.version.jsonSchema) setJsonSchema(JSON.stringify(data.version.jsonSchema, null, 2));
+        }
+      })
+      .catch(() => {});
+  }, []);
+
   // Test prompt with AI
   const handleTest = async () => {
     if (!validateSchema(jsonSchema)) {
@@ -416,6 +580,7 @@ function PromptSchemaManager() {
 
     setTesting(true);
     setTestResult(null);
+    setTestStreamText(null);
 
     try {
       // Parse test cases
@@ -435,8 +600,8 @@ ${jsonSchema}
 
 Please provide your response in the expected JSON format.`;
 
-      // Call OpenAI API
-      const response = await fetch('http://localhost:3001/api/test-prompt', {
+      // Stream the completion so the answer shows up while the model writes it
+      const response = await fetch('http://localhost:3001/api/test-prompt/stream', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -450,7 +615,16 @@ Please provide your response in the expected JSON format.`;
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
-      const data = await response.json();
+      let data = null;
+      setTestStreamText('');
+      await readEventStream(response, (event, payload) => {
+        if (event === 'token') setTestStreamText(prev => (prev || '') + payload.text);
+        else if (event === 'done') data = payload;
+        else if (event === 'error') throw new Error(payload.details || payload.error);
+      });
+      if (!data) {
+        throw new Error('Prompt test stream ended without a response');
+      }
       setTestResult(data);
     } catch (error) {
       setTestResult({
@@ -499,451 +673,144 @@ Please provide your response in the expected JSON format.`;
     }
   };
 
-  // Complete RAG Workflow: Preprocess → Search → Deduplicate → Summarize → Generate
+  // Load stored rating runs for a story so POs can see whether refinements improved its score
+  const loadRatingHistory = async (storyKey) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/userstories/${encodeURIComponent(storyKey)}/ratings`);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      setRatingHistory(data);
+    } catch (error) {
+      console.warn('⚠️ Could not load rating history:', error.message);
+      setRatingHistory(null);
+    }
+  };
+
+  // Complete RAG Workflow (run server-side): Preprocess → Search → Deduplicate → Summarize → Generate → Validate
   const handleLlmRagTest = async () => {
     setLlmRagTesting(true);
     setLlmRagResult(null);
-    setGenerationProgress(0);
+    setRatingHistory(null);
+    setStepStatus({});
+    setLiveRating(null);
     setAccuracyScore(null);
     setPipelineView('reference');
 
     try {
       // STEP 1: User Story Input (validation)
-      console.log('📝 STEP 1: User Story Input received');
-      setGenerationProgress(5);
-      
       if (!testQuery || testQuery.trim() === '') {
         throw new Error('User story input is required');
       }
 
-      // STEP 2: Query Preprocessing (Normalize → Abbreviations → Synonyms)
-      console.log('🔧 STEP 2: Query Preprocessing (Normalize → Abbreviations → Synonyms)');
-      setGenerationProgress(10);
-      const preprocessResponse = await fetch('http://localhost:3001/api/search/preprocess', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          query: testQuery,
-          options: {
-            enableAbbreviations: true,
-            enableSynonyms: true,
-            maxSynonymVariations: 5,
-            smartExpansion: true,
-            preserveTestCaseIds: true
-          }
-        })
-      });
-
-      let finalQuery = testQuery;
-      let preprocessingData = null;
-      
-      if (preprocessResponse.ok) {
-        preprocessingData = await preprocessResponse.json();
-        finalQuery = preprocessingData.processedQuery || testQuery;
-        console.log('✅ Query preprocessed:', finalQuery);
-        console.log('   Transformations:', preprocessingData.transformations);
-      } else {
-        console.warn('⚠️ Preprocessing failed, using original query');
-      }
-
-      // STEP 3: Hybrid Search (BM25 + Vector, weighted fusion)
-      console.log('🔍 STEP 3: Hybrid Search (BM25 + Vector with weighted fusion)');
-      setGenerationProgress(20);
-      const searchResponse = await fetch('http://localhost:3001/api/search/hybrid', {
+      // STEPS 2-9 run on the server, which streams step and token events and stores the rating in the story's history
+      const rateResponse = await fetch('http://localhost:3001/api/userstories/rate/stream', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          query: finalQuery,
-          limit: 50, // Get more candidates for reranking
-          bm25Weight: 0.4,
-          vectorWeight: 0.6
-        })
-      });
-
-      if (!searchResponse.ok) {
-        throw new Error(`Search failed: ${searchResponse.status}`);
-      }
-
-      const searchData = await searchResponse.json();
-      console.log(`✅ Retrieved ${searchData.results?.length || 0} hybrid search candidates`);
-
-      // STEP 4: RRF Re-Ranking (Cross-encoder scores, top 10 selected)
-      console.log('🎯 STEP 4: RRF Re-Ranking with cross-encoder scores');
-      setGenerationProgress(35);
-      const rerankResponse = await fetch('http://localhost:3001/api/search/rerank', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          query: finalQuery,
-          limit: 10,
-          fusionMethod: 'rrf', // Reciprocal Rank Fusion
-          rerankTopK: 50,
-          bm25Weight: 0.4,
-          vectorWeight: 0.6
+          userStory: testQuery,
+          promptTemplate,
+          // The server validates against its built-in copy of the default schema
+          jsonSchema: jsonSchema !== DEFAULT_JSON_SCHEMA ? JSON.parse(jsonSchema) : undefined,
+          maxRepairAttempts,
+          temperature: 0.5,
+          maxTokens: 10000
         })
       });
 
-      let rerankedResults = [];
-      let rerankData = null;
-      
-      if (rerankResponse.ok) {
-        rerankData = await rerankResponse.json();
-        rerankedResults = rerankData.results || [];
-        console.log(`✅ RRF Re-ranking complete: Top ${rerankedResults.length} results selected`);
-        console.log(`   Fusion method: RRF, Execution time: ${rerankData.executionTime}ms`);
-      } else {
-        // Fallback to hybrid search results if reranking fails
-        console.warn('⚠️ Re-ranking failed, using hybrid search results');
-        rerankedResults = (searchData.results || []).slice(0, 10);
+      if (!rateResponse.ok) {
+        const failure = await rateResponse.json();
+        throw new Error(failure.error || `Rating failed: ${rateResponse.status}`);
       }
 
-      // STEP 5: Deduplication (Cosine > 0.95, unique results)
-      console.log('🧹 STEP 5: Deduplication (Cosine similarity > 0.95)');
-      setGenerationProgress(45);
-      let dedupData = null;
-      let finalResults = rerankedResults;
-      
-      if (finalResults.length > 5) {
-        // Strip embeddings to reduce payload size (causes 413 error)
-        const resultsWithoutEmbeddings = finalResults.map(r => {
-          const { embedding, ...rest } = r;
-          return rest;
-        });
-        
-        const dedupResponse = await fetch('http://localhost:3001/api/search/deduplicate', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            results: resultsWithoutEmbeddings,
-            threshold: 0.95 // Stricter threshold as per requirement
-          })
-        });
-
-        if (dedupResponse.ok) {
-          dedupData = await dedupResponse.json();
-          finalResults = dedupData.deduplicated || finalResults;
-          console.log(`✅ Deduplication complete: ${dedupData.stats?.duplicatesRemoved || 0} duplicates removed`);
-          console.log(`   Unique results: ${finalResults.length}`);
+      let data = null;
+      await readEventStream(rateResponse, (event, payload) => {
+        if (event === 'step') {
+          setStepStatus(prev => ({ ...prev, [payload.step]: payload }));
+        } else if (event === 'token') {
+          // A re-prompt writes a new answer, so the text starts over with each attempt
+          setLiveRating(prev => ({
+            attempt: payload.attempt,
+            text: (prev?.attempt === payload.attempt ? prev.text : '') + payload.text,
+            repairs: prev?.repairs || []
+          }));
+        } else if (event === 'repair') {
+          setLiveRating(prev => ({ ...prev, repairs: [...(prev?.repairs || []), payload] }));
+        } else if (event === 'result') {
+          data = payload;
+        } else if (event === 'error') {
+          throw new Error(payload.details ? `${payload.error}: ${payload.details}` : payload.error);
         }
-      }
-
-      // Take top 10 unique results
-      const topResults = finalResults.slice(0, 10);
-      
-      if (topResults.length === 0) {
-        throw new Error('No search results found for the user story after deduplication');
-      }
-
-      // Calculate accuracy score based on average similarity
-      const avgSimilarity = topResults.reduce((sum, tc) => sum + (tc.score || 0), 0) / topResults.length;
-      const calculatedAccuracy = Math.min(1, avgSimilarity / 0.85);
-      setAccuracyScore(calculatedAccuracy);
-      console.log(`📊 Average similarity score: ${avgSimilarity.toFixed(3)} (${(calculatedAccuracy * 100).toFixed(1)}%)`);
-
-      // STEP 6: Summarization (TestLeaf API) - Using only top 5 to reduce prompt size
-      console.log('📋 STEP 6: RAG Summarization via TestLeaf API');
-      setGenerationProgress(55);
-      
-      // Strip embeddings and limit to top 5 results to reduce payload size
-      const topResultsForSummary = topResults.slice(0, 5).map(r => {
-        const { embedding, ...rest } = r;
-        return rest;
-      });
-      
-      const summarizeResponse = await fetch('http://localhost:3001/api/search/summarize', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          results: topResultsForSummary,
-          summaryType: 'detailed'
-        })
       });
-
-      if (!summarizeResponse.ok) {
-        throw new Error(`Summarization failed: ${summarizeResponse.status}`);
+      if (!data) {
+        throw new Error('Rating stream ended without a result');
       }
 
-      const summaryData = await summarizeResponse.json();
-      console.log('✅ Comprehensive RAG summary generated');
-      console.log(`   Tokens: ${summaryData.tokens?.total || 0}, Cost: $${summaryData.cost?.total || 0}`);
-
-      // STEP 7: Prompt Template + Context (System prompt + few-shot + summaries)
-      console.log('🎨 STEP 7: Building ICEPOT Prompt Template with Context');
-      setGenerationProgress(65);
-      
-      // // Fetch the latest test case ID from database
-      // const latestIdResponse = await fetch('http://localhost:3001/api/testcases/latest-id');
-      // let nextTestCaseId = 'TC_NEW_001';
-      // let startingId = 1;
-      
-      // if (latestIdResponse.ok) {
-      //   const latestIdData = await latestIdResponse.json();
-      //   nextTestCaseId = latestIdData.nextTestCaseId || 'TC_NEW_001';
-      //   startingId = latestIdData.nextId || 1;
-      //   console.log(`   Latest test case: ${latestIdData.latestId}, Next ID: ${nextTestCaseId}`);
-      // }
-      
-      // Optimize: Only include essential fields from retrieved test cases to reduce prompt size
-      // OPTIMIZATION: Only include top 3-5 most relevant test cases to reduce prompt size
-      const topRelevantCount = Math.min(5, topResults.length);
-      const essentialUserStories = topResults.slice(0, topRelevantCount).map(us => ({
-        key: us.key,
-        summary: us.summary,
-        description: us.description,
-        businessValue: us.businessValue, // Most important field for generation
-        priority: us.priority,
-        acceptanceCriteria: us.acceptanceCriteria
-      }));
-      
-      // Format example test steps in RAG style (from existing test cases)
-      const exampleSteps = topResults[0]?.steps || '';
-      
-      const fullPrompt = `${promptTemplate}
-
-### GIVEN USER STORY
-${testQuery}
-
-### RAG SUMMARY (${topResults.length} similar User Stories found):
-${summaryData.summary}
-
-### REFERENCE USER STORIES (Top ${essentialUserStories.length} - Study the test steps format):
-${JSON.stringify(essentialUserStories, null, 2)}
-
-### REQUIREMENTS:
-1. Analyze the user story holistically — title, description, acceptance criteria, business value, technical feasibility, and compliance.
-2. Assign numerical ratings (1–10) for each criterion.
-3. Identify gaps or ambiguities and suggest specific improvements.
-4. Provide a final readiness verdict (“Ready for Dev”, “Needs Refinement”, or “Blocked”).
-
-Keep feedback professional, concise, and objective.
-
-### OUTPUT JSON:
-{
-  "analysis": {
-    "userStoryTitle": "string",
-    "userStoryModule": "string",
-    "summary": "string",
-    "criteriaRatings": {
-      "titleClarity": "number (1-10)",
-      "descriptionCompleteness": "number (1-10)",
-      "acceptanceCriteriaQuality": "number (1-10)",
-      "businessValueAlignment": "number (1-10)",
-      "technicalFeasibility": "number (1-10)",
-      "complianceCoverage": "number (1-10)"
-    },
-    "averageScore": "number (1-10)",
-    "readinessStatus": "Ready for Dev | Needs Refinement | Blocked",
-    "strengths": ["string"],
-    "gapsIdentified": ["string"],
-    "improvementRecommendations": ["string"],
-    "linkedTestCases": ["string"],
-    "sourceCitations": ["string"]
-  },
-  "rationale": {
-    "scoringExplanation": "string describing why each score was assigned",
-    "impactSummary": "string explaining how identified gaps affect delivery or testing"
-  },
-  "finalRecommendation": "string summarizing next steps or required actions"
-}`;
-
-      console.log(`✅ Prompt built: ${fullPrompt.length} chars`);
-
-      // STEP 8: LLM Generation (TestLeaf API - Generate test case JSON)
-      console.log('🤖 STEP 8: LLM Generation via TestLeaf API');
-      setGenerationProgress(75);
-      const generateResponse = await fetch('http://localhost:3001/api/test-prompt', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          prompt: fullPrompt,
-          temperature: 0.5,
-          maxTokens: 10000   // Increased back to 2500 for 6 complete test cases
-        })
-      });
+      const { context, timings } = data;
+      setAccuracyScore(Math.min(1, context.averageSimilarity / 0.85));
+      console.log(`✅ Rating pipeline finished in ${timings.total}ms`);
 
-      if (!generateResponse.ok) {
-        throw new Error(`Generation failed: ${generateResponse.status}`);
+      if (data.validation.errors.length > 0) {
+        console.warn('⚠️ Validation warnings:', data.validation.errors);
       }
 
-      const generatedData = await generateResponse.json();
-      console.log('✅ LLM generation complete');
-      console.log(`   Tokens: ${generatedData.tokens?.total || 0}, Cost: $${generatedData.cost?.total || 0}`);
+      // STEP 10: User Story Validation Results (handled by UserStoryValidationResults component)
 
-      // STEP 9: JSON Validation (Parse and validate)
-      console.log('✔️ STEP 9: JSON Validation');
-      setGenerationProgress(90);
-      
-      let validatedResponse = generatedData.response;
-      let validationErrors = [];
-      
-      // Handle markdown-wrapped JSON response (multiple formats)
-      try {
-        let rawText = null;
-        
-        // Case 1: Response has .raw property
-        if (validatedResponse && validatedResponse.raw) {
-          rawText = validatedResponse.raw;
-          console.log('   Parsing from response.raw property');
-        }
-        // Case 2: Response itself is a string
-        else if (typeof validatedResponse === 'string') {
-          rawText = validatedResponse;
-          console.log('   Parsing from response string');
-        }
-        
-        // Extract JSON from markdown code blocks if needed
-        if (rawText) {
-          console.log(`   Raw text length: ${rawText.length} chars`);
-          const jsonMatch = rawText.match(/```json\s*([\s\S]*?)\s*```/);
-          if (jsonMatch) {
-            rawText = jsonMatch[1].trim();
-            console.log('   Extracted JSON from markdown code block');
-          }
-          
-          // Check if JSON might be truncated (incomplete)
-          if (!rawText.endsWith('}')) {
-            console.warn('⚠️ Warning: JSON appears to be truncated (does not end with }). Attempting to parse anyway...');
-            validationErrors.push('Warning: Response may be incomplete due to token limit. Consider increasing maxTokens.');
-          }
-          
-          validatedResponse = JSON.parse(rawText);
-          console.log('✅ Successfully parsed JSON from response');
-        }
-      } catch (e) {
-        validationErrors.push(`Failed to parse JSON: ${e.message}`);
-        console.error('❌ JSON parsing error:', e);
-        console.error('   Response type:', typeof generatedData.response);
-        console.error('   Response has .raw?', !!(generatedData.response && generatedData.response.raw));
-        if (generatedData.response && generatedData.response.raw) {
-          console.error('   Raw text preview:', generatedData.response.raw.substring(0, 300));
-          console.error('   Raw text ending:', generatedData.response.raw.substring(generatedData.response.raw.length - 100));
-        }
-      }
-      
-      // Validate response structure
-      if (!validatedResponse || typeof validatedResponse !== 'object') {
-        validationErrors.push('Response is not a valid JSON object');
-      } else {
-        // Check for required fields according to user story validation schema
-        if (!validatedResponse.analysis) {
-          validationErrors.push('Missing "analysis" object');
-        } else {
-          const analysis = validatedResponse.analysis;
-          if (!analysis.userStoryTitle) {
-            validationErrors.push('Missing analysis.userStoryTitle');
-          }
-          if (!analysis.userStoryModule) {
-            validationErrors.push('Missing analysis.userStoryModule');
-          }
-          if (!analysis.summary) {
-            validationErrors.push('Missing analysis.summary');
-          }
-          if (!analysis.criteriaRatings || typeof analysis.criteriaRatings !== 'object') {
-            validationErrors.push('Missing or invalid analysis.criteriaRatings object');
-          } else {
-            const requiredCriteria = [
-              'titleClarity', 'descriptionCompleteness', 'acceptanceCriteriaQuality',
-              'businessValueAlignment', 'technicalFeasibility', 'complianceCoverage'
-            ];
-            requiredCriteria.forEach(criterion => {
-              const rating = analysis.criteriaRatings[criterion];
-              if (typeof rating !== 'number' || rating < 1 || rating > 10) {
-                validationErrors.push(`Missing or invalid analysis.criteriaRatings.${criterion} (must be number 1-10)`);
-              }
-            });
-          }
-          if (typeof analysis.averageScore !== 'number' || analysis.averageScore < 1 || analysis.averageScore > 10) {
-            validationErrors.push('Missing or invalid analysis.averageScore (must be number 1-10)');
-          }
-          if (!analysis.readinessStatus || 
-              !['Ready for Dev', 'Needs Refinement', 'Blocked'].includes(analysis.readinessStatus)) {
-            validationErrors.push('Missing or invalid analysis.readinessStatus (must be "Ready for Dev", "Needs Refinement", or "Blocked")');
-          }
-          if (!Array.isArray(analysis.strengths)) {
-            validationErrors.push('Missing or invalid analysis.strengths (must be array)');
-          }
-          if (!Array.isArray(analysis.gapsIdentified)) {
-            validationErrors.push('Missing or invalid analysis.gapsIdentified (must be array)');
-          }
-          if (!Array.isArray(analysis.improvementRecommendations)) {
-            validationErrors.push('Missing or invalid analysis.improvementRecommendations (must be array)');
-          }
-          if (!Array.isArray(analysis.linkedTestCases)) {
-            validationErrors.push('Missing or invalid analysis.linkedTestCases (must be array)');
-          }
-          if (!Array.isArray(analysis.sourceCitations)) {
-            validationErrors.push('Missing or invalid analysis.sourceCitations (must be array)');
-          }
-        }
-        
-        if (!validatedResponse.rationale || typeof validatedResponse.rationale !== 'object') {
-          validationErrors.push('Missing or invalid "rationale" object');
-        } else {
-          const rationale = validatedResponse.rationale;
-          if (!rationale.scoringExplanation) {
-            validationErrors.push('Missing rationale.scoringExplanation');
-          }
-          if (!rationale.impactSummary) {
-            validationErrors.push('Missing rationale.impactSummary');
-          }
-        }
-        
-        if (!validatedResponse.finalRecommendation) {
-          validationErrors.push('Missing finalRecommendation');
-        }
-      }
-      
-      if (validationErrors.length > 0) {
-        console.warn('⚠️ Validation warnings:', validationErrors);
-      } else {
-        console.log('✅ JSON validation passed - all required fields present');
-      }
+      const withTiming = (label, step) => (timings[step] !== undefined ? `${label} — ${timings[step]}ms` : label);
 
-      // STEP 10: User Story Validation Results (handled by UserStoryValidationResults component)
-      console.log('🎨 STEP 10: Preparing HTML format conversion (handled by UI)');
-      setGenerationProgress(100);
-      
-      // Combine all the data for comprehensive display
       setLlmRagResult({
-        response: validatedResponse, // Use validated/parsed response
-        tokens: generatedData.tokens,
-        cost: generatedData.cost,
-        model: generatedData.model,
+        response: data.response,
+        tokens: data.tokens.generation,
+        cost: data.cost.generation,
+        model: data.model,
+        promptVersion: data.promptVersion,
         // Pipeline data
-        preprocessingData: preprocessingData,
-        originalQuery: testQuery,
-        processedQuery: finalQuery,
-        rerankData: rerankData,
-        dedupData: dedupData,
+        preprocessingData: context.preprocessing,
+        originalQuery: context.originalQuery,
+        processedQuery: context.processedQuery,
+        rerankData: context.rerankApplied ? { fusionMethod: 'rrf', crossEncoder: context.crossEncoderApplied } : null,
+        dedupData: context.dedupStats ? { stats: context.dedupStats } : null,
         // Existing test cases data
-        existingTestCases: topResults,
-        searchResults: searchData.results?.length || 0,
-        topResults: topResults.length,
-        averageSimilarity: avgSimilarity,
+        existingTestCases: context.retrieved,
+        searchResults: context.hybridResultCount,
+        topResults: context.retrieved.length,
+        averageSimilarity: context.averageSimilarity,
         // RAG analysis data
-        ragSummary: summaryData.summary,
-        ragTokens: summaryData.tokens,
-        ragCost: summaryData.cost,
+        ragSummary: context.ragSummary,
+        contextBudget: context.contextBudget || null,
+        ragTokens: data.tokens.summary,
+        ragCost: data.cost.summary,
         // Validation results
-        validationErrors: validationErrors,
-        validationPassed: validationErrors.length === 0,
+        validationErrors: data.validation.errors,
+        validationPassed: data.validation.passed,
+        validationReport: data.validation,
+        // Stored rating
+        storyKey: data.storyKey,
+        ratingId: data.ratingId,
         // Workflow metadata
         workflow: '1. User Input → 2. Preprocessing → 3. Hybrid Search → 4. RRF Rerank → 5. Dedup → 6. Summarize → 7. Prompt → 8. Generate → 9. Validate → 10. HTML',
         pipelineSteps: [
           '✅ User Story Input',
-          '✅ Query Preprocessing (Normalize → Abbreviations → Synonyms)',
-          '✅ Hybrid Search (BM25 + Vector, weighted fusion)',
-          '✅ RRF Re-Ranking (Cross-encoder, top 10 selected)',
-          '✅ Deduplication (Cosine > 0.95)',
-          '✅ Summarization (TestLeaf API)',
-          '✅ Prompt Template + Context (ICEPOT framework)',
-          '✅ LLM Generation (TestLeaf API)',
-          '✅ JSON Validation (AJV)',
+          withTiming('✅ Query Preprocessing (Normalize → Abbreviations → Synonyms)', 'preprocess'),
+          withTiming('✅ Hybrid Search (BM25 + Vector, weighted fusion)', 'hybridSearch'),
+          withTiming(`✅ RRF Re-Ranking${context.crossEncoderApplied ? ' + Cross-Encoder' : ''} (top 10 selected)`, 'rerank'),
+          withTiming('✅ Deduplication', 'dedup'),
+          withTiming('✅ Summarization (TestLeaf API)', 'summarize'),
+          withTiming(`✅ Prompt Template${data.promptVersion ? ` ${data.promptVersion}` : ''} + Context (ICEPOT framework${context.contextBudget ? `, ${context.contextBudget.references.included.length}/${context.contextBudget.references.candidates} stories in ${context.contextBudget.references.used}/${context.contextBudget.references.budget} tokens` : ''})`, 'prompt'),
+          withTiming('✅ LLM Generation (TestLeaf API)', 'generate'),
+          data.validation.repaired
+            ? `✅ JSON Schema Validation (repaired after ${data.validation.repairAttempts} re-prompt${data.validation.repairAttempts > 1 ? 's' : ''})`
+            : `${data.validation.passed ? '✅' : '⚠️'} JSON Schema Validation (${data.validation.schema} schema)`,
           '✅ HTML Conversion (UI rendering)'
         ],
-        timestamp: new Date().toISOString()
+        timestamp: data.timestamp
       });
 
+      if (data.storyKey) {
+        loadRatingHistory(data.storyKey);
+      }
+
       console.log('🎉 Complete 10-step RAG pipeline finished successfully!');
     } catch (error) {
       console.error('RAG workflow error:', error);
@@ -951,12 +818,17 @@ Keep feedback professional, concise, and objective.
         error: true,
         message: error.message
       });
-      setGenerationProgress(0);
     } finally {
       setLlmRagTesting(false);
     }
   };
 
+  // Steps without an event before the last reported one were skipped (dedup only runs on larger result sets)
+  const lastReportedStep = RATING_STEPS.reduce((last, { step }, index) => (stepStatus[step] ? index : last), -1);
+  const stepState = (step, index) => stepStatus[step]?.status || (index < lastReportedStep ? 'skipped' : 'pending');
+  const finishedSteps = RATING_STEPS.filter(({ step }, index) => ['done', 'failed', 'skipped'].includes(stepState(step, index))).length;
+  const runningStep = RATING_STEPS.find(({ step }) => stepStatus[step]?.status === 'running');
+  const liveAnalysis = useMemo(() => (liveRating?.text ? parsePartialJson(liveRating.text) : null), [liveRating?.text]);
 
 
   // Render User Story Validation Results
@@ -1032,17 +904,11 @@ Keep feedback professional, concise, and objective.
         </Alert>
       </Box>
 
-      {/* Save Indicator */}
-      {saved && (
-        <Alert severity="success" sx={{ mb: 2 }}>
-          Configuration saved successfully!
-        </Alert>
-      )}
-
       {/* Main Tabs */}
       <Paper elevation={2}>
         <Tabs value={tabValue} onChange={(e, newValue) => setTabValue(newValue)}>
           <Tab icon={<TestIcon />} label="User Story validation" />
+          <Tab icon={<SchemaIcon />} label="Prompt & Schema Versions" />
         </Tabs>
         <Divider />
 
@@ -1080,6 +946,17 @@ Keep feedback professional, concise, and objective.
               {/* Test Button */}
               <Grid item xs={12}>
                 <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+                  <TextField
+                    label="Repair Attempts"
+                    type="number"
+                    size="small"
+                    value={maxRepairAttempts}
+                    onChange={(e) => setMaxRepairAttempts(Math.max(0, Math.min(5, parseInt(e.target.value) || 0)))}
+                    disabled={llmRagTesting}
+                    inputProps={{ min: 0, max: 5 }}
+                    helperText="Re-prompts when the response fails the schema"
+                    sx={{ width: 200 }}
+                  />
                   <Button
                     variant="contained"
                     color="success"
@@ -1109,17 +986,35 @@ Keep feedback professional, concise, and objective.
                       {showQualityComparison ? 'Hide Quality Analysis' : 'Analyze Test Case Quality'}
                     </Button>
                   )}
-                  <Button
-                    variant="outlined"
-                    startIcon={<SaveIcon />}
-                    onClick={handleSave}
-                    disabled={!schemaValid}
-                  >
-                    Save Configuration
-                  </Button>
                 </Box>
               </Grid>
 
+              {/* Prompt test output while it streams */}
+              {testing && testStreamText !== null && (
+                <Grid item xs={12}>
+                  <Card sx={{ bgcolor: '#e8f5e9' }}>
+                    <CardContent>
+                      <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <AiIcon /> Prompt Engineering Result <CircularProgress size={16} />
+                      </Typography>
+                      <Divider sx={{ my: 1 }} />
+                      <Box sx={{ 
+                        bgcolor: 'background.paper', 
+                        p: 2, 
+                        borderRadius: 1,
+                        fontFamily: 'monospace',
+                        fontSize: '0.875rem',
+                        whiteSpace: 'pre-wrap',
+                        overflow: 'auto',
+                        maxHeight: 400
+                      }}>
+                        {testStreamText || 'Waiting for the first tokens…'}
+                      </Box>
+                    </CardContent>
+                  </Card>
+                </Grid>
+              )}
+
               {/* Test Results */}
               {testResult && !showComparison && (
                 <Grid item xs={12}>
@@ -1200,6 +1095,68 @@ Keep feedback professional, concise, and objective.
                 </Grid>
               )}
 
+              {/* Live pipeline progress, streamed from the server while the rating runs */}
+              {llmRagTesting && (
+                <Grid item xs={12}>
+                  <Card sx={{ bgcolor: '#f3e5f5' }}>
+                    <CardContent>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+                        <CircularProgress size={24} />
+                        <Typography variant="body2">
+                          {runningStep ? `Running: ${runningStep.label}…` : 'Starting pipeline…'}
+                          {runningStep?.step === 'generate' && liveRating?.text && ` (${liveRating.text.length.toLocaleString()} characters received${liveRating.attempt > 1 ? `, re-prompt ${liveRating.attempt - 1}` : ''})`}
+                        </Typography>
+                      </Box>
+                      <Stepper activeStep={finishedSteps} alternativeLabel sx={{ mb: 2 }}>
+                        {RATING_STEPS.map(({ step, label }, index) => {
+                          const state = stepState(step, index);
+                          return (
+                            <Step key={step} completed={state === 'done' || state === 'skipped'}>
+                              <StepLabel
+                                error={state === 'failed'}
+                                optional={
+                                  <Typography variant="caption" color="text.secondary">
+                                    {state === 'skipped' ? 'skipped' : state === 'failed' ? (step === 'rerank' ? 'failed, fallback used' : 'failed') : stepStatus[step]?.time !== undefined ? `${stepStatus[step].time}ms` : ''}
+                                  </Typography>
+                                }
+                              >
+                                {label}
+                              </StepLabel>
+                            </Step>
+                          );
+                        })}
+                      </Stepper>
+                      <LinearProgress variant="determinate" value={(finishedSteps / RATING_STEPS.length) * 100} />
+
+                      {liveRating?.repairs?.length > 0 && (
+                        <Alert severity="warning" sx={{ mt: 2 }}>
+                          Attempt {liveRating.repairs[liveRating.repairs.length - 1].attempt} failed validation
+                          ({liveRating.repairs[liveRating.repairs.length - 1].errors.length} errors) — re-prompting with the errors
+                        </Alert>
+                      )}
+
+                      {liveAnalysis?.analysis ? (
+                        <UserStoryValidationResults validationData={liveAnalysis} streaming />
+                      ) : liveRating?.text && (
+                        <Box sx={{
+                          mt: 2,
+                          bgcolor: 'background.paper',
+                          p: 2,
+                          borderRadius: 1,
+                          fontFamily: 'monospace',
+                          fontSize: '0.8rem',
+                          whiteSpace: 'pre-wrap',
+                          maxHeight: 300,
+                          overflow: 'auto'
+                        }}>
+                          {liveRating.text}
+                        </Box>
+                      )}
+                    </CardContent>
+                  </Card>
+                </Grid>
+              )}
+
               {/* Complete Pipeline Results - NEW IMPROVED UI */}
               {llmRagResult && !showComparison && !showQualityComparison && (
                 <Grid item xs={12}>
@@ -1217,7 +1174,7 @@ Keep feedback professional, concise, and objective.
                               <Chip label={`${llmRagResult.searchResults} hybrid search results`} color="info" size="small" />
                             )}
                             {llmRagResult.rerankData && (
-                              <Chip label="RRF Re-Ranking Applied" color="primary" size="small" />
+                              <Chip label={llmRagResult.rerankData.crossEncoder ? 'RRF + Cross-Encoder Re-Ranking Applied' : 'RRF Re-Ranking Applied'} color="primary" size="small" />
                             )}
                             {llmRagResult.dedupData && (
                               <Chip label={`${llmRagResult.dedupData.stats?.duplicatesRemoved || 0} duplicates removed`} color="warning" size="small" />
@@ -1229,12 +1186,15 @@ Keep feedback professional, concise, and objective.
                               <Chip 
                                 label={llmRagResult.validationPassed ? "✓ Validation Passed" : "⚠ Validation Warnings"} 
                                 color={llmRagResult.validationPassed ? "success" : "warning"} 
-                                size="small" 
+                                size="small"
                               />
                             )}
+                            {llmRagResult.promptVersion && (
+                              <Chip label={`Prompt ${llmRagResult.promptVersion}`} variant="outlined" size="small" />
+                            )}
                           </Box>
                         </Box>
-                        
+
                         {/* Export Buttons */}
                         <Box sx={{ display: 'flex', gap: 1 }}>
                           {pipelineView === 'generated' && llmRagResult.response?.analysis && (
@@ -1269,19 +1229,6 @@ Keep feedback professional, concise, and objective.
                         </Box>
                       </Box>
 
-                      {/* Progress Bar (shown during generation) */}
-                      {llmRagTesting && (
-                        <Box sx={{ mb: 3 }}>
-                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
-                            <CircularProgress size={24} />
-                            <Typography variant="body2">
-                              Generating test cases... {generationProgress}%
-                            </Typography>
-                          </Box>
-                          <LinearProgress variant="determinate" value={generationProgress} />
-                        </Box>
-                      )}
-
                       {/* Accuracy Score */}
                       {/* {accuracyScore !== null && !llmRagResult.error && (
                         <Alert severity="success" sx={{ mb: 2 }}>
@@ -1326,6 +1273,57 @@ Keep feedback professional, concise, and objective.
                         </Card>
                       )}
                       
+                      {/* Rating History */}
+                      {ratingHistory && ratingHistory.ratings?.length > 0 && (
+                        <Card sx={{ mb: 2 }}>
+                          <CardContent>
+                            <Typography variant="h6" gutterBottom>
+                              📈 Rating History for {ratingHistory.storyKey}
+                            </Typography>
+                            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                              {ratingHistory.summary.runs} run(s)
+                              {ratingHistory.summary.totalChange !== null && (
+                                <> | Change since first rating: {ratingHistory.summary.totalChange > 0 ? '+' : ''}{ratingHistory.summary.totalChange}</>
+                              )}
+                            </Typography>
+                            <TableContainer>
+                              <Table size="small">
+                                <TableHead>
+                                  <TableRow>
+                                    <TableCell>Rated At</TableCell>
+                                    <TableCell align="right">Average Score</TableCell>
+                                    <TableCell align="right">Change</TableCell>
+                                    <TableCell>Readiness</TableCell>
+                                    <TableCell>Prompt Version</TableCell>
+                                    <TableCell>Model</TableCell>
+                                  </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                  {[...ratingHistory.ratings].reverse().map((rating) => (
+                                    <TableRow key={rating._id}>
+                                      <TableCell>{new Date(rating.createdAt).toLocaleString()}</TableCell>
+                                      <TableCell align="right">{rating.averageScore ?? 'N/A'}</TableCell>
+                                      <TableCell align="right">
+                                        {rating.scoreChange === null ? '—' : (
+                                          <Chip
+                                            size="small"
+                                            label={`${rating.scoreChange > 0 ? '+' : ''}${rating.scoreChange}`}
+                                            color={rating.scoreChange > 0 ? 'success' : rating.scoreChange < 0 ? 'error' : 'default'}
+                                          />
+                                        )}
+                                      </TableCell>
+                                      <TableCell>{rating.readinessStatus || 'N/A'}</TableCell>
+                                      <TableCell>{rating.promptVersion}</TableCell>
+                                      <TableCell>{rating.model}</TableCell>
+                                    </TableRow>
+                                  ))}
+                                </TableBody>
+                              </Table>
+                            </TableContainer>
+                          </CardContent>
+                        </Card>
+                      )}
+
                       {/* Validation Status */}
                       {llmRagResult.validationErrors && llmRagResult.validationErrors.length > 0 && (
                         <Alert severity="warning" sx={{ mb: 2 }}>
@@ -1339,6 +1337,26 @@ Keep feedback professional, concise, and objective.
                           </Box>
                         </Alert>
                       )}
+
+                      {/* Validation Report (one entry per generation attempt) */}
+                      {llmRagResult.validationReport?.attempts?.length > 1 && (
+                        <Alert severity={llmRagResult.validationReport.passed ? 'success' : 'warning'} sx={{ mb: 2 }}>
+                          <Typography variant="body2">
+                            <strong>🔁 Schema Repair:</strong> {llmRagResult.validationReport.repaired
+                              ? `Response repaired after ${llmRagResult.validationReport.repairAttempts} re-prompt(s)`
+                              : `Still invalid after ${llmRagResult.validationReport.repairAttempts} re-prompt(s)`} ({llmRagResult.validationReport.schema} schema)
+                          </Typography>
+                          <Box component="ul" sx={{ pl: 2, mb: 0 }}>
+                            {llmRagResult.validationReport.attempts.map((attempt) => (
+                              <li key={attempt.attempt}>
+                                <Typography variant="caption">
+                                  Attempt {attempt.attempt}: {attempt.passed ? 'passed' : `${attempt.errors.length} error(s) — ${attempt.errors.slice(0, 3).join('; ')}${attempt.errors.length > 3 ? '…' : ''}`}
+                                </Typography>
+                              </li>
+                            ))}
+                          </Box>
+                        </Alert>
+                      )}
                       
                       {llmRagResult.preprocessingData && (
                         <Alert severity="info" sx={{ mb: 2 }}>
@@ -1421,6 +1439,51 @@ Keep feedback professional, concise, and objective.
                             </CardContent>
                           </Card>
 
+                          {/* Context Budget: what the summary and rating prompts included, truncated or dropped */}
+                          {llmRagResult.contextBudget && (
+                            <Card sx={{ mb: 3 }}>
+                              <CardContent>
+                                <Typography variant="h6" gutterBottom>
+                                  🧮 Context Budget ({llmRagResult.contextBudget.model})
+                                </Typography>
+                                {[
+                                  { label: 'Summary prompt', report: llmRagResult.contextBudget.summary },
+                                  { label: 'Rating prompt', report: llmRagResult.contextBudget.references }
+                                ].filter(({ report }) => report).map(({ label, report }) => (
+                                  <Box key={label} sx={{ mb: 2 }}>
+                                    <Typography variant="body2" sx={{ mb: 1 }}>
+                                      <strong>{label}:</strong> {report.included.length} of {report.candidates} retrieved stories,
+                                      {' '}{report.used.toLocaleString()} of {report.budget.toLocaleString()} context tokens
+                                      {' '}(prompt ~{report.promptTokens.toLocaleString()} + {report.outputTokens.toLocaleString()} response tokens of a {report.contextWindow.toLocaleString()} token window)
+                                    </Typography>
+                                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                      {report.included.map(item => (
+                                        <Tooltip
+                                          key={item.id}
+                                          title={item.truncated
+                                            ? `Truncated: ${item.truncatedFields.map(f => `${f.field} ${f.keptTokens}/${f.fullTokens} tokens`).join(', ')}`
+                                            : `Included in full (${item.tokens} tokens)`}
+                                        >
+                                          <Chip
+                                            label={`#${item.rank} ${item.id}`}
+                                            size="small"
+                                            color={item.truncated ? 'warning' : 'success'}
+                                            variant="outlined"
+                                          />
+                                        </Tooltip>
+                                      ))}
+                                      {report.dropped.map(item => (
+                                        <Tooltip key={item.id} title={`Dropped (${item.reason === 'budget' ? 'over the token budget' : 'item limit'}, ${item.fullTokens} tokens in full)`}>
+                                          <Chip label={`#${item.rank} ${item.id}`} size="small" sx={{ textDecoration: 'line-through' }} />
+                                        </Tooltip>
+                                      ))}
+                                    </Box>
+                                  </Box>
+                                ))}
+                              </CardContent>
+                            </Card>
+                          )}
+
                           {/* User Story Validation Results */}
                           {llmRagResult.response?.analysis ? (
                             <UserStoryValidationResults validationData={llmRagResult.response} />
@@ -1943,6 +2006,75 @@ Keep feedback professional, concise, and objective.
             </Grid>
           </Box>
         </TabPanel>
+
+        {/* Tab 2: Prompt template + schema editors and the version registry */}
+        <TabPanel value={tabValue} index={1}>
+          <Box sx={{ p: 3 }}>
+            <Grid container spacing={3}>
+              <Grid item xs={12} md={6}>
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+                  <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <TemplateIcon /> Prompt Template
+                  </Typography>
+                  <Box>
+                    <IconButton size="small" title="Copy" onClick={() => handleCopy(promptTemplate, 'Prompt template')}>
+                      <CopyIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" title="Reset to default" onClick={() => handleReset('template')}>
+                      <ResetIcon fontSize="small" />
+                    </IconButton>
+                  </Box>
+                </Box>
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={20}
+                  maxRows={30}
+                  value={promptTemplate}
+                  onChange={(e) => setPromptTemplate(e.target.value)}
+                  InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+                  <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <CodeIcon /> JSON Schema
+                    {schemaValid
+                      ? <Chip size="small" color="success" icon={<ValidIcon />} label="Valid JSON" />
+                      : <Chip size="small" color="error" icon={<ErrorIcon />} label="Invalid JSON" />}
+                  </Typography>
+                  <Box>
+                    <IconButton size="small" title="Copy" onClick={() => handleCopy(jsonSchema, 'JSON Schema')}>
+                      <CopyIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" title="Reset to default" onClick={() => handleReset('schema')}>
+                      <ResetIcon fontSize="small" />
+                    </IconButton>
+                  </Box>
+                </Box>
+                <TextField
+                  fullWidth
+                  multiline
+                  minRows={20}
+                  maxRows={30}
+                  value={jsonSchema}
+                  onChange={handleSchemaChange}
+                  error={!schemaValid}
+                  helperText={schemaError}
+                  InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <PromptVersionRegistry
+                  promptTemplate={promptTemplate}
+                  jsonSchema={jsonSchema}
+                  schemaValid={schemaValid}
+                  onLoadVersion={handleLoadVersion}
+                />
+              </Grid>
+            </Grid>
+          </Box>
+        </TabPanel>
       </Paper>
     </Box>
   );
@@ -0,0 +1,322 @@
+import React, { useState, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  TextField,
+  Chip,
+  Alert,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  FormControlLabel,
+  Checkbox,
+  CircularProgress,
+  IconButton,
+  Tooltip,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import {
+  Save as SaveIcon,
+  Refresh as RefreshIcon,
+  Upload as LoadIcon,
+  CheckCircle as ActiveIcon,
+  Difference as DiffIcon
+} from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+
+const API_BASE = 'http://localhost:3001/api';
+
+// Changed lines plus a few lines of context around each change
+const visibleDiffLines = (lines, context = 2) => {
+  const keep = new Set();
+  lines.forEach((entry, index) => {
+    if (entry.type !== 'same') {
+      for (let i = Math.max(0, index - context); i <= Math.min(lines.length - 1, index + context); i++) keep.add(i);
+    }
+  });
+
+  const visible = [];
+  lines.forEach((entry, index) => {
+    if (!keep.has(index)) return;
+    if (visible.length > 0 && !keep.has(index - 1)) visible.push({ type: 'gap', line: '…' });
+    visible.push(entry);
+  });
+  return visible;
+};
+
+const DIFF_STYLES = {
+  added: { bgcolor: '#e8f5e9', color: 'success.dark', prefix: '+ ' },
+  removed: { bgcolor: '#ffebee', color: 'error.dark', prefix: '- ' },
+  same: { bgcolor: 'transparent', color: 'text.secondary', prefix: '  ' },
+  gap: { bgcolor: 'transparent', color: 'text.disabled', prefix: '  ' }
+};
+
+/**
+ * Server-side prompt registry: save the edited template + schema as a new version,
+ * list versions with author/notes, load one into the editors, diff and activate
+ */
+function PromptVersionRegistry({ promptTemplate, jsonSchema, schemaValid, onLoadVersion }) {
+  const [versions, setVersions] = useState([]);
+  const [activeVersion, setActiveVersion] = useState(null);
+  const [author, setAuthor] = useState(() => localStorage.getItem('promptAuthor') || '');
+  const [notes, setNotes] = useState('');
+  const [activate, setActivate] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [diffPart, setDiffPart] = useState('template');
+
+  const { enqueueSnackbar } = useSnackbar();
+
+  const loadVersions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE}/prompts/versions`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to load prompt versions');
+      }
+      setVersions(data.versions);
+      setActiveVersion(data.activeVersion);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  React.useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const handleSave = async () => {
+    if (!author.trim()) {
+      enqueueSnackbar('Please enter your name as the author', { variant: 'warning' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      localStorage.setItem('promptAuthor', author.trim());
+      const response = await fetch(`${API_BASE}/prompts/versions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          promptTemplate,
+          jsonSchema: JSON.parse(jsonSchema),
+          author,
+          notes,
+          activate
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save prompt version');
+      }
+
+      enqueueSnackbar(`Saved ${data.version.label}${data.version.active ? ' (active)' : ''}`, { variant: 'success' });
+      setNotes('');
+      loadVersions();
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLoad = async (version) => {
+    try {
+      const response = await fetch(`${API_BASE}/prompts/versions/${version}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load prompt version');
+      }
+      onLoadVersion(data.version);
+      enqueueSnackbar(`Loaded ${data.version.label} into the editors`, { variant: 'info' });
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    }
+  };
+
+  const handleActivate = async (version) => {
+    try {
+      const response = await fetch(`${API_BASE}/prompts/versions/${version}/activate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ author })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to activate prompt version');
+      }
+      enqueueSnackbar(`${data.label} is now used for ratings`, { variant: 'success' });
+      loadVersions();
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    }
+  };
+
+  const handleDiff = async (version) => {
+    try {
+      const response = await fetch(`${API_BASE}/prompts/versions/${version}/diff`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to diff prompt version');
+      }
+      setDiff(data);
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    }
+  };
+
+  return (
+    <Box>
+      <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 'bold', mb: 1 }}>
+          Save as New Version
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+          <TextField
+            label="Author"
+            size="small"
+            value={author}
+            onChange={(e) => setAuthor(e.target.value)}
+            sx={{ width: 220 }}
+          />
+          <TextField
+            label="Change Notes"
+            size="small"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="What changed and why"
+            sx={{ flex: 1, minWidth: 300 }}
+          />
+          <FormControlLabel
+            control={<Checkbox checked={activate} onChange={(e) => setActivate(e.target.checked)} />}
+            label="Make active"
+          />
+          <Button
+            variant="contained"
+            startIcon={saving ? <CircularProgress size={18} /> : <SaveIcon />}
+            onClick={handleSave}
+            disabled={saving || !schemaValid || !promptTemplate.trim()}
+          >
+            Save Version
+          </Button>
+        </Box>
+      </Paper>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+          Version History {activeVersion !== null && <Chip size="small" color="success" label={`Active: v${activeVersion}`} sx={{ ml: 1 }} />}
+        </Typography>
+        <Button size="small" startIcon={loading ? <CircularProgress size={16} /> : <RefreshIcon />} onClick={loadVersions} disabled={loading}>
+          Refresh
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>
+      )}
+
+      {!error && versions.length === 0 && !loading && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          No saved versions yet. Ratings use the built-in template until a version is saved and activated.
+        </Alert>
+      )}
+
+      {versions.length > 0 && (
+        <TableContainer component={Paper} variant="outlined" sx={{ mb: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Version</TableCell>
+                <TableCell>Author</TableCell>
+                <TableCell>Notes</TableCell>
+                <TableCell>Changes</TableCell>
+                <TableCell>Created</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {versions.map(version => (
+                <TableRow key={version.version} selected={version.active}>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <strong>{version.label}</strong>
+                      {version.active && <Chip size="small" color="success" label="active" />}
+                    </Box>
+                  </TableCell>
+                  <TableCell>{version.author}</TableCell>
+                  <TableCell sx={{ maxWidth: 320 }}>{version.notes || '—'}</TableCell>
+                  <TableCell>
+                    <Typography variant="caption" display="block">
+                      Template +{version.changes?.template?.added || 0} / -{version.changes?.template?.removed || 0}
+                    </Typography>
+                    <Typography variant="caption" display="block">
+                      Schema +{version.changes?.schema?.added || 0} / -{version.changes?.schema?.removed || 0}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>{new Date(version.createdAt).toLocaleString()}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Load into editors">
+                      <IconButton size="small" onClick={() => handleLoad(version.version)}><LoadIcon fontSize="small" /></IconButton>
+                    </Tooltip>
+                    <Tooltip title="Diff against previous version">
+                      <IconButton size="small" onClick={() => handleDiff(version.version)}><DiffIcon fontSize="small" /></IconButton>
+                    </Tooltip>
+                    <Tooltip title={version.active ? 'Active version' : 'Use for ratings'}>
+                      <span>
+                        <IconButton size="small" color="success" disabled={version.active} onClick={() => handleActivate(version.version)}>
+                          <ActiveIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {diff && (
+        <Paper variant="outlined" sx={{ p: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1, flexWrap: 'wrap', gap: 1 }}>
+            <Typography variant="subtitle2">
+              v{diff.version} vs {diff.against !== null ? `v${diff.against}` : '(empty)'}: template +{diff.template.added}/-{diff.template.removed}, schema +{diff.schema.added}/-{diff.schema.removed}
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <ToggleButtonGroup size="small" exclusive value={diffPart} onChange={(e, value) => value && setDiffPart(value)}>
+                <ToggleButton value="template">Template</ToggleButton>
+                <ToggleButton value="schema">Schema</ToggleButton>
+              </ToggleButtonGroup>
+              <Button size="small" onClick={() => setDiff(null)}>Close</Button>
+            </Box>
+          </Box>
+          {!diff[diffPart].changed ? (
+            <Typography variant="body2" color="text.secondary">No changes.</Typography>
+          ) : (
+            <Box sx={{ fontFamily: 'monospace', fontSize: '0.8rem', maxHeight: 400, overflow: 'auto', whiteSpace: 'pre-wrap' }}>
+              {visibleDiffLines(diff[diffPart].lines).map((entry, index) => (
+                <Box key={index} sx={{ bgcolor: DIFF_STYLES[entry.type].bgcolor, color: DIFF_STYLES[entry.type].color, px: 1 }}>
+                  {DIFF_STYLES[entry.type].prefix}{entry.line}
+                </Box>
+              ))}
+            </Box>
+          )}
+        </Paper>
+      )}
+    </Box>
+  );
+}
+
+export default PromptVersionRegistry;
@@ -53,6 +53,10 @@ function SummarizationDedup() {
   const [searchType, setSearchType] = useState('vector');
   const [limit, setLimit] = useState(20);
   const [dedupThreshold, setDedupThreshold] = useState(0.85);
+  const [dedupMethod, setDedupMethod] = useState('title');
+  const [clustering, setClustering] = useState('greedy');
+  const [linkage, setLinkage] = useState('average');
+  const [representative, setRepresentative] = useState('rank');
   const [summaryType, setSummaryType] = useState('concise');
   const [showDuplicates, setShowDuplicates] = useState(true);
 
@@ -113,15 +117,17 @@ function SummarizationDedup() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           results: searchResults.results,
-          threshold: dedupThreshold
+          threshold: dedupThreshold,
+          method: dedupMethod,
+          ...(dedupMethod === 'semantic' && { clustering, linkage, representative })
         })
       });
 
+      const data = await response.json();
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw new Error(data.errors?.join('; ') || data.error || `HTTP error! status: ${response.status}`);
       }
 
-      const data = await response.json();
       setDedupResults(data);
       setTabValue(1);
     } catch (err) {
@@ -347,6 +353,65 @@ function SummarizationDedup() {
           {/* Options */}
           <Grid item xs={12}>
             <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap', alignItems: 'center' }}>
+              <TextField
+                select
+                label="Dedup Method"
+                value={dedupMethod}
+                onChange={(e) => {
+                  setDedupMethod(e.target.value);
+                  // Cosine similarities of paraphrases sit higher than word overlap
+                  setDedupThreshold(e.target.value === 'semantic' ? 0.9 : 0.85);
+                }}
+                size="small"
+                sx={{ width: 150 }}
+                SelectProps={{ native: true }}
+              >
+                <option value="title">Title overlap</option>
+                <option value="semantic">Semantic</option>
+              </TextField>
+              {dedupMethod === 'semantic' && (
+                <>
+                  <TextField
+                    select
+                    label="Clustering"
+                    value={clustering}
+                    onChange={(e) => setClustering(e.target.value)}
+                    size="small"
+                    sx={{ width: 150 }}
+                    SelectProps={{ native: true }}
+                  >
+                    <option value="greedy">Greedy</option>
+                    <option value="agglomerative">Agglomerative</option>
+                  </TextField>
+                  {clustering === 'agglomerative' && (
+                    <TextField
+                      select
+                      label="Linkage"
+                      value={linkage}
+                      onChange={(e) => setLinkage(e.target.value)}
+                      size="small"
+                      sx={{ width: 130 }}
+                      SelectProps={{ native: true }}
+                    >
+                      <option value="average">Average</option>
+                      <option value="complete">Complete</option>
+                      <option value="single">Single</option>
+                    </TextField>
+                  )}
+                  <TextField
+                    select
+                    label="Representative"
+                    value={representative}
+                    onChange={(e) => setRepresentative(e.target.value)}
+                    size="small"
+                    sx={{ width: 160 }}
+                    SelectProps={{ native: true }}
+                  >
+                    <option value="rank">Best ranked</option>
+                    <option value="centroid">Most central</option>
+                  </TextField>
+                </>
+              )}
               <TextField
                 type="number"
                 label="Dedup Threshold"
@@ -406,7 +471,7 @@ function SummarizationDedup() {
             <Tab 
               icon={<DeduplicateIcon />} 
               label={
-                <Badge badgeContent={dedupResults?.deduplicatedCount || 0} color="secondary">
+                <Badge badgeContent={dedupResults?.stats?.deduplicatedCount || 0} color="secondary">
                   Deduplicated
                 </Badge>
               }
@@ -527,9 +592,60 @@ function SummarizationDedup() {
                           </Typography>
                         </Grid>
                       </Grid>
+                      {dedupResults.method === 'semantic' && (
+                        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                          {dedupResults.stats.clusterCount} clusters ({dedupResults.stats.duplicateClusters} with duplicates) · {dedupResults.options.clustering}
+                          {dedupResults.options.linkage ? ` (${dedupResults.options.linkage} linkage)` : ''} · cosine ≥ {dedupResults.options.threshold} ·
+                          embeddings: {dedupResults.embeddings.provided + dedupResults.embeddings.stored} stored, {dedupResults.embeddings.computed} computed
+                        </Typography>
+                      )}
                     </CardContent>
                   </Card>
 
+                  {/* Duplicate groups (semantic mode) */}
+                  {dedupResults.clusters?.some(cluster => cluster.size > 1) && (
+                    <Box sx={{ mb: 3 }}>
+                      <Typography variant="h6" sx={{ mb: 2 }}>
+                        Duplicate Groups ({dedupResults.stats.duplicateClusters})
+                      </Typography>
+                      <Grid container spacing={2}>
+                        {dedupResults.clusters.filter(cluster => cluster.size > 1).map(cluster => (
+                          <Grid item xs={12} md={6} key={cluster.id}>
+                            <Card variant="outlined" sx={{ bgcolor: '#fff8e1' }}>
+                              <CardContent>
+                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                                  <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+                                    Group {cluster.id}
+                                  </Typography>
+                                  <Chip label={`${cluster.size} results`} size="small" />
+                                  <Tooltip title="Lowest similarity between any two members">
+                                    <Chip label={`cohesion ${(cluster.cohesion * 100).toFixed(1)}%`} size="small" variant="outlined" />
+                                  </Tooltip>
+                                </Box>
+                                {cluster.members.map(member => (
+                                  <Box key={member.id} sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 0.5 }}>
+                                    <Chip
+                                      label={member.id}
+                                      size="small"
+                                      color={member.representative ? 'success' : 'default'}
+                                      variant={member.representative ? 'filled' : 'outlined'}
+                                    />
+                                    <Typography variant="body2" sx={{ flex: 1 }} noWrap>
+                                      #{member.rank} {member.title}
+                                    </Typography>
+                                    <Typography variant="caption" color="text.secondary">
+                                      {member.representative ? 'kept' : `${(member.similarity * 100).toFixed(1)}%`}
+                                    </Typography>
+                                  </Box>
+                                ))}
+                              </CardContent>
+                            </Card>
+                          </Grid>
+                        ))}
+                      </Grid>
+                    </Box>
+                  )}
+
                   {/* Deduplicated Results */}
                   <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
                     <Typography variant="h6">
@@ -554,7 +670,11 @@ function SummarizationDedup() {
                                   <Typography variant="h6" color="primary">
                                     {result.id}
                                   </Typography>
-                                  <Chip label="✓ Unique" size="small" color="success" />
+                                  {result.clusterSize > 1 ? (
+                                    <Chip label={`Kept for group ${result.clusterId} (${result.clusterSize})`} size="small" color="warning" />
+                                  ) : (
+                                    <Chip label="✓ Unique" size="small" color="success" />
+                                  )}
                                   <Chip 
                                     label={`Score: ${getScore(result)?.toFixed(4) || 'N/A'}`} 
                                     size="small"
@@ -710,6 +830,15 @@ function SummarizationDedup() {
                       </Grid>
                       
                       <Divider sx={{ my: 2 }} />
+
+                      {summary.context && (
+                        <Typography variant="body2" sx={{ mb: 1 }}>
+                          <strong>Context:</strong> {summary.context.included.length} of {summary.context.candidates} results in
+                          {' '}{summary.context.used.toLocaleString()}/{summary.context.budget.toLocaleString()} tokens
+                          {summary.context.included.some(item => item.truncated) && `, ${summary.context.included.filter(item => item.truncated).length} truncated`}
+                          {summary.context.dropped.length > 0 && ` · Dropped: ${summary.context.dropped.map(item => item.id).join(', ')}`}
+                        </Typography>
+                      )}
                       
                       <Typography variant="caption" color="text.secondary">
                         Pricing: $0.150 per 1M input tokens, $0.600 per 1M output tokens (gpt-4o-mini)
@@ -24,7 +24,8 @@ import {
   Speed as SpeedIcon
 } from '@mui/icons-material';
 
-const UserStoryValidationResults = ({ validationData }) => {
+// streaming: validationData is a partial analysis still being written by the model, so fields may be missing
+const UserStoryValidationResults = ({ validationData, streaming = false }) => {
   if (!validationData || !validationData.analysis) {
     return (
       <Alert severity="warning">
@@ -34,7 +35,8 @@ const UserStoryValidationResults = ({ validationData }) => {
   }
 
   const { analysis, rationale, finalRecommendation } = validationData;
-  const { criteriaRatings, averageScore, readinessStatus } = analysis;
+  const { criteriaRatings = {}, averageScore, readinessStatus } = analysis;
+  const hasScore = typeof averageScore === 'number';
 
   // Calculate grade based on average score (1-10 scale)
   const getGrade = (score) => {
@@ -47,8 +49,8 @@ const UserStoryValidationResults = ({ validationData }) => {
     return { grade: 'F', color: 'error' };
   };
 
-  const gradeInfo = getGrade(averageScore);
-  const scorePercentage = (averageScore / 10) * 100;
+  const gradeInfo = hasScore ? getGrade(averageScore) : { grade: '…', color: 'default' };
+  const scorePercentage = hasScore ? (averageScore / 10) * 100 : 0;
 
   // Get status color and icon
   const getStatusProps = (status) => {
@@ -68,7 +70,7 @@ const UserStoryValidationResults = ({ validationData }) => {
 
   // Extract priority from recommendation text
   const getPriorityFromText = (text) => {
-    const priorityMatch = text.match(/\b(high|medium|low)\b/i);
+    const priorityMatch = String(text).match(/\b(high|medium|low)\b/i);
     return priorityMatch ? priorityMatch[1].toLowerCase() : 'medium';
   };
 
@@ -96,6 +98,7 @@ const UserStoryValidationResults = ({ validationData }) => {
         <Box>
           <Typography variant="h5" gutterBottom>
             User Story Validation Results
+            {streaming && <Chip label="Streaming…" size="small" color="info" variant="outlined" sx={{ ml: 1, verticalAlign: 'middle' }} />}
           </Typography>
           <Typography variant="body2" color="text.secondary">
             {analysis.userStoryTitle && `"${analysis.userStoryTitle}"`}
@@ -105,7 +108,7 @@ const UserStoryValidationResults = ({ validationData }) => {
         <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
           <Box sx={{ textAlign: 'center' }}>
             <Typography variant="h4" color="primary.main" fontWeight="bold">
-              {scorePercentage.toFixed(0)}%
+              {hasScore ? `${scorePercentage.toFixed(0)}%` : '…'}
             </Typography>
             <Typography variant="caption" color="text.secondary">
               Overall Score
@@ -137,7 +140,7 @@ const UserStoryValidationResults = ({ validationData }) => {
                   Readiness Assessment
                 </Typography>
                 <Chip
-                  label={readinessStatus}
+                  label={readinessStatus || (streaming ? 'Pending…' : 'Unknown')}
                   color={statusProps.color}
                   icon={statusProps.icon}
                   sx={{ 
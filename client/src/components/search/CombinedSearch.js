@@ -0,0 +1,351 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Card,
+  CardContent,
+  CircularProgress,
+  Chip,
+  Alert,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Paper,
+  LinearProgress,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import ViewColumnIcon from '@mui/icons-material/ViewColumn';
+import ViewListIcon from '@mui/icons-material/ViewList';
+import AssignmentIcon from '@mui/icons-material/Assignment';
+import BugReportIcon from '@mui/icons-material/BugReport';
+import { useSnackbar } from 'notistack';
+
+const API_BASE = 'http://localhost:3001/api';
+
+const CORPUS_INFO = {
+  userstories: { label: 'User Stories', color: 'secondary', icon: <AssignmentIcon fontSize="small" /> },
+  testcases: { label: 'Test Cases', color: 'primary', icon: <BugReportIcon fontSize="small" /> }
+};
+
+const NORMALIZATION_OPTIONS = [
+  { value: 'minmax', label: 'Min-Max (0-1 per corpus)' },
+  { value: 'zscore', label: 'Z-Score (sigmoid)' },
+  { value: 'rank', label: 'Rank (1/rank)' },
+  { value: 'none', label: 'None (raw scores)' }
+];
+
+// Jira fields are objects ({ name }), test case fields plain strings
+const fieldLabel = (value) => (typeof value === 'string' ? value : value?.name || '');
+
+function CombinedSearch() {
+  const [query, setQuery] = useState('Share Diagnostic Reports with Patients via WhatsApp');
+  const [storyLimit, setStoryLimit] = useState(5);
+  const [testCaseLimit, setTestCaseLimit] = useState(5);
+  const [searchType, setSearchType] = useState('vector');
+  const [normalization, setNormalization] = useState('minmax');
+  const [view, setView] = useState('side-by-side');
+  const [searching, setSearching] = useState(false);
+  const [response, setResponse] = useState(null);
+  const [error, setError] = useState(null);
+
+  const { enqueueSnackbar } = useSnackbar();
+
+  const handleSearch = async () => {
+    if (!query.trim()) {
+      enqueueSnackbar('Please enter a search query', { variant: 'warning' });
+      return;
+    }
+
+    setSearching(true);
+    setError(null);
+    setResponse(null);
+
+    try {
+      const res = await fetch(`${API_BASE}/search/combined`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          query,
+          searchType,
+          normalization,
+          limits: {
+            userstories: storyLimit,
+            testcases: testCaseLimit
+          }
+        }),
+      });
+
+      const data = await res.json();
+
+      if (!res.ok || !data.success) {
+        throw new Error(data.error || 'Combined search failed');
+      }
+
+      setResponse(data);
+      Object.entries(data.errors || {}).forEach(([corpus, message]) => {
+        enqueueSnackbar(`${CORPUS_INFO[corpus]?.label || corpus}: ${message}`, { variant: 'warning' });
+      });
+      enqueueSnackbar(`Found ${data.count} results in ${data.totalTime}ms`, { variant: 'success' });
+    } catch (err) {
+      setError(err.message);
+      enqueueSnackbar(`Search failed: ${err.message}`, { variant: 'error' });
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleKeyPress = (event) => {
+    if (event.key === 'Enter' && !searching) {
+      handleSearch();
+    }
+  };
+
+  const renderResultCard = (result, showCorpus) => {
+    const info = CORPUS_INFO[result.corpus] || { label: result.corpus, color: 'default' };
+    const doc = result.document || {};
+    const normalizedPercent = normalization === 'none'
+      ? null
+      : Math.max(0, Math.min(100, result.normalizedScore * 100));
+
+    return (
+      <Card key={`${result.corpus}-${result.id}`} sx={{ mb: 2 }} elevation={2}>
+        <CardContent>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+            <Chip
+              label={`#${showCorpus ? result.rank : result.corpusRank}`}
+              size="small"
+              color="primary"
+              variant="outlined"
+            />
+            {showCorpus && (
+              <Chip icon={info.icon} label={info.label} size="small" color={info.color} />
+            )}
+            <Typography variant="subtitle1" component="div" sx={{ fontWeight: 600 }}>
+              {result.id}
+            </Typography>
+            <Chip label={`Score: ${Number(result.score).toFixed(4)}`} size="small" variant="outlined" />
+          </Box>
+
+          <Typography variant="body1" sx={{ mb: 1 }}>
+            {result.title || 'No Title'}
+          </Typography>
+
+          {normalizedPercent !== null && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <LinearProgress
+                variant="determinate"
+                value={normalizedPercent}
+                color={info.color === 'default' ? 'primary' : info.color}
+                sx={{ flex: 1, height: 6, borderRadius: 3 }}
+              />
+              <Typography variant="caption" color="text.secondary">
+                {normalizedPercent.toFixed(0)}%
+              </Typography>
+            </Box>
+          )}
+
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+            {doc.module && <Chip label={`Module: ${doc.module}`} size="small" variant="outlined" />}
+            {doc.epic && <Chip label={`Epic: ${doc.epic}`} size="small" variant="outlined" />}
+            {fieldLabel(doc.status) && <Chip label={fieldLabel(doc.status)} size="small" variant="outlined" />}
+            {fieldLabel(doc.priority) && <Chip label={fieldLabel(doc.priority)} size="small" />}
+          </Box>
+
+          {result.description && (
+            <Typography variant="body2" color="text.secondary" sx={{ whiteSpace: 'pre-wrap' }}>
+              {result.description.length > 300 ? `${result.description.substring(0, 300)}...` : result.description}
+            </Typography>
+          )}
+        </CardContent>
+      </Card>
+    );
+  };
+
+  const renderCorpusColumn = (corpus) => {
+    const info = CORPUS_INFO[corpus];
+    const items = response.byCorpus?.[corpus] || [];
+    const corpusError = response.errors?.[corpus];
+
+    return (
+      <Grid item xs={12} md={6} key={corpus}>
+        <Paper variant="outlined" sx={{ p: 2, height: '100%' }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+            {info.icon}
+            <Typography variant="h6">{info.label}</Typography>
+            <Chip label={items.length} size="small" color={info.color} />
+          </Box>
+          {corpusError && (
+            <Alert severity="warning" sx={{ mb: 2 }}>{corpusError}</Alert>
+          )}
+          {!corpusError && items.length === 0 && (
+            <Typography variant="body2" color="text.secondary">No results</Typography>
+          )}
+          {items.map(result => renderResultCard(result, false))}
+        </Paper>
+      </Grid>
+    );
+  };
+
+  return (
+    <Box sx={{ maxWidth: 1400, margin: 'auto', padding: 3 }}>
+      <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+          <ViewColumnIcon sx={{ fontSize: 40, mr: 2, color: 'primary.main' }} />
+          <Typography variant="h4" component="h1">
+            Combined Search
+          </Typography>
+        </Box>
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          Search user stories and test cases together. Scores are normalized per corpus so related
+          stories and existing tests can be compared side by side.
+        </Typography>
+
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} md={8}>
+            <TextField
+              fullWidth
+              label="Search Query"
+              variant="outlined"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              onKeyPress={handleKeyPress}
+              placeholder="e.g., patient registration, merge UHID..."
+              disabled={searching}
+            />
+          </Grid>
+
+          <Grid item xs={12} md={4}>
+            <Button
+              fullWidth
+              variant="contained"
+              color="primary"
+              size="large"
+              onClick={handleSearch}
+              disabled={searching || !query.trim()}
+              startIcon={searching ? <CircularProgress size={20} /> : <SearchIcon />}
+              sx={{ height: '56px' }}
+            >
+              {searching ? 'Searching...' : 'Search'}
+            </Button>
+          </Grid>
+
+          <Grid item xs={6} md={2}>
+            <TextField
+              fullWidth
+              label="User Stories"
+              type="number"
+              size="small"
+              value={storyLimit}
+              onChange={(e) => setStoryLimit(Math.max(0, Math.min(50, parseInt(e.target.value) || 0)))}
+              disabled={searching}
+              inputProps={{ min: 0, max: 50 }}
+            />
+          </Grid>
+
+          <Grid item xs={6} md={2}>
+            <TextField
+              fullWidth
+              label="Test Cases"
+              type="number"
+              size="small"
+              value={testCaseLimit}
+              onChange={(e) => setTestCaseLimit(Math.max(0, Math.min(50, parseInt(e.target.value) || 0)))}
+              disabled={searching}
+              inputProps={{ min: 0, max: 50 }}
+            />
+          </Grid>
+
+          <Grid item xs={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Search Type</InputLabel>
+              <Select
+                value={searchType}
+                onChange={(e) => setSearchType(e.target.value)}
+                label="Search Type"
+                disabled={searching}
+              >
+                <MenuItem value="vector">Vector (semantic)</MenuItem>
+                <MenuItem value="bm25">BM25 (keyword)</MenuItem>
+                <MenuItem value="hybrid">Hybrid</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+
+          <Grid item xs={6} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Normalization</InputLabel>
+              <Select
+                value={normalization}
+                onChange={(e) => setNormalization(e.target.value)}
+                label="Normalization"
+                disabled={searching}
+              >
+                {NORMALIZATION_OPTIONS.map(option => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+
+          <Grid item xs={12} md={2}>
+            <ToggleButtonGroup
+              value={view}
+              exclusive
+              size="small"
+              onChange={(e, value) => value && setView(value)}
+            >
+              <ToggleButton value="side-by-side">
+                <ViewColumnIcon fontSize="small" sx={{ mr: 0.5 }} /> Side by side
+              </ToggleButton>
+              <ToggleButton value="merged">
+                <ViewListIcon fontSize="small" sx={{ mr: 0.5 }} /> Merged
+              </ToggleButton>
+            </ToggleButtonGroup>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      {response && (
+        <>
+          <Alert severity="info" sx={{ mb: 3 }}>
+            <Typography variant="body2">
+              <strong>{response.searchType.toUpperCase()}</strong> search with <strong>{response.normalization}</strong> normalization:{' '}
+              {response.counts.userstories || 0} user stories, {response.counts.testcases || 0} test cases in {response.totalTime}ms
+              {response.cost > 0 && ` · Cost: $${Number(response.cost).toFixed(6)}`}
+            </Typography>
+          </Alert>
+
+          {view === 'side-by-side' ? (
+            <Grid container spacing={2}>
+              {['userstories', 'testcases'].map(renderCorpusColumn)}
+            </Grid>
+          ) : (
+            <Box>
+              {response.results.length === 0 && (
+                <Alert severity="info">No results found in either corpus.</Alert>
+              )}
+              {response.results.map(result => renderResultCard(result, true))}
+            </Box>
+          )}
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default CombinedSearch;
@@ -19,6 +19,8 @@ import {
   Paper,
   Divider,
   Slider,
+  Switch,
+  FormControlLabel,
   Tooltip
 } from '@mui/material';
 import SearchIcon from '@mui/icons-material/Search';
@@ -29,6 +31,7 @@ import AutoFixHighIcon from '@mui/icons-material/AutoFixHigh';
 import ArticleIcon from '@mui/icons-material/Article';
 import InfoIcon from '@mui/icons-material/Info';
 import { useSnackbar } from 'notistack';
+import SearchProfileSelect from './SearchProfileSelect';
 
 const API_BASE = 'http://localhost:3001/api';
 
@@ -44,6 +47,13 @@ function HybridSearch() {
   const [bm25Weight, setBm25Weight] = useState(50);
   const [vectorWeight, setVectorWeight] = useState(50);
   const [showWeightInfo, setShowWeightInfo] = useState(false);
+
+  // MMR diversification: lambda 1 keeps the relevance order, lower values favour varied results
+  const [mmrEnabled, setMmrEnabled] = useState(false);
+  const [mmrLambda, setMmrLambda] = useState(0.7);
+
+  // Named search profile (fuzzy matching, BM25 fields, candidate pool and weights)
+  const [profileName, setProfileName] = useState('');
   
   // Metadata filters
   const [moduleFilter, setModuleFilter] = useState('');
@@ -105,6 +115,18 @@ function HybridSearch() {
     }
   };
 
+  // Show the selected profile's weights; moving a slider afterwards overrides the profile
+  const handleProfileChange = (name, profile, defaults) => {
+    setProfileName(name);
+    const weights = profile?.hybrid?.bm25Weight !== undefined ? profile.hybrid : defaults?.hybrid;
+    if (weights) {
+      setBm25Weight(Math.round(weights.bm25Weight * 100));
+      setVectorWeight(Math.round(weights.vectorWeight * 100));
+    }
+    setMmrEnabled(profile?.hybrid?.mmr ?? defaults?.hybrid?.mmr ?? false);
+    setMmrLambda(profile?.hybrid?.mmrLambda ?? defaults?.hybrid?.mmrLambda ?? 0.7);
+  };
+
   const setBalancedWeights = () => {
     setBm25Weight(50);
     setVectorWeight(50);
@@ -148,7 +170,10 @@ function HybridSearch() {
           limit,
           filters,
           bm25Weight: bm25Weight / 100,
-          vectorWeight: vectorWeight / 100
+          vectorWeight: vectorWeight / 100,
+          mmr: mmrEnabled,
+          mmrLambda,
+          profile: profileName || undefined
         }),
       });
 
@@ -167,6 +192,8 @@ function HybridSearch() {
           query: data.query,
           filters: data.filters,
           weights: data.weights,
+          profile: data.profile,
+          diversification: data.diversification,
           searchType: data.searchType,
           cost: data.cost,
           tokens: data.tokens
@@ -284,6 +311,16 @@ function HybridSearch() {
           </Grid>
         </Grid>
 
+        <Box sx={{ mt: 3 }}>
+          <SearchProfileSelect
+            route="hybrid"
+            value={profileName}
+            onChange={handleProfileChange}
+            currentSettings={{ bm25Weight: bm25Weight / 100, vectorWeight: vectorWeight / 100, mmr: mmrEnabled, mmrLambda }}
+            disabled={searching}
+          />
+        </Box>
+
         {/* Weight Controls */}
         <Paper variant="outlined" sx={{ p: 2, mt: 3 }}>
           <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
@@ -360,6 +397,37 @@ function HybridSearch() {
               Semantic Heavy (30/70)
             </Button>
           </Box>
+
+          <Divider sx={{ my: 2 }} />
+
+          <Grid container spacing={3} alignItems="center">
+            <Grid item xs={12} md={4}>
+              <Tooltip title="Pick results with maximal marginal relevance so near-identical test cases do not crowd the top results">
+                <FormControlLabel
+                  control={<Switch checked={mmrEnabled} onChange={(e) => setMmrEnabled(e.target.checked)} disabled={searching} />}
+                  label="MMR diversification"
+                />
+              </Tooltip>
+            </Grid>
+            <Grid item xs={12} md={8}>
+              <Typography variant="body2" gutterBottom color={mmrEnabled ? 'text.primary' : 'text.disabled'}>
+                Lambda: {mmrLambda.toFixed(2)} ({mmrLambda >= 0.7 ? 'relevance' : mmrLambda >= 0.4 ? 'balanced' : 'diversity'})
+              </Typography>
+              <Slider
+                value={mmrLambda}
+                onChange={(e, value) => setMmrLambda(value)}
+                min={0}
+                max={1}
+                step={0.05}
+                marks={[
+                  { value: 0, label: 'Diverse' },
+                  { value: 1, label: 'Relevant' }
+                ]}
+                valueLabelDisplay="auto"
+                disabled={searching || !mmrEnabled}
+              />
+            </Grid>
+          </Grid>
         </Paper>
 
         {/* Filters Section */}
@@ -463,6 +531,17 @@ function HybridSearch() {
             {searchInfo.stats.foundInVectorOnly} vector only
             <br />
             <strong>Timing:</strong> BM25: {searchInfo.timing.bm25Time}ms, Vector: {searchInfo.timing.vectorTime}ms
+            {searchInfo.profile && (
+              <><br /><strong>Profile:</strong> {searchInfo.profile}</>
+            )}
+            {searchInfo.diversification?.requested && (
+              <>
+                <br /><strong>MMR:</strong>{' '}
+                {searchInfo.diversification.applied
+                  ? `λ=${searchInfo.diversification.lambda} over ${searchInfo.diversification.poolSize} candidates, ${searchInfo.diversification.promoted.length} promoted into the top ${searchInfo.count}`
+                  : `not applied (${searchInfo.diversification.error})`}
+              </>
+            )}
             {searchInfo.cost > 0 && (
               <><br /><strong>Cost:</strong> ${searchInfo.cost.toFixed(6)} ({searchInfo.tokens} tokens)</>
             )}
@@ -511,6 +590,16 @@ function HybridSearch() {
                         size="small"
                         variant="outlined"
                       />
+                      {result.mmrRank && result.relevanceRank !== result.mmrRank && (
+                        <Tooltip title={`Relevance rank #${result.relevanceRank}; highest similarity to a result above: ${formatScore(result.maxSimilarity ?? 0)}`}>
+                          <Chip
+                            label={`MMR ${result.relevanceRank > result.mmrRank ? '↑' : '↓'} from #${result.relevanceRank}`}
+                            size="small"
+                            color="secondary"
+                            variant="outlined"
+                          />
+                        </Tooltip>
+                      )}
                     </Box>
 
                     <Typography variant="h6" color="text.primary" sx={{ mb: 1 }}>
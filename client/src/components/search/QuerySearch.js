@@ -19,7 +19,8 @@ import {
   AccordionDetails,
   Divider,
   Grid,
-  Fade
+  Fade,
+  Tooltip
 } from '@mui/material';
 import { DataGrid } from '@mui/x-data-grid';
 import {
@@ -128,7 +129,8 @@ function QuerySearch() {
         cost: response.data.cost,
         tokens: response.data.tokens,
         resultCount: response.data.results.length,
-        filters: response.data.filters
+        filters: response.data.filters,
+        filtering: response.data.filtering
       });
 
       enqueueSnackbar(`Found ${response.data.results.length} results`, { variant: 'success' });
@@ -607,6 +609,22 @@ function QuerySearch() {
                                   variant="outlined"
                                 />
                               ))}
+                              {searchInfo.filtering && (
+                                <Tooltip
+                                  title={[
+                                    searchInfo.filtering.preFilter.length > 0 && `In $vectorSearch filter: ${searchInfo.filtering.preFilter.join(', ')}`,
+                                    searchInfo.filtering.postFilter.length > 0 && `Matched after the vector stage: ${searchInfo.filtering.postFilter.join(', ')} (${searchInfo.filtering.attempts.map(attempt => attempt.candidateLimit).join(' → ')} candidates)`,
+                                    searchInfo.filtering.fallbackReason && `Index rejected the pre-filter: ${searchInfo.filtering.fallbackReason}`
+                                  ].filter(Boolean).join(' · ')}
+                                >
+                                  <Chip
+                                    label={`Strategy: ${searchInfo.filtering.strategy}`}
+                                    size="small"
+                                    color={searchInfo.filtering.postFilter.length > 0 ? 'warning' : 'success'}
+                                    variant="outlined"
+                                  />
+                                </Tooltip>
+                              )}
                             </>
                           )}
                         </Box>
@@ -27,7 +27,9 @@ import {
   TableRow,
   Tabs,
   Tab,
-  Slider
+  Slider,
+  Switch,
+  FormControlLabel
 } from '@mui/material';
 import SearchIcon from '@mui/icons-material/Search';
 import FilterListIcon from '@mui/icons-material/FilterList';
@@ -41,6 +43,7 @@ import SwapVertIcon from '@mui/icons-material/SwapVert';
 import InfoIcon from '@mui/icons-material/Info';
 import MergeTypeIcon from '@mui/icons-material/MergeType';
 import { useSnackbar } from 'notistack';
+import SearchProfileSelect from './SearchProfileSelect';
 
 const API_BASE = 'http://localhost:3001/api';
 
@@ -51,6 +54,12 @@ function RerankingSearch() {
   const [fusionMethod, setFusionMethod] = useState('rrf');
   const [bm25Weight, setBm25Weight] = useState(40);
   const [vectorWeight, setVectorWeight] = useState(60);
+  const [useCrossEncoder, setUseCrossEncoder] = useState(false);
+  const [crossEncoderTopK, setCrossEncoderTopK] = useState(20);
+  const [useLlmRerank, setUseLlmRerank] = useState(false);
+  const [llmRerankTopN, setLlmRerankTopN] = useState(10);
+  const [useMmr, setUseMmr] = useState(false);
+  const [mmrLambda, setMmrLambda] = useState(0.7);
   const [searching, setSearching] = useState(false);
   const [results, setResults] = useState([]);
   const [beforeResults, setBeforeResults] = useState([]);
@@ -65,6 +74,8 @@ function RerankingSearch() {
   const [riskFilter, setRiskFilter] = useState('');
   const [automationFilter, setAutomationFilter] = useState('');
   const [tabValue, setTabValue] = useState(0);
+  // Named search profile (fuzzy matching, field boosts, RRF constant, candidate pool and weights)
+  const [profileName, setProfileName] = useState('');
   const { enqueueSnackbar } = useSnackbar();
 
   const loadFilterOptions = useCallback(async () => {
@@ -87,6 +98,20 @@ function RerankingSearch() {
     loadFilterOptions();
   }, [loadFilterOptions]);
 
+  // Show the selected profile's fusion settings; changing them afterwards overrides the profile
+  const handleProfileChange = (name, profile, defaults) => {
+    setProfileName(name);
+    const settings = { ...defaults?.rerank, ...profile?.rerank };
+    if (settings.fusionMethod) setFusionMethod(settings.fusionMethod);
+    if (settings.bm25Weight !== undefined) {
+      setBm25Weight(Math.round(settings.bm25Weight * 100));
+      setVectorWeight(Math.round(settings.vectorWeight * 100));
+    }
+    if (settings.rerankTopK !== undefined) setRerankTopK(Math.max(10, Math.min(100, settings.rerankTopK)));
+    if (settings.mmr !== undefined) setUseMmr(settings.mmr);
+    if (settings.mmrLambda !== undefined) setMmrLambda(settings.mmrLambda);
+  };
+
   const handleSearch = async () => {
     if (!query.trim()) {
       enqueueSnackbar('Please enter a search query', { variant: 'warning' });
@@ -119,7 +144,14 @@ function RerankingSearch() {
           fusionMethod,
           bm25Weight: bm25Weight / 100,
           vectorWeight: vectorWeight / 100,
-          filters
+          crossEncoder: useCrossEncoder,
+          crossEncoderTopK,
+          llmRerank: useLlmRerank,
+          llmRerankTopN,
+          mmr: useMmr,
+          mmrLambda,
+          filters,
+          profile: profileName || undefined
         }),
       });
 
@@ -144,9 +176,20 @@ function RerankingSearch() {
           fusionMethod: data.fusionMethod,
           reranked: data.reranked,
           weights: data.weights,
+          profile: data.profile,
+          rrfK: data.rrfK,
+          crossEncoder: data.crossEncoder || null,
+          llmRerank: data.llmRerank || null,
+          diversification: data.diversification || null,
           stats: data.stats || {}
         });
         enqueueSnackbar(`Found ${data.count} results with ${data.fusionMethod.toUpperCase()} score fusion`, { variant: 'success' });
+        if (data.crossEncoder?.requested && !data.crossEncoder.applied) {
+          enqueueSnackbar('Cross-encoder unavailable, showing fused order', { variant: 'warning' });
+        }
+        if (data.llmRerank?.requested && !data.llmRerank.applied) {
+          enqueueSnackbar('LLM rerank failed, showing previous order', { variant: 'warning' });
+        }
       }
     } catch (err) {
       setError(err.message);
@@ -278,6 +321,87 @@ function RerankingSearch() {
           </Grid>
         </Grid>
 
+        <Box sx={{ mt: 2 }}>
+          <SearchProfileSelect
+            route="rerank"
+            value={profileName}
+            onChange={handleProfileChange}
+            currentSettings={{ fusionMethod, bm25Weight: bm25Weight / 100, vectorWeight: vectorWeight / 100, rerankTopK, mmr: useMmr, mmrLambda }}
+            disabled={searching}
+          />
+        </Box>
+
+        {/* Cross-Encoder Stage */}
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2, flexWrap: 'wrap' }}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={useCrossEncoder}
+                onChange={(e) => setUseCrossEncoder(e.target.checked)}
+                disabled={searching}
+              />
+            }
+            label="Cross-encoder rescoring (local ONNX model)"
+          />
+          {useCrossEncoder && (
+            <TextField
+              label="Rescore Top-K"
+              type="number"
+              size="small"
+              value={crossEncoderTopK}
+              onChange={(e) => setCrossEncoderTopK(Math.max(1, Math.min(100, parseInt(e.target.value) || 20)))}
+              disabled={searching}
+              inputProps={{ min: 1, max: 100 }}
+              sx={{ width: 140 }}
+            />
+          )}
+          <FormControlLabel
+            control={
+              <Switch
+                checked={useLlmRerank}
+                onChange={(e) => setUseLlmRerank(e.target.checked)}
+                disabled={searching}
+              />
+            }
+            label="Listwise LLM rerank (with rationale)"
+          />
+          {useLlmRerank && (
+            <TextField
+              label="LLM Top-N"
+              type="number"
+              size="small"
+              value={llmRerankTopN}
+              onChange={(e) => setLlmRerankTopN(Math.max(2, Math.min(30, parseInt(e.target.value) || 10)))}
+              disabled={searching}
+              inputProps={{ min: 2, max: 30 }}
+              sx={{ width: 120 }}
+            />
+          )}
+          <FormControlLabel
+            control={
+              <Switch
+                checked={useMmr}
+                onChange={(e) => setUseMmr(e.target.checked)}
+                disabled={searching}
+              />
+            }
+            label="MMR diversification (final order)"
+          />
+          {useMmr && (
+            <TextField
+              label="MMR Lambda"
+              type="number"
+              size="small"
+              value={mmrLambda}
+              onChange={(e) => setMmrLambda(Math.max(0, Math.min(1, parseFloat(e.target.value) || 0)))}
+              disabled={searching}
+              inputProps={{ min: 0, max: 1, step: 0.05 }}
+              helperText="1 = relevance only"
+              sx={{ width: 140 }}
+            />
+          )}
+        </Box>
+
         {/* Weight Controls */}
         {(fusionMethod === 'weighted' || fusionMethod === 'reciprocal') && (
           <Paper variant="outlined" sx={{ p: 2, mt: 3 }}>
@@ -456,6 +580,8 @@ function RerankingSearch() {
         >
           <Typography variant="body2">
             <strong>Score Fusion Results:</strong> Found {searchInfo.count} test cases using {searchInfo.fusionMethod?.toUpperCase()} method
+            {searchInfo.fusionMethod === 'rrf' && ` (k = ${searchInfo.rrfK})`}
+            {searchInfo.profile && ` with profile '${searchInfo.profile}'`}
             <br />
             <strong>Timing:</strong> Search: {searchInfo.searchTime}ms, 
             Fusion: {searchInfo.rerankingTime}ms, 
@@ -484,6 +610,51 @@ function RerankingSearch() {
                 Vector: {(searchInfo.weights.vector * 100).toFixed(0)}%
               </>
             )}
+            {searchInfo.crossEncoder?.applied && (
+              <>
+                <br />
+                <strong>🧮 Cross-Encoder:</strong> {searchInfo.crossEncoder.model} rescored the top {searchInfo.crossEncoder.topK} fused results in {searchInfo.crossEncoder.time}ms
+              </>
+            )}
+            {searchInfo.llmRerank?.applied && (
+              <>
+                <br />
+                <strong>🤖 LLM Rerank:</strong> {searchInfo.llmRerank.model} ({searchInfo.llmRerank.provider}) reordered the top {searchInfo.llmRerank.topN} in {searchInfo.llmRerank.time}ms
+                {searchInfo.llmRerank.cost && ` · Cost: $${searchInfo.llmRerank.cost.total}`}
+              </>
+            )}
+            {searchInfo.diversification?.applied && (
+              <>
+                <br />
+                <strong>🎯 MMR:</strong> λ={searchInfo.diversification.lambda} over {searchInfo.diversification.poolSize} candidates
+                (relevance from {searchInfo.diversification.relevance === 'position' ? 'the reranked order' : 'fused scores'}),
+                {' '}{searchInfo.diversification.promoted.length} promoted into the top {searchInfo.count} in {searchInfo.diversification.time}ms
+              </>
+            )}
+          </Typography>
+        </Alert>
+      )}
+
+      {searchInfo?.llmRerank?.requested && !searchInfo.llmRerank.applied && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          <Typography variant="body2">
+            <strong>LLM rerank skipped:</strong> {searchInfo.llmRerank.error} — results keep the previous order.
+          </Typography>
+        </Alert>
+      )}
+
+      {searchInfo?.diversification?.requested && !searchInfo.diversification.applied && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          <Typography variant="body2">
+            <strong>MMR skipped:</strong> {searchInfo.diversification.error} — results keep the relevance order.
+          </Typography>
+        </Alert>
+      )}
+
+      {searchInfo?.crossEncoder?.requested && !searchInfo.crossEncoder.applied && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          <Typography variant="body2">
+            <strong>Cross-encoder skipped:</strong> {searchInfo.crossEncoder.error} — results use the fused order.
           </Typography>
         </Alert>
       )}
@@ -556,6 +727,21 @@ function RerankingSearch() {
                               variant="outlined"
                             />
                           )}
+                          {result.crossEncoderScore !== undefined && result.crossEncoderScore !== null && (
+                            <Chip 
+                              label={`Cross-encoder: ${formatScore(result.crossEncoderScore)} (fused #${result.fusedRank})`} 
+                              color="secondary"
+                              size="small"
+                            />
+                          )}
+                          {result.mmrRank && result.relevanceRank !== result.mmrRank && (
+                            <Chip 
+                              label={`MMR: relevance #${result.relevanceRank}, max similarity ${formatScore(result.maxSimilarity ?? 0)}`} 
+                              color="info"
+                              size="small"
+                              variant="outlined"
+                            />
+                          )}
                         </Box>
 
                         <Typography variant="h6" color="text.primary" sx={{ mb: 1 }}>
@@ -589,6 +775,14 @@ function RerankingSearch() {
                           </Typography>
                         )}
 
+                        {result.llmRationale && (
+                          <Alert severity="info" icon={false} sx={{ mb: 1, py: 0 }}>
+                            <Typography variant="body2">
+                              <strong>🤖 LLM rank #{result.llmRank} (was #{result.beforeLlmRank}):</strong> {result.llmRationale}
+                            </Typography>
+                          </Alert>
+                        )}
+
                         <Divider sx={{ my: 1 }} />
 
                         {/* Score Breakdown */}
@@ -606,6 +800,11 @@ function RerankingSearch() {
                             <Typography variant="caption" color="text.secondary">
                               ⚡ Fused: {formatScore(result.fusedScore)}
                             </Typography>
+                            {result.crossEncoderScore !== undefined && result.crossEncoderScore !== null && (
+                              <Typography variant="caption" color="text.secondary">
+                                🧮 Cross-encoder: {formatScore(result.crossEncoderScore)}
+                              </Typography>
+                            )}
                           </Box>
                           {result.fusionComponents && (
                             <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mt: 0.5 }}>
@@ -703,6 +902,15 @@ function RerankingSearch() {
                       <TableCell><strong>BM25 Score</strong></TableCell>
                       <TableCell><strong>Vector Score</strong></TableCell>
                       <TableCell><strong>Fused Score</strong></TableCell>
+                      {searchInfo?.crossEncoder?.applied && (
+                        <>
+                          <TableCell><strong>Fused Rank</strong></TableCell>
+                          <TableCell><strong>Cross-Encoder</strong></TableCell>
+                        </>
+                      )}
+                      {searchInfo?.llmRerank?.applied && (
+                        <TableCell><strong>LLM Rationale</strong></TableCell>
+                      )}
                       <TableCell><strong>New Rank</strong></TableCell>
                       <TableCell><strong>Change</strong></TableCell>
                     </TableRow>
@@ -729,6 +937,17 @@ function RerankingSearch() {
                             color="success"
                           />
                         </TableCell>
+                        {searchInfo?.crossEncoder?.applied && (
+                          <>
+                            <TableCell>#{result.fusedRank}</TableCell>
+                            <TableCell>{result.crossEncoderScore !== null ? formatScore(result.crossEncoderScore) : '—'}</TableCell>
+                          </>
+                        )}
+                        {searchInfo?.llmRerank?.applied && (
+                          <TableCell sx={{ maxWidth: 300 }}>
+                            <Typography variant="caption">{result.llmRationale || '—'}</Typography>
+                          </TableCell>
+                        )}
                         <TableCell>#{result.newRank}</TableCell>
                         <TableCell>
                           <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
@@ -0,0 +1,677 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Card,
+  CardContent,
+  CircularProgress,
+  Chip,
+  Alert,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Paper,
+  TextField,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+  Collapse,
+  LinearProgress,
+  Checkbox,
+  FormControlLabel
+} from '@mui/material';
+import {
+  Assessment as EvaluationIcon,
+  PlayArrow as RunIcon,
+  Save as SaveIcon,
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  KeyboardArrowDown as ExpandIcon,
+  KeyboardArrowUp as CollapseIcon,
+  Tune as TuneIcon
+} from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+
+const API_BASE = 'http://localhost:3001/api';
+
+const EMPTY_JUDGMENT = { id: '', query: '', corpus: 'testcases', relevantText: '' };
+
+// "TC-1:3, TC-2" ⇄ { "TC-1": 3, "TC-2": 1 }
+const parseRelevantText = (text) => Object.fromEntries(
+  text.split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [docId, grade] = part.split(':').map(value => value.trim());
+      return [docId, grade === undefined ? 1 : Number(grade)];
+    })
+);
+
+const formatRelevant = (relevant) => Object.entries(relevant)
+  .map(([docId, grade]) => (grade === 1 ? docId : `${docId}:${grade}`))
+  .join(', ');
+
+const METRIC_LABELS = { ndcg: 'nDCG@k', mrr: 'MRR', recall: 'Recall@k' };
+
+const formatMetric = (value) => (value === null || value === undefined ? '—' : value.toFixed(3));
+
+// Shade metric cells from red (0) to green (1)
+const metricColor = (value) => {
+  if (value === null || value === undefined) return 'transparent';
+  return `rgba(${Math.round(220 * (1 - value))}, ${Math.round(160 * value + 40)}, 60, 0.15)`;
+};
+
+function RetrievalEvaluation() {
+  const [judgments, setJudgments] = useState([]);
+  const [methods, setMethods] = useState([]);
+  const [selectedMethods, setSelectedMethods] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_JUDGMENT);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [saveErrors, setSaveErrors] = useState([]);
+  const [k, setK] = useState(10);
+  const [corpusFilter, setCorpusFilter] = useState('');
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const [expandedQuery, setExpandedQuery] = useState(null);
+  const [error, setError] = useState(null);
+  const [tuning, setTuning] = useState({ route: 'rerank', fusionMethod: 'rrf', metric: 'ndcg', profileName: 'tuned', tuneBoosts: true });
+  const [tuneJobId, setTuneJobId] = useState(null);
+  const [tuneJob, setTuneJob] = useState(null);
+  const [tuneStarting, setTuneStarting] = useState(false);
+
+  const { enqueueSnackbar } = useSnackbar();
+
+  const loadJudgments = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/evaluation/judgments`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to load judgments');
+      }
+      setJudgments(data.judgments);
+      setMethods(data.methods);
+      setSelectedMethods(current => (current.length > 0 ? current : data.methods.map(method => method.id)));
+      setDirty(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadJudgments();
+  }, [loadJudgments]);
+
+  // Poll the tuning job until it finishes
+  useEffect(() => {
+    if (!tuneJobId) return;
+
+    const pollInterval = setInterval(async () => {
+      try {
+        const response = await fetch(`${API_BASE}/jobs/${tuneJobId}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load tuning status');
+        }
+
+        setTuneJob(data);
+        if (data.status === 'completed') {
+          clearInterval(pollInterval);
+          setTuneJobId(null);
+          enqueueSnackbar(`Tuning complete, saved search profile '${data.profile.name}'`, { variant: 'success' });
+        } else if (data.status === 'failed') {
+          clearInterval(pollInterval);
+          setTuneJobId(null);
+          enqueueSnackbar(`Tuning failed: ${data.error}`, { variant: 'error' });
+        }
+      } catch (err) {
+        clearInterval(pollInterval);
+        setTuneJobId(null);
+        setError(err.message);
+      }
+    }, 2000);
+
+    return () => clearInterval(pollInterval);
+  }, [tuneJobId, enqueueSnackbar]);
+
+  const handleAddJudgment = () => {
+    const relevant = parseRelevantText(draft.relevantText);
+    if (!draft.query.trim() || Object.keys(relevant).length === 0) {
+      enqueueSnackbar('A query and at least one relevant document id are required', { variant: 'warning' });
+      return;
+    }
+
+    const id = draft.id.trim() || `q${judgments.length + 1}`;
+    if (judgments.some(judgment => judgment.id === id)) {
+      enqueueSnackbar(`A judgment with id '${id}' already exists`, { variant: 'warning' });
+      return;
+    }
+
+    setJudgments(prev => [...prev, { id, query: draft.query.trim(), corpus: draft.corpus, relevant, notes: '' }]);
+    setDraft({ ...EMPTY_JUDGMENT, corpus: draft.corpus });
+    setDirty(true);
+  };
+
+  const handleUpdateRelevant = (id, text) => {
+    setJudgments(prev => prev.map(judgment => (judgment.id === id ? { ...judgment, relevant: parseRelevantText(text) } : judgment)));
+    setDirty(true);
+  };
+
+  const handleDeleteJudgment = (id) => {
+    setJudgments(prev => prev.filter(judgment => judgment.id !== id));
+    setDirty(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setSaveErrors([]);
+    try {
+      const response = await fetch(`${API_BASE}/evaluation/judgments`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ judgments })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setSaveErrors(data.errors || []);
+        throw new Error(data.details || data.error || 'Failed to save judgments');
+      }
+      setJudgments(data.judgments);
+      setDirty(false);
+      enqueueSnackbar(`Saved ${data.count} judgments`, { variant: 'success' });
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE}/evaluation/run`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          k,
+          methods: selectedMethods,
+          corpus: corpusFilter || undefined,
+          // Unsaved edits are evaluated as shown
+          judgments: dirty ? judgments : undefined
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.errors?.join('; ') || data.details || data.error || 'Evaluation failed');
+      }
+      setReport(data);
+      setExpandedQuery(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleTune = async () => {
+    setTuneStarting(true);
+    setTuneJob(null);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE}/search/tune`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...tuning,
+          k,
+          corpus: corpusFilter || undefined,
+          judgments: dirty ? judgments : undefined
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.errors?.join('; ') || data.details || data.error || 'Failed to start tuning');
+      }
+      setTuneJobId(data.jobId);
+      enqueueSnackbar(`Tuning on ${data.judgmentsCount} judged queries (${data.stages.join(', ')})`, { variant: 'info' });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setTuneStarting(false);
+    }
+  };
+
+  const toggleMethod = (methodId) => {
+    setSelectedMethods(prev => (prev.includes(methodId) ? prev.filter(id => id !== methodId) : [...prev, methodId]));
+  };
+
+  // Best mean per metric, highlighted in the summary table
+  const bestByMetric = report
+    ? Object.fromEntries(['recall', 'mrr', 'ndcg'].map(metric => [
+      metric,
+      Math.max(...report.methods.map(method => report.summary[method.id][metric] ?? -1))
+    ]))
+    : {};
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h4" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <EvaluationIcon color="primary" />
+          Retrieval Evaluation
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Score vector, BM25, hybrid and each rerank fusion method against query → relevant-document judgments
+          with recall@k, MRR and nDCG@k. The same report is available from the CLI: npm run evaluate-retrieval
+        </Typography>
+      </Box>
+
+      {/* Judgments */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6">
+              Relevance Judgments ({judgments.length}){dirty && <Chip size="small" color="warning" label="unsaved" sx={{ ml: 1 }} />}
+            </Typography>
+            <Button
+              variant="outlined"
+              startIcon={saving ? <CircularProgress size={16} /> : <SaveIcon />}
+              onClick={handleSave}
+              disabled={!dirty || saving}
+            >
+              Save Judgments
+            </Button>
+          </Box>
+
+          {saveErrors.length > 0 && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {saveErrors.map(message => <div key={message}>{message}</div>)}
+            </Alert>
+          )}
+
+          <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+            <Grid container spacing={2} alignItems="center">
+              <Grid item xs={12} md={2}>
+                <TextField fullWidth size="small" label="Id" value={draft.id} onChange={(e) => setDraft({ ...draft, id: e.target.value })} placeholder="auto" />
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <TextField fullWidth size="small" label="Query" value={draft.query} onChange={(e) => setDraft({ ...draft, query: e.target.value })} />
+              </Grid>
+              <Grid item xs={12} md={2}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Corpus</InputLabel>
+                  <Select value={draft.corpus} label="Corpus" onChange={(e) => setDraft({ ...draft, corpus: e.target.value })}>
+                    <MenuItem value="testcases">Test Cases</MenuItem>
+                    <MenuItem value="userstories">User Stories</MenuItem>
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Relevant Ids"
+                  value={draft.relevantText}
+                  onChange={(e) => setDraft({ ...draft, relevantText: e.target.value })}
+                  placeholder="TC-12:3, TC-40"
+                  helperText="id or id:grade"
+                />
+              </Grid>
+              <Grid item xs={12} md={1}>
+                <Button fullWidth variant="contained" startIcon={<AddIcon />} onClick={handleAddJudgment}>Add</Button>
+              </Grid>
+            </Grid>
+          </Paper>
+
+          {judgments.length === 0 ? (
+            <Alert severity="info">No judgments yet. Add queries with the ids of the documents that should be retrieved for them.</Alert>
+          ) : (
+            <TableContainer sx={{ maxHeight: 320 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Id</TableCell>
+                    <TableCell>Query</TableCell>
+                    <TableCell>Corpus</TableCell>
+                    <TableCell>Relevant (id:grade)</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {judgments.map(judgment => (
+                    <TableRow key={judgment.id}>
+                      <TableCell>{judgment.id}</TableCell>
+                      <TableCell>{judgment.query}</TableCell>
+                      <TableCell>{judgment.corpus}</TableCell>
+                      <TableCell sx={{ minWidth: 260 }}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          variant="standard"
+                          defaultValue={formatRelevant(judgment.relevant)}
+                          onBlur={(e) => {
+                            if (e.target.value !== formatRelevant(judgment.relevant)) handleUpdateRelevant(judgment.id, e.target.value);
+                          }}
+                        />
+                      </TableCell>
+                      <TableCell align="right">
+                        <IconButton size="small" onClick={() => handleDeleteJudgment(judgment.id)}><DeleteIcon fontSize="small" /></IconButton>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Run */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+          <TextField
+            label="k"
+            type="number"
+            size="small"
+            value={k}
+            onChange={(e) => setK(Math.max(1, Math.min(100, parseInt(e.target.value) || 1)))}
+            inputProps={{ min: 1, max: 100 }}
+            sx={{ width: 90 }}
+          />
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>Corpus</InputLabel>
+            <Select value={corpusFilter} label="Corpus" onChange={(e) => setCorpusFilter(e.target.value)}>
+              <MenuItem value="">All</MenuItem>
+              <MenuItem value="testcases">Test Cases</MenuItem>
+              <MenuItem value="userstories">User Stories</MenuItem>
+            </Select>
+          </FormControl>
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+            {methods.map(method => (
+              <Chip
+                key={method.id}
+                label={method.label}
+                color={selectedMethods.includes(method.id) ? 'primary' : 'default'}
+                variant={selectedMethods.includes(method.id) ? 'filled' : 'outlined'}
+                onClick={() => toggleMethod(method.id)}
+              />
+            ))}
+          </Box>
+          <Button
+            variant="contained"
+            startIcon={running ? <CircularProgress size={18} color="inherit" /> : <RunIcon />}
+            onClick={handleRun}
+            disabled={running || judgments.length === 0 || selectedMethods.length === 0}
+          >
+            {running ? 'Evaluating…' : 'Run Evaluation'}
+          </Button>
+        </Box>
+      </Paper>
+
+      {/* Tuning */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <TuneIcon color="primary" />
+            Tune Parameters
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Grid-search the fusion weights (or the RRF constant), then the rerank BM25 field boosts, on the judgments above
+            using the k and corpus set for the evaluation. The best configuration is saved as a named search profile
+            that /api/search/hybrid and /api/search/rerank load with <code>profile</code>.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+            <FormControl size="small" sx={{ minWidth: 130 }}>
+              <InputLabel>Route</InputLabel>
+              <Select value={tuning.route} label="Route" onChange={(e) => setTuning({ ...tuning, route: e.target.value })}>
+                <MenuItem value="hybrid">Hybrid</MenuItem>
+                <MenuItem value="rerank">Rerank</MenuItem>
+              </Select>
+            </FormControl>
+            {tuning.route === 'rerank' && (
+              <FormControl size="small" sx={{ minWidth: 150 }}>
+                <InputLabel>Fusion</InputLabel>
+                <Select value={tuning.fusionMethod} label="Fusion" onChange={(e) => setTuning({ ...tuning, fusionMethod: e.target.value })}>
+                  <MenuItem value="rrf">RRF</MenuItem>
+                  <MenuItem value="weighted">Weighted</MenuItem>
+                  <MenuItem value="reciprocal">Reciprocal</MenuItem>
+                </Select>
+              </FormControl>
+            )}
+            <FormControl size="small" sx={{ minWidth: 130 }}>
+              <InputLabel>Optimize</InputLabel>
+              <Select value={tuning.metric} label="Optimize" onChange={(e) => setTuning({ ...tuning, metric: e.target.value })}>
+                {Object.entries(METRIC_LABELS).map(([metric, label]) => <MenuItem key={metric} value={metric}>{label}</MenuItem>)}
+              </Select>
+            </FormControl>
+            <TextField
+              size="small"
+              label="Profile Name"
+              value={tuning.profileName}
+              onChange={(e) => setTuning({ ...tuning, profileName: e.target.value })}
+              sx={{ width: 180 }}
+            />
+            {tuning.route === 'rerank' && (
+              <FormControlLabel
+                control={<Checkbox checked={tuning.tuneBoosts} onChange={(e) => setTuning({ ...tuning, tuneBoosts: e.target.checked })} />}
+                label="Tune BM25 boosts"
+              />
+            )}
+            <Button
+              variant="contained"
+              startIcon={tuneStarting || tuneJobId ? <CircularProgress size={18} color="inherit" /> : <TuneIcon />}
+              onClick={handleTune}
+              disabled={tuneStarting || Boolean(tuneJobId) || judgments.length === 0 || !tuning.profileName.trim()}
+            >
+              {tuneJobId ? 'Tuning…' : 'Start Tuning'}
+            </Button>
+          </Box>
+
+          {tuneJob && tuneJob.status === 'in-progress' && (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                Trial {tuneJob.progress} of up to {tuneJob.total}{tuneJob.currentFile ? ` — ${tuneJob.currentFile}` : ''}
+                {tuneJob.best && ` · best ${METRIC_LABELS[tuneJob.metric]} ${formatMetric(tuneJob.best.score)} (${tuneJob.best.label})`}
+              </Typography>
+              <LinearProgress variant="determinate" value={tuneJob.total > 0 ? (tuneJob.progress / tuneJob.total) * 100 : 0} />
+            </Box>
+          )}
+
+          {tuneJob?.status === 'failed' && (
+            <Alert severity="error" sx={{ mt: 2 }}>{tuneJob.error}</Alert>
+          )}
+
+          {tuneJob?.status === 'completed' && (
+            <Box sx={{ mt: 2 }}>
+              <Alert severity={tuneJob.tuning.improvement > 0 ? 'success' : 'info'} sx={{ mb: 2 }}>
+                {tuneJob.tuning.improvement > 0
+                  ? `${METRIC_LABELS[tuneJob.metric]} improved by ${formatMetric(tuneJob.tuning.improvement)} over ${tuneJob.tuning.trials.length} trials.`
+                  : `No trial beat the starting parameters in ${tuneJob.tuning.trials.length} trials.`}
+                {' '}Saved as profile <strong>{tuneJob.profile.name}</strong>.
+              </Alert>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell />
+                      {Object.values(METRIC_LABELS).map(label => <TableCell key={label} align="right">{label}</TableCell>)}
+                      <TableCell>Parameters</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {[['Baseline', tuneJob.tuning.baseline], ['Best', tuneJob.tuning.best]].map(([label, trial]) => (
+                      <TableRow key={label}>
+                        <TableCell sx={{ fontWeight: 'bold' }}>{label}</TableCell>
+                        {Object.keys(METRIC_LABELS).map(metric => (
+                          <TableCell key={metric} align="right" sx={{ fontWeight: metric === tuneJob.metric ? 'bold' : 'normal' }}>
+                            {formatMetric(trial.metrics[metric])}
+                          </TableCell>
+                        ))}
+                        <TableCell>
+                          <Typography variant="caption">
+                            {tuneJob.route === 'rerank' && `${trial.params.fusionMethod.toUpperCase()} · `}
+                            {tuneJob.route === 'rerank' && trial.params.fusionMethod === 'rrf'
+                              ? `k = ${trial.params.rrfK}`
+                              : `bm25 ${trial.params.bm25Weight} / vector ${trial.params.vectorWeight}`}
+                          </Typography>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+              {tuneJob.tuning.trials.some(trial => trial.improved) && (
+                <Box sx={{ mt: 2, display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+                  <Typography variant="body2" color="text.secondary">Accepted changes:</Typography>
+                  {tuneJob.tuning.trials.filter(trial => trial.improved).map(trial => (
+                    <Chip key={trial.index} size="small" variant="outlined" label={`${trial.label} (${formatMetric(trial.score)})`} />
+                  ))}
+                </Box>
+              )}
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>
+      )}
+
+      {report && (
+        <>
+          {/* Mean metrics per method */}
+          <Card sx={{ mb: 3 }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Summary — {report.queries.length} queries, k = {report.k} ({report.totalTime}ms)
+              </Typography>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Method</TableCell>
+                      <TableCell align="right">Recall@{report.k}</TableCell>
+                      <TableCell align="right">MRR</TableCell>
+                      <TableCell align="right">nDCG@{report.k}</TableCell>
+                      <TableCell align="right">Errors</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {report.methods.map(method => {
+                      const summary = report.summary[method.id];
+                      return (
+                        <TableRow key={method.id}>
+                          <TableCell>{method.label}</TableCell>
+                          {['recall', 'mrr', 'ndcg'].map(metric => (
+                            <TableCell
+                              key={metric}
+                              align="right"
+                              sx={{ fontWeight: summary[metric] !== null && summary[metric] === bestByMetric[metric] ? 'bold' : 'normal' }}
+                            >
+                              {formatMetric(summary[metric])}
+                            </TableCell>
+                          ))}
+                          <TableCell align="right">{summary.errors}</TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </CardContent>
+          </Card>
+
+          {/* Per-query breakdown */}
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Per-Query Breakdown</Typography>
+              <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 1 }}>
+                Each cell shows recall / reciprocal rank / nDCG; expand a query to see the retrieved ids.
+              </Typography>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell />
+                      <TableCell>Query</TableCell>
+                      {report.methods.map(method => <TableCell key={method.id} align="center">{method.label}</TableCell>)}
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {report.queries.map(query => (
+                      <React.Fragment key={query.id}>
+                        <TableRow hover>
+                          <TableCell>
+                            <IconButton size="small" onClick={() => setExpandedQuery(expandedQuery === query.id ? null : query.id)}>
+                              {expandedQuery === query.id ? <CollapseIcon /> : <ExpandIcon />}
+                            </IconButton>
+                          </TableCell>
+                          <TableCell>
+                            <Typography variant="body2" sx={{ fontWeight: 'bold' }}>{query.id}</Typography>
+                            <Typography variant="caption" color="text.secondary">{query.query} ({query.corpus}, {query.relevantCount} relevant)</Typography>
+                          </TableCell>
+                          {report.methods.map(method => {
+                            const result = query.methods[method.id];
+                            return (
+                              <TableCell key={method.id} align="center" sx={{ bgcolor: metricColor(result.error ? null : result.ndcg), whiteSpace: 'nowrap' }}>
+                                {result.error ? (
+                                  <Tooltip title={result.error}><Chip size="small" color="error" label="error" /></Tooltip>
+                                ) : (
+                                  `${formatMetric(result.recall)} / ${formatMetric(result.mrr)} / ${formatMetric(result.ndcg)}`
+                                )}
+                              </TableCell>
+                            );
+                          })}
+                        </TableRow>
+                        <TableRow>
+                          <TableCell colSpan={report.methods.length + 2} sx={{ py: 0, borderBottom: expandedQuery === query.id ? undefined : 'none' }}>
+                            <Collapse in={expandedQuery === query.id} timeout="auto" unmountOnExit>
+                              <Box sx={{ py: 2 }}>
+                                {report.methods.map(method => {
+                                  const result = query.methods[method.id];
+                                  if (result.error) return null;
+                                  return (
+                                    <Box key={method.id} sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 1 }}>
+                                      <Typography variant="body2" sx={{ width: 160, fontWeight: 'bold' }}>{method.label}</Typography>
+                                      {result.retrieved.map((doc, index) => (
+                                        <Chip
+                                          key={`${doc.id}-${index}`}
+                                          size="small"
+                                          label={`${index + 1}. ${doc.id}`}
+                                          color={doc.grade > 0 ? 'success' : 'default'}
+                                          variant={doc.grade > 0 ? 'filled' : 'outlined'}
+                                        />
+                                      ))}
+                                      {result.missed.length > 0 && (
+                                        <Typography variant="caption" color="error.main">missed: {result.missed.join(', ')}</Typography>
+                                      )}
+                                    </Box>
+                                  );
+                                })}
+                              </Box>
+                            </Collapse>
+                          </TableCell>
+                        </TableRow>
+                      </React.Fragment>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default RetrievalEvaluation;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import TuneIcon from '@mui/icons-material/Tune';
+import SaveIcon from '@mui/icons-material/Save';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { useSnackbar } from 'notistack';
+
+const API_BASE = 'http://localhost:3001/api';
+
+// Short chips describing what a profile changes for a route
+const describeProfile = (profile, route) => {
+  const chips = [];
+  if (profile.bm25 && route !== 'vector') {
+    if (profile.bm25.fuzzy === null) chips.push('fuzzy off');
+    else if (profile.bm25.fuzzy) chips.push(`fuzzy ${profile.bm25.fuzzy.maxEdits} edits, prefix ${profile.bm25.fuzzy.prefixLength}`);
+  }
+  if (profile.vector && route !== 'bm25') {
+    chips.push(`candidates ×${profile.vector.numCandidatesMultiplier ?? '-'} (min ${profile.vector.minCandidates ?? '-'})`);
+  }
+  const section = profile[route];
+  if (section) {
+    if (section.fusionMethod) chips.push(section.fusionMethod.toUpperCase());
+    if (section.bm25Weight !== undefined) chips.push(`bm25 ${section.bm25Weight} / vector ${section.vectorWeight}`);
+    if (section.rrfK !== undefined) chips.push(`RRF k ${section.rrfK}`);
+    if (section.rerankTopK !== undefined) chips.push(`top-K ${section.rerankTopK}`);
+    if (section.candidateMultiplier !== undefined) chips.push(`limit ×${section.candidateMultiplier}`);
+    if (section.mmr) chips.push(`MMR λ ${section.mmrLambda ?? '-'}`);
+    if (section.fieldWeights) chips.push(`boosts: ${Object.keys(section.fieldWeights).join(', ')}`);
+  }
+  if (route === 'hybrid' && profile.bm25?.fields) chips.push(`fields: ${Object.keys(profile.bm25.fields).join(', ')}`);
+  return chips;
+};
+
+/**
+ * Search profile selector shared by the search pages
+ * onChange(name, profile, defaults) is called on selection (name '' means route defaults);
+ * currentSettings is saved as the route section when the user saves a new profile
+ */
+function SearchProfileSelect({ route, value, onChange, currentSettings, disabled = false }) {
+  const [profiles, setProfiles] = useState([]);
+  const [defaults, setDefaults] = useState(null);
+  const [saveName, setSaveName] = useState('');
+  const [showSave, setShowSave] = useState(false);
+
+  const { enqueueSnackbar } = useSnackbar();
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/search/profiles`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to load search profiles');
+      }
+      setProfiles(data.profiles);
+      setDefaults(data.defaults);
+    } catch (err) {
+      console.error('Failed to load search profiles:', err);
+      setProfiles([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  const selected = profiles.find(profile => profile.name === value) || null;
+
+  const handleSelect = (name) => {
+    onChange(name, profiles.find(profile => profile.name === name) || null, defaults);
+  };
+
+  const handleSave = async () => {
+    try {
+      // Keep the shared settings of the selected profile so the copy behaves the same
+      const base = selected ? { bm25: selected.bm25, vector: selected.vector } : {};
+      const response = await fetch(`${API_BASE}/search/profiles`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...base,
+          name: saveName.trim(),
+          description: selected ? `Based on ${selected.name}` : `Saved from ${route} search`,
+          [route]: { ...selected?.[route], ...currentSettings }
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.errors?.join('; ') || data.details || data.error || 'Failed to save profile');
+      }
+
+      await loadProfiles();
+      onChange(data.profile.name, data.profile, defaults);
+      setShowSave(false);
+      setSaveName('');
+      enqueueSnackbar(`Saved search profile '${data.profile.name}'`, { variant: 'success' });
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/search/profiles/${encodeURIComponent(value)}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to delete profile');
+      }
+
+      await loadProfiles();
+      onChange('', null, defaults);
+      enqueueSnackbar(`Deleted search profile '${data.name}'`, { variant: 'info' });
+    } catch (err) {
+      enqueueSnackbar(err.message, { variant: 'error' });
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+        <TuneIcon color="action" />
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel>Search Profile</InputLabel>
+          <Select value={value} label="Search Profile" onChange={(e) => handleSelect(e.target.value)} disabled={disabled}>
+            <MenuItem value="">None (route defaults)</MenuItem>
+            {profiles.map(profile => (
+              <MenuItem key={profile.name} value={profile.name}>
+                {profile.name}{profile.builtIn ? ' (built-in)' : ''}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {selected && !selected.builtIn && (
+          <Tooltip title="Delete this profile">
+            <IconButton size="small" onClick={handleDelete} disabled={disabled}><DeleteIcon fontSize="small" /></IconButton>
+          </Tooltip>
+        )}
+        {showSave ? (
+          <>
+            <TextField
+              size="small"
+              label="New profile name"
+              value={saveName}
+              onChange={(e) => setSaveName(e.target.value)}
+              sx={{ width: 180 }}
+            />
+            <Button size="small" variant="contained" startIcon={<SaveIcon />} onClick={handleSave} disabled={!saveName.trim()}>
+              Save
+            </Button>
+            <Button size="small" onClick={() => setShowSave(false)}>Cancel</Button>
+          </>
+        ) : (
+          <Button size="small" variant="outlined" startIcon={<SaveIcon />} onClick={() => setShowSave(true)} disabled={disabled}>
+            Save current as profile
+          </Button>
+        )}
+      </Box>
+      {selected && (
+        <Box sx={{ mt: 1, display: 'flex', gap: 0.5, alignItems: 'center', flexWrap: 'wrap' }}>
+          {selected.description && (
+            <Typography variant="caption" color="text.secondary" sx={{ mr: 1 }}>{selected.description}</Typography>
+          )}
+          {describeProfile(selected, route).map(label => <Chip key={label} size="small" variant="outlined" label={label} />)}
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default SearchProfileSelect;
@@ -76,6 +76,55 @@ const envFieldsConfig = [
     sensitive: false,
     multiline: false
   },
+  {
+    key: 'USER_STORIES_BM25_INDEX_NAME',
+    label: 'User Stories BM25 Index',
+    description: 'Atlas Search (BM25) index name for user stories (see src/config/user-stories-bm25-index.json)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'STORY_RATINGS_COLLECTION_NAME',
+    label: 'Story Ratings Collection',
+    description: 'MongoDB collection storing user story rating history',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'PROMPT_VERSIONS_COLLECTION_NAME',
+    label: 'Prompt Versions Collection',
+    description: 'MongoDB collection storing versioned rating prompt templates and JSON schemas',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'GOLDEN_SETS_COLLECTION_NAME',
+    label: 'Golden Sets Collection',
+    description: 'MongoDB collection storing golden sets of user stories with human ratings',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'CALIBRATION_RUNS_COLLECTION_NAME',
+    label: 'Calibration Runs Collection',
+    description: 'MongoDB collection storing model vs. human agreement metrics per calibration run',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'DUPLICATE_REPORTS_COLLECTION_NAME',
+    label: 'Duplicate Reports Collection',
+    description: 'MongoDB collection storing backlog-wide duplicate story scan reports',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'DUPLICATE_DECISIONS_COLLECTION_NAME',
+    label: 'Duplicate Decisions Collection',
+    description: 'MongoDB collection storing merge / keep both / ignore decisions for duplicate groups',
+    sensitive: false,
+    multiline: false
+  },
   {
     key: 'TESTLEAF_API_BASE',
     label: 'TestLeaf API Base URL',
@@ -97,6 +146,125 @@ const envFieldsConfig = [
     sensitive: true,
     multiline: false
   },
+  {
+    key: 'LLM_PROVIDER',
+    label: 'LLM Provider',
+    description: 'Chat model provider: testleaf, openai, ollama, llamacpp or fake',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'LLM_MODEL',
+    label: 'LLM Model',
+    description: 'Model name sent to the provider (defaults to gpt-4o-mini for testleaf/openai)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'LLM_API_BASE',
+    label: 'LLM API Base URL',
+    description: 'Base URL for openai, ollama or llamacpp providers (e.g. http://localhost:11434)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'LLM_API_KEY',
+    label: 'LLM API Key',
+    description: 'API key for the openai provider (not needed for local models)',
+    sensitive: true,
+    multiline: false
+  },
+  {
+    key: 'LLM_CONTEXT_WINDOW',
+    label: 'LLM Context Window',
+    description: 'Prompt + completion tokens the model accepts; rating and summary context is packed to fit (defaults to the known size for LLM_MODEL, 32768 otherwise)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'RATING_MAX_REPAIR_ATTEMPTS',
+    label: 'Rating Repair Attempts',
+    description: 'How many times a rating that fails JSON Schema validation is sent back to the model with the errors (default: 2)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'EMBEDDING_PROVIDER',
+    label: 'Embedding Provider',
+    description: 'Embedding provider: testleaf, openai, local (transformers.js / ONNX) or fake (deterministic, for tests)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'EMBEDDING_MODEL',
+    label: 'Embedding Model',
+    description: 'Embedding model (e.g. text-embedding-3-small or Xenova/all-MiniLM-L6-v2)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'EMBEDDING_DIMENSIONS',
+    label: 'Embedding Dimensions',
+    description: 'Vector size; must match numDimensions of the vector indexes (1536 for text-embedding-3-small)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'EMBEDDING_API_KEY',
+    label: 'Embedding API Key',
+    description: 'API key for the openai embedding provider',
+    sensitive: true,
+    multiline: false
+  },
+  {
+    key: 'MONGODB_MAX_POOL_SIZE',
+    label: 'MongoDB Pool Size',
+    description: 'Maximum connections in the shared MongoDB pool (default: 20)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'INDEX_VALIDATION_TTL_MS',
+    label: 'Index Validation Cache (ms)',
+    description: 'How long collection/index validation results are cached and how often they are refreshed (default: 300000)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'SEARCH_BACKEND',
+    label: 'Search Backend',
+    description: 'Search backend: atlas (MongoDB Atlas Search) or local (in-process BM25 and vector index, no Atlas needed)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'LOCAL_INDEX_DIR',
+    label: 'Local Index Directory',
+    description: 'Where build-local-index.js writes local search stores (default: src/data/local-index)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'RERANK_CROSS_ENCODER',
+    label: 'Cross-Encoder Reranking',
+    description: 'true to rescore fused rerank results with a local ONNX cross-encoder by default (also used by the rating pipeline)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'CROSS_ENCODER_MODEL',
+    label: 'Cross-Encoder Model',
+    description: 'transformers.js cross-encoder model (default: Xenova/ms-marco-MiniLM-L-6-v2)',
+    sensitive: false,
+    multiline: false
+  },
+  {
+    key: 'CROSS_ENCODER_MODEL_PATH',
+    label: 'Cross-Encoder Model Path',
+    description: 'Local directory with pre-downloaded models (disables remote downloads)',
+    sensitive: false,
+    multiline: false
+  },
   {
     key: 'JIRA_BASE_URL',
     label: 'Jira Base URL',
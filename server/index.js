@@ -6,10 +6,84 @@ import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import dotenv from 'dotenv';
+import { ObjectId } from 'mongodb';
 import { spawn } from 'child_process';
-import { MongoClient } from 'mongodb';
 import dns from 'dns';
 import axios from 'axios';
+import pLimit from 'p-limit';
+import { preprocessQuery } from '../src/scripts/query-preprocessing/queryPreprocessor.js';
+import {
+  DEFAULT_PROMPT_TEMPLATE,
+  formatUserStory,
+  extractStoryKey,
+  referenceStoryEntry,
+  buildRatingPrompt,
+  parseRatingResponse
+} from '../src/scripts/rating/ratingPrompt.js';
+import { estimateTokens, planTokenBudget, buildContext } from '../src/scripts/rating/contextBuilder.js';
+import {
+  RATING_RESPONSE_SCHEMA,
+  compileResponseSchema,
+  validateRatingResponse,
+  buildRepairPrompt
+} from '../src/scripts/rating/ratingSchema.js';
+import { toRatingRow, ratingRowsToCsv } from '../src/scripts/rating/ratingExport.js';
+import { hashPromptTemplate, buildRatingRecord, summarizeRatingHistory } from '../src/scripts/rating/ratingRecord.js';
+import { buildDashboard } from '../src/scripts/rating/ratingDashboard.js';
+import { EXPERIMENT_VARIANTS, toExperimentRow, compareExperimentRuns } from '../src/scripts/rating/ratingExperiment.js';
+import { parseGoldenSet, toCalibrationRow, computeCalibrationMetrics } from '../src/scripts/rating/ratingCalibration.js';
+import {
+  formatPromptVersion,
+  parsePromptVersion,
+  hashJsonSchema,
+  diffPromptVersions,
+  buildPromptVersion
+} from '../src/scripts/rating/promptRegistry.js';
+import { createLLMProvider, getContextWindow } from '../src/scripts/llm/llmProvider.js';
+import { createEmbeddingProvider, getIndexDimensions, checkEmbeddingCompatibility } from '../src/scripts/embeddings/embeddingProvider.js';
+import {
+  getSearchBackendName,
+  loadIndexConfig,
+  createAtlasSearchBackend,
+  createLocalSearchBackend
+} from '../src/scripts/search/searchBackend.js';
+import {
+  SEARCH_CORPORA,
+  SEARCH_CORPUS_NAMES,
+  getSearchCorpus,
+  buildCorpusFilters,
+  splitVectorFilters
+} from '../src/scripts/search/searchCorpora.js';
+import { NORMALIZATION_METHODS, combineCorpusResults } from '../src/scripts/search/combinedSearch.js';
+import { getCrossEncoder, crossEncoderRerank } from '../src/scripts/search/crossEncoder.js';
+import { llmListwiseRerank } from '../src/scripts/search/llmRerank.js';
+import { matchesFilters } from '../src/scripts/search/localSearchIndex.js';
+import {
+  RETRIEVAL_METHODS,
+  RETRIEVAL_METHOD_IDS,
+  parseJudgments,
+  evaluateRanking,
+  summarizeEvaluation
+} from '../src/scripts/search/retrievalEvaluation.js';
+import {
+  DEFAULT_SEARCH_PARAMS,
+  BUILT_IN_SEARCH_PROFILES,
+  FUSION_METHODS,
+  PROFILE_NAME_PATTERN,
+  normalizeSearchProfile,
+  applySearchProfile
+} from '../src/scripts/search/searchProfiles.js';
+import { TUNING_METRICS, planTuningStages, estimateTrialCount, tuneSearchParameters } from '../src/scripts/search/searchTuner.js';
+import {
+  CLUSTERING_MODES,
+  LINKAGE_METHODS,
+  REPRESENTATIVE_STRATEGIES,
+  semanticDeduplicate
+} from '../src/scripts/search/semanticDedup.js';
+import { DUPLICATE_DECISIONS, findDuplicateGroups } from '../src/scripts/search/duplicateDetection.js';
+import { mmrDiversify } from '../src/scripts/search/mmrDiversify.js';
+import { getMongoClient, getDb, pingMongo, getMongoStatus, closeMongoClient } from '../src/scripts/database/mongoPool.js';
+import { createValidationCache } from '../src/scripts/database/validationCache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -19,10 +93,20 @@ dotenv.config();
 // Fix DNS resolution issue on macOS
 dns.setServers(['8.8.8.8', '8.8.4.4']);
 
-// Testleaf API configuration
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.com/ai';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
+// Chat model used for summaries, prompt tests and ratings (LLM_PROVIDER in .env)
+const llmProvider = createLLMProvider();
+
+// Embedding model used for query vectors and stored documents (EMBEDDING_PROVIDER in .env)
+const embeddingProvider = createEmbeddingProvider();
+
+// User story and rating collections
+const USER_STORIES_COLLECTION = process.env.USER_STORIES_COLLECTION_NAME || 'user_stories';
+const STORY_RATINGS_COLLECTION = process.env.STORY_RATINGS_COLLECTION_NAME || 'story_ratings';
+const PROMPT_VERSIONS_COLLECTION = process.env.PROMPT_VERSIONS_COLLECTION_NAME || 'prompt_versions';
+const GOLDEN_SETS_COLLECTION = process.env.GOLDEN_SETS_COLLECTION_NAME || 'golden_sets';
+const CALIBRATION_RUNS_COLLECTION = process.env.CALIBRATION_RUNS_COLLECTION_NAME || 'calibration_runs';
+const DUPLICATE_REPORTS_COLLECTION = process.env.DUPLICATE_REPORTS_COLLECTION_NAME || 'duplicate_reports';
+const DUPLICATE_DECISIONS_COLLECTION = process.env.DUPLICATE_DECISIONS_COLLECTION_NAME || 'duplicate_decisions';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -81,11 +165,11 @@ function getJob(jobId) {
   return jobs.get(jobId);
 }
 
-// Clean up old jobs (older than 1 hour)
+// Clean up old jobs (older than 1 hour); long-running batch jobs are kept until they finish
 setInterval(() => {
   const oneHourAgo = Date.now() - 60 * 60 * 1000;
   for (const [jobId, job] of jobs.entries()) {
-    if (new Date(job.startTime).getTime() < oneHourAgo) {
+    if (job.status !== 'in-progress' && new Date(job.startTime).getTime() < oneHourAgo) {
       jobs.delete(jobId);
     }
   }
@@ -93,6 +177,37 @@ setInterval(() => {
 
 // ======================== Validation Helpers ========================
 
+// Index and embedding checks run once per TTL on the shared client instead of on every request
+const VALIDATION_TTL_MS = parseInt(process.env.INDEX_VALIDATION_TTL_MS) || 5 * 60 * 1000;
+
+const indexValidationCache = createValidationCache(async ({ collectionName, indexName, requireDocuments }) => (
+  validateDbCollectionIndex(await getMongoClient(), process.env.DB_NAME, collectionName, indexName, requireDocuments)
+), { ttlMs: VALIDATION_TTL_MS });
+
+const embeddingValidationCache = createValidationCache(async ({ collectionName, indexName }) => (
+  validateEmbeddingCompatibility(await getMongoClient(), process.env.DB_NAME, collectionName, indexName)
+), { ttlMs: VALIDATION_TTL_MS });
+
+// Refresh cached validations in the background so requests rarely wait on Atlas
+setInterval(() => {
+  if (!getMongoStatus().connected) return;
+  indexValidationCache.refresh();
+  embeddingValidationCache.refresh();
+}, VALIDATION_TTL_MS);
+
+// Drop cached validations after the collection contents change
+function invalidateValidationCaches() {
+  indexValidationCache.invalidate();
+  embeddingValidationCache.invalidate();
+}
+
+// Error carrying an HTTP status so route handlers can map it to a response
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
 async function validateDbCollectionIndex(client, dbName, collectionName, indexName, requireDocuments = false) {
   try {
     // Attempt to detect database existence via listDatabases (may require privileges)
@@ -149,11 +264,218 @@ async function validateDbCollectionIndex(client, dbName, collectionName, indexNa
   }
 }
 
+// Check the active embedding provider against the vector index definition and the stored documents
+async function validateEmbeddingCompatibility(client, dbName, collectionName, indexName) {
+  const collection = client.db(dbName).collection(collectionName);
+
+  let indexDimensions = null;
+  try {
+    const indexes = await collection.listSearchIndexes(indexName).toArray();
+    indexDimensions = getIndexDimensions(indexes[0]?.latestDefinition);
+  } catch (err) {
+    console.warn(`⚠️ Could not read vector index '${indexName}' definition:`, err.message);
+  }
+
+  // A failed sample query marks this index as not ready instead of failing the whole health check
+  try {
+    const [sample] = await collection.aggregate([
+      { $match: { embedding: { $exists: true } } },
+      { $limit: 1 },
+      { $project: { embeddingMetadata: 1, dimensions: { $size: '$embedding' } } }
+    ]).toArray();
+
+    const stored = sample ? {
+      provider: sample.embeddingMetadata?.provider || sample.embeddingMetadata?.apiSource || null,
+      model: sample.embeddingMetadata?.model || null,
+      dimensions: sample.embeddingMetadata?.dimensions || sample.dimensions
+    } : null;
+
+    const result = checkEmbeddingCompatibility(embeddingProvider, { indexDimensions, stored });
+    result.warnings.forEach(warning => console.warn('⚠️', warning));
+
+    return { ...result, indexDimensions, stored };
+
+  } catch (err) {
+    return { ok: false, errors: [`Embedding validation failed: ${err.message}`], warnings: [], indexDimensions, stored: null };
+  }
+}
+
+// Search corpus from a request (testcases | userstories)
+function resolveSearchCorpus(name = 'testcases') {
+  const corpus = getSearchCorpus(name);
+  if (!corpus) {
+    throw createHttpError(400, `Unknown corpus '${name}' (expected one of: ${SEARCH_CORPUS_NAMES.join(', ')})`);
+  }
+  return corpus;
+}
+
+// Request filters as match conditions on the corpus filter paths
+function resolveCorpusFilters(corpus, filters) {
+  const { filters: conditions, rejected } = buildCorpusFilters(corpus, filters);
+  if (rejected.length > 0) {
+    throw createHttpError(400, `Unsupported ${corpus.label.toLowerCase()} filter(s): ${rejected.join(', ')}`);
+  }
+  return conditions;
+}
+
+// Collection, index names and index configs of a corpus for openSearchBackend()
+function corpusBackendOptions(corpus) {
+  return {
+    collectionName: corpus.collectionName(),
+    bm25IndexName: corpus.bm25IndexName(),
+    vectorIndexName: corpus.vectorIndexName(),
+    bm25Config: corpus.bm25Config,
+    vectorConfig: corpus.vectorConfig
+  };
+}
+
+// Open the configured search backend (SEARCH_BACKEND) for a collection and validate what the caller needs
+async function openSearchBackend({
+  collectionName = process.env.COLLECTION_NAME,
+  bm25IndexName = process.env.BM25_INDEX_NAME,
+  vectorIndexName = process.env.VECTOR_INDEX_NAME,
+  bm25Config = 'testcases-bm25-index.json',
+  vectorConfig = 'testcases-vector-index.json',
+  requireBm25 = false,
+  requireVector = false
+} = {}) {
+  if (getSearchBackendName() === 'local') {
+    const vectorIndexDefinition = loadIndexConfig(vectorConfig);
+    const backend = createLocalSearchBackend(collectionName, {
+      textMapping: loadIndexConfig(bm25Config)?.mappings?.fields || {},
+      vectorIndexDefinition
+    });
+
+    const metadata = backend.getMetadata();
+    if (!metadata || metadata.count === 0) {
+      throw createHttpError(400, `Local index for '${collectionName}' is missing or empty. Run: node src/scripts/search/build-local-index.js`);
+    }
+
+    if (requireVector) {
+      const compatibility = checkEmbeddingCompatibility(embeddingProvider, {
+        indexDimensions: getIndexDimensions(vectorIndexDefinition),
+        stored: metadata
+      });
+      compatibility.warnings.forEach(warning => console.warn('⚠️', warning));
+      if (!compatibility.ok) {
+        throw createHttpError(409, `Embedding mismatch: ${compatibility.errors.join('; ')}`);
+      }
+    }
+    return backend;
+  }
+
+  const db = await getDb();
+
+  const required = [
+    [requireBm25, bm25IndexName, 'BM25 Index'],
+    [requireVector, vectorIndexName, 'Vector Index']
+  ];
+  for (const [isRequired, indexName, label] of required) {
+    if (!isRequired) continue;
+    const validation = await indexValidationCache.get({ collectionName, indexName, requireDocuments: true });
+    if (!validation.ok) {
+      throw createHttpError(400, `${label}: ${validation.error}`);
+    }
+  }
+
+  if (requireVector) {
+    const compatibility = await embeddingValidationCache.get({ collectionName, indexName: vectorIndexName });
+    if (!compatibility.ok) {
+      throw createHttpError(409, `Embedding mismatch: ${compatibility.errors.join('; ')}`);
+    }
+  }
+
+  // The shared client stays open; close() on the Atlas backend is a no-op
+  return createAtlasSearchBackend(db.collection(collectionName), { bm25IndexName, vectorIndexName });
+}
+
 // ======================== API Routes ========================
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Server is running' });
+// Search indexes the server depends on (collection + Atlas index name per corpus)
+function getConfiguredIndexes() {
+  return Object.values(SEARCH_CORPORA).flatMap(corpus => [
+    { corpus: corpus.name, collectionName: corpus.collectionName(), indexName: corpus.vectorIndexName(), vector: true },
+    { corpus: corpus.name, collectionName: corpus.collectionName(), indexName: corpus.bm25IndexName() }
+  ]).filter(index => index.collectionName && index.indexName);
+}
+
+// Readiness of the search indexes: cached Atlas validations, or the local stores
+async function checkIndexReadiness() {
+  if (getSearchBackendName() === 'local') {
+    const collections = [...new Set(getConfiguredIndexes().map(index => index.collectionName))];
+    return collections.map(collectionName => {
+      const metadata = createLocalSearchBackend(collectionName).getMetadata();
+      return {
+        collectionName,
+        backend: 'local',
+        ok: Boolean(metadata?.count),
+        documents: metadata?.count || 0,
+        ...(!metadata?.count && { error: `Local index for '${collectionName}' is missing or empty` })
+      };
+    });
+  }
+
+  return Promise.all(getConfiguredIndexes().map(async ({ corpus, collectionName, indexName, vector }) => {
+    const validation = await indexValidationCache.get({ collectionName, indexName, requireDocuments: true });
+    if (!vector || !validation.ok) {
+      return { corpus, collectionName, indexName, backend: 'atlas', ...validation };
+    }
+    const compatibility = await embeddingValidationCache.get({ collectionName, indexName });
+    return {
+      corpus,
+      collectionName,
+      indexName,
+      backend: 'atlas',
+      ok: compatibility.ok,
+      ...(!compatibility.ok && { error: compatibility.errors.join('; ') }),
+      warnings: compatibility.warnings
+    };
+  }));
+}
+
+// Health check: DB connection, index validations and LLM/embedding provider readiness
+// ?refresh=true re-runs the cached index validations
+app.get('/api/health', async (req, res) => {
+  try {
+    if (req.query.refresh === 'true') {
+      invalidateValidationCaches();
+    }
+
+    const searchBackend = getSearchBackendName();
+    const [ping, llm, embedding] = await Promise.all([
+      pingMongo(),
+      llmProvider.checkReady(),
+      embeddingProvider.checkReady()
+    ]);
+
+    let indexes = [];
+    if (searchBackend === 'local' || ping.ok) {
+      indexes = await checkIndexReadiness();
+    }
+
+    // The local backend does not need MongoDB for search
+    const databaseRequired = searchBackend === 'atlas';
+    const ready = (ping.ok || !databaseRequired)
+      && indexes.length > 0 && indexes.every(index => index.ok)
+      && llm.ready && embedding.ready;
+
+    res.json({
+      status: ready ? 'OK' : 'DEGRADED',
+      message: 'Server is running',
+      uptime: Math.round(process.uptime()),
+      searchBackend,
+      database: { ...getMongoStatus(), ...ping, required: databaseRequired },
+      indexes,
+      providers: {
+        llm: { name: llmProvider.name, model: llmProvider.model, ...llm },
+        embedding: { name: embeddingProvider.name, model: embeddingProvider.model, dimensions: embeddingProvider.dimensions, ...embedding }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Health check failed:', error);
+    res.status(500).json({ status: 'ERROR', message: 'Health check failed', details: error.message });
+  }
 });
 
 // Get active jobs
@@ -177,20 +499,25 @@ app.get('/api/metadata/distinct', async (req, res) => {
     console.log('🔍 Fetching distinct metadata values...');
     console.log('📊 DB Name:', process.env.DB_NAME);
     console.log('📊 Collection Name:', process.env.COLLECTION_NAME);
-    
-    const mongoClient = new MongoClient(process.env.MONGODB_URI, {
-      ssl: true,
-      tlsAllowInvalidCertificates: true,
-      tlsAllowInvalidHostnames: true,
-      serverSelectionTimeoutMS: 30000,
-      connectTimeoutMS: 30000,
-      socketTimeoutMS: 30000,
-    });
 
-    await mongoClient.connect();
-    console.log('✅ Connected to MongoDB');
+    // The local backend serves filter values straight from its store
+    if (getSearchBackendName() === 'local') {
+      const backend = await openSearchBackend();
+      const [modules, priorities, risks, types] = await Promise.all(
+        ['module', 'priority', 'risk', 'automationManual'].map(field => backend.distinct(field))
+      );
+      return res.json({
+        success: true,
+        metadata: {
+          modules: modules.filter(Boolean).sort(),
+          priorities: priorities.filter(Boolean).sort(),
+          risks: risks.filter(Boolean).sort(),
+          types: types.filter(Boolean).sort()
+        }
+      });
+    }
     
-    const db = mongoClient.db(process.env.DB_NAME);
+    const db = await getDb();
     const collection = db.collection(process.env.COLLECTION_NAME);
 
     // Check document count first
@@ -199,7 +526,6 @@ app.get('/api/metadata/distinct', async (req, res) => {
 
     if (count === 0) {
       console.log('⚠️ Collection is empty! No documents found.');
-      await mongoClient.close();
       return res.json({
         success: true,
         metadata: {
@@ -227,8 +553,6 @@ app.get('/api/metadata/distinct', async (req, res) => {
     console.log(`✅ Found ${risks.length} risks:`, risks);
     console.log(`✅ Found ${types.length} types:`, types);
 
-  await mongoClient.close();
-
     const metadata = {
       modules: modules.filter(Boolean).sort(),
       priorities: priorities.filter(Boolean).sort(),
@@ -245,6 +569,9 @@ app.get('/api/metadata/distinct', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error fetching metadata:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to fetch metadata', details: error.message });
   }
 });
@@ -393,26 +720,17 @@ app.post('/api/create-embeddings', async (req, res) => {
     }
 
     // Validate DB and collection exist (no documents required for creating embeddings)
-    const mongoClient = new MongoClient(process.env.MONGODB_URI, {
-      ssl: true,
-      tlsAllowInvalidCertificates: true,
-      tlsAllowInvalidHostnames: true,
-      serverSelectionTimeoutMS: 30000,
-      connectTimeoutMS: 30000,
-      socketTimeoutMS: 30000,
-    });
-
     try {
-      await mongoClient.connect();
-      const validation = await validateDbCollectionIndex(mongoClient, process.env.DB_NAME, process.env.COLLECTION_NAME, null, false);
+      const validation = await indexValidationCache.get({
+        collectionName: process.env.COLLECTION_NAME,
+        indexName: null,
+        requireDocuments: false
+      });
       if (!validation.ok) {
-        await mongoClient.close();
         return res.status(400).json({ error: validation.error });
       }
     } catch (err) {
       return res.status(500).json({ error: 'Failed to validate database/collection', details: err.message });
-    } finally {
-      try { await mongoClient.close(); } catch (e) {}
     }
 
     // Create a job and return immediately
@@ -450,9 +768,9 @@ async function processEmbeddings(jobId, files) {
     const scriptContent = `
 import { MongoClient } from "mongodb";
 import dns from "dns";
-import axios from "axios";
 import dotenv from "dotenv";
 import fs from "fs";
+import { createEmbeddingProvider, buildEmbeddingMetadata } from "../src/scripts/embeddings/embeddingProvider.js";
 
 dotenv.config();
 
@@ -467,9 +785,7 @@ const mongoClient = new MongoClient(process.env.MONGODB_URI, {
   socketTimeoutMS: 30000,
 });
 
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
+const embeddingProvider = createEmbeddingProvider();
 
 async function main() {
   try {
@@ -505,27 +821,10 @@ async function main() {
           Type: \${testcase.type}
         \`;
         
-        const embeddingResponse = await axios.post(
-          \`\${TESTLEAF_API_BASE}/embedding/text/\${USER_EMAIL}\`,
-          {
-            input: inputText,
-            model: "text-embedding-3-small"
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              ...(AUTH_TOKEN && { 'Authorization': \`Bearer \${AUTH_TOKEN}\` })
-            }
-          }
-        );
-
-        if (embeddingResponse.data.status !== 200) {
-          throw new Error(\`Testleaf API error: \${embeddingResponse.data.message}\`);
-        }
-
-        const vector = embeddingResponse.data.data[0].embedding;
-        const cost = embeddingResponse.data.cost || 0;
-        const tokens = embeddingResponse.data.usage?.total_tokens || 0;
+        const embeddingResult = await embeddingProvider.embed(inputText);
+        const vector = embeddingResult.embedding;
+        const cost = embeddingResult.cost;
+        const tokens = embeddingResult.tokens;
         
         totalCost += cost;
         totalTokens += tokens;
@@ -535,12 +834,7 @@ async function main() {
           embedding: vector,
           createdAt: new Date(),
           sourceFile: "${fileName}",
-          embeddingMetadata: {
-            model: embeddingResponse.data.model,
-            cost: cost,
-            tokens: tokens,
-            apiSource: 'testleaf'
-          }
+          embeddingMetadata: buildEmbeddingMetadata(embeddingResult)
         };
 
         await collection.insertOne(doc);
@@ -631,6 +925,9 @@ main();
     endTime: new Date(),
     results
   });
+
+  // Document counts and stored embeddings changed
+  invalidateValidationCaches();
 }
 
 // Get environment variables
@@ -730,60 +1027,189 @@ app.post('/api/search/analyze', async (req, res) => {
 
 // ======================== Summarization & Deduplication ========================
 
-// Deduplicate results based on similarity
+// Deduplicate results based on title similarity
+function deduplicateResults(results, threshold = 0.85) {
+  const deduplicated = [];
+  const duplicates = [];
+  const seenTitles = new Map();
+
+  for (const result of results) {
+    const title = result.title?.toLowerCase() || '';
+
+    // Check for exact title match
+    let isDuplicate = false;
+    
+    for (const [seenTitle, seenResult] of seenTitles.entries()) {
+      // Calculate similarity (Jaccard similarity for simple implementation)
+      const similarity = calculateTextSimilarity(title, seenTitle);
+      
+      if (similarity >= threshold) {
+        isDuplicate = true;
+        duplicates.push({
+          ...result,
+          duplicateOf: seenResult.id,
+          similarity: similarity.toFixed(3)
+        });
+        break;
+      }
+    }
+
+    if (!isDuplicate) {
+      deduplicated.push(result);
+      seenTitles.set(title, result);
+    }
+  }
+
+  return {
+    original: results,
+    deduplicated,
+    duplicates,
+    stats: {
+      originalCount: results.length,
+      deduplicatedCount: deduplicated.length,
+      duplicatesRemoved: duplicates.length,
+      reductionPercentage: ((duplicates.length / results.length) * 100).toFixed(1)
+    }
+  };
+}
+
+const DEDUP_METHODS = ['title', 'semantic'];
+const DEDUP_EMBEDDING_SOURCES = ['auto', 'stored', 'computed'];
+
+// Text embedded for results without a stored vector
+const resultEmbeddingText = (result) => [result.title ?? result.summary, result.description].filter(Boolean).join('\n');
+
+/**
+ * Embeddings for a list of results, in order: vectors sent with the results, then the stored `embedding`
+ * of each document (looked up by corpus id), then freshly computed ones for whatever is left.
+ * embeddingSource 'stored' fails on results without a stored vector, 'computed' always re-embeds
+ */
+async function loadResultEmbeddings(results, searchCorpus, embeddingSource = 'auto') {
+  const { idField } = searchCorpus;
+  const vectors = results.map(result => (
+    embeddingSource !== 'computed' && Array.isArray(result.embedding) && result.embedding.length > 0 ? result.embedding : null
+  ));
+  const sources = { provided: vectors.filter(Boolean).length, stored: 0, computed: 0 };
+
+  const missingIds = () => results.filter((result, i) => !vectors[i]).map(result => result[idField]);
+
+  if (embeddingSource !== 'computed' && missingIds().some(Boolean)) {
+    // Stored vectors are only mixed with computed ones when the provider matches the index
+    const backend = await openSearchBackend({ ...corpusBackendOptions(searchCorpus), requireVector: embeddingSource === 'auto' });
+    try {
+      const documents = await backend.find({
+        filters: { [idField]: { $in: missingIds().filter(Boolean) } },
+        projection: { [idField]: 1, embedding: 1 }
+      });
+      const storedById = new Map(documents.map(doc => [doc[idField], doc.embedding]));
+      results.forEach((result, i) => {
+        const stored = storedById.get(result[idField]);
+        if (!vectors[i] && Array.isArray(stored) && stored.length > 0) {
+          vectors[i] = stored;
+          sources.stored++;
+        }
+      });
+    } finally {
+      await backend.close();
+    }
+  }
+
+  const missing = results.map((result, i) => i).filter(i => !vectors[i]);
+  if (missing.length > 0 && embeddingSource === 'stored') {
+    const ids = missing.map(i => results[i][idField] || `#${i + 1}`);
+    throw createHttpError(422, `No stored embedding for ${ids.length} result(s): ${ids.slice(0, 10).join(', ')}`);
+  }
+  if (missing.length > 0) {
+    const texts = missing.map(i => resultEmbeddingText(results[i]));
+    if (texts.some(text => !text.trim())) {
+      throw createHttpError(400, 'Results without an embedding need a title/summary or description to embed');
+    }
+    const { embeddings } = await embeddingProvider.embedBatch(texts);
+    missing.forEach((resultIndex, i) => { vectors[resultIndex] = embeddings[i]; });
+    sources.computed = missing.length;
+  }
+
+  const dimensions = new Set(vectors.map(vector => vector.length));
+  if (dimensions.size > 1) {
+    throw createHttpError(409, `Embeddings have different dimensions (${[...dimensions].join(', ')}); use embeddingSource 'computed'`);
+  }
+
+  return { vectors, sources };
+}
+
+// Group results by embedding similarity; the response keeps the title dedup fields and adds clusters
+async function semanticDeduplicateResults(results, {
+  threshold = 0.9,
+  clustering = 'greedy',
+  linkage = 'average',
+  representative = 'rank',
+  corpus = 'testcases',
+  embeddingSource = 'auto'
+} = {}) {
+  const searchCorpus = resolveSearchCorpus(corpus);
+  const startTime = Date.now();
+  const { vectors, sources } = await loadResultEmbeddings(results, searchCorpus, embeddingSource);
+
+  const dedup = semanticDeduplicate({
+    items: results.map(stripEmbedding),
+    vectors,
+    threshold,
+    clustering,
+    linkage,
+    representative,
+    getId: (item) => item[searchCorpus.idField]
+  });
+
+  return {
+    method: 'semantic',
+    options: { threshold, clustering, linkage: clustering === 'agglomerative' ? linkage : null, representative, corpus: searchCorpus.name },
+    original: results.map(stripEmbedding),
+    ...dedup,
+    embeddings: sources,
+    searchTime: Date.now() - startTime
+  };
+}
+
 app.post('/api/search/deduplicate', async (req, res) => {
   try {
-    const { results, threshold = 0.85 } = req.body;
+    const {
+      results,
+      method = 'title',
+      clustering = 'greedy',
+      linkage = 'average',
+      representative = 'rank',
+      corpus = 'testcases',
+      embeddingSource = 'auto'
+    } = req.body;
+    const threshold = req.body.threshold ?? (method === 'semantic' ? 0.9 : 0.85);
     
     if (!results || !Array.isArray(results)) {
       return res.status(400).json({ error: 'Results array is required' });
     }
 
-    const deduplicated = [];
-    const duplicates = [];
-    const seenTitles = new Map();
-
-    for (const result of results) {
-      const title = result.title?.toLowerCase() || '';
-      const id = result.id || '';
-
-      // Check for exact title match
-      let isDuplicate = false;
-      
-      for (const [seenTitle, seenResult] of seenTitles.entries()) {
-        // Calculate similarity (Jaccard similarity for simple implementation)
-        const similarity = calculateTextSimilarity(title, seenTitle);
-        
-        if (similarity >= threshold) {
-          isDuplicate = true;
-          duplicates.push({
-            ...result,
-            duplicateOf: seenResult.id,
-            similarity: similarity.toFixed(3)
-          });
-          break;
-        }
-      }
+    const errors = [];
+    if (!DEDUP_METHODS.includes(method)) errors.push(`method must be one of ${DEDUP_METHODS.join(', ')}`);
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) errors.push('threshold must be a number from 0 to 1');
+    if (method === 'semantic') {
+      if (!CLUSTERING_MODES.includes(clustering)) errors.push(`clustering must be one of ${CLUSTERING_MODES.join(', ')}`);
+      if (!LINKAGE_METHODS.includes(linkage)) errors.push(`linkage must be one of ${LINKAGE_METHODS.join(', ')}`);
+      if (!REPRESENTATIVE_STRATEGIES.includes(representative)) errors.push(`representative must be one of ${REPRESENTATIVE_STRATEGIES.join(', ')}`);
+      if (!DEDUP_EMBEDDING_SOURCES.includes(embeddingSource)) errors.push(`embeddingSource must be one of ${DEDUP_EMBEDDING_SOURCES.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid deduplication request', errors });
+    }
 
-      if (!isDuplicate) {
-        deduplicated.push(result);
-        seenTitles.set(title, result);
-      }
+    if (method === 'semantic') {
+      return res.json(await semanticDeduplicateResults(results, { threshold, clustering, linkage, representative, corpus, embeddingSource }));
     }
 
-    res.json({
-      original: results,
-      deduplicated,
-      duplicates,
-      stats: {
-        originalCount: results.length,
-        deduplicatedCount: deduplicated.length,
-        duplicatesRemoved: duplicates.length,
-        reductionPercentage: ((duplicates.length / results.length) * 100).toFixed(1)
-      }
-    });
+    res.json({ method: 'title', ...deduplicateResults(results, threshold) });
   } catch (error) {
     console.error('Deduplication error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ 
       error: 'Failed to deduplicate results', 
       details: error.message 
@@ -791,42 +1217,61 @@ app.post('/api/search/deduplicate', async (req, res) => {
   }
 });
 
-// Summarize search results using TestLeaf API
-app.post('/api/search/summarize', async (req, res) => {
-  try {
-    const { results, summaryType = 'detailed' } = req.body;
-    
-    if (!results || !Array.isArray(results)) {
-      return res.status(400).json({ error: 'Results array is required' });
-    }
+// Costs are returned to the client as fixed-precision strings
+function formatCompletionCost(cost) {
+  return {
+    input: cost.input.toFixed(6),
+    output: cost.output.toFixed(6),
+    total: cost.total.toFixed(6)
+  };
+}
 
-    if (results.length === 0) {
-      return res.json({
-        summary: 'No results to summarize',
-        tokens: { prompt: 0, completion: 0, total: 0 },
-        cost: 0
-      });
-    }
+// Default token budgets for retrieved context; the model window can lower them, never raise them
+const SUMMARY_CONTEXT_TOKENS = 3000;
+const RATING_CONTEXT_TOKENS = 4000;
 
-// Update the resultsText mapping to extract user story fields
-const resultsText = results.map((r, idx) => {
-  // Extract user story fields instead of test case fields
-  const key = r.key || r.id || 'N/A';
-  const title = r.title || r.summary || 'No title';
-  const module = r.module || 'Unknown';
-  const priority = r.priority || 'N/A';
-  const businessValue = r.businessValue || 'Not specified';
-  const description = r.description || 'No description';
-  const acceptanceCriteria = r.acceptanceCriteria || 'Not defined';
-  
-  // Format for user story analysis - include key user story elements
-  return `${idx + 1}. ${key}
-   Title: ${title}
-   Module: ${module} | Priority: ${priority}
-   Description: ${description.substring(0, 200)}${description.length > 200 ? '...' : ''}
-   Business Value: ${businessValue.substring(0, 150)}${businessValue.length > 150 ? '...' : ''}
-   Acceptance Criteria: ${acceptanceCriteria.substring(0, 200)}${acceptanceCriteria.length > 200 ? '...' : ''}`;
-}).join('\n\n');
+// Reject prompts whose fixed part plus the reserved response tokens already exceed the model window
+function assertPromptFits(plan, model) {
+  if (plan.available < 0) {
+    throw createHttpError(422, `Prompt needs ~${plan.fixedTokens} tokens plus ${plan.outputTokens} for the response, more than the ${plan.contextWindow} token context window of ${model} (set LLM_CONTEXT_WINDOW or lower maxTokens)`);
+  }
+}
+
+// Token plan and packing report returned with summaries and ratings
+function contextBudgetReport(plan, report, promptTokens) {
+  return {
+    contextWindow: plan.contextWindow,
+    fixedTokens: plan.fixedTokens,
+    outputTokens: plan.outputTokens,
+    promptTokens,
+    ...report
+  };
+}
+
+// One retrieved result as shown in the summarization prompt
+function summaryResultEntry(r, position) {
+  const lines = [
+    `${position}. ${r.key || r.id || 'N/A'}`,
+    `   Title: ${r.title || r.summary || 'No title'}`,
+    `   Module: ${r.module || 'Unknown'} | Priority: ${r.priority || 'N/A'}`,
+    `   Description: ${r.description || 'No description'}`,
+    `   Business Value: ${r.businessValue || 'Not specified'}`,
+    `   Acceptance Criteria: ${r.acceptanceCriteria || 'Not defined'}`
+  ];
+  if (r.notes) lines.push(`   Notes: ${r.notes}`);
+  return lines.join('\n');
+}
+
+// Summarize search results using the configured LLM provider
+// Results are packed by rank into contextBudget tokens (less if the model window is smaller)
+async function summarizeResults(results, summaryType = 'detailed', { contextBudget = SUMMARY_CONTEXT_TOKENS } = {}) {
+  if (results.length === 0) {
+    return {
+      summary: 'No results to summarize',
+      tokens: { prompt: 0, completion: 0, total: 0 },
+      cost: 0
+    };
+  }
 
 const systemPrompt = summaryType === 'detailed'
   ? `You are a Product Owner and QA Expert analyzing user stories for development readiness.
@@ -855,74 +1300,70 @@ Keep the response under 300 words, focused on actionable insights for Product Ow
 
 Keep it to 2-3 sentences highlighting the most important insights.`;
 
-const userPrompt = summaryType === 'detailed' 
-  ? `Analyze these ${results.length} user stories for development readiness. Focus on recurring patterns, quality issues, and improvement opportunities:\n\n${resultsText}`
-  : `Summarize the quality and coverage of these user stories:\n\n${resultsText}`;
+const userPromptIntro = (count) => (summaryType === 'detailed'
+  ? `Analyze these ${count} user stories for development readiness. Focus on recurring patterns, quality issues, and improvement opportunities:`
+  : 'Summarize the quality and coverage of these user stories:');
+const maxTokens = summaryType === 'detailed' ? 400 : 200;  // Reduced from 1000 to 400 to avoid large summaries
 
-    // Use Testleaf API for chat completion
-    console.log('🔧 Testleaf Config Check:');
-    console.log('   API Base:', TESTLEAF_API_BASE);
-    console.log('   User Email:', USER_EMAIL);
-    console.log('   Auth Token:', AUTH_TOKEN ? `${AUTH_TOKEN.substring(0, 5)}...` : 'NOT SET');
-    
-    if (!TESTLEAF_API_BASE || !USER_EMAIL || !AUTH_TOKEN) {
-      throw new Error('TESTLEAF_API_BASE, USER_EMAIL, and AUTH_TOKEN are required for summarization feature');
-    }
-    
-    // Use Testleaf chat completions endpoint
-    const apiUrl = `${TESTLEAF_API_BASE}/v1/chat/completions`;
-    console.log('🌐 Making request to:', apiUrl);
-
-    const response = await axios.post(apiUrl, {
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      temperature: 0.2,
-      max_tokens: summaryType === 'detailed' ? 400 : 200  // Reduced from 1000 to 400 to avoid large summaries
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${AUTH_TOKEN}`
-      }
-    });
+  const plan = planTokenBudget({
+    contextWindow: getContextWindow(llmProvider.model),
+    fixedText: `${systemPrompt}\n${userPromptIntro(results.length)}`,
+    outputTokens: maxTokens,
+    maxContextTokens: contextBudget
+  });
+  assertPromptFits(plan, llmProvider.model);
 
-    // Log the response for debugging
-    console.log('Testleaf API Response:', JSON.stringify(response.data, null, 2));
+  // Entries are measured with the widest position number; separators count as part of the entry
+  const context = buildContext({
+    items: results,
+    budget: plan.budget,
+    formatItem: (r) => `${summaryResultEntry(r, results.length)}\n\n`
+  });
+  if (context.items.length === 0) {
+    throw createHttpError(422, `No result fits the ${plan.budget} token context budget for summarization`);
+  }
 
-    // Check if response has expected structure (Testleaf API transaction response)
-    if (!response.data || !response.data.transaction || !response.data.transaction.response) {
-      throw new Error(`Unexpected API response structure: ${JSON.stringify(response.data)}`);
-    }
+  const resultsText = context.items.map((r, idx) => summaryResultEntry(r, idx + 1)).join('\n\n');
+  const userPrompt = `${userPromptIntro(context.items.length)}\n\n${resultsText}`;
 
-    // Testleaf API response structure (wrapped in transaction)
-    const openaiResponse = response.data.transaction.response;
-    const summary = openaiResponse.choices[0].message.content;
-    const usage = openaiResponse.usage;
+  console.log(`🤖 Summarizing with ${llmProvider.name} (${llmProvider.model})`);
 
-    // Extract cost from Testleaf response 
-    const totalCost = response.data.transaction.cost || 0;
-    const inputCost = totalCost * 0.15; // Approximate input cost based on gpt-4o-mini pricing
-    const outputCost = totalCost * 0.85; // Approximate output cost
+  const completion = await llmProvider.chat([
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt }
+  ], {
+    temperature: 0.2,
+    maxTokens
+  });
 
-    res.json({
-      summary,
-      tokens: {
-        prompt: usage.prompt_tokens,
-        completion: usage.completion_tokens,
-        total: usage.total_tokens
-      },
-      cost: {
-        input: inputCost.toFixed(6),
-        output: outputCost.toFixed(6),
-        total: totalCost.toFixed(6)
-      },
-      model: 'gpt-4o-mini',
-      summaryType
-    });
+  return {
+    summary: completion.content,
+    tokens: completion.usage,
+    cost: formatCompletionCost(completion.cost),
+    model: completion.model,
+    provider: completion.provider,
+    summaryType,
+    context: contextBudgetReport(plan, context.report, estimateTokens(`${systemPrompt}\n${userPrompt}`))
+  };
+}
+
+app.post('/api/search/summarize', async (req, res) => {
+  try {
+    const { results, summaryType = 'detailed', contextBudget } = req.body;
+    
+    if (!results || !Array.isArray(results)) {
+      return res.status(400).json({ error: 'Results array is required' });
+    }
+    if (contextBudget !== undefined && !(parseInt(contextBudget) > 0)) {
+      return res.status(400).json({ error: 'contextBudget must be a positive number of tokens' });
+    }
+
+    res.json(await summarizeResults(results, summaryType, { contextBudget: contextBudget !== undefined ? parseInt(contextBudget) : undefined }));
   } catch (error) {
     console.error('Summarization error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error response:', error.response?.data);
     console.error('Error status:', error.response?.status);
     
@@ -930,12 +1371,88 @@ const userPrompt = summaryType === 'detailed'
       error: 'Failed to summarize results', 
       details: error.message,
       apiError: error.response?.data,
-      hint: 'Make sure TESTLEAF_API_BASE, USER_EMAIL, and AUTH_TOKEN are set in .env file'
+      hint: `Check the LLM provider settings in .env (LLM_PROVIDER=${llmProvider.name})`
     });
   }
 });
 
+// ======================== Server-Sent Events ========================
+// Streaming routes answer with text/event-stream: one `event: <name>` / `data: <json>` block per event.
+// Clients POST the request body and read the stream with fetch (EventSource only supports GET).
+
+/**
+ * Switch a response to an SSE stream
+ * The returned signal aborts when the client disconnects, so upstream LLM requests stop with it
+ * @param {Object} res - Express response
+ * @returns {Object} - { send(event, data), end(), signal }
+ */
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  let finished = false;
+  // Comment lines keep proxies from closing the connection while a step runs quietly
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!finished) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      finished = true;
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+// Report a failure on an open stream (the status code is already sent, so it travels in the event)
+function sendStreamError(stream, error, message) {
+  stream.send('error', error.status
+    ? { status: error.status, error: error.message }
+    : { status: 500, error: message, details: error.message });
+  stream.end();
+}
+
 // ======================== Test Prompt Endpoint ========================
+// Send a single prompt to the chat model and parse the reply as JSON when possible
+// With onToken the completion is streamed and each chunk is passed on as it arrives
+async function generateFromPrompt(prompt, { temperature = 0.5, maxTokens = 15000, onToken = null, signal } = {}) {
+  console.log(`🤖 Testing prompt with ${llmProvider.name} (${llmProvider.model})${onToken ? ' (streaming)' : ''}`);
+
+  const messages = [{ role: 'user', content: prompt }];
+  const completion = onToken
+    ? await llmProvider.chatStream(messages, { temperature, maxTokens, onToken, signal })
+    : await llmProvider.chat(messages, { temperature, maxTokens });
+
+  // Try to parse as JSON
+  let parsedResponse;
+  try {
+    parsedResponse = JSON.parse(completion.content);
+  } catch (e) {
+    parsedResponse = { raw: completion.content };
+  }
+
+  return {
+    response: parsedResponse,
+    tokens: completion.usage,
+    cost: formatCompletionCost(completion.cost),
+    model: completion.model,
+    provider: completion.provider
+  };
+}
+
 app.post('/api/test-prompt', async (req, res) => {
   try {
     const { prompt, temperature = 0.5, maxTokens = 15000 } = req.body;
@@ -944,77 +1461,7 @@ app.post('/api/test-prompt', async (req, res) => {
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
-    // Use Testleaf API for chat completion
-    console.log('🔧 Testleaf Config Check (Prompt Testing):');
-    console.log('   API Base:', TESTLEAF_API_BASE);
-    console.log('   User Email:', USER_EMAIL);
-    console.log('   Auth Token:', AUTH_TOKEN ? `${AUTH_TOKEN.substring(0, 5)}...` : 'NOT SET');
-    
-    if (!TESTLEAF_API_BASE || !USER_EMAIL || !AUTH_TOKEN) {
-      throw new Error('TESTLEAF_API_BASE, USER_EMAIL, and AUTH_TOKEN are required for prompt testing');
-    }
-    
-    const apiUrl = `${TESTLEAF_API_BASE}/v1/chat/completions`;
-    console.log('🌐 Making request to:', apiUrl);
-
-    const requestData = {
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'user', content: prompt }
-      ],
-      temperature: temperature,
-      max_tokens: maxTokens
-    };
-    console.log('📤 Request data:', JSON.stringify(requestData, null, 2));
-    console.log('📤 Request headers:', { 'Authorization': AUTH_TOKEN ? `Bearer ${AUTH_TOKEN.substring(0, 8)}...` : 'NOT SET' });
-
-    const response = await axios.post(apiUrl, requestData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${AUTH_TOKEN}`
-      },
-      timeout: 300000, // 5 minutes timeout (instead of default 60s)
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity
-    });
-
-    // Check if response has expected structure (Testleaf API transaction response)
-    if (!response.data || !response.data.transaction || !response.data.transaction.response) {
-      throw new Error(`Unexpected API response structure: ${JSON.stringify(response.data)}`);
-    }
-
-    // Extract data from Testleaf response structure (wrapped in transaction)
-    const openaiResponse = response.data.transaction.response;
-    const aiResponse = openaiResponse.choices[0].message.content;
-    const usage = openaiResponse.usage;
-
-    // Extract cost from Testleaf response
-    const totalCost = response.data.transaction.cost || 0;
-    const inputCost = totalCost * 0.15; // Approximate input cost based on gpt-4o-mini pricing
-    const outputCost = totalCost * 0.85; // Approximate output cost
-
-    // Try to parse as JSON
-    let parsedResponse;
-    try {
-      parsedResponse = JSON.parse(aiResponse);
-    } catch (e) {
-      parsedResponse = { raw: aiResponse };
-    }
-
-    res.json({
-      response: parsedResponse,
-      tokens: {
-        prompt: usage.prompt_tokens,
-        completion: usage.completion_tokens,
-        total: usage.total_tokens
-      },
-      cost: {
-        input: inputCost.toFixed(6),
-        output: outputCost.toFixed(6),
-        total: totalCost.toFixed(6)
-      },
-      model: 'gpt-4o-mini'
-    });
+    res.json(await generateFromPrompt(prompt, { temperature, maxTokens }));
   } catch (error) {
     console.error('Prompt test error:', error);
     res.status(500).json({ 
@@ -1024,6 +1471,31 @@ app.post('/api/test-prompt', async (req, res) => {
   }
 });
 
+// Streaming variant: `start`, then `token` events with the completion text, then `done` with the parsed response
+app.post('/api/test-prompt/stream', async (req, res) => {
+  const { prompt, temperature = 0.5, maxTokens = 15000 } = req.body;
+
+  if (!prompt) {
+    return res.status(400).json({ error: 'Prompt is required' });
+  }
+
+  const stream = openEventStream(res);
+  try {
+    stream.send('start', { model: llmProvider.model, provider: llmProvider.name });
+    const result = await generateFromPrompt(prompt, {
+      temperature,
+      maxTokens,
+      onToken: (text) => stream.send('token', { text }),
+      signal: stream.signal
+    });
+    stream.send('done', result);
+    stream.end();
+  } catch (error) {
+    console.error('Prompt test stream error:', error.message);
+    sendStreamError(stream, error, 'Failed to test prompt');
+  }
+});
+
 // Helper function to calculate text similarity (Jaccard similarity)
 function calculateTextSimilarity(text1, text2) {
   const words1 = new Set(text1.toLowerCase().split(/\s+/));
@@ -1035,919 +1507,2943 @@ function calculateTextSimilarity(text1, text2) {
   return intersection.size / union.size;
 }
 
-// Search vector database
-app.post('/api/search', async (req, res) => {
-  try {
-    const { query, limit = 5, filters = {} } = req.body;
-    
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
-    }
+// Atlas caps numCandidates at 10000; over-fetching stops there (or after MAX_OVERFETCH_ROUNDS)
+const MAX_VECTOR_CANDIDATES = 10000;
+const MAX_OVERFETCH_ROUNDS = 5;
+
+/**
+ * Vector search with metadata filters. Conditions on filter paths declared in the corpus vector index
+ * go into $vectorSearch.filter; any others are matched after the stage, doubling the candidate pool
+ * until `limit` results survive. Reports the strategy: none | prefilter | overfetch | prefilter+overfetch
+ */
+async function filteredVectorSearch(backend, searchCorpus, {
+  queryVector,
+  matchConditions = {},
+  limit,
+  numCandidatesMultiplier,
+  minCandidates,
+  projection,
+  scoreField = 'score'
+}) {
+  const run = async (preFilters, postFilters) => {
+    const attempts = [];
+    let candidateLimit = Math.min(MAX_VECTOR_CANDIDATES, limit * numCandidatesMultiplier);
+    let results;
+
+    for (;;) {
+      const numCandidates = Math.min(MAX_VECTOR_CANDIDATES, Math.max(minCandidates, candidateLimit));
+      results = await backend.vectorSearch({
+        queryVector,
+        filters: preFilters,
+        postFilters,
+        limit,
+        numCandidates,
+        candidateLimit: Math.min(candidateLimit, numCandidates),
+        projection,
+        scoreField
+      });
+      attempts.push({ candidateLimit, numCandidates, results: results.length });
 
-    // Create a MongoClient, connect once, validate DB/collection/index and reuse for the search
-    const mongoClient = new MongoClient(process.env.MONGODB_URI, {
-      ssl: true,
-      tlsAllowInvalidCertificates: true,
-      tlsAllowInvalidHostnames: true,
-      serverSelectionTimeoutMS: 30000,
-      connectTimeoutMS: 30000,
-      socketTimeoutMS: 30000,
-    });
-    await mongoClient.connect();
-    // Validate DB/collection/index and ensure documents exist
-    const validation = await validateDbCollectionIndex(mongoClient, process.env.DB_NAME, process.env.COLLECTION_NAME, process.env.VECTOR_INDEX_NAME, true);
-    if (!validation.ok) {
-      try { await mongoClient.close(); } catch (e) {}
-      return res.status(400).json({ error: validation.error });
+      const overfetch = Object.keys(postFilters).length > 0;
+      if (!overfetch || results.length >= limit || candidateLimit >= MAX_VECTOR_CANDIDATES || attempts.length >= MAX_OVERFETCH_ROUNDS) break;
+      candidateLimit = Math.min(MAX_VECTOR_CANDIDATES, candidateLimit * 2);
     }
 
-    const db = mongoClient.db(process.env.DB_NAME);
-    const collection = db.collection(process.env.COLLECTION_NAME);
-
-    // Generate embedding for query
-    const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai';
-    const USER_EMAIL = process.env.USER_EMAIL;
-    const AUTH_TOKEN = process.env.AUTH_TOKEN;
+    const strategy = [
+      Object.keys(preFilters).length > 0 && 'prefilter',
+      Object.keys(postFilters).length > 0 && 'overfetch'
+    ].filter(Boolean).join('+') || 'none';
 
-    const embeddingResponse = await axios.post(
-      `${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`,
-      {
-        input: query,
-        model: "text-embedding-3-small"
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${AUTH_TOKEN}`
-        }
+    return {
+      results,
+      filtering: {
+        strategy,
+        preFilter: Object.keys(preFilters),
+        postFilter: Object.keys(postFilters),
+        attempts
       }
-    );
-
-    if (embeddingResponse.data.status !== 200) {
-      throw new Error(`Testleaf API error: ${embeddingResponse.data.message}`);
-    }
-
-    const queryVector = embeddingResponse.data.data[0].embedding;
-
-    // Calculate candidates and internal limit for vector search
-    const requestedLimit = parseInt(limit);
-    const numCandidates = Math.max(100, requestedLimit * 10); // At least 100 candidates
-    const vectorSearchLimit = Math.min(numCandidates, requestedLimit * 10); // Limit must be <= numCandidates
+    };
+  };
 
-    // Build vector search WITHOUT pre-filtering (to avoid index requirement)
-    const vectorSearchStage = {
-      $vectorSearch: {
-        queryVector,
-        path: "embedding",
-        numCandidates: numCandidates,
-        limit: vectorSearchLimit, // Get more candidates for post-filtering
-        index: process.env.VECTOR_INDEX_NAME
-      }
-    };
+  const { preFilters, postFilters } = splitVectorFilters(searchCorpus, matchConditions);
+  try {
+    return await run(preFilters, postFilters);
+  } catch (error) {
+    // Atlas rejects filters on paths the deployed index lacks (index config updated but the index not rebuilt)
+    if (Object.keys(preFilters).length === 0 || !/filter/i.test(error.message)) throw error;
+    console.warn(`⚠️ Vector pre-filter rejected, over-fetching instead: ${error.message}`);
+    const fallback = await run({}, { ...preFilters, ...postFilters });
+    return { ...fallback, filtering: { ...fallback.filtering, fallbackReason: error.message } };
+  }
+}
 
-    // Build the pipeline
-    const pipeline = [
-      vectorSearchStage,
-      {
-        $addFields: {
-          score: { $meta: "vectorSearchScore" }
-        }
-      }
-    ];
-
-    // Apply metadata filters using $match stage (works without index)
-    if (Object.keys(filters).length > 0) {
-      const matchConditions = {};
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value) {
-          matchConditions[key] = value;
-        }
-      });
-      pipeline.push({
-        $match: matchConditions
-      });
-      console.log('🔍 Applying filters with $match:', matchConditions);
-    }
-
-    // Add limit after filtering
-    pipeline.push({
-      $limit: requestedLimit
-    });
-
-    // Project fields
-    pipeline.push({
-      $project: {
-        id: 1,
-        module: 1,
-        preRequisites: 1,
-        title: 1,
-        description: 1,
-        steps: 1,
-        expectedResults: 1,
-        automationManual: 1,
-        priority: 1,
-        createdBy: 1,
-        createdDate: 1,
-        lastModifiedDate: 1,
-        risk: 1,
-        version: 1,
-        type: 1,
-        sourceFile: 1,
-        createdAt: 1,
-        score: 1
-      }
-    });
+// Vector search over a corpus (test cases by default)
+async function runVectorSearch({
+  query,
+  limit = 5,
+  filters = {},
+  corpus = 'testcases',
+  precomputedEmbedding = null,
+  numCandidatesMultiplier = DEFAULT_SEARCH_PARAMS.vector.numCandidatesMultiplier,
+  minCandidates = DEFAULT_SEARCH_PARAMS.vector.minCandidates,
+  profile = null
+}) {
+  const searchCorpus = resolveSearchCorpus(corpus);
+  const matchConditions = resolveCorpusFilters(searchCorpus, filters);
+
+  // Open the search backend once; validates collection/index and embedding compatibility
+  const backend = await openSearchBackend({ ...corpusBackendOptions(searchCorpus), requireVector: true });
+
+  try {
+    // Generate embedding for query (combined search embeds once for every corpus)
+    const queryEmbedding = precomputedEmbedding || await embeddingProvider.embed(query);
+    const queryVector = queryEmbedding.embedding;
 
     console.log('🔍 Search Query:', query);
+    console.log('🔍 Corpus:', searchCorpus.name);
     console.log('🔍 Filters:', JSON.stringify(filters));
-    console.log('🔍 Pipeline:', JSON.stringify(pipeline, null, 2));
-
-    const results = await collection.aggregate(pipeline).toArray();
+    console.log('🔍 Search backend:', backend.name);
+    if (profile) console.log('🔍 Search profile:', profile);
+
+    const { results, filtering } = await filteredVectorSearch(backend, searchCorpus, {
+      queryVector,
+      matchConditions,
+      limit: parseInt(limit),
+      numCandidatesMultiplier,
+      minCandidates,
+      projection: { ...searchCorpus.projection, score: 1 }
+    });
     console.log('✅ Found results:', results.length);
-    
-    await mongoClient.close();
+    if (filtering.strategy !== 'none') {
+      console.log(`🔍 Filter strategy: ${filtering.strategy} (${filtering.attempts.length} vector queries)`);
+    }
 
-    const responseData = {
+    return {
       success: true,
+      corpus: searchCorpus.name,
+      profile,
       query,
       filters,
+      filtering,
       results,
-      cost: embeddingResponse.data.cost || 0,
-      tokens: embeddingResponse.data.usage?.total_tokens || 0
+      searchBackend: backend.name,
+      cost: queryEmbedding.cost,
+      tokens: queryEmbedding.tokens
     };
-    
-    console.log('📤 Sending response with', results.length, 'results');
+  } finally {
+    await backend.close();
+  }
+}
+
+// Search vector database
+app.post('/api/search', async (req, res) => {
+  try {
+    if (!req.body.query) {
+      return res.status(400).json({ error: 'Query is required' });
+    }
+
+    const responseData = await runVectorSearch(withSearchProfile('vector', req.body));
+    console.log('📤 Sending response with', responseData.results.length, 'results');
     res.json(responseData);
 
   } catch (error) {
     console.error('❌ Search failed:', error.message);
     console.error('Error details:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Search failed', details: error.message });
   }
 });
 
 // ======================== BM25 Search Endpoint ========================
+async function runBm25Search({
+  query,
+  limit = 10,
+  filters = {},
+  fields = null,
+  corpus = 'testcases',
+  fuzzy = DEFAULT_SEARCH_PARAMS.bm25.fuzzy,
+  profile = null
+}) {
+  const searchCorpus = resolveSearchCorpus(corpus);
+  const matchConditions = resolveCorpusFilters(searchCorpus, filters);
+
+  console.log(`🔤 BM25 Search request: "${query}" (${searchCorpus.name})${profile ? ` [profile: ${profile}]` : ''}`);
+  console.log(`   Limit: ${limit}`);
+  console.log(`   Filters:`, filters);
+
+  const backend = await openSearchBackend({ ...corpusBackendOptions(searchCorpus), requireBm25: true });
+
+  try {
+    const startTime = Date.now();
+    const results = await backend.bm25Search({
+      query,
+      fields: fields || searchCorpus.bm25Fields,
+      fuzzy,
+      filters: matchConditions,
+      limit: parseInt(limit),
+      projection: { ...searchCorpus.projection, score: 1 }
+    });
+    const searchTime = Date.now() - startTime;
+
+    console.log(`✅ BM25 Search complete (${backend.name}): ${results.length} results in ${searchTime}ms`);
+
+    return {
+      success: true,
+      searchType: 'bm25',
+      searchBackend: backend.name,
+      corpus: searchCorpus.name,
+      profile,
+      query,
+      filters,
+      results,
+      count: results.length,
+      searchTime,
+      timestamp: new Date().toISOString()
+    };
+  } finally {
+    await backend.close();
+  }
+}
+
 app.post('/api/search/bm25', async (req, res) => {
   try {
-    const { query, limit = 10, filters = {}, fields = ['id','title', 'description', 'steps', 'expectedResults', 'module'] } = req.body;
-    
-    if (!query) {
+    if (!req.body.query) {
       return res.status(400).json({ error: 'Query is required' });
     }
 
-    console.log(`🔤 BM25 Search request: "${query}"`);
-    console.log(`   Limit: ${limit}`);
-    console.log(`   Filters:`, filters);
+    res.json(await runBm25Search(withSearchProfile('bm25', req.body)));
+  } catch (error) {
+    console.error('❌ BM25 Search error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ 
+      error: 'BM25 search failed', 
+      details: error.message 
+    });
+  }
+});
+
+// ======================== Hybrid Search Endpoint (BM25 + Vector) ========================
+
+/**
+ * MMR reordering of a ranked candidate list over the candidates' embeddings (see mmrDiversify.js)
+ * scoreField names the relevance score; null ranks by position (e.g. after a cross-encoder or LLM rerank)
+ * Picks `limit` results and reports the ranks of the first `topN`
+ */
+async function diversifyResults(results, searchCorpus, { lambda, limit, topN = limit, scoreField = null }) {
+  const startTime = Date.now();
+  lambda = Number(lambda);
+  if (!(lambda >= 0 && lambda <= 1)) {
+    throw createHttpError(400, 'mmrLambda must be a number from 0 to 1');
+  }
+  if (results.length < 2) {
+    return { results, report: { applied: false, lambda, poolSize: results.length, error: 'Fewer than 2 candidates' } };
+  }
+
+  const { vectors, sources } = await loadResultEmbeddings(results, searchCorpus, 'auto');
+  const picked = mmrDiversify({
+    items: results,
+    vectors,
+    scores: scoreField ? results.map(result => result[scoreField] || 0) : null,
+    lambda,
+    limit
+  });
+
+  return {
+    results: picked.map(stripEmbedding),
+    report: {
+      applied: true,
+      lambda,
+      poolSize: results.length,
+      relevance: scoreField || 'position',
+      embeddings: sources,
+      time: Date.now() - startTime,
+      // Candidates that moved into the top N and their relevance rank
+      promoted: picked.slice(0, topN).filter(result => result.relevanceRank > topN).map(result => ({
+        id: result[searchCorpus.idField],
+        relevanceRank: result.relevanceRank,
+        mmrRank: result.mmrRank
+      })),
+      ranks: picked.slice(0, topN).map(result => ({
+        id: result[searchCorpus.idField],
+        relevanceRank: result.relevanceRank,
+        mmrRank: result.mmrRank,
+        maxSimilarity: result.maxSimilarity
+      }))
+    }
+  };
+}
+
+async function runHybridSearch({
+  query,
+  limit = 10,
+  filters = {},
+  bm25Weight = DEFAULT_SEARCH_PARAMS.hybrid.bm25Weight,
+  vectorWeight = DEFAULT_SEARCH_PARAMS.hybrid.vectorWeight,
+  bm25Fields = null,
+  fuzzy = DEFAULT_SEARCH_PARAMS.hybrid.fuzzy,
+  candidateMultiplier = DEFAULT_SEARCH_PARAMS.hybrid.candidateMultiplier,
+  numCandidatesMultiplier = DEFAULT_SEARCH_PARAMS.hybrid.numCandidatesMultiplier,
+  minCandidates = DEFAULT_SEARCH_PARAMS.hybrid.minCandidates,
+  mmr = DEFAULT_SEARCH_PARAMS.hybrid.mmr,
+  mmrLambda = DEFAULT_SEARCH_PARAMS.hybrid.mmrLambda,
+  corpus = 'testcases',
+  precomputedEmbedding = null,
+  profile = null
+}) {
+  const searchCorpus = resolveSearchCorpus(corpus);
+  const matchConditions = resolveCorpusFilters(searchCorpus, filters);
+
+  console.log(`🔀 Hybrid Search request: "${query}" (${searchCorpus.name})${profile ? ` [profile: ${profile}]` : ''}`);
+  console.log(`   BM25 Weight: ${bm25Weight}, Vector Weight: ${vectorWeight}`);
+
+  // Validates both indexes and the embedding provider
+  const backend = await openSearchBackend({ ...corpusBackendOptions(searchCorpus), requireBm25: true, requireVector: true });
+
+  const searchLimit = parseInt(limit) * candidateMultiplier; // Get more for better combination
+  const resultProjection = { _id: 1, ...searchCorpus.projection };
+
+  let bm25Results, vectorResults, queryEmbedding, bm25Time, vectorTime;
+  const bm25StartTime = Date.now();
+
+  try {
+    // 1. BM25 Search
+    console.log('🔤 Running BM25 search...');
+    bm25Results = await backend.bm25Search({
+      query,
+      fields: bm25Fields || searchCorpus.bm25Fields,
+      fuzzy,
+      limit: searchLimit,
+      projection: { ...resultProjection, bm25Score: 1 },
+      scoreField: 'bm25Score'
+    });
+    bm25Time = Date.now() - bm25StartTime;
+
+    // 2. Vector Search
+    console.log('🧠 Running vector search...');
+    const vectorStartTime = Date.now();
+
+    queryEmbedding = precomputedEmbedding || await embeddingProvider.embed(query);
 
-    const mongoClient = new MongoClient(process.env.MONGODB_URI, {
-      ssl: true,
-      tlsAllowInvalidCertificates: true,
-      tlsAllowInvalidHostnames: true,
-      serverSelectionTimeoutMS: 30000,
-      connectTimeoutMS: 30000,
-      socketTimeoutMS: 30000,
+    // Ensure numCandidates >= limit for MongoDB vector search
+    const vectorNumCandidates = Math.max(searchLimit * numCandidatesMultiplier, minCandidates);
+
+    vectorResults = await backend.vectorSearch({
+      queryVector: queryEmbedding.embedding,
+      limit: searchLimit,
+      numCandidates: vectorNumCandidates,
+      projection: { ...resultProjection, vectorScore: 1 },
+      scoreField: 'vectorScore'
     });
+    vectorTime = Date.now() - vectorStartTime;
+  } finally {
+    await backend.close();
+  }
 
-    await mongoClient.connect();
+  // 3. Normalize and combine scores
+  console.log('🔀 Combining results...');
+  
+  // Normalize BM25 scores
+  const bm25Scores = bm25Results.map(r => r.bm25Score);
+  const bm25Max = Math.max(...bm25Scores, 1);
+  const bm25Min = Math.min(...bm25Scores, 0);
+  const bm25Range = bm25Max - bm25Min || 1;
+
+  // Normalize Vector scores
+  const vectorScores = vectorResults.map(r => r.vectorScore);
+  const vectorMax = Math.max(...vectorScores, 1);
+  const vectorMin = Math.min(...vectorScores, 0);
+  const vectorRange = vectorMax - vectorMin || 1;
+
+  // Create result map
+  const resultMap = new Map();
+
+  // Add BM25 results with normalized scores
+  bm25Results.forEach(result => {
+    const key = result._id.toString();
+    const normalizedScore = (result.bm25Score - bm25Min) / bm25Range;
+    resultMap.set(key, {
+      ...result,
+      bm25ScoreNormalized: normalizedScore,
+      vectorScore: 0,
+      vectorScoreNormalized: 0,
+      hybridScore: normalizedScore * bm25Weight,
+      foundIn: 'bm25'
+    });
+  });
 
-    const validation = await validateDbCollectionIndex(
-      mongoClient, 
-      process.env.DB_NAME, 
-      process.env.COLLECTION_NAME, 
-      process.env.BM25_INDEX_NAME,
-      true
-    );
+  // Add/merge vector results with normalized scores
+  vectorResults.forEach(result => {
+    const key = result._id.toString();
+    const normalizedScore = (result.vectorScore - vectorMin) / vectorRange;
     
-    if (!validation.ok) {
-      try { await mongoClient.close(); } catch (e) {}
-      return res.status(400).json({ error: validation.error });
+    if (resultMap.has(key)) {
+      // Merge - found in both
+      const existing = resultMap.get(key);
+      existing.vectorScore = result.vectorScore;
+      existing.vectorScoreNormalized = normalizedScore;
+      existing.hybridScore += normalizedScore * vectorWeight;
+      existing.foundIn = 'both';
+    } else {
+      // New result - only in vector
+      resultMap.set(key, {
+        ...result,
+        bm25Score: 0,
+        bm25ScoreNormalized: 0,
+        vectorScoreNormalized: normalizedScore,
+        hybridScore: normalizedScore * vectorWeight,
+        foundIn: 'vector'
+      });
     }
+  });
 
-    const db = mongoClient.db(process.env.DB_NAME);
-    const collection = db.collection(process.env.COLLECTION_NAME);
+  // Convert to array and sort by hybrid score
+  let combinedResults = Array.from(resultMap.values());
+  combinedResults.sort((a, b) => b.hybridScore - a.hybridScore);
 
-    // Build BM25 search pipeline
-    const pipeline = [
-      {
-        $search: {
-          index: process.env.BM25_INDEX_NAME,
-          text: {
-            query: query,
-            path: fields,
-            fuzzy: {
-              maxEdits: 1,
-              prefixLength: 2
-            }
-          }
+  // Apply filters if provided (dotted paths for user stories)
+  if (Object.keys(matchConditions).length > 0) {
+    combinedResults = combinedResults.filter(result => matchesFilters(result, matchConditions));
+  }
+
+  // Limit results, optionally picking them from all candidates with MMR
+  let finalResults = combinedResults.slice(0, parseInt(limit));
+  let diversification = { requested: Boolean(mmr), applied: false };
+  if (mmr) {
+    console.log(`🎯 MMR diversification (λ=${mmrLambda}) over ${combinedResults.length} candidates...`);
+    const diversified = await diversifyResults(combinedResults, searchCorpus, { lambda: mmrLambda, limit: parseInt(limit), scoreField: 'hybridScore' });
+    finalResults = diversified.results;
+    diversification = { requested: true, ...diversified.report };
+  }
+
+  const totalTime = Date.now() - bm25StartTime;
+  console.log(`✅ Hybrid Search complete: ${finalResults.length} results in ${totalTime}ms`);
+
+  // Calculate statistics
+  const bothCount = finalResults.filter(r => r.foundIn === 'both').length;
+  const bm25OnlyCount = finalResults.filter(r => r.foundIn === 'bm25').length;
+  const vectorOnlyCount = finalResults.filter(r => r.foundIn === 'vector').length;
+
+  return {
+    success: true,
+    searchType: 'hybrid',
+    searchBackend: backend.name,
+    corpus: searchCorpus.name,
+    profile,
+    query,
+    filters,
+    weights: { bm25: bm25Weight, vector: vectorWeight },
+    results: finalResults,
+    count: finalResults.length,
+    diversification,
+    stats: {
+      foundInBoth: bothCount,
+      foundInBm25Only: bm25OnlyCount,
+      foundInVectorOnly: vectorOnlyCount,
+      bm25ResultCount: bm25Results.length,
+      vectorResultCount: vectorResults.length
+    },
+    timing: {
+      bm25Time,
+      vectorTime,
+      totalTime
+    },
+    cost: queryEmbedding.cost,
+    tokens: queryEmbedding.tokens,
+    timestamp: new Date().toISOString()
+  };
+}
+
+app.post('/api/search/hybrid', async (req, res) => {
+  try {
+    if (!req.body.query) {
+      return res.status(400).json({ error: 'Query is required' });
+    }
+
+    res.json(await runHybridSearch(withSearchProfile('hybrid', req.body)));
+  } catch (error) {
+    console.error('❌ Hybrid Search error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ 
+      error: 'Hybrid search failed', 
+      details: error.message 
+    });
+  }
+});
+
+// Reranking with Score Fusion and Normalization
+async function runRerankSearch({
+  query, 
+  limit = 10, 
+  filters = {}, 
+  fusionMethod = DEFAULT_SEARCH_PARAMS.rerank.fusionMethod, // rrf, weighted, or reciprocal
+  rerankTopK = DEFAULT_SEARCH_PARAMS.rerank.rerankTopK,
+  bm25Weight = DEFAULT_SEARCH_PARAMS.rerank.bm25Weight,
+  vectorWeight = DEFAULT_SEARCH_PARAMS.rerank.vectorWeight,
+  rrfK = DEFAULT_SEARCH_PARAMS.rerank.rrfK, // RRF constant
+  fieldWeights = null, // BM25 field boosts, defaults to the corpus boosts
+  fuzzy = DEFAULT_SEARCH_PARAMS.rerank.fuzzy,
+  numCandidatesMultiplier = DEFAULT_SEARCH_PARAMS.rerank.numCandidatesMultiplier,
+  minCandidates = DEFAULT_SEARCH_PARAMS.rerank.minCandidates,
+  corpus = 'testcases',
+  crossEncoder = process.env.RERANK_CROSS_ENCODER === 'true', // optional stage after fusion
+  crossEncoderTopK = 20,
+  llmRerank = false, // listwise reorder of the top-N by the chat model
+  llmRerankTopN = 10,
+  mmr = DEFAULT_SEARCH_PARAMS.rerank.mmr, // MMR diversification after fusion and the optional rerankers
+  mmrLambda = DEFAULT_SEARCH_PARAMS.rerank.mmrLambda,
+  precomputedEmbedding = null,
+  profile = null
+}) {
+  const startTime = Date.now();
+  const searchCorpus = resolveSearchCorpus(corpus);
+  const matchConditions = resolveCorpusFilters(searchCorpus, filters);
+
+  console.log(`\n🔄 Reranking Search with Score Fusion for: "${query}" (${searchCorpus.name})${profile ? ` [profile: ${profile}]` : ''}`);
+  console.log(`📊 Fusion Method: ${fusionMethod.toUpperCase()}, Top-K: ${rerankTopK}, Final Limit: ${limit}`);
+
+  // Validates both indexes and the embedding provider
+  const backend = await openSearchBackend({ ...corpusBackendOptions(searchCorpus), requireBm25: true, requireVector: true });
+
+  let queryEmbedding, bm25Results, vectorResults, vectorFiltering;
+  const searchStartTime = Date.now();
+
+  try {
+    // Step 1: Get both BM25 and Vector results
+    // Generate embedding for vector search (the evaluation harness embeds once for every method)
+    queryEmbedding = precomputedEmbedding || await embeddingProvider.embed(query);
+
+    // Execute both searches in parallel (BM25 with the corpus field boosts)
+    [bm25Results, vectorResults] = await Promise.all([
+      backend.bm25Search({
+        query,
+        fields: fieldWeights || searchCorpus.fieldWeights,
+        fuzzy,
+        filters: matchConditions,
+        limit: rerankTopK,
+        scoreField: 'bm25Score'
+      }),
+      filteredVectorSearch(backend, searchCorpus, {
+        queryVector: queryEmbedding.embedding,
+        matchConditions,
+        limit: rerankTopK,
+        numCandidatesMultiplier,
+        minCandidates,
+        projection: null,
+        scoreField: 'vectorScore'
+      }).then(({ results, filtering }) => {
+        vectorFiltering = filtering;
+        return results;
+      })
+    ]);
+  } finally {
+    await backend.close();
+  }
+
+  const embeddingCost = queryEmbedding.cost;
+  const embeddingTokens = queryEmbedding.tokens;
+  const searchTime = Date.now() - searchStartTime;
+  console.log(`✅ Retrieved ${bm25Results.length} BM25 + ${vectorResults.length} Vector results in ${searchTime}ms`);
+
+  // Step 2: Score Fusion and Normalization
+  const rerankStartTime = Date.now();
+  console.log(`🔄 Applying ${fusionMethod.toUpperCase()} score fusion...`);
+
+  // Create a map to combine results
+  const resultMap = new Map();
+
+  // Normalize scores using min-max normalization
+  const normalizeBM25 = (score, minScore, maxScore) => {
+    if (maxScore === minScore) return 1.0;
+    return (score - minScore) / (maxScore - minScore);
+  };
+
+  const normalizeVector = (score, minScore, maxScore) => {
+    if (maxScore === minScore) return 1.0;
+    return (score - minScore) / (maxScore - minScore);
+  };
+
+  // Get min/max scores for normalization
+  const bm25Scores = bm25Results.map(r => r.bm25Score);
+  const vectorScores = vectorResults.map(r => r.vectorScore);
+  const minBM25 = Math.min(...bm25Scores, 0);
+  const maxBM25 = Math.max(...bm25Scores, 1);
+  const minVector = Math.min(...vectorScores, 0);
+  const maxVector = Math.max(...vectorScores, 1);
+
+  // Process BM25 results
+  bm25Results.forEach((doc, index) => {
+    const id = doc._id.toString();
+    const normalizedScore = normalizeBM25(doc.bm25Score, minBM25, maxBM25);
+    
+    resultMap.set(id, {
+      ...doc,
+      bm25Score: doc.bm25Score,
+      bm25Normalized: normalizedScore,
+      bm25Rank: index + 1,
+      vectorScore: 0,
+      vectorNormalized: 0,
+      vectorRank: null,
+      foundIn: 'bm25'
+    });
+  });
+
+  // Process Vector results and merge
+  vectorResults.forEach((doc, index) => {
+    const id = doc._id.toString();
+    const normalizedScore = normalizeVector(doc.vectorScore, minVector, maxVector);
+    
+    if (resultMap.has(id)) {
+      // Document found in both
+      const existing = resultMap.get(id);
+      existing.vectorScore = doc.vectorScore;
+      existing.vectorNormalized = normalizedScore;
+      existing.vectorRank = index + 1;
+      existing.foundIn = 'both';
+    } else {
+      // Document only in vector
+      resultMap.set(id, {
+        ...doc,
+        bm25Score: 0,
+        bm25Normalized: 0,
+        bm25Rank: null,
+        vectorScore: doc.vectorScore,
+        vectorNormalized: normalizedScore,
+        vectorRank: index + 1,
+        foundIn: 'vector'
+      });
+    }
+  });
+
+  // Convert to array for processing
+  const allResults = Array.from(resultMap.values());
+
+  // Apply fusion method
+  let fusedResults = [];
+
+  if (fusionMethod === 'rrf') {
+    // Reciprocal Rank Fusion (RRF)
+    const k = rrfK;
+    fusedResults = allResults.map(doc => {
+      const bm25RRF = doc.bm25Rank ? 1 / (k + doc.bm25Rank) : 0;
+      const vectorRRF = doc.vectorRank ? 1 / (k + doc.vectorRank) : 0;
+      const fusedScore = bm25RRF + vectorRRF;
+      
+      return {
+        ...doc,
+        fusedScore,
+        fusionComponents: {
+          bm25RRF: bm25RRF.toFixed(4),
+          vectorRRF: vectorRRF.toFixed(4)
         }
-      },
-      {
-        $addFields: {
-          score: { $meta: "searchScore" }
+      };
+    });
+  } else if (fusionMethod === 'weighted') {
+    // Weighted normalized scores
+    fusedResults = allResults.map(doc => {
+      const fusedScore = (doc.bm25Normalized * bm25Weight) + (doc.vectorNormalized * vectorWeight);
+      
+      return {
+        ...doc,
+        fusedScore,
+        fusionComponents: {
+          bm25Contribution: (doc.bm25Normalized * bm25Weight).toFixed(4),
+          vectorContribution: (doc.vectorNormalized * vectorWeight).toFixed(4)
         }
-      }
-    ];
-
-    // Apply filters if provided
-    if (Object.keys(filters).length > 0) {
-      const matchConditions = {};
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value && value !== '') {
-          matchConditions[key] = value;
+      };
+    });
+  } else if (fusionMethod === 'reciprocal') {
+    // Reciprocal scoring with weights
+    fusedResults = allResults.map(doc => {
+      const bm25Reciprocal = doc.bm25Rank ? (1 / doc.bm25Rank) * bm25Weight : 0;
+      const vectorReciprocal = doc.vectorRank ? (1 / doc.vectorRank) * vectorWeight : 0;
+      const fusedScore = bm25Reciprocal + vectorReciprocal;
+      
+      return {
+        ...doc,
+        fusedScore,
+        fusionComponents: {
+          bm25Reciprocal: bm25Reciprocal.toFixed(4),
+          vectorReciprocal: vectorReciprocal.toFixed(4)
         }
-      });
+      };
+    });
+  }
 
-      if (Object.keys(matchConditions).length > 0) {
-        pipeline.push({ $match: matchConditions });
-      }
-    }
+  // Sort by fused score
+  fusedResults.sort((a, b) => b.fusedScore - a.fusedScore);
+
+  // Step 3 (optional): Cross-encoder rescoring of the fused top-K; keeps the fused order if no model loads
+  let crossEncoderReport = { requested: Boolean(crossEncoder), applied: false };
+  if (crossEncoder) {
+    const topK = Math.max(1, parseInt(crossEncoderTopK) || 20);
+    console.log(`🧮 Cross-encoder rescoring top ${topK} fused results...`);
+    const rescored = await crossEncoderRerank(getCrossEncoder(), query, fusedResults, {
+      fields: searchCorpus.bm25Fields,
+      topK
+    });
 
-    // Add projection and limit
-    pipeline.push(
-      {
-        $project: {
-          id: 1,
-          module: 1,
-          title: 1,
-          description: 1,
-          steps: 1,
-          expectedResults: 1,
-          priority: 1,
-          risk: 1,
-          automationManual: 1,
-          sourceFile: 1,
-          createdAt: 1,
-          score: 1
-        }
-      },
-      { $limit: parseInt(limit) }
-    );
+    if (rescored.applied) {
+      fusedResults = rescored.results;
+      console.log(`✅ Cross-encoder (${rescored.model}) rescored ${rescored.topK} results in ${rescored.time}ms`);
+    } else {
+      console.warn(`⚠️ Cross-encoder unavailable, keeping fused order: ${rescored.error}`);
+    }
 
-    console.log('🔍 BM25 Pipeline:', JSON.stringify(pipeline, null, 2));
+    crossEncoderReport = {
+      requested: true,
+      applied: rescored.applied,
+      model: rescored.model,
+      topK: rescored.topK,
+      time: rescored.time,
+      error: rescored.error,
+      // Before (fused) and after (cross-encoder) rank of every rescored document
+      ranks: rescored.applied
+        ? rescored.results.slice(0, rescored.topK).map(doc => ({
+          id: doc[searchCorpus.idField],
+          fusedRank: doc.fusedRank,
+          crossEncoderRank: doc.crossEncoderRank,
+          rankChange: doc.fusedRank - doc.crossEncoderRank,
+          crossEncoderScore: doc.crossEncoderScore
+        }))
+        : []
+    };
+  }
 
-    const startTime = Date.now();
-    const results = await collection.aggregate(pipeline).toArray();
-    const searchTime = Date.now() - startTime;
+  // Step 4 (optional): Listwise LLM rerank of the top-N with a rationale per item
+  let llmRerankReport = { requested: Boolean(llmRerank), applied: false };
+  if (llmRerank) {
+    const topN = Math.max(2, Math.min(30, parseInt(llmRerankTopN) || 10));
+    console.log(`🤖 Listwise LLM rerank of top ${topN} with ${llmProvider.name} (${llmProvider.model})...`);
+    const reordered = await llmListwiseRerank(llmProvider, query, fusedResults, {
+      fields: searchCorpus.bm25Fields,
+      topN
+    });
 
-    await mongoClient.close();
+    if (reordered.applied) {
+      fusedResults = reordered.results;
+      console.log(`✅ LLM rerank reordered ${reordered.topN} results in ${reordered.time}ms`);
+    } else {
+      console.warn(`⚠️ LLM rerank failed, keeping previous order: ${reordered.error}`);
+    }
 
-    console.log(`✅ BM25 Search complete: ${results.length} results in ${searchTime}ms`);
+    llmRerankReport = {
+      requested: true,
+      applied: reordered.applied,
+      model: reordered.model,
+      provider: reordered.provider,
+      topN: reordered.topN,
+      time: reordered.time,
+      tokens: reordered.tokens,
+      cost: reordered.cost ? formatCompletionCost(reordered.cost) : null,
+      warnings: reordered.warnings,
+      error: reordered.error,
+      ranks: reordered.applied
+        ? reordered.results.slice(0, reordered.topN).map(doc => ({
+          id: doc[searchCorpus.idField],
+          beforeLlmRank: doc.beforeLlmRank,
+          llmRank: doc.llmRank,
+          rankChange: doc.beforeLlmRank - doc.llmRank,
+          rationale: doc.llmRationale
+        }))
+        : []
+    };
+  }
 
-    res.json({
-      success: true,
-      searchType: 'bm25',
-      query,
-      filters,
-      results,
-      count: results.length,
-      searchTime,
-      timestamp: new Date().toISOString()
+  // Step 5 (optional): MMR diversification of the final order; the rerankers' order counts as relevance
+  let diversification = { requested: Boolean(mmr), applied: false };
+  if (mmr) {
+    console.log(`🎯 MMR diversification (λ=${mmrLambda}) over ${fusedResults.length} candidates...`);
+    const reordered = crossEncoderReport.applied || llmRerankReport.applied;
+    const diversified = await diversifyResults(fusedResults, searchCorpus, {
+      lambda: mmrLambda,
+      limit: fusedResults.length,
+      topN: parseInt(limit),
+      scoreField: reordered ? null : 'fusedScore'
     });
+    fusedResults = diversified.results;
+    diversification = { requested: true, ...diversified.report };
+  }
+
+  // Add ranking information
+  fusedResults.forEach((doc, index) => {
+    doc.newRank = index + 1;
+    doc.originalRank = doc.bm25Rank || doc.vectorRank || index + 1;
+    doc.rankChange = doc.originalRank - doc.newRank;
+  });
+
+  const rerankingTime = Date.now() - rerankStartTime;
+
+  // Get before/after results
+  const beforeResults = (fusionMethod === 'rrf' ? vectorResults : bm25Results).slice(0, limit);
+  const afterResults = fusedResults.slice(0, limit);
+  const totalTime = Date.now() - startTime;
+
+  console.log(`✅ Score fusion complete in ${rerankingTime}ms`);
+  console.log(`📊 Top result: ${afterResults[0]?.[searchCorpus.idField]} (Found in: ${afterResults[0]?.foundIn})`);
+
+  // Calculate statistics
+  const bothCount = fusedResults.filter(r => r.foundIn === 'both').length;
+  const bm25OnlyCount = fusedResults.filter(r => r.foundIn === 'bm25').length;
+  const vectorOnlyCount = fusedResults.filter(r => r.foundIn === 'vector').length;
+
+  return {
+    success: true,
+    fusionMethod,
+    searchBackend: backend.name,
+    corpus: searchCorpus.name,
+    profile,
+    query,
+    filters,
+    results: afterResults,
+    beforeReranking: beforeResults,
+    afterReranking: afterResults,
+    reranked: true,
+    count: afterResults.length,
+    totalCandidates: fusedResults.length,
+    rerankTopK,
+    searchTime,
+    rerankingTime,
+    totalTime,
+    cost: embeddingCost,
+    tokens: embeddingTokens,
+    weights: { bm25: bm25Weight, vector: vectorWeight },
+    rrfK,
+    fieldWeights: fieldWeights || searchCorpus.fieldWeights,
+    vectorFiltering,
+    crossEncoder: crossEncoderReport,
+    llmRerank: llmRerankReport,
+    diversification,
+    stats: {
+      foundInBoth: bothCount,
+      foundInBm25Only: bm25OnlyCount,
+      foundInVectorOnly: vectorOnlyCount,
+      topResultChanged: beforeResults[0]?.[searchCorpus.idField] !== afterResults[0]?.[searchCorpus.idField],
+      significantReorderings: afterResults.filter(r => Math.abs(r.rankChange) >= 5).length,
+      averageFusedScore: (afterResults.reduce((sum, r) => sum + r.fusedScore, 0) / afterResults.length).toFixed(4)
+    },
+    timestamp: new Date().toISOString()
+  };
+}
+
+app.post('/api/search/rerank', async (req, res) => {
+  try {
+    if (!req.body.query) {
+      return res.status(400).json({ error: 'Query is required' });
+    }
 
+    res.json(await runRerankSearch(withSearchProfile('rerank', req.body)));
   } catch (error) {
-    console.error('❌ BM25 Search error:', error);
+    console.error('❌ Reranking error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ 
-      error: 'BM25 search failed', 
+      error: 'Reranking failed', 
       details: error.message 
     });
   }
 });
 
-// ======================== Hybrid Search Endpoint (BM25 + Vector) ========================
-app.post('/api/search/hybrid', async (req, res) => {
-  try {
-    const { 
-      query, 
-      limit = 10, 
-      filters = {},
-      bm25Weight = 0.5,
-      vectorWeight = 0.5,
-      bm25Fields = ['id', 'title', 'description', 'steps', 'expectedResults', 'module']
-    } = req.body;
-    
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
-    }
+// ======================== Combined Search (Test Cases + User Stories) ========================
+// Per-corpus search pipelines and the score each one ranks by
+const COMBINED_SEARCH_TYPES = {
+  vector: { run: runVectorSearch, scoreField: 'score' },
+  bm25: { run: runBm25Search, scoreField: 'score' },
+  hybrid: { run: runHybridSearch, scoreField: 'hybridScore' }
+};
 
-    console.log(`🔀 Hybrid Search request: "${query}"`);
-    console.log(`   BM25 Weight: ${bm25Weight}, Vector Weight: ${vectorWeight}`);
+async function runCombinedSearch({
+  query,
+  corpora = SEARCH_CORPUS_NAMES,
+  limits = {},
+  limit = null,
+  filters = {},
+  searchType = 'vector',
+  normalization = 'minmax',
+  profile = null
+}) {
+  const startTime = Date.now();
+  const searchCorpora = (Array.isArray(corpora) ? corpora : [corpora]).map(name => resolveSearchCorpus(name));
+
+  const pipeline = COMBINED_SEARCH_TYPES[searchType];
+  if (!pipeline) {
+    throw createHttpError(400, `Unsupported searchType '${searchType}' (expected one of: ${Object.keys(COMBINED_SEARCH_TYPES).join(', ')})`);
+  }
+  if (!NORMALIZATION_METHODS.includes(normalization)) {
+    throw createHttpError(400, `Unsupported normalization '${normalization}' (expected one of: ${NORMALIZATION_METHODS.join(', ')})`);
+  }
 
-    const mongoClient = new MongoClient(process.env.MONGODB_URI, {
-      ssl: true,
-      tlsAllowInvalidCertificates: true,
-      tlsAllowInvalidHostnames: true,
-      serverSelectionTimeoutMS: 30000,
-      connectTimeoutMS: 30000,
-      socketTimeoutMS: 30000,
-    });
+  // Resolved once so an unknown profile fails the request instead of every corpus
+  const searchProfile = profile ? requireSearchProfile(profile) : null;
 
-    await mongoClient.connect();
+  console.log(`🔗 Combined ${searchType} search: "${query}" across ${searchCorpora.map(c => c.name).join(', ')}`);
 
-    // Validate both indexes exist
-    const bm25Validation = await validateDbCollectionIndex(
-      mongoClient, 
-      process.env.DB_NAME, 
-      process.env.COLLECTION_NAME, 
-      process.env.BM25_INDEX_NAME,
-      true
-    );
-    
-    const vectorValidation = await validateDbCollectionIndex(
-      mongoClient, 
-      process.env.DB_NAME, 
-      process.env.COLLECTION_NAME, 
-      process.env.VECTOR_INDEX_NAME,
-      true
-    );
+  // Per-corpus limits (default 5); a limit of 0 leaves the corpus out
+  const resolvedLimits = {};
+  searchCorpora.forEach(corpus => {
+    const requested = parseInt(limits[corpus.name]);
+    resolvedLimits[corpus.name] = Number.isNaN(requested) ? 5 : Math.max(0, requested);
+  });
+  const activeCorpora = searchCorpora.filter(corpus => resolvedLimits[corpus.name] > 0);
+  if (activeCorpora.length === 0) {
+    throw createHttpError(400, 'At least one corpus limit must be greater than 0');
+  }
 
-    if (!bm25Validation.ok) {
-      await mongoClient.close();
-      return res.status(400).json({ error: `BM25 Index: ${bm25Validation.error}` });
+  // One query embedding shared by every corpus
+  const queryEmbedding = searchType === 'bm25' ? null : await embeddingProvider.embed(query);
+
+  const settled = await Promise.allSettled(activeCorpora.map(corpus => {
+    const params = {
+      query,
+      limit: resolvedLimits[corpus.name],
+      filters: filters[corpus.name] || {},
+      corpus: corpus.name,
+      precomputedEmbedding: queryEmbedding
+    };
+    return pipeline.run(searchProfile ? applySearchProfile(searchProfile, searchType, params) : params);
+  }));
+
+  // A missing index on one corpus should not hide the other's results
+  const errors = {};
+  const corpusResults = [];
+  settled.forEach((outcome, index) => {
+    const corpus = activeCorpora[index];
+    if (outcome.status === 'fulfilled') {
+      corpusResults.push({ corpus, results: outcome.value.results, scoreField: pipeline.scoreField });
+    } else {
+      console.warn(`⚠️ Combined search: ${corpus.name} failed: ${outcome.reason.message}`);
+      errors[corpus.name] = outcome.reason.message;
     }
+  });
+
+  if (corpusResults.length === 0) {
+    throw settled[0].reason;
+  }
+
+  const { results, byCorpus } = combineCorpusResults(corpusResults, {
+    normalization,
+    limit: parseInt(limit) || null
+  });
 
-    if (!vectorValidation.ok) {
-      await mongoClient.close();
-      return res.status(400).json({ error: `Vector Index: ${vectorValidation.error}` });
+  const counts = Object.fromEntries(Object.entries(byCorpus).map(([name, items]) => [name, items.length]));
+  const totalTime = Date.now() - startTime;
+  console.log(`✅ Combined search complete: ${results.length} results in ${totalTime}ms`, counts);
+
+  return {
+    success: true,
+    searchType,
+    normalization,
+    searchBackend: getSearchBackendName(),
+    profile: searchProfile?.name || null,
+    query,
+    limits: resolvedLimits,
+    results,
+    byCorpus,
+    counts,
+    errors,
+    count: results.length,
+    totalTime,
+    cost: queryEmbedding?.cost || 0,
+    tokens: queryEmbedding?.tokens || 0,
+    timestamp: new Date().toISOString()
+  };
+}
+
+app.post('/api/search/combined', async (req, res) => {
+  try {
+    if (!req.body.query) {
+      return res.status(400).json({ error: 'Query is required' });
     }
 
-    const db = mongoClient.db(process.env.DB_NAME);
-    const collection = db.collection(process.env.COLLECTION_NAME);
+    res.json(await runCombinedSearch(req.body));
+  } catch (error) {
+    console.error('❌ Combined search error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'Combined search failed',
+      details: error.message
+    });
+  }
+});
 
-    const searchLimit = parseInt(limit) * 3; // Get more for better combination
+// ======================== User Story Search ========================
+// The /api/search* pipelines pinned to the user stories corpus (USER_STORIES_COLLECTION_NAME)
+const USER_STORY_SEARCH_ROUTES = [
+  ['/api/userstories/search', 'vector', runVectorSearch, 'User story search failed'],
+  ['/api/userstories/search/bm25', 'bm25', runBm25Search, 'User story BM25 search failed'],
+  ['/api/userstories/search/hybrid', 'hybrid', runHybridSearch, 'User story hybrid search failed'],
+  ['/api/userstories/search/rerank', 'rerank', runRerankSearch, 'User story reranking failed']
+];
+
+USER_STORY_SEARCH_ROUTES.forEach(([route, method, runSearch, failureMessage]) => {
+  app.post(route, async (req, res) => {
+    try {
+      if (!req.body.query) {
+        return res.status(400).json({ error: 'Query is required' });
+      }
 
-    // 1. BM25 Search
-    console.log('🔤 Running BM25 search...');
-    const bm25StartTime = Date.now();
-    
-    const bm25Pipeline = [
-      {
-        $search: {
-          index: process.env.BM25_INDEX_NAME,
-          text: {
-            query: query,
-            path: bm25Fields,
-            fuzzy: {
-              maxEdits: 1,
-              prefixLength: 2
-            }
-          }
-        }
-      },
-      {
-        $addFields: {
-          bm25Score: { $meta: "searchScore" }
-        }
-      },
-      {
-        $project: {
-          _id: 1,
-          id: 1,
-          module: 1,
-          title: 1,
-          description: 1,
-          steps: 1,
-          expectedResults: 1,
-          priority: 1,
-          risk: 1,
-          automationManual: 1,
-          sourceFile: 1,
-          createdAt: 1,
-          bm25Score: 1
-        }
-      },
-      { $limit: searchLimit }
-    ];
+      res.json(await runSearch(withSearchProfile(method, { ...req.body, corpus: 'userstories' })));
+    } catch (error) {
+      console.error(`❌ ${failureMessage}:`, error);
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      res.status(500).json({ error: failureMessage, details: error.message });
+    }
+  });
+});
 
-    const bm25Results = await collection.aggregate(bm25Pipeline).toArray();
-    const bm25Time = Date.now() - bm25StartTime;
+// ======================== Duplicate Story Detection ========================
 
-    // 2. Vector Search
-    console.log('🧠 Running vector search...');
-    const vectorStartTime = Date.now();
+// Story fields kept in duplicate reports
+const DUPLICATE_STORY_PROJECTION = { key: 1, summary: 1, description: 1, acceptanceCriteria: 1, epic: 1, status: 1, priority: 1 };
+
+// Attach the stored review decision (merge | keep-both | ignore) to each group of a report
+async function withDuplicateDecisions(groups) {
+  const decisions = await (await getDb()).collection(DUPLICATE_DECISIONS_COLLECTION)
+    .find({ groupId: { $in: groups.map(group => group.id) } })
+    .toArray();
+  const byGroup = new Map(decisions.map(decision => [decision.groupId, decision]));
+  return groups.map(group => {
+    const decision = byGroup.get(group.id);
+    return { ...group, decision: decision?.decision || null, note: decision?.note || '', decidedAt: decision?.updatedAt || null };
+  });
+}
+
+// Scan the user stories collection (optionally filtered) for near-duplicate stories
+app.post('/api/userstories/duplicates/scan', async (req, res) => {
+  try {
+    const {
+      threshold = 0.85,
+      embeddingWeight = 0.6,
+      maxDocFrequency = 0.5,
+      useEmbeddings = true,
+      filters = {}
+    } = req.body;
+
+    const errors = [];
+    [['threshold', threshold], ['embeddingWeight', embeddingWeight], ['maxDocFrequency', maxDocFrequency]].forEach(([name, value]) => {
+      if (typeof value !== 'number' || value < 0 || value > 1) errors.push(`${name} must be a number from 0 to 1`);
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid duplicate scan request', errors });
+    }
+
+    const searchCorpus = resolveSearchCorpus('userstories');
+    const matchConditions = resolveCorpusFilters(searchCorpus, filters);
+    const backend = await openSearchBackend({ ...corpusBackendOptions(searchCorpus) });
+    let stories;
+    try {
+      stories = await backend.find({
+        filters: matchConditions,
+        projection: { ...DUPLICATE_STORY_PROJECTION, ...(useEmbeddings && { embedding: 1 }) }
+      });
+    } finally {
+      await backend.close();
+    }
+    if (stories.length < 2) {
+      return res.status(400).json({ error: `Found ${stories.length} user stor${stories.length === 1 ? 'y' : 'ies'}; a duplicate scan needs at least 2` });
+    }
+
+    const jobId = createJob(stories.map(story => story.key));
+    const options = { threshold, embeddingWeight, maxDocFrequency, useEmbeddings, filters: matchConditions };
+    updateJob(jobId, { type: 'duplicate-scan', options });
+
+    // Start processing in background
+    processDuplicateScan(jobId, stories, searchCorpus, options);
+
+    res.json({
+      success: true,
+      jobId,
+      message: 'Duplicate scan started',
+      storiesCount: stories.length
+    });
+  } catch (error) {
+    console.error('❌ Duplicate scan error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Duplicate scan failed to start', details: error.message });
+  }
+});
+
+// Background processing for a duplicate scan; the report is stored in DUPLICATE_REPORTS_COLLECTION
+async function processDuplicateScan(jobId, stories, searchCorpus, options) {
+  try {
+    const startTime = Date.now();
+    const { vectors, sources } = options.useEmbeddings
+      ? await loadResultEmbeddings(stories, searchCorpus, 'auto')
+      : { vectors: null, sources: null };
+
+    const detection = await findDuplicateGroups({
+      items: stories.map(({ _id, embedding, ...story }) => story),
+      vectors,
+      threshold: options.threshold,
+      embeddingWeight: options.embeddingWeight,
+      maxDocFrequency: options.maxDocFrequency,
+      onProgress: (compared) => updateJob(jobId, { progress: compared })
+    });
+
+    const report = {
+      storyCount: stories.length,
+      filters: options.filters,
+      options: detection.options,
+      embeddings: sources,
+      templateTokens: detection.templateTokens,
+      pairCount: detection.pairCount,
+      groupCount: detection.groups.length,
+      duplicateStoryCount: detection.groups.reduce((sum, group) => sum + group.size, 0),
+      groups: detection.groups,
+      duration: Date.now() - startTime,
+      jobId,
+      createdAt: new Date()
+    };
+
+    let reportId = null;
+    let persistError = null;
+    try {
+      ({ insertedId: reportId } = await (await getDb()).collection(DUPLICATE_REPORTS_COLLECTION).insertOne(report));
+      report.groups = await withDuplicateDecisions(report.groups);
+    } catch (error) {
+      console.warn('⚠️ Failed to store duplicate report:', error.message);
+      persistError = error.message;
+    }
+
+    console.log(`🧬 Duplicate scan of ${stories.length} stories: ${report.groupCount} candidate groups (${report.pairCount} pairs)`);
+
+    updateJob(jobId, {
+      status: 'completed',
+      endTime: new Date(),
+      currentFile: null,
+      reportId,
+      persistError,
+      report: { ...report, _id: reportId }
+    });
+  } catch (error) {
+    console.error('❌ Duplicate scan failed:', error);
+    updateJob(jobId, { status: 'failed', error: error.message, endTime: new Date(), currentFile: null });
+  }
+}
+
+// Duplicate reports, newest first (without their groups)
+app.get('/api/userstories/duplicates/reports', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const reports = await (await getDb()).collection(DUPLICATE_REPORTS_COLLECTION)
+      .find({}, { projection: { groups: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+    res.json({ success: true, reports });
+  } catch (error) {
+    console.error('❌ Error listing duplicate reports:', error);
+    res.status(500).json({ error: 'Failed to list duplicate reports', details: error.message });
+  }
+});
+
+// One report ('latest' for the newest) with the current review decisions
+app.get('/api/userstories/duplicates/reports/:reportId', async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    if (reportId !== 'latest' && !ObjectId.isValid(reportId)) {
+      return res.status(400).json({ error: `Invalid duplicate report id '${reportId}'` });
+    }
+
+    const reports = (await getDb()).collection(DUPLICATE_REPORTS_COLLECTION);
+    const report = reportId === 'latest'
+      ? await reports.find({}).sort({ createdAt: -1 }).limit(1).next()
+      : await reports.findOne({ _id: new ObjectId(reportId) });
+    if (!report) {
+      return res.status(404).json({ error: reportId === 'latest' ? 'No duplicate reports yet' : `Duplicate report '${reportId}' not found` });
+    }
+
+    res.json({ success: true, report: { ...report, groups: await withDuplicateDecisions(report.groups) } });
+  } catch (error) {
+    console.error('❌ Error loading duplicate report:', error);
+    res.status(500).json({ error: 'Failed to load duplicate report', details: error.message });
+  }
+});
+
+// Review decisions, most recent first
+app.get('/api/userstories/duplicates/decisions', async (req, res) => {
+  try {
+    const query = req.query.decision ? { decision: req.query.decision } : {};
+    const decisions = await (await getDb()).collection(DUPLICATE_DECISIONS_COLLECTION)
+      .find(query)
+      .sort({ updatedAt: -1 })
+      .toArray();
+    res.json({ success: true, decisions });
+  } catch (error) {
+    console.error('❌ Error listing duplicate decisions:', error);
+    res.status(500).json({ error: 'Failed to list duplicate decisions', details: error.message });
+  }
+});
+
+// Record the decision for a group; decisions are keyed by group id, which is derived from the member keys
+app.put('/api/userstories/duplicates/decisions/:groupId', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { decision, note = '', members = [] } = req.body;
+    if (!DUPLICATE_DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `decision must be one of ${DUPLICATE_DECISIONS.join(', ')}` });
+    }
+    if (!Array.isArray(members) || members.some(key => typeof key !== 'string')) {
+      return res.status(400).json({ error: 'members must be an array of story keys' });
+    }
+
+    const now = new Date();
+    await (await getDb()).collection(DUPLICATE_DECISIONS_COLLECTION).updateOne(
+      { groupId },
+      {
+        $set: { groupId, decision, note: String(note), members, updatedAt: now },
+        $setOnInsert: { createdAt: now }
+      },
+      { upsert: true }
+    );
+
+    console.log(`🧬 Duplicate group ${groupId} marked '${decision}'`);
+    res.json({ success: true, groupId, decision, note: String(note), decidedAt: now });
+  } catch (error) {
+    console.error('❌ Error saving duplicate decision:', error);
+    res.status(500).json({ error: 'Failed to save duplicate decision', details: error.message });
+  }
+});
+
+// Clear the decision for a group (back to undecided)
+app.delete('/api/userstories/duplicates/decisions/:groupId', async (req, res) => {
+  try {
+    const { deletedCount } = await (await getDb()).collection(DUPLICATE_DECISIONS_COLLECTION).deleteOne({ groupId: req.params.groupId });
+    if (deletedCount === 0) {
+      return res.status(404).json({ error: `No decision for duplicate group '${req.params.groupId}'` });
+    }
+    res.json({ success: true, groupId: req.params.groupId });
+  } catch (error) {
+    console.error('❌ Error clearing duplicate decision:', error);
+    res.status(500).json({ error: 'Failed to clear duplicate decision', details: error.message });
+  }
+});
+
+// ======================== Retrieval Evaluation ========================
+
+// Query → relevant-document judgments, kept in src/data so they can be reviewed like code
+const RELEVANCE_JUDGMENTS_FILE = path.join(__dirname, '../src/data/relevance-judgments.json');
+
+function loadJudgments() {
+  if (!fs.existsSync(RELEVANCE_JUDGMENTS_FILE)) return [];
+  return JSON.parse(fs.readFileSync(RELEVANCE_JUDGMENTS_FILE, 'utf-8'));
+}
+
+// Ranked document ids from one retrieval method (params override the route defaults, e.g. tuner trials)
+async function runRetrievalMethod(method, { query, corpus, k, precomputedEmbedding, params = {} }) {
+  const searchCorpus = resolveSearchCorpus(corpus);
+  let data;
+
+  if (method.id === 'vector') {
+    data = await runVectorSearch({ query, limit: k, corpus, precomputedEmbedding });
+  } else if (method.id === 'bm25') {
+    data = await runBm25Search({ query, limit: k, corpus });
+  } else if (method.id === 'hybrid') {
+    data = await runHybridSearch({ ...params, query, limit: k, corpus, precomputedEmbedding });
+  } else {
+    data = await runRerankSearch({
+      ...params,
+      query,
+      limit: k,
+      corpus,
+      fusionMethod: method.fusionMethod,
+      crossEncoder: false,
+      llmRerank: false,
+      precomputedEmbedding
+    });
+  }
+
+  return data.results.map(doc => String(doc[searchCorpus.idField]));
+}
+
+// Run every method over every judgment and score the rankings
+async function runRetrievalEvaluation({ judgments, k = 10, methods = RETRIEVAL_METHOD_IDS }) {
+  const startTime = Date.now();
+  const cutoff = Math.max(1, Math.min(100, parseInt(k) || 10));
+  const selected = RETRIEVAL_METHODS.filter(method => methods.includes(method.id));
+  if (selected.length === 0) {
+    throw createHttpError(400, `No known methods in '${methods.join(', ')}' (use ${RETRIEVAL_METHOD_IDS.join(', ')})`);
+  }
+
+  console.log(`📏 Evaluating ${selected.length} retrieval methods on ${judgments.length} judged queries (k=${cutoff})`);
+
+  const queries = [];
+  for (const judgment of judgments) {
+    const needsEmbedding = selected.some(method => method.id !== 'bm25');
+    let precomputedEmbedding = null;
+    let embeddingError = null;
+    if (needsEmbedding) {
+      try {
+        precomputedEmbedding = await embeddingProvider.embed(judgment.query);
+      } catch (error) {
+        embeddingError = error.message;
+      }
+    }
+
+    const methodResults = {};
+    for (const method of selected) {
+      if (embeddingError && method.id !== 'bm25') {
+        methodResults[method.id] = { error: `Embedding failed: ${embeddingError}` };
+        continue;
+      }
+      const methodStart = Date.now();
+      try {
+        const rankedIds = await runRetrievalMethod(method, { query: judgment.query, corpus: judgment.corpus, k: cutoff, precomputedEmbedding });
+        methodResults[method.id] = { ...evaluateRanking(rankedIds, judgment.relevant, cutoff), time: Date.now() - methodStart };
+      } catch (error) {
+        console.warn(`⚠️ ${method.label} failed for '${judgment.id}':`, error.message);
+        methodResults[method.id] = { error: error.message, time: Date.now() - methodStart };
+      }
+    }
+
+    queries.push({
+      id: judgment.id,
+      query: judgment.query,
+      corpus: judgment.corpus,
+      relevantCount: Object.values(judgment.relevant).filter(grade => grade > 0).length,
+      methods: methodResults
+    });
+  }
+
+  const methodIds = selected.map(method => method.id);
+  return {
+    success: true,
+    k: cutoff,
+    methods: selected,
+    summary: summarizeEvaluation(queries, methodIds),
+    queries,
+    totalTime: Date.now() - startTime,
+    timestamp: new Date().toISOString()
+  };
+}
+
+app.get('/api/evaluation/judgments', (req, res) => {
+  try {
+    res.json({ success: true, judgments: loadJudgments(), methods: RETRIEVAL_METHODS });
+  } catch (error) {
+    console.error('❌ Error loading relevance judgments:', error);
+    res.status(500).json({ error: 'Failed to load relevance judgments', details: error.message });
+  }
+});
+
+// Replace the stored judgments (validated as a whole so the file never holds a broken set)
+app.put('/api/evaluation/judgments', (req, res) => {
+  try {
+    const { judgments, errors } = parseJudgments(req.body.judgments);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Judgments have ${errors.length} problem${errors.length === 1 ? '' : 's'}`, errors });
+    }
+
+    fs.writeFileSync(RELEVANCE_JUDGMENTS_FILE, `${JSON.stringify(judgments, null, 2)}\n`);
+    console.log(`📏 Saved ${judgments.length} relevance judgments`);
+    res.json({ success: true, judgments, count: judgments.length });
+  } catch (error) {
+    console.error('❌ Error saving relevance judgments:', error);
+    res.status(500).json({ error: 'Failed to save relevance judgments', details: error.message });
+  }
+});
+
+// Judgments for a run: the ones sent in the body or the stored set, narrowed by corpus and query ids
+function selectJudgments({ judgments: provided, corpus, queryIds }) {
+  const { judgments, errors } = parseJudgments(provided || loadJudgments());
+  if (errors.length > 0) return { judgments: [], errors };
+
+  let selected = judgments;
+  if (corpus) selected = selected.filter(judgment => judgment.corpus === String(corpus).toLowerCase());
+  if (Array.isArray(queryIds)) selected = selected.filter(judgment => queryIds.includes(judgment.id));
+  return { judgments: selected, errors: [] };
+}
+
+// Evaluate methods against the stored judgments (or judgments sent in the body); used by the CLI and the Evaluation page
+app.post('/api/evaluation/run', async (req, res) => {
+  try {
+    const { judgments, errors } = selectJudgments(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Judgments have ${errors.length} problem${errors.length === 1 ? '' : 's'}`, errors });
+    }
+    if (judgments.length === 0) {
+      return res.status(400).json({ error: 'No relevance judgments to evaluate' });
+    }
+
+    res.json(await runRetrievalEvaluation({
+      judgments,
+      k: req.body.k,
+      methods: req.body.methods || RETRIEVAL_METHOD_IDS
+    }));
+  } catch (error) {
+    console.error('❌ Retrieval evaluation error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Retrieval evaluation failed', details: error.message });
+  }
+});
+
+// ======================== Search Profiles & Tuning ========================
+
+// Named search parameter sets, stored next to the judgments they are tuned on; built-in profiles are read-only
+const SEARCH_PROFILES_FILE = path.join(__dirname, '../src/data/search-profiles.json');
+
+function loadSearchProfiles() {
+  if (!fs.existsSync(SEARCH_PROFILES_FILE)) return [];
+  return JSON.parse(fs.readFileSync(SEARCH_PROFILES_FILE, 'utf-8'));
+}
+
+function writeSearchProfiles(profiles) {
+  profiles.sort((a, b) => a.name.localeCompare(b.name));
+  fs.writeFileSync(SEARCH_PROFILES_FILE, `${JSON.stringify(profiles, null, 2)}\n`);
+}
+
+function findSearchProfile(name) {
+  return [...BUILT_IN_SEARCH_PROFILES, ...loadSearchProfiles()].find(profile => profile.name === name) || null;
+}
+
+function isBuiltInSearchProfile(name) {
+  return BUILT_IN_SEARCH_PROFILES.some(profile => profile.name === name);
+}
+
+// Insert or replace a stored profile by name
+function saveSearchProfile(profile) {
+  writeSearchProfiles([...loadSearchProfiles().filter(existing => existing.name !== profile.name), profile]);
+  return profile;
+}
+
+function requireSearchProfile(name) {
+  const profile = findSearchProfile(String(name));
+  if (!profile) {
+    throw createHttpError(404, `Search profile '${name}' not found`);
+  }
+  return profile;
+}
+
+// Fill a search request's unset parameters from its `profile`
+function withSearchProfile(route, params) {
+  if (!params.profile) return params;
+  return applySearchProfile(requireSearchProfile(params.profile), route, params);
+}
+
+app.get('/api/search/profiles', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      profiles: [...BUILT_IN_SEARCH_PROFILES, ...loadSearchProfiles()],
+      defaults: DEFAULT_SEARCH_PARAMS
+    });
+  } catch (error) {
+    console.error('❌ Error loading search profiles:', error);
+    res.status(500).json({ error: 'Failed to load search profiles', details: error.message });
+  }
+});
+
+app.get('/api/search/profiles/:name', (req, res) => {
+  try {
+    res.json({ success: true, profile: requireSearchProfile(req.params.name) });
+  } catch (error) {
+    console.error('❌ Error loading search profile:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to load search profile', details: error.message });
+  }
+});
+
+app.post('/api/search/profiles', (req, res) => {
+  try {
+    const { profile, errors } = normalizeSearchProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid search profile', errors });
+    }
+    if (findSearchProfile(profile.name)) {
+      return res.status(409).json({ error: `Search profile '${profile.name}' already exists` });
+    }
+
+    const now = new Date().toISOString();
+    const saved = saveSearchProfile({ ...profile, createdAt: now, updatedAt: now });
+    console.log(`🎛️ Created search profile '${saved.name}'`);
+    res.json({ success: true, profile: saved });
+  } catch (error) {
+    console.error('❌ Error creating search profile:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to create search profile', details: error.message });
+  }
+});
+
+// Replace a stored profile's settings (the name comes from the URL)
+app.put('/api/search/profiles/:name', (req, res) => {
+  try {
+    const { name } = req.params;
+    if (isBuiltInSearchProfile(name)) {
+      return res.status(409).json({ error: `'${name}' is a built-in profile; save a copy under another name` });
+    }
+    const existing = requireSearchProfile(name);
+
+    const { profile, errors } = normalizeSearchProfile({ tuning: existing.tuning, ...req.body, name });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid search profile', errors });
+    }
+
+    const saved = saveSearchProfile({ ...profile, createdAt: existing.createdAt, updatedAt: new Date().toISOString() });
+    console.log(`🎛️ Updated search profile '${name}'`);
+    res.json({ success: true, profile: saved });
+  } catch (error) {
+    console.error('❌ Error updating search profile:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update search profile', details: error.message });
+  }
+});
+
+app.delete('/api/search/profiles/:name', (req, res) => {
+  try {
+    const { name } = req.params;
+    if (isBuiltInSearchProfile(name)) {
+      return res.status(409).json({ error: `'${name}' is a built-in profile and cannot be deleted` });
+    }
+    requireSearchProfile(name);
+
+    writeSearchProfiles(loadSearchProfiles().filter(profile => profile.name !== name));
+    console.log(`🎛️ Deleted search profile '${name}'`);
+    res.json({ success: true, name });
+  } catch (error) {
+    console.error('❌ Error deleting search profile:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to delete search profile', details: error.message });
+  }
+});
+
+// Tune hybrid weights or rerank fusion parameters and BM25 boosts on the judgments; the best
+// parameters are saved as the named profile's section for that route
+app.post('/api/search/tune', (req, res) => {
+  try {
+    const {
+      route = 'rerank',
+      fusionMethod = DEFAULT_SEARCH_PARAMS.rerank.fusionMethod,
+      metric = 'ndcg',
+      profileName,
+      description,
+      baseProfile,
+      tuneBoosts = true
+    } = req.body;
+    const k = Math.max(1, Math.min(100, parseInt(req.body.k) || 10));
+
+    if (!['hybrid', 'rerank'].includes(route)) {
+      return res.status(400).json({ error: "route must be 'hybrid' or 'rerank'" });
+    }
+    if (route === 'rerank' && !FUSION_METHODS.includes(fusionMethod)) {
+      return res.status(400).json({ error: `fusionMethod must be one of ${FUSION_METHODS.join(', ')}` });
+    }
+    if (!TUNING_METRICS.includes(metric)) {
+      return res.status(400).json({ error: `metric must be one of ${TUNING_METRICS.join(', ')}` });
+    }
+    if (!PROFILE_NAME_PATTERN.test(String(profileName || ''))) {
+      return res.status(400).json({ error: 'profileName is required (letters, digits, - or _)' });
+    }
+    if (isBuiltInSearchProfile(profileName)) {
+      return res.status(409).json({ error: `'${profileName}' is a built-in profile; tune into another name` });
+    }
+
+    const { judgments, errors } = selectJudgments(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Judgments have ${errors.length} problem${errors.length === 1 ? '' : 's'}`, errors });
+    }
+    if (judgments.length === 0) {
+      return res.status(400).json({ error: 'No relevance judgments to tune on' });
+    }
+
+    // Start from the defaults, or from another profile's values
+    const base = baseProfile ? findSearchProfile(baseProfile) : null;
+    if (baseProfile && !base) {
+      return res.status(404).json({ error: `Search profile '${baseProfile}' not found` });
+    }
+    const defaults = DEFAULT_SEARCH_PARAMS[route];
+    const baseline = route === 'hybrid'
+      ? { ...defaults, ...base?.hybrid }
+      : {
+        ...defaults,
+        ...base?.rerank,
+        fusionMethod,
+        fieldWeights: { ...defaults.fieldWeights, ...base?.rerank?.fieldWeights }
+      };
+
+    const corpora = [...new Set(judgments.map(judgment => judgment.corpus))];
+    const stages = planTuningStages({ route, fusionMethod, tuneBoosts });
+
+    const jobId = createJob(judgments.map(judgment => judgment.id));
+    updateJob(jobId, {
+      type: 'search-tuning',
+      route,
+      fusionMethod: route === 'rerank' ? fusionMethod : null,
+      metric,
+      k,
+      profileName,
+      stages,
+      total: estimateTrialCount({ stages, baseline, corpora })
+    });
+
+    // Start tuning in background
+    processSearchTuning(jobId, judgments, { route, baseline, metric, k, corpora, tuneBoosts, profileName, description });
+
+    res.json({
+      success: true,
+      jobId,
+      message: 'Search tuning started',
+      judgmentsCount: judgments.length,
+      stages
+    });
+  } catch (error) {
+    console.error('❌ Search tuning error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Search tuning failed to start', details: error.message });
+  }
+});
+
+// Background tuning run: every trial re-scores all judgments with the trial's parameters
+async function processSearchTuning(jobId, judgments, { route, baseline, metric, k, corpora, tuneBoosts, profileName, description }) {
+  const method = route === 'hybrid'
+    ? RETRIEVAL_METHODS.find(candidate => candidate.id === 'hybrid')
+    : RETRIEVAL_METHODS.find(candidate => candidate.fusionMethod === baseline.fusionMethod);
+
+  try {
+    // Embed each query once; only the BM25 side depends on the tuned parameters
+    const embeddings = new Map();
+    for (const judgment of judgments) {
+      embeddings.set(judgment.id, await embeddingProvider.embed(judgment.query));
+    }
+
+    const evaluate = async ({ fieldWeights, ...params }) => {
+      const queries = [];
+      for (const judgment of judgments) {
+        const rankedIds = await runRetrievalMethod(method, {
+          query: judgment.query,
+          corpus: judgment.corpus,
+          k,
+          precomputedEmbedding: embeddings.get(judgment.id),
+          params: { ...params, fieldWeights: fieldWeights?.[judgment.corpus] }
+        });
+        queries.push({ methods: { [method.id]: evaluateRanking(rankedIds, judgment.relevant, k) } });
+      }
+      const { recall, mrr, ndcg } = summarizeEvaluation(queries, [method.id])[method.id];
+      return { recall, mrr, ndcg };
+    };
+
+    const tuning = await tuneSearchParameters({
+      route,
+      baseline,
+      evaluate,
+      metric,
+      corpora,
+      tuneBoosts,
+      onTrial: (trial, { completed, best }) => {
+        updateJob(jobId, {
+          progress: completed,
+          currentFile: trial.label,
+          best: { label: best.label, score: best.score, metrics: best.metrics }
+        });
+      }
+    });
+
+    const { fusionMethod, bm25Weight, vectorWeight, rrfK, fieldWeights } = tuning.best.params;
+    const section = route === 'hybrid'
+      ? { bm25Weight, vectorWeight }
+      : { fusionMethod, bm25Weight, vectorWeight, rrfK, fieldWeights: Object.fromEntries(corpora.map(corpus => [corpus, fieldWeights[corpus]])) };
+
+    // Merge into an existing profile so hybrid and rerank can be tuned into the same name
+    const existing = findSearchProfile(profileName);
+    const now = new Date().toISOString();
+    const { profile, errors } = normalizeSearchProfile({
+      ...existing,
+      name: profileName,
+      description: description || existing?.description || `Tuned on ${judgments.length} judged queries (${metric}@${k})`,
+      [route]: section,
+      tuning: {
+        ...existing?.tuning,
+        [route]: {
+          metric,
+          k,
+          judgments: judgments.length,
+          corpora,
+          baselineScore: tuning.baseline.score,
+          score: tuning.best.score,
+          improvement: tuning.improvement,
+          trials: tuning.trials.length,
+          tunedAt: now
+        }
+      }
+    });
+    if (errors.length > 0) {
+      throw new Error(`Tuned profile is invalid: ${errors.join('; ')}`);
+    }
+    const saved = saveSearchProfile({ ...profile, createdAt: existing?.createdAt || now, updatedAt: now });
+
+    console.log(`🎛️ Search tuning ${jobId} complete: ${metric}@${k} ${tuning.baseline.score} → ${tuning.best.score} (${tuning.best.label}), saved as '${profileName}'`);
+
+    updateJob(jobId, {
+      status: 'completed',
+      endTime: new Date(),
+      currentFile: null,
+      progress: tuning.trials.length,
+      total: tuning.trials.length,
+      tuning,
+      profile: saved
+    });
+  } catch (error) {
+    console.error(`❌ Search tuning ${jobId} failed:`, error.message);
+    updateJob(jobId, {
+      status: 'failed',
+      endTime: new Date(),
+      currentFile: null,
+      error: error.message
+    });
+  }
+}
+
+// ======================== Prompt Registry ========================
+
+// prompt_versions collection with a unique version number (index created once per process)
+let promptVersionsIndexReady = null;
+async function getPromptVersionsCollection() {
+  const collection = (await getDb()).collection(PROMPT_VERSIONS_COLLECTION);
+  if (!promptVersionsIndexReady) {
+    promptVersionsIndexReady = collection.createIndex({ version: 1 }, { unique: true })
+      .catch(error => {
+        promptVersionsIndexReady = null;
+        throw error;
+      });
+  }
+  await promptVersionsIndexReady;
+  return collection;
+}
+
+// Load one registry version (404 when it does not exist)
+async function findPromptVersion(versionRef) {
+  const version = parsePromptVersion(versionRef);
+  if (version === null) {
+    throw createHttpError(400, `Invalid prompt version '${versionRef}' (expected a number such as 3 or v3)`);
+  }
+
+  const doc = await (await getPromptVersionsCollection()).findOne({ version });
+  if (!doc) {
+    throw createHttpError(404, `Prompt version ${formatPromptVersion(version)} not found`);
+  }
+  return doc;
+}
+
+// Template, schema and version label for a rating run:
+// an ad-hoc template (labelled by promptVersion or matched to a stored version by hash),
+// else an explicit registry version, else the active version, else the built-in default
+async function resolveRatingPrompt({ promptTemplate, promptVersion, jsonSchema }) {
+  if (promptTemplate) {
+    let label = promptVersion || null;
+    if (!label) {
+      try {
+        const match = await (await getPromptVersionsCollection()).findOne(
+          { promptHash: hashPromptTemplate(promptTemplate), schemaHash: hashJsonSchema(resolveResponseSchema(jsonSchema).schema) },
+          { sort: { version: -1 }, projection: { label: 1 } }
+        );
+        label = match?.label || null;
+      } catch (error) {
+        if (error.status) throw error;
+        console.warn('⚠️ Prompt registry lookup failed:', error.message);
+      }
+    }
+    return { promptTemplate, jsonSchema, promptVersion: label };
+  }
+
+  if (promptVersion) {
+    const doc = await findPromptVersion(promptVersion);
+    return { promptTemplate: doc.promptTemplate, jsonSchema: jsonSchema || doc.jsonSchema, promptVersion: doc.label };
+  }
+
+  try {
+    const active = await (await getPromptVersionsCollection()).findOne({ active: true });
+    if (active) {
+      return { promptTemplate: active.promptTemplate, jsonSchema: jsonSchema || active.jsonSchema, promptVersion: active.label };
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not load the active prompt version, using the default template:', error.message);
+  }
+
+  return { promptTemplate: DEFAULT_PROMPT_TEMPLATE, jsonSchema, promptVersion: null };
+}
+
+// Summary fields for version lists (template and schema are fetched per version)
+const PROMPT_VERSION_LIST_PROJECTION = { promptTemplate: 0, jsonSchema: 0 };
+
+// List versions, newest first
+app.get('/api/prompts/versions', async (req, res) => {
+  try {
+    const collection = await getPromptVersionsCollection();
+    const versions = await collection
+      .find({}, { projection: PROMPT_VERSION_LIST_PROJECTION })
+      .sort({ version: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      versions,
+      activeVersion: versions.find(version => version.active)?.version ?? null,
+      count: versions.length
+    });
+  } catch (error) {
+    console.error('❌ Error listing prompt versions:', error);
+    res.status(500).json({ error: 'Failed to list prompt versions', details: error.message });
+  }
+});
+
+// Active version with template and schema
+app.get('/api/prompts/active', async (req, res) => {
+  try {
+    const active = await (await getPromptVersionsCollection()).findOne({ active: true });
+    res.json({ success: true, version: active || null });
+  } catch (error) {
+    console.error('❌ Error loading active prompt version:', error);
+    res.status(500).json({ error: 'Failed to load active prompt version', details: error.message });
+  }
+});
+
+// Save the next version (optionally activating it)
+app.post('/api/prompts/versions', async (req, res) => {
+  try {
+    const { promptTemplate, jsonSchema, author, notes = '', activate = false } = req.body;
+
+    if (!promptTemplate || !promptTemplate.trim()) {
+      return res.status(400).json({ error: 'promptTemplate is required' });
+    }
+    if (!author || !String(author).trim()) {
+      return res.status(400).json({ error: 'author is required' });
+    }
+
+    // Stored explicitly so a version keeps its schema even if the built-in default changes
+    const { schema } = resolveResponseSchema(jsonSchema);
+    const collection = await getPromptVersionsCollection();
+
+    let doc = null;
+    // Two concurrent saves can pick the same number; the unique index rejects one and it retries
+    for (let attempt = 0; attempt < 3 && !doc; attempt++) {
+      const previous = await collection.findOne({}, { sort: { version: -1 } });
+      if (previous && previous.promptHash === hashPromptTemplate(promptTemplate) && previous.schemaHash === hashJsonSchema(schema)) {
+        return res.status(409).json({ error: `No changes since ${previous.label}`, version: previous.version });
+      }
+
+      const candidate = buildPromptVersion(
+        { promptTemplate, jsonSchema: schema, author: String(author).trim(), notes: String(notes).trim() },
+        { version: (previous?.version || 0) + 1, previous }
+      );
+      try {
+        const { insertedId } = await collection.insertOne(candidate);
+        doc = { ...candidate, _id: insertedId };
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    if (!doc) {
+      throw createHttpError(409, 'Could not allocate a version number, please retry');
+    }
+
+    if (activate) {
+      await activatePromptVersion(collection, doc.version, doc.author);
+      doc.active = true;
+    }
+
+    console.log(`📝 Saved prompt ${doc.label} by ${doc.author}${activate ? ' (active)' : ''}`);
+    res.json({ success: true, version: doc });
+  } catch (error) {
+    console.error('❌ Error saving prompt version:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to save prompt version', details: error.message });
+  }
+});
+
+// One version with template and schema
+app.get('/api/prompts/versions/:version', async (req, res) => {
+  try {
+    res.json({ success: true, version: await findPromptVersion(req.params.version) });
+  } catch (error) {
+    console.error('❌ Error loading prompt version:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to load prompt version', details: error.message });
+  }
+});
+
+// Line diff of template and schema against another version (default: the previous one)
+app.get('/api/prompts/versions/:version/diff', async (req, res) => {
+  try {
+    const current = await findPromptVersion(req.params.version);
+    const againstRef = req.query.against ?? current.previousVersion;
+    const against = againstRef !== null && againstRef !== undefined ? await findPromptVersion(againstRef) : null;
+
+    res.json({
+      success: true,
+      version: current.version,
+      against: against?.version ?? null,
+      ...diffPromptVersions(against, current)
+    });
+  } catch (error) {
+    console.error('❌ Error diffing prompt versions:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to diff prompt versions', details: error.message });
+  }
+});
+
+// Mark exactly one version active
+async function activatePromptVersion(collection, version, activatedBy = null) {
+  await collection.updateMany({ active: true, version: { $ne: version } }, { $set: { active: false } });
+  await collection.updateOne({ version }, { $set: { active: true, activatedAt: new Date(), activatedBy } });
+}
+
+// Use a version for ratings that don't send their own template
+app.post('/api/prompts/versions/:version/activate', async (req, res) => {
+  try {
+    const doc = await findPromptVersion(req.params.version);
+    await activatePromptVersion(await getPromptVersionsCollection(), doc.version, req.body?.author || null);
+
+    console.log(`✅ Prompt ${doc.label} is now active`);
+    res.json({ success: true, activeVersion: doc.version, label: doc.label });
+  } catch (error) {
+    console.error('❌ Error activating prompt version:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to activate prompt version', details: error.message });
+  }
+});
+
+// ======================== User Story Rating ========================
+
+// Strip stored embeddings to keep LLM prompts and API payloads small
+function stripEmbedding(result) {
+  const { embedding, ...rest } = result;
+  return rest;
+}
+
+// Schema the rating response must satisfy: the built-in rating schema or one edited in PromptSchemaManager
+function resolveResponseSchema(jsonSchema) {
+  if (jsonSchema === undefined || jsonSchema === null || jsonSchema === '') {
+    return { schema: RATING_RESPONSE_SCHEMA, custom: false };
+  }
+
+  let schema = jsonSchema;
+  if (typeof schema === 'string') {
+    try {
+      schema = JSON.parse(schema);
+    } catch (error) {
+      throw createHttpError(400, `jsonSchema is not valid JSON: ${error.message}`);
+    }
+  }
+
+  try {
+    compileResponseSchema(schema);
+  } catch (error) {
+    throw createHttpError(400, error.message);
+  }
+  return { schema, custom: hashJsonSchema(schema) !== hashJsonSchema(RATING_RESPONSE_SCHEMA) };
+}
+
+// Re-prompts allowed after the first answer fails validation (RATING_MAX_REPAIR_ATTEMPTS, default 2)
+function resolveMaxRepairAttempts(value = process.env.RATING_MAX_REPAIR_ATTEMPTS) {
+  const attempts = parseInt(value);
+  return Number.isNaN(attempts) ? 2 : Math.max(0, Math.min(5, attempts));
+}
+
+// Generate a rating and re-prompt with the parse/schema errors until it validates or attempts run out
+// With onToken every attempt is streamed (onToken(text, attempt)); onRepair(attempt, errors) runs before each re-prompt
+async function generateValidatedRating(prompt, {
+  schema,
+  customSchema = false,
+  maxRepairAttempts = 2,
+  temperature = 0.5,
+  maxTokens = 10000,
+  model = llmProvider.model,
+  onToken = null,
+  onRepair = null,
+  signal
+}) {
+  console.log(`🤖 Generating rating with ${llmProvider.name} (${model}), up to ${maxRepairAttempts} repair attempts`);
+
+  const messages = [{ role: 'user', content: prompt }];
+  const attempts = [];
+  const usage = { prompt: 0, completion: 0, total: 0 };
+  const cost = { input: 0, output: 0, total: 0 };
+  let completion, parsed, errors;
+
+  for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+    completion = onToken
+      ? await llmProvider.chatStream(messages, { temperature, maxTokens, model, signal, onToken: (text) => onToken(text, attempt + 1) })
+      : await llmProvider.chat(messages, { temperature, maxTokens, model });
+    Object.keys(usage).forEach(key => { usage[key] += completion.usage?.[key] || 0; });
+    Object.keys(cost).forEach(key => { cost[key] += completion.cost?.[key] || 0; });
+
+    const parseResult = parseRatingResponse(completion.content);
+    parsed = parseResult.parsed;
+    errors = parseResult.errors.length > 0 ? parseResult.errors : validateRatingResponse(parsed, schema);
+    attempts.push({ attempt: attempt + 1, passed: errors.length === 0, errors });
+
+    if (errors.length === 0 || attempt === maxRepairAttempts) break;
+
+    console.warn(`⚠️ Rating failed validation (${errors.length} errors), re-prompting (${attempt + 1}/${maxRepairAttempts})`);
+    if (onRepair) onRepair(attempt + 1, errors);
+    messages.push(
+      { role: 'assistant', content: completion.content },
+      { role: 'user', content: buildRepairPrompt(errors, schema) }
+    );
+  }
+
+  const passed = errors.length === 0;
+  return {
+    response: parsed,
+    validation: {
+      passed,
+      errors,
+      schema: customSchema ? 'custom' : 'default',
+      attempts,
+      repairAttempts: attempts.length - 1,
+      repaired: passed && attempts.length > 1
+    },
+    tokens: usage,
+    cost: formatCompletionCost(cost),
+    model: completion.model,
+    provider: completion.provider
+  };
+}
+
+// Complete RAG rating pipeline: Preprocess → Hybrid → Rerank → Dedup → Summarize → Prompt → Generate → Validate/Repair
+async function rateUserStory(userStory, options = {}) {
+  const {
+    maxRepairAttempts = resolveMaxRepairAttempts(),
+    temperature = 0.5,
+    maxTokens = 10000,
+    model = llmProvider.model,
+    contextBudget = RATING_CONTEXT_TOKENS, // Most tokens spent on reference stories
+    persist = true,
+    source = 'api',
+    jobId = null,
+    onEvent = null, // Progress callback (event, data) for streaming: step, token and repair events
+    signal = null // Aborts the remaining steps (and a streamed generation) when the client goes away
+  } = options;
+
+  const pipelineStart = Date.now();
+  const { promptTemplate, promptVersion, jsonSchema } = await resolveRatingPrompt(options);
+  const responseSchema = resolveResponseSchema(jsonSchema);
+  const timings = {};
+  const emit = (event, data) => {
+    if (onEvent) onEvent(event, data);
+  };
+  const timeStep = async (name, fn) => {
+    if (signal?.aborted) {
+      throw new Error('Rating cancelled: the client disconnected');
+    }
+    const stepStart = Date.now();
+    let status = 'failed';
+    emit('step', { step: name, status: 'running' });
+    try {
+      const result = await fn();
+      status = 'done';
+      return result;
+    } finally {
+      timings[name] = Date.now() - stepStart;
+      emit('step', { step: name, status, time: timings[name] });
+    }
+  };
+
+  // STEP 1: User Story Input
+  const userStoryText = formatUserStory(userStory);
+  if (!userStoryText) {
+    throw createHttpError(400, 'User story input is required');
+  }
+  const storyKey = extractStoryKey(userStory);
+  console.log(`📝 Rating user story ${storyKey || '(no key)'} with prompt ${promptVersion || 'template (unregistered)'}`);
+
+  // STEP 2: Query Preprocessing (Normalize → Abbreviations → Synonyms)
+  // Retrieval uses the normalized, abbreviation-expanded query. This deliberately differs from the old client
+  // pipeline, which read a processedQuery field preprocessQuery never returns and so searched the original text
+  const preprocessing = await timeStep('preprocess', async () => preprocessQuery(userStoryText, {
+    enableAbbreviations: true,
+    enableSynonyms: true,
+    maxSynonymVariations: 5,
+    smartExpansion: true,
+    preserveTestCaseIds: true
+  }));
+  const finalQuery = preprocessing.abbreviationExpanded || userStoryText;
+
+  // STEP 3: Hybrid Search (BM25 + Vector, weighted fusion)
+  const hybridData = await timeStep('hybridSearch', () => runHybridSearch({
+    query: finalQuery,
+    limit: 50,
+    bm25Weight: 0.4,
+    vectorWeight: 0.6
+  }));
+
+  // STEP 4: RRF Re-Ranking, plus the cross-encoder when RERANK_CROSS_ENCODER=true (falls back to hybrid results)
+  let rerankData = null;
+  let rerankedResults;
+  try {
+    rerankData = await timeStep('rerank', () => runRerankSearch({
+      query: finalQuery,
+      limit: 10,
+      fusionMethod: 'rrf',
+      rerankTopK: 50,
+      bm25Weight: 0.4,
+      vectorWeight: 0.6
+    }));
+    rerankedResults = rerankData.results || [];
+  } catch (error) {
+    console.warn('⚠️ Re-ranking failed, using hybrid search results:', error.message);
+    rerankedResults = (hybridData.results || []).slice(0, 10);
+  }
+
+  // STEP 5: Deduplication
+  let dedupData = null;
+  let finalResults = rerankedResults.map(stripEmbedding);
+  if (finalResults.length > 5) {
+    dedupData = await timeStep('dedup', async () => deduplicateResults(finalResults, 0.95));
+    finalResults = dedupData.deduplicated;
+  }
+
+  const topResults = finalResults.slice(0, 10);
+  if (topResults.length === 0) {
+    throw createHttpError(422, 'No search results found for the user story after deduplication');
+  }
+  const averageSimilarity = topResults.reduce((sum, r) => sum + (r.score || 0), 0) / topResults.length;
+
+  // STEP 6: Summarization (results packed into the summary context budget)
+  const summaryData = await timeStep('summarize', () => summarizeResults(topResults, 'detailed'));
+
+  // STEP 7: Prompt Template + Context, with reference stories packed into what the model window leaves
+  const { prompt, contextBudget: referenceBudget } = await timeStep('prompt', async () => {
+    const promptInputs = {
+      promptTemplate,
+      userStoryText,
+      ragSummary: summaryData.summary,
+      totalRetrieved: topResults.length,
+      jsonSchema: responseSchema.custom ? responseSchema.schema : null
+    };
+    const plan = planTokenBudget({
+      contextWindow: getContextWindow(model),
+      fixedText: buildRatingPrompt({ ...promptInputs, referenceStories: [] }),
+      outputTokens: maxTokens,
+      maxContextTokens: contextBudget
+    });
+    assertPromptFits(plan, model);
+
+    // Measured as a one-element array so the indentation inside the JSON list is counted
+    const references = buildContext({
+      items: topResults,
+      budget: plan.budget,
+      formatItem: (story) => JSON.stringify([referenceStoryEntry(story)], null, 2)
+    });
+    const ratingPrompt = buildRatingPrompt({ ...promptInputs, referenceStories: references.items });
+    return {
+      prompt: ratingPrompt,
+      contextBudget: contextBudgetReport(plan, references.report, estimateTokens(ratingPrompt))
+    };
+  });
+  if (referenceBudget.dropped.length > 0) {
+    console.log(`✂️ ${referenceBudget.dropped.length} of ${topResults.length} reference stories dropped to fit ${referenceBudget.budget} context tokens`);
+  }
+
+  // STEPS 8-9: LLM Generation + JSON Schema validation, re-prompting with the errors on failure
+  const generatedData = await timeStep('generate', () => generateValidatedRating(prompt, {
+    schema: responseSchema.schema,
+    customSchema: responseSchema.custom,
+    maxRepairAttempts: resolveMaxRepairAttempts(maxRepairAttempts),
+    temperature,
+    maxTokens,
+    model,
+    onToken: onEvent ? (text, attempt) => emit('token', { text, attempt }) : null,
+    onRepair: (attempt, errors) => emit('repair', { attempt, errors }),
+    signal
+  }));
+  const { validation } = generatedData;
+  timings.total = Date.now() - pipelineStart;
+
+  console.log(`✅ Rating complete for ${storyKey || 'user story'} in ${timings.total}ms (${validation.errors.length} validation issues after ${validation.attempts.length} attempt(s))`);
+
+  const result = {
+    success: true,
+    storyKey,
+    promptVersion: promptVersion || `sha-${hashPromptTemplate(promptTemplate)}`,
+    response: generatedData.response,
+    validation,
+    context: {
+      originalQuery: userStoryText,
+      processedQuery: finalQuery,
+      preprocessing,
+      hybridResultCount: hybridData.results?.length || 0,
+      rerankApplied: rerankData !== null,
+      crossEncoderApplied: rerankData?.crossEncoder?.applied || false,
+      dedupStats: dedupData?.stats || null,
+      averageSimilarity,
+      ragSummary: summaryData.summary,
+      retrieved: topResults,
+      // What the summary and rating prompts included or dropped to stay within the token budgets
+      contextBudget: {
+        model,
+        summary: summaryData.context,
+        references: referenceBudget
+      }
+    },
+    tokens: {
+      summary: summaryData.tokens,
+      generation: generatedData.tokens
+    },
+    cost: {
+      summary: summaryData.cost,
+      generation: generatedData.cost
+    },
+    model: generatedData.model,
+    provider: generatedData.provider,
+    timings,
+    timestamp: new Date().toISOString()
+  };
+
+  // Persist the run so the story's rating history survives reloads
+  if (persist) {
+    try {
+      result.ratingId = await saveStoryRating(result, {
+        story: typeof userStory === 'object' ? userStory : null,
+        promptTemplate,
+        promptVersion,
+        source,
+        jobId
+      });
+    } catch (error) {
+      console.warn('⚠️ Failed to store rating result:', error.message);
+      result.persistError = error.message;
+    }
+  }
+
+  return result;
+}
+
+// Store one rating run in the story_ratings collection
+async function saveStoryRating(result, { story, promptTemplate, promptVersion, source, jobId }) {
+  const db = await getDb();
+
+  // Snapshot epic/priority/risk/status from the stored story when only text was rated
+  let storyDoc = story;
+  if (!storyDoc && result.storyKey) {
+    storyDoc = await db.collection(USER_STORIES_COLLECTION).findOne(
+      { key: result.storyKey },
+      { projection: { embedding: 0, searchableText: 0 } }
+    );
+  }
+
+  const promptHash = hashPromptTemplate(promptTemplate);
+  const record = buildRatingRecord(result, {
+    story: storyDoc,
+    promptVersion: promptVersion || `sha-${promptHash}`,
+    promptHash,
+    source,
+    jobId
+  });
+
+  const { insertedId } = await db.collection(STORY_RATINGS_COLLECTION).insertOne(record);
+  return insertedId;
+}
+
+// Story and rateUserStory options from a rating request body
+function parseRateRequest(body) {
+  const { userStory, promptTemplate, promptVersion, jsonSchema, maxRepairAttempts, temperature, maxTokens, contextBudget, persist } = body;
+
+  if (!userStory) {
+    throw createHttpError(400, 'User story is required');
+  }
+  if (contextBudget !== undefined && !(parseInt(contextBudget) >= 0)) {
+    throw createHttpError(400, 'contextBudget must be a number of tokens (0 or more)');
+  }
+
+  return {
+    userStory,
+    options: {
+      promptTemplate,
+      promptVersion,
+      jsonSchema,
+      maxRepairAttempts,
+      temperature,
+      maxTokens,
+      contextBudget: contextBudget !== undefined ? parseInt(contextBudget) : undefined,
+      persist
+    }
+  };
+}
+
+// Rate a single user story through the full RAG pipeline
+app.post('/api/userstories/rate', async (req, res) => {
+  try {
+    const { userStory, options } = parseRateRequest(req.body);
+    res.json(await rateUserStory(userStory, options));
+  } catch (error) {
+    console.error('❌ User story rating error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({
+      error: 'User story rating failed',
+      details: error.message
+    });
+  }
+});
+
+// Streaming variant: `step` events as pipeline steps start and finish, `token` events with the rating
+// as the model writes it, `repair` when a re-prompt starts, then `result` with the same body as /rate
+app.post('/api/userstories/rate/stream', async (req, res) => {
+  let request;
+  try {
+    request = parseRateRequest(req.body);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  const stream = openEventStream(res);
+  try {
+    const result = await rateUserStory(request.userStory, {
+      ...request.options,
+      onEvent: stream.send,
+      signal: stream.signal
+    });
+    stream.send('result', result);
+    stream.end();
+  } catch (error) {
+    console.error('❌ User story rating stream error:', error.message);
+    sendStreamError(stream, error, 'User story rating failed');
+  }
+});
+
+// Rating history for a single story (oldest first, with score changes between runs)
+app.get('/api/userstories/:key/ratings', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const collection = (await getDb()).collection(STORY_RATINGS_COLLECTION);
+
+    const records = await collection
+      .find({ storyKey: req.params.key }, { projection: { response: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+
+    const { history, summary } = summarizeRatingHistory(records.reverse());
+
+    res.json({
+      success: true,
+      storyKey: req.params.key,
+      summary,
+      ratings: history
+    });
+  } catch (error) {
+    console.error('❌ Error fetching rating history:', error);
+    res.status(500).json({ error: 'Failed to fetch rating history', details: error.message });
+  }
+});
 
-    const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.com/ai';
-    const USER_EMAIL = process.env.USER_EMAIL;
-    const AUTH_TOKEN = process.env.AUTH_TOKEN;
+// ======================== Batch User Story Rating ========================
 
-    const embeddingResponse = await axios.post(
-      `${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`,
-      {
-        input: query,
-        model: "text-embedding-3-small"
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${AUTH_TOKEN}`
-        }
-      }
-    );
+// Parse a stories file, turning malformed JSON into a 400
+function parseStoriesFile(text, fileName) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw createHttpError(400, `Stories file '${fileName}' is not valid JSON: ${error.message}`);
+  }
+}
 
-    if (embeddingResponse.data.status !== 200) {
-      throw new Error(`Testleaf API error: ${embeddingResponse.data.message}`);
+// Read the stories from an uploaded file, the request body or a file in src/data
+function readStoriesSource(req) {
+  if (req.file) {
+    try {
+      return parseStoriesFile(fs.readFileSync(req.file.path, 'utf-8'), req.file.originalname);
+    } finally {
+      fs.unlinkSync(req.file.path);
     }
+  }
 
-    const queryVector = embeddingResponse.data.data[0].embedding;
+  if (Array.isArray(req.body.stories)) {
+    return req.body.stories;
+  }
 
-    // Ensure numCandidates >= limit for MongoDB vector search
-    const vectorNumCandidates = Math.max(searchLimit * 2, 200);
+  const fileName = path.basename(req.body.file || 'stories.json');
+  const filePath = path.join(__dirname, '../src/data', fileName);
+  if (!fs.existsSync(filePath)) {
+    throw createHttpError(404, `Stories file '${fileName}' not found in src/data`);
+  }
+  return parseStoriesFile(fs.readFileSync(filePath, 'utf-8'), fileName);
+}
 
-    const vectorPipeline = [
-      {
-        $vectorSearch: {
-          queryVector,
-          path: "embedding",
-          numCandidates: vectorNumCandidates,
-          limit: searchLimit,
-          index: process.env.VECTOR_INDEX_NAME
-        }
-      },
-      {
-        $addFields: {
-          vectorScore: { $meta: "vectorSearchScore" }
-        }
-      },
-      {
-        $project: {
-          _id: 1,
-          id: 1,
-          module: 1,
-          title: 1,
-          description: 1,
-          steps: 1,
-          expectedResults: 1,
-          priority: 1,
-          risk: 1,
-          automationManual: 1,
-          sourceFile: 1,
-          createdAt: 1,
-          vectorScore: 1
-        }
-      }
-    ];
+// Stories for a batch job: a non-empty array of story objects, or a 400
+function loadStoriesForBatch(req) {
+  const stories = readStoriesSource(req);
+  if (!Array.isArray(stories) || stories.length === 0) {
+    throw createHttpError(400, 'A non-empty array of user stories is required');
+  }
+  const invalidIndex = stories.findIndex(story => !story || typeof story !== 'object' || Array.isArray(story));
+  if (invalidIndex !== -1) {
+    throw createHttpError(400, `User story at index ${invalidIndex} must be an object`);
+  }
+  return stories;
+}
 
-    const vectorResults = await collection.aggregate(vectorPipeline).toArray();
-    const vectorTime = Date.now() - vectorStartTime;
+// Start a background job that rates many stories with bounded concurrency
+app.post('/api/userstories/rate/batch', upload.single('file'), async (req, res) => {
+  try {
+    let stories = loadStoriesForBatch(req);
+
+    const maxStories = parseInt(req.body.limit) || stories.length;
+    stories = stories.slice(0, maxStories);
+    const concurrency = Math.max(1, Math.min(10, parseInt(req.body.concurrency) || 3));
+    // Resolve the prompt once (and reject a bad schema) before the job starts rather than per story
+    const ratingPrompt = await resolveRatingPrompt({
+      promptTemplate: req.body.promptTemplate,
+      promptVersion: req.body.promptVersion,
+      jsonSchema: req.body.jsonSchema
+    });
+    resolveResponseSchema(ratingPrompt.jsonSchema);
 
-    // 3. Normalize and combine scores
-    console.log('🔀 Combining results...');
-    
-    // Normalize BM25 scores
-    const bm25Scores = bm25Results.map(r => r.bm25Score);
-    const bm25Max = Math.max(...bm25Scores, 1);
-    const bm25Min = Math.min(...bm25Scores, 0);
-    const bm25Range = bm25Max - bm25Min || 1;
-
-    // Normalize Vector scores
-    const vectorScores = vectorResults.map(r => r.vectorScore);
-    const vectorMax = Math.max(...vectorScores, 1);
-    const vectorMin = Math.min(...vectorScores, 0);
-    const vectorRange = vectorMax - vectorMin || 1;
-
-    // Create result map
-    const resultMap = new Map();
-
-    // Add BM25 results with normalized scores
-    bm25Results.forEach(result => {
-      const key = result._id.toString();
-      const normalizedScore = (result.bm25Score - bm25Min) / bm25Range;
-      resultMap.set(key, {
-        ...result,
-        bm25ScoreNormalized: normalizedScore,
-        vectorScore: 0,
-        vectorScoreNormalized: 0,
-        hybridScore: normalizedScore * bm25Weight,
-        foundIn: 'bm25'
-      });
+    const jobId = createJob(stories.map((story, index) => story.key || `story-${index + 1}`));
+    updateJob(jobId, { type: 'batch-rating', concurrency, promptVersion: ratingPrompt.promptVersion });
+
+    // Start processing in background
+    processBatchRating(jobId, stories, {
+      concurrency,
+      ...ratingPrompt,
+      maxRepairAttempts: req.body.maxRepairAttempts
     });
 
-    // Add/merge vector results with normalized scores
-    vectorResults.forEach(result => {
-      const key = result._id.toString();
-      const normalizedScore = (result.vectorScore - vectorMin) / vectorRange;
-      
-      if (resultMap.has(key)) {
-        // Merge - found in both
-        const existing = resultMap.get(key);
-        existing.vectorScore = result.vectorScore;
-        existing.vectorScoreNormalized = normalizedScore;
-        existing.hybridScore += normalizedScore * vectorWeight;
-        existing.foundIn = 'both';
-      } else {
-        // New result - only in vector
-        resultMap.set(key, {
-          ...result,
-          bm25Score: 0,
-          bm25ScoreNormalized: 0,
-          vectorScoreNormalized: normalizedScore,
-          hybridScore: normalizedScore * vectorWeight,
-          foundIn: 'vector'
-        });
-      }
+    res.json({
+      success: true,
+      jobId,
+      message: 'Batch rating started',
+      storiesCount: stories.length,
+      concurrency
     });
+  } catch (error) {
+    console.error('❌ Batch rating error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Batch rating failed to start', details: error.message });
+  }
+});
 
-    // Convert to array and sort by hybrid score
-    let combinedResults = Array.from(resultMap.values());
-    combinedResults.sort((a, b) => b.hybridScore - a.hybridScore);
+// Background processing function for batch rating
+async function processBatchRating(jobId, stories, { concurrency, promptTemplate, promptVersion, jsonSchema, maxRepairAttempts }) {
+  const limit = pLimit(concurrency);
+  const rows = new Array(stories.length);
+  let completed = 0;
 
-    // Apply filters if provided
-    if (Object.keys(filters).length > 0) {
-      combinedResults = combinedResults.filter(result => {
-        return Object.entries(filters).every(([key, value]) => {
-          if (!value || value === '') return true;
-          return result[key] === value;
-        });
-      });
+  await Promise.all(stories.map((story, index) => limit(async () => {
+    updateJob(jobId, { currentFile: story.key || `story-${index + 1}` });
+
+    try {
+      const result = await rateUserStory(story, { promptTemplate, promptVersion, jsonSchema, maxRepairAttempts, source: 'batch', jobId });
+      rows[index] = toRatingRow(story, result);
+    } catch (error) {
+      console.error(`❌ Failed to rate ${story.key || `story-${index + 1}`}:`, error.message);
+      rows[index] = toRatingRow(story, null, error);
     }
 
-    // Limit results
-    const finalResults = combinedResults.slice(0, parseInt(limit));
+    completed++;
+    updateJob(jobId, {
+      progress: completed,
+      results: rows.filter(Boolean)
+    });
+  })));
+
+  const failed = rows.filter(row => row.status === 'failed').length;
 
-    await mongoClient.close();
+  // Mark job as complete
+  updateJob(jobId, {
+    status: 'completed',
+    endTime: new Date(),
+    currentFile: null,
+    results: rows,
+    summary: {
+      rated: rows.length - failed,
+      failed
+    }
+  });
+}
 
-    const totalTime = Date.now() - bm25StartTime;
-    console.log(`✅ Hybrid Search complete: ${finalResults.length} results in ${totalTime}ms`);
+// Download batch rating results as JSON or CSV
+app.get('/api/userstories/rate/batch/:jobId/download', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job || job.type !== 'batch-rating') {
+    return res.status(404).json({ error: 'Batch rating job not found' });
+  }
 
-    // Calculate statistics
-    const bothCount = finalResults.filter(r => r.foundIn === 'both').length;
-    const bm25OnlyCount = finalResults.filter(r => r.foundIn === 'bm25').length;
-    const vectorOnlyCount = finalResults.filter(r => r.foundIn === 'vector').length;
+  const format = (req.query.format || 'json').toLowerCase();
+  const fileBase = `story-ratings-${job.id}`;
 
-    res.json({
-      success: true,
-      searchType: 'hybrid',
-      query,
-      filters,
-      weights: { bm25: bm25Weight, vector: vectorWeight },
-      results: finalResults,
-      count: finalResults.length,
-      stats: {
-        foundInBoth: bothCount,
-        foundInBm25Only: bm25OnlyCount,
-        foundInVectorOnly: vectorOnlyCount,
-        bm25ResultCount: bm25Results.length,
-        vectorResultCount: vectorResults.length
-      },
-      timing: {
-        bm25Time,
-        vectorTime,
-        totalTime
-      },
-      cost: embeddingResponse.data.cost || 0,
-      tokens: embeddingResponse.data.usage?.total_tokens || 0,
-      timestamp: new Date().toISOString()
-    });
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.csv"`);
+    return res.send(ratingRowsToCsv(job.results));
+  }
 
-  } catch (error) {
-    console.error('❌ Hybrid Search error:', error);
-    res.status(500).json({ 
-      error: 'Hybrid search failed', 
-      details: error.message 
-    });
+  if (format !== 'json') {
+    return res.status(400).json({ error: `Unsupported format '${format}' (use json or csv)` });
   }
+
+  res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.json"`);
+  res.json({
+    jobId: job.id,
+    status: job.status,
+    progress: job.progress,
+    total: job.total,
+    results: job.results
+  });
 });
 
-// Reranking endpoint with Score Fusion and Normalization
-app.post('/api/search/rerank', async (req, res) => {
+// ======================== Rating Experiments (A/B) ========================
+
+// One experiment arm: a prompt (registry version, ad-hoc template or the active version) plus an optional model
+async function resolveExperimentVariant(variant = {}) {
+  const ratingPrompt = await resolveRatingPrompt({
+    promptTemplate: variant.promptTemplate,
+    promptVersion: variant.promptVersion,
+    jsonSchema: variant.jsonSchema
+  });
+  const { schema } = resolveResponseSchema(ratingPrompt.jsonSchema);
+  const model = String(variant.model || '').trim() || llmProvider.model;
+  const promptHash = hashPromptTemplate(ratingPrompt.promptTemplate);
+  // Labelled up front so rateUserStory does not look the template up again for every story
+  const promptVersion = ratingPrompt.promptVersion || `sha-${promptHash}`;
+
+  return {
+    ...ratingPrompt,
+    promptVersion,
+    model,
+    label: `${promptVersion} · ${model}`,
+    fingerprint: `${promptHash}|${hashJsonSchema(schema)}|${model}`
+  };
+}
+
+// Rate the same stories with variants A and B, then report score deltas, readiness flips, tokens/cost and validity
+app.post('/api/experiments/rating', async (req, res) => {
   try {
-    const { 
-      query, 
-      limit = 10, 
-      filters = {}, 
-      fusionMethod = 'rrf', // rrf, weighted, or reciprocal
-      rerankTopK = 50,
-      bm25Weight = 0.4,
-      vectorWeight = 0.6
-    } = req.body;
-    
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
+    let stories = loadStoriesForBatch(req);
+
+    const { variants = {}, maxRepairAttempts } = req.body;
+    const maxStories = parseInt(req.body.limit) || stories.length;
+    stories = stories.slice(0, maxStories);
+    const concurrency = Math.max(1, Math.min(5, parseInt(req.body.concurrency) || 2));
+    // Temperature 0 by default so differences come from the variants rather than sampling noise
+    const temperature = req.body.temperature !== undefined ? parseFloat(req.body.temperature) : 0;
+
+    const resolved = {};
+    for (const name of EXPERIMENT_VARIANTS) {
+      resolved[name] = await resolveExperimentVariant(variants[name]);
+    }
+    if (resolved.a.fingerprint === resolved.b.fingerprint) {
+      return res.status(400).json({ error: 'Variants A and B use the same prompt, schema and model' });
     }
 
-    const startTime = Date.now();
+    const jobId = createJob(stories.map((story, index) => story.key || `story-${index + 1}`));
+    updateJob(jobId, {
+      type: 'rating-experiment',
+      concurrency,
+      temperature,
+      variants: Object.fromEntries(EXPERIMENT_VARIANTS.map(name => [name, {
+        label: resolved[name].label,
+        promptVersion: resolved[name].promptVersion,
+        model: resolved[name].model
+      }]))
+    });
 
-    // Create a MongoClient
-    const mongoClient = new MongoClient(process.env.MONGODB_URI, {
-      ssl: true,
-      tlsAllowInvalidCertificates: true,
-      tlsAllowInvalidHostnames: true,
-      serverSelectionTimeoutMS: 30000,
-      connectTimeoutMS: 30000,
-      socketTimeoutMS: 30000,
+    // Start processing in background
+    processRatingExperiment(jobId, stories, {
+      concurrency,
+      variants: resolved,
+      maxRepairAttempts,
+      temperature
     });
-    await mongoClient.connect();
 
-    const db = mongoClient.db(process.env.DB_NAME);
-    const collection = db.collection(process.env.COLLECTION_NAME);
+    res.json({
+      success: true,
+      jobId,
+      message: 'Rating experiment started',
+      storiesCount: stories.length,
+      concurrency
+    });
+  } catch (error) {
+    console.error('❌ Rating experiment error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Rating experiment failed to start', details: error.message });
+  }
+});
 
-    console.log(`\n🔄 Reranking Search with Score Fusion for: "${query}"`);
-    console.log(`📊 Fusion Method: ${fusionMethod.toUpperCase()}, Top-K: ${rerankTopK}, Final Limit: ${limit}`);
+// Background processing for an A/B experiment; ratings are not stored in the story history
+async function processRatingExperiment(jobId, stories, { concurrency, variants, maxRepairAttempts, temperature }) {
+  const limit = pLimit(concurrency);
+  const rows = { a: new Array(stories.length), b: new Array(stories.length) };
+  let completed = 0;
 
-    // Step 1: Get both BM25 and Vector results
-    const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.com/ai';
-    const USER_EMAIL = process.env.USER_EMAIL;
-    const AUTH_TOKEN = process.env.AUTH_TOKEN;
+  // Comparison over the stories both variants have finished, so the client can show partial results
+  const partialComparison = () => {
+    const done = stories.map((story, index) => index).filter(index => rows.a[index] && rows.b[index]);
+    return compareExperimentRuns(done.map(index => rows.a[index]), done.map(index => rows.b[index]));
+  };
 
-    // Generate embedding for vector search
-    const embeddingResponse = await axios.post(
-      `${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`,
-      {
-        input: query,
-        model: "text-embedding-3-small"
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${AUTH_TOKEN}`
-        }
-      }
-    );
+  await Promise.all(stories.map((story, index) => limit(async () => {
+    const storyLabel = story.key || `story-${index + 1}`;
+    updateJob(jobId, { currentFile: storyLabel });
 
-    if (embeddingResponse.data.status !== 200) {
-      throw new Error(`Testleaf API error: ${embeddingResponse.data.message}`);
+    for (const name of EXPERIMENT_VARIANTS) {
+      const { promptTemplate, promptVersion, jsonSchema, model } = variants[name];
+      try {
+        const result = await rateUserStory(story, {
+          promptTemplate,
+          promptVersion,
+          jsonSchema,
+          model,
+          maxRepairAttempts,
+          temperature,
+          persist: false
+        });
+        rows[name][index] = toExperimentRow(story, result);
+      } catch (error) {
+        console.error(`❌ Variant ${name.toUpperCase()} failed for ${storyLabel}:`, error.message);
+        rows[name][index] = toExperimentRow(story, null, error);
+      }
     }
 
-    const queryVector = embeddingResponse.data.data[0].embedding;
-    const embeddingCost = embeddingResponse.data.cost || 0;
-    const embeddingTokens = embeddingResponse.data.usage?.total_tokens || 0;
+    completed++;
+    updateJob(jobId, {
+      progress: completed,
+      comparison: partialComparison()
+    });
+  })));
 
-    // Parallel search: BM25 and Vector
-    const searchStartTime = Date.now();
+  const comparison = compareExperimentRuns(rows.a, rows.b);
+  console.log(`🧪 Rating experiment ${jobId} complete: ${comparison.summary.compared}/${stories.length} stories compared, ${comparison.summary.readiness.flips} readiness flips`);
 
-    // BM25 Pipeline
-    const weights = {
-      id: 10.0,
-      title: 8.0,
-      module: 5.0,
-      description: 2.0,
-      expectedResults: 1.5,
-      steps: 1.0,
-      preRequisites: 0.8
-    };
+  updateJob(jobId, {
+    status: 'completed',
+    endTime: new Date(),
+    currentFile: null,
+    comparison,
+    summary: comparison.summary
+  });
+}
 
-    const searchFields = Object.entries(weights).map(([field, weight]) => ({
-      text: {
-        query: query,
-        path: field,
-        fuzzy: { maxEdits: 1, prefixLength: 2 },
-        score: { boost: { value: weight } }
+// ======================== Golden-Set Calibration ========================
+
+// Upload (or replace) a named golden set of stories with human ratings
+app.post('/api/calibration/golden-sets', upload.single('file'), async (req, res) => {
+  try {
+    let entries = req.body.stories;
+    if (req.file) {
+      try {
+        entries = JSON.parse(fs.readFileSync(req.file.path, 'utf-8'));
+      } catch (error) {
+        return res.status(400).json({ error: `Golden set file is not valid JSON: ${error.message}` });
+      } finally {
+        fs.unlinkSync(req.file.path);
       }
-    }));
+    }
 
-    const bm25Pipeline = [
-      {
-        $search: {
-          index: process.env.BM25_INDEX_NAME,
-          compound: {
-            should: searchFields,
-            minimumShouldMatch: 1
-          }
-        }
-      },
-      {
-        $addFields: {
-          bm25Score: { $meta: "searchScore" }
-        }
-      },
-      { $limit: rerankTopK }
-    ];
+    const name = String(req.body.name || (req.file ? path.parse(req.file.originalname).name : '')).trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Golden set name is required' });
+    }
 
-    if (Object.keys(filters).length > 0) {
-      bm25Pipeline.push({ $match: filters });
+    const { stories, errors } = parseGoldenSet(entries);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Golden set has ${errors.length} invalid entr${errors.length === 1 ? 'y' : 'ies'}`, errors });
     }
 
-    // Vector Pipeline
-    const vectorPipeline = [
+    const now = new Date();
+    await (await getDb()).collection(GOLDEN_SETS_COLLECTION).updateOne(
+      { name },
       {
-        $vectorSearch: {
-          queryVector,
-          path: "embedding",
-          numCandidates: Math.max(rerankTopK * 2, 100),
-          limit: rerankTopK,
-          index: process.env.VECTOR_INDEX_NAME,
-          ...(Object.keys(filters).length > 0 && { filter: filters })
-        }
-      },
-      {
-        $addFields: {
-          vectorScore: { $meta: "vectorSearchScore" }
-        }
+        $set: { name, description: req.body.description || '', stories, count: stories.length, updatedAt: now },
+        $setOnInsert: { createdAt: now }
       },
-      { $project: { embedding: 0 } }
-    ];
+      { upsert: true }
+    );
 
-    // Execute both searches in parallel
-    const [bm25Results, vectorResults] = await Promise.all([
-      collection.aggregate(bm25Pipeline).toArray(),
-      collection.aggregate(vectorPipeline).toArray()
-    ]);
+    console.log(`🥇 Stored golden set '${name}' with ${stories.length} stories`);
+    res.json({ success: true, name, count: stories.length });
+  } catch (error) {
+    console.error('❌ Error storing golden set:', error);
+    res.status(500).json({ error: 'Failed to store golden set', details: error.message });
+  }
+});
 
-    const searchTime = Date.now() - searchStartTime;
-    console.log(`✅ Retrieved ${bm25Results.length} BM25 + ${vectorResults.length} Vector results in ${searchTime}ms`);
+// List golden sets (without their stories)
+app.get('/api/calibration/golden-sets', async (req, res) => {
+  try {
+    const goldenSets = await (await getDb()).collection(GOLDEN_SETS_COLLECTION)
+      .find({}, { projection: { stories: 0 } })
+      .sort({ updatedAt: -1 })
+      .toArray();
+    res.json({ success: true, goldenSets });
+  } catch (error) {
+    console.error('❌ Error listing golden sets:', error);
+    res.status(500).json({ error: 'Failed to list golden sets', details: error.message });
+  }
+});
 
-    // Step 2: Score Fusion and Normalization
-    const rerankStartTime = Date.now();
-    console.log(`🔄 Applying ${fusionMethod.toUpperCase()} score fusion...`);
+// Load one golden set (404 when it does not exist)
+async function findGoldenSet(name) {
+  const goldenSet = await (await getDb()).collection(GOLDEN_SETS_COLLECTION).findOne({ name });
+  if (!goldenSet) {
+    throw createHttpError(404, `Golden set '${name}' not found`);
+  }
+  return goldenSet;
+}
 
-    // Create a map to combine results
-    const resultMap = new Map();
+app.get('/api/calibration/golden-sets/:name', async (req, res) => {
+  try {
+    res.json({ success: true, goldenSet: await findGoldenSet(req.params.name) });
+  } catch (error) {
+    console.error('❌ Error loading golden set:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to load golden set', details: error.message });
+  }
+});
 
-    // Normalize scores using min-max normalization
-    const normalizeBM25 = (score, minScore, maxScore) => {
-      if (maxScore === minScore) return 1.0;
-      return (score - minScore) / (maxScore - minScore);
-    };
+// Rate a golden set with one prompt version/model and store the agreement metrics
+app.post('/api/calibration/runs', async (req, res) => {
+  try {
+    const { goldenSet: goldenSetName, maxRepairAttempts } = req.body;
+    if (!goldenSetName) {
+      return res.status(400).json({ error: 'goldenSet is required' });
+    }
 
-    const normalizeVector = (score, minScore, maxScore) => {
-      if (maxScore === minScore) return 1.0;
-      return (score - minScore) / (maxScore - minScore);
-    };
+    const goldenSet = await findGoldenSet(goldenSetName);
+    const variant = await resolveExperimentVariant(req.body);
+    const concurrency = Math.max(1, Math.min(5, parseInt(req.body.concurrency) || 2));
+    // Temperature 0 by default so repeated runs of a version are comparable
+    const temperature = req.body.temperature !== undefined ? parseFloat(req.body.temperature) : 0;
 
-    // Get min/max scores for normalization
-    const bm25Scores = bm25Results.map(r => r.bm25Score);
-    const vectorScores = vectorResults.map(r => r.vectorScore);
-    const minBM25 = Math.min(...bm25Scores, 0);
-    const maxBM25 = Math.max(...bm25Scores, 1);
-    const minVector = Math.min(...vectorScores, 0);
-    const maxVector = Math.max(...vectorScores, 1);
-
-    // Process BM25 results
-    bm25Results.forEach((doc, index) => {
-      const id = doc._id.toString();
-      const normalizedScore = normalizeBM25(doc.bm25Score, minBM25, maxBM25);
-      
-      resultMap.set(id, {
-        ...doc,
-        bm25Score: doc.bm25Score,
-        bm25Normalized: normalizedScore,
-        bm25Rank: index + 1,
-        vectorScore: 0,
-        vectorNormalized: 0,
-        vectorRank: null,
-        foundIn: 'bm25'
-      });
+    const jobId = createJob(goldenSet.stories.map((entry, index) => entry.story.key || `story-${index + 1}`));
+    updateJob(jobId, {
+      type: 'calibration',
+      goldenSet: goldenSet.name,
+      promptVersion: variant.promptVersion,
+      model: variant.model,
+      concurrency,
+      temperature
     });
 
-    // Process Vector results and merge
-    vectorResults.forEach((doc, index) => {
-      const id = doc._id.toString();
-      const normalizedScore = normalizeVector(doc.vectorScore, minVector, maxVector);
-      
-      if (resultMap.has(id)) {
-        // Document found in both
-        const existing = resultMap.get(id);
-        existing.vectorScore = doc.vectorScore;
-        existing.vectorNormalized = normalizedScore;
-        existing.vectorRank = index + 1;
-        existing.foundIn = 'both';
-      } else {
-        // Document only in vector
-        resultMap.set(id, {
-          ...doc,
-          bm25Score: 0,
-          bm25Normalized: 0,
-          bm25Rank: null,
-          vectorScore: doc.vectorScore,
-          vectorNormalized: normalizedScore,
-          vectorRank: index + 1,
-          foundIn: 'vector'
-        });
-      }
+    // Start processing in background
+    processCalibrationRun(jobId, goldenSet, { variant, concurrency, maxRepairAttempts, temperature });
+
+    res.json({
+      success: true,
+      jobId,
+      message: 'Calibration run started',
+      storiesCount: goldenSet.stories.length,
+      promptVersion: variant.promptVersion,
+      model: variant.model
     });
+  } catch (error) {
+    console.error('❌ Calibration run error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Calibration run failed to start', details: error.message });
+  }
+});
 
-    // Convert to array for processing
-    const allResults = Array.from(resultMap.values());
+// Background processing for a calibration run; ratings are not stored in the story history
+async function processCalibrationRun(jobId, goldenSet, { variant, concurrency, maxRepairAttempts, temperature }) {
+  const limit = pLimit(concurrency);
+  const rows = new Array(goldenSet.stories.length);
+  let completed = 0;
 
-    // Apply fusion method
-    let fusedResults = [];
+  await Promise.all(goldenSet.stories.map((entry, index) => limit(async () => {
+    const storyLabel = entry.story.key || `story-${index + 1}`;
+    updateJob(jobId, { currentFile: storyLabel });
 
-    if (fusionMethod === 'rrf') {
-      // Reciprocal Rank Fusion (RRF)
-      const k = 60; // RRF constant
-      fusedResults = allResults.map(doc => {
-        const bm25RRF = doc.bm25Rank ? 1 / (k + doc.bm25Rank) : 0;
-        const vectorRRF = doc.vectorRank ? 1 / (k + doc.vectorRank) : 0;
-        const fusedScore = bm25RRF + vectorRRF;
-        
-        return {
-          ...doc,
-          fusedScore,
-          fusionComponents: {
-            bm25RRF: bm25RRF.toFixed(4),
-            vectorRRF: vectorRRF.toFixed(4)
-          }
-        };
-      });
-    } else if (fusionMethod === 'weighted') {
-      // Weighted normalized scores
-      fusedResults = allResults.map(doc => {
-        const fusedScore = (doc.bm25Normalized * bm25Weight) + (doc.vectorNormalized * vectorWeight);
-        
-        return {
-          ...doc,
-          fusedScore,
-          fusionComponents: {
-            bm25Contribution: (doc.bm25Normalized * bm25Weight).toFixed(4),
-            vectorContribution: (doc.vectorNormalized * vectorWeight).toFixed(4)
-          }
-        };
-      });
-    } else if (fusionMethod === 'reciprocal') {
-      // Reciprocal scoring with weights
-      fusedResults = allResults.map(doc => {
-        const bm25Reciprocal = doc.bm25Rank ? (1 / doc.bm25Rank) * bm25Weight : 0;
-        const vectorReciprocal = doc.vectorRank ? (1 / doc.vectorRank) * vectorWeight : 0;
-        const fusedScore = bm25Reciprocal + vectorReciprocal;
-        
-        return {
-          ...doc,
-          fusedScore,
-          fusionComponents: {
-            bm25Reciprocal: bm25Reciprocal.toFixed(4),
-            vectorReciprocal: vectorReciprocal.toFixed(4)
-          }
-        };
+    try {
+      const result = await rateUserStory(entry.story, {
+        promptTemplate: variant.promptTemplate,
+        promptVersion: variant.promptVersion,
+        jsonSchema: variant.jsonSchema,
+        model: variant.model,
+        maxRepairAttempts,
+        temperature,
+        persist: false
       });
+      rows[index] = toCalibrationRow(entry, result);
+    } catch (error) {
+      console.error(`❌ Failed to rate golden story ${storyLabel}:`, error.message);
+      rows[index] = toCalibrationRow(entry, null, error);
     }
 
-    // Sort by fused score
-    fusedResults.sort((a, b) => b.fusedScore - a.fusedScore);
+    completed++;
+    updateJob(jobId, { progress: completed });
+  })));
+
+  const metrics = computeCalibrationMetrics(rows);
+  const run = {
+    goldenSet: goldenSet.name,
+    promptVersion: variant.promptVersion,
+    promptHash: hashPromptTemplate(variant.promptTemplate),
+    model: variant.model,
+    provider: llmProvider.name,
+    temperature,
+    metrics,
+    rows,
+    tokens: rows.reduce((sum, row) => sum + row.tokens, 0),
+    cost: rows.reduce((sum, row) => sum + row.cost, 0),
+    jobId,
+    createdAt: new Date()
+  };
+
+  let runId = null;
+  let persistError = null;
+  try {
+    ({ insertedId: runId } = await (await getDb()).collection(CALIBRATION_RUNS_COLLECTION).insertOne(run));
+  } catch (error) {
+    console.warn('⚠️ Failed to store calibration run:', error.message);
+    persistError = error.message;
+  }
+
+  console.log(`🎯 Calibration of ${variant.promptVersion} on '${goldenSet.name}': MAE ${metrics.overall.mae}, Spearman ${metrics.overall.spearman}, kappa ${metrics.readiness.kappa}`);
 
-    // Add ranking information
-    fusedResults.forEach((doc, index) => {
-      doc.newRank = index + 1;
-      doc.originalRank = doc.bm25Rank || doc.vectorRank || index + 1;
-      doc.rankChange = doc.originalRank - doc.newRank;
-    });
+  updateJob(jobId, {
+    status: 'completed',
+    endTime: new Date(),
+    currentFile: null,
+    runId,
+    persistError,
+    metrics,
+    results: rows
+  });
+}
+
+// Calibration runs, newest first, for tracking agreement across prompt versions
+app.get('/api/calibration/runs', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.goldenSet) query.goldenSet = req.query.goldenSet;
+    if (req.query.promptVersion) query.promptVersion = req.query.promptVersion;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const runs = await (await getDb()).collection(CALIBRATION_RUNS_COLLECTION)
+      .find(query, { projection: { rows: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+
+    res.json({ success: true, runs });
+  } catch (error) {
+    console.error('❌ Error listing calibration runs:', error);
+    res.status(500).json({ error: 'Failed to list calibration runs', details: error.message });
+  }
+});
 
-    const rerankingTime = Date.now() - rerankStartTime;
+// One calibration run with its per-story human/model pairs
+app.get('/api/calibration/runs/:runId', async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.runId)) {
+      return res.status(400).json({ error: `Invalid calibration run id '${req.params.runId}'` });
+    }
 
-    // Get before/after results
-    const beforeResults = (fusionMethod === 'rrf' ? vectorResults : bm25Results).slice(0, limit);
-    const afterResults = fusedResults.slice(0, limit);
-    const totalTime = Date.now() - startTime;
+    const run = await (await getDb()).collection(CALIBRATION_RUNS_COLLECTION).findOne({ _id: new ObjectId(req.params.runId) });
+    if (!run) {
+      return res.status(404).json({ error: 'Calibration run not found' });
+    }
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('❌ Error loading calibration run:', error);
+    res.status(500).json({ error: 'Failed to load calibration run', details: error.message });
+  }
+});
 
-    console.log(`✅ Score fusion complete in ${rerankingTime}ms`);
-    console.log(`📊 Top result: ${afterResults[0]?.id} (Found in: ${afterResults[0]?.foundIn})`);
+// ======================== Rating Dashboard ========================
 
-    await mongoClient.close();
+// Score distributions (latest rating per story), readiness share and score trends
+app.get('/api/ratings/dashboard', async (req, res) => {
+  try {
+    const interval = (req.query.interval || 'week').toLowerCase();
+    if (!['day', 'week', 'month'].includes(interval)) {
+      return res.status(400).json({ error: `Unsupported interval '${interval}' (use day, week or month)` });
+    }
+
+    const range = {};
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!req.query[param]) continue;
+      const date = new Date(req.query[param]);
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ error: `Invalid '${param}' date '${req.query[param]}'` });
+      }
+      range[operator] = date;
+    }
+    if (range.$gte && range.$lte && range.$gte > range.$lte) {
+      return res.status(400).json({ error: "'from' must not be after 'to'" });
+    }
+
+    const match = { storyKey: { $ne: null } };
+    if (Object.keys(range).length > 0) {
+      match.createdAt = range;
+    }
+    if (req.query.promptVersion) {
+      match.promptVersion = req.query.promptVersion;
+    }
+
+    const collection = (await getDb()).collection(STORY_RATINGS_COLLECTION);
+    const projection = { storyKey: 1, story: 1, module: 1, averageScore: 1, readinessStatus: 1, promptVersion: 1, createdAt: 1 };
 
-    // Calculate statistics
-    const bothCount = fusedResults.filter(r => r.foundIn === 'both').length;
-    const bm25OnlyCount = fusedResults.filter(r => r.foundIn === 'bm25').length;
-    const vectorOnlyCount = fusedResults.filter(r => r.foundIn === 'vector').length;
+    const latestRecords = await collection.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$storyKey', latest: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$latest' } },
+      { $project: projection }
+    ]).toArray();
+
+    const allRecords = await collection
+      .find(match, { projection })
+      .sort({ createdAt: 1 })
+      .toArray();
 
     res.json({
       success: true,
-      fusionMethod,
-      query,
-      filters,
-      results: afterResults,
-      beforeReranking: beforeResults,
-      afterReranking: afterResults,
-      reranked: true,
-      count: afterResults.length,
-      totalCandidates: fusedResults.length,
-      rerankTopK,
-      searchTime,
-      rerankingTime,
-      totalTime,
-      cost: embeddingCost,
-      tokens: embeddingTokens,
-      weights: { bm25: bm25Weight, vector: vectorWeight },
-      stats: {
-        foundInBoth: bothCount,
-        foundInBm25Only: bm25OnlyCount,
-        foundInVectorOnly: vectorOnlyCount,
-        topResultChanged: beforeResults[0]?.id !== afterResults[0]?.id,
-        significantReorderings: afterResults.filter(r => Math.abs(r.rankChange) >= 5).length,
-        averageFusedScore: (afterResults.reduce((sum, r) => sum + r.fusedScore, 0) / afterResults.length).toFixed(4)
-      },
-      timestamp: new Date().toISOString()
+      interval,
+      ...buildDashboard(latestRecords, allRecords, { interval })
     });
-
   } catch (error) {
-    console.error('❌ Reranking error:', error);
-    res.status(500).json({ 
-      error: 'Reranking failed', 
-      details: error.message 
-    });
+    console.error('❌ Error building rating dashboard:', error);
+    res.status(500).json({ error: 'Failed to build rating dashboard', details: error.message });
   }
 });
 
 // Get the latest test case ID from the database
 app.get('/api/testcases/latest-id', async (req, res) => {
   try {
-    const mongoClient = new MongoClient(process.env.MONGODB_URI, {
-      ssl: true,
-      tlsAllowInvalidCertificates: true,
-      tlsAllowInvalidHostnames: true,
-      serverSelectionTimeoutMS: 30000,
-    });
-
-    await mongoClient.connect();
-    const db = mongoClient.db(process.env.DB_NAME);
-    const collection = db.collection(process.env.COLLECTION_NAME);
+    const collection = (await getDb()).collection(process.env.COLLECTION_NAME);
 
     // Find the highest numeric test case ID
     const testCases = await collection.find({}, { projection: { id: 1 } }).toArray();
@@ -1966,8 +4462,6 @@ app.get('/api/testcases/latest-id', async (req, res) => {
       }
     });
 
-    await mongoClient.close();
-
     res.json({
       success: true,
       latestId: maxId,
@@ -1989,4 +4483,30 @@ app.get('/api/testcases/latest-id', async (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📡 API available at http://localhost:${PORT}/api`);
+  console.log(`🤖 LLM provider: ${llmProvider.name} (${llmProvider.model})`);
+  console.log(`🧮 Embedding provider: ${embeddingProvider.name} (${embeddingProvider.model}, ${embeddingProvider.dimensions || '?'} dims)`);
+  console.log(`🔎 Search backend: ${getSearchBackendName()}`);
+
+  // Connect the shared client up front and warm the index validations
+  if (process.env.MONGODB_URI) {
+    getMongoClient()
+      .then(() => {
+        console.log('✅ Connected to MongoDB (shared pool)');
+        if (getSearchBackendName() === 'atlas') return checkIndexReadiness();
+      })
+      .then(indexes => {
+        (indexes || []).filter(index => !index.ok).forEach(index => {
+          console.warn(`⚠️ ${index.collectionName}/${index.indexName}: ${index.error}`);
+        });
+      })
+      .catch(error => console.warn('⚠️ MongoDB connection failed at startup:', error.message));
+  }
+});
+
+// Close the shared MongoDB pool on shutdown
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, async () => {
+    try { await closeMongoClient(); } catch (e) {}
+    process.exit(0);
+  });
 });
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * Mongo Pool - One shared MongoClient (and connection pool) for the server process
+ * Routes call getMongoClient() instead of connecting and closing a client per request;
+ * a failed connect is retried on the next call
+ */
+
+import { MongoClient } from 'mongodb';
+
+let client = null;
+let connectPromise = null;
+
+const status = {
+  connected: false,
+  connectedAt: null,
+  lastError: null
+};
+
+/**
+ * Client options shared by the server (TLS settings match the standalone scripts)
+ * @returns {Object} - MongoClient options
+ */
+export function getMongoClientOptions() {
+  return {
+    ssl: true,
+    tlsAllowInvalidCertificates: true,
+    tlsAllowInvalidHostnames: true,
+    serverSelectionTimeoutMS: 30000,
+    connectTimeoutMS: 30000,
+    socketTimeoutMS: 30000,
+    maxPoolSize: parseInt(process.env.MONGODB_MAX_POOL_SIZE) || 20
+  };
+}
+
+/**
+ * Shared, connected MongoClient
+ * @returns {Promise<MongoClient>} - Connected client
+ */
+export async function getMongoClient() {
+  if (client) return client;
+
+  if (!connectPromise) {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI is not configured');
+    }
+
+    const candidate = new MongoClient(process.env.MONGODB_URI, getMongoClientOptions());
+    connectPromise = candidate.connect()
+      .then(() => {
+        client = candidate;
+        status.connected = true;
+        status.connectedAt = new Date();
+        status.lastError = null;
+        return client;
+      })
+      .catch(async (error) => {
+        status.connected = false;
+        status.lastError = error.message;
+        connectPromise = null;
+        try { await candidate.close(); } catch (e) {}
+        throw error;
+      });
+  }
+
+  return connectPromise;
+}
+
+/**
+ * Database handle on the shared client
+ * @param {string} dbName - Database name (defaults to DB_NAME)
+ */
+export async function getDb(dbName = process.env.DB_NAME) {
+  return (await getMongoClient()).db(dbName);
+}
+
+/**
+ * Round-trip check of the shared connection
+ * @param {Object} options - { timeoutMs } so health checks don't wait for server selection
+ * @returns {Promise<Object>} - { ok, latencyMs, error }
+ */
+export async function pingMongo({ timeoutMs = 5000 } = {}) {
+  const startTime = Date.now();
+  let timer = null;
+
+  try {
+    const ping = (async () => {
+      const mongoClient = await getMongoClient();
+      await mongoClient.db('admin').command({ ping: 1 });
+    })();
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`No response from MongoDB within ${timeoutMs}ms`)), timeoutMs);
+    });
+    // A slow connect keeps going in the background; only this check gives up
+    ping.catch(() => {});
+
+    await Promise.race([ping, timeout]);
+    return { ok: true, latencyMs: Date.now() - startTime };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - startTime, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Connection state for health reporting
+ * @returns {Object} - { connected, connectedAt, lastError, maxPoolSize }
+ */
+export function getMongoStatus() {
+  return { ...status, maxPoolSize: getMongoClientOptions().maxPoolSize };
+}
+
+/**
+ * Close the shared client (server shutdown)
+ */
+export async function closeMongoClient() {
+  const current = client;
+  client = null;
+  connectPromise = null;
+  status.connected = false;
+  if (current) {
+    await current.close();
+  }
+}
+
+export default {
+  getMongoClientOptions,
+  getMongoClient,
+  getDb,
+  pingMongo,
+  getMongoStatus,
+  closeMongoClient
+};
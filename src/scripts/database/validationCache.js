@@ -0,0 +1,81 @@
+/**
+ * Validation Cache - Remembers DB/collection/index checks so routes don't repeat them per request
+ * Successful results are kept for ttlMs, failures for the shorter failureTtlMs so a newly
+ * created index is picked up quickly; refresh() re-runs every cached check
+ */
+
+/**
+ * Create a cache around a validation function
+ * @param {Function} validate - async (params) => { ok, error, ... }
+ * @param {Object} options - { ttlMs, failureTtlMs }
+ * @returns {Object} - Cache with get(), refresh(), invalidate() and snapshot()
+ */
+export function createValidationCache(validate, { ttlMs = 5 * 60 * 1000, failureTtlMs = 30 * 1000 } = {}) {
+  const entries = new Map();
+  const pending = new Map();
+
+  const run = async (key, params) => {
+    // Concurrent requests for the same check share one validation
+    if (pending.has(key)) return pending.get(key);
+
+    const promise = (async () => {
+      try {
+        const result = await validate(params);
+        entries.set(key, { params, result, checkedAt: Date.now() });
+        return result;
+      } finally {
+        pending.delete(key);
+      }
+    })();
+    pending.set(key, promise);
+    return promise;
+  };
+
+  return {
+    /**
+     * Cached result for params, validating when missing or expired
+     */
+    async get(params) {
+      const key = JSON.stringify(params);
+      const entry = entries.get(key);
+      if (entry) {
+        const maxAge = entry.result.ok ? ttlMs : failureTtlMs;
+        if (Date.now() - entry.checkedAt < maxAge) return entry.result;
+      }
+      return run(key, params);
+    },
+
+    /**
+     * Re-run every cached validation (periodic refresh)
+     */
+    async refresh() {
+      const keys = Array.from(entries.keys());
+      await Promise.allSettled(keys.map(key => run(key, entries.get(key).params)));
+    },
+
+    /**
+     * Drop cached results, optionally only those whose params match a predicate
+     */
+    invalidate(predicate = null) {
+      for (const [key, entry] of entries.entries()) {
+        if (!predicate || predicate(entry.params)) entries.delete(key);
+      }
+    },
+
+    /**
+     * Cached results for health reporting
+     * @returns {Array<Object>} - [{ ...params, ...result, checkedAt }]
+     */
+    snapshot() {
+      return Array.from(entries.values()).map(({ params, result, checkedAt }) => ({
+        ...params,
+        ...result,
+        checkedAt: new Date(checkedAt).toISOString()
+      }));
+    }
+  };
+}
+
+export default {
+  createValidationCache
+};
@@ -1,9 +1,9 @@
 import { MongoClient } from "mongodb";
 import dns from "dns";
-import axios from "axios";
 import dotenv from "dotenv";
 import fs from "fs";
 import pLimit from "p-limit";
+import { createEmbeddingProvider, buildEmbeddingMetadata } from "./embeddingProvider.js";
 
 dotenv.config();
 
@@ -21,10 +21,8 @@ const client = new MongoClient(process.env.MONGODB_URI, {
   maxPoolSize: 20 // Increased connection pool for batch processing
 });
 
-// Testleaf API configuration
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
+// Embedding provider (EMBEDDING_PROVIDER in .env)
+const embeddingProvider = createEmbeddingProvider();
 
 // BATCH PROCESSING CONFIGURATION - Optimized for Testleaf Batch API
 const BATCH_SIZE = 100; // Send 100 batches
@@ -37,7 +35,7 @@ const embeddingLimit = pLimit(CONCURRENT_LIMIT);
 const dbLimit = pLimit(3); // Limit DB operations
 
 /**
- * Generate embeddings for a batch of testcases using Testleaf Batch API
+ * Generate embeddings for a batch of testcases using the configured embedding provider
  */
 async function generateBatchEmbeddings(testcaseBatch, batchNumber, totalBatches, maxRetries = 3) {
   return embeddingLimit(async () => {
@@ -57,45 +55,26 @@ async function generateBatchEmbeddings(testcaseBatch, batchNumber, totalBatches,
         
         console.log(`🚀 [Batch ${batchNumber}/${totalBatches}] Processing ${testcaseBatch.length} testcases...`);
         
-        // Use Testleaf Batch API endpoint
-        const embeddingResponse = await axios.post(
-          `${TESTLEAF_API_BASE}/embedding/batch/${USER_EMAIL}`,
-          {
-            inputs: inputs,
-            model: "text-embedding-3-small"
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              ...(AUTH_TOKEN && { 'Authorization': `Bearer ${AUTH_TOKEN}` })
-            },
-            timeout: 300000 // Longer timeout for batch requests
-          }
-        );
-
-        if (embeddingResponse.data.status !== 200) {
-          throw new Error(`Batch API error: ${embeddingResponse.data.message}`);
-        }
+        // Embed the whole batch in one provider call
+        const batchResult = await embeddingProvider.embedBatch(inputs);
 
-        const embeddings = embeddingResponse.data.data;
-        const totalCost = embeddingResponse.data.cost || 0;
-        const totalTokens = embeddingResponse.data.usage?.total_tokens || 0;
-        const model = embeddingResponse.data.model;
+        const embeddings = batchResult.embeddings;
+        const totalCost = batchResult.cost;
+        const totalTokens = batchResult.tokens;
         
         // Map embeddings back to testcases
         const results = testcaseBatch.map((testcase, index) => ({
           testcase,
-          embedding: embeddings[index].embedding,
+          embedding: embeddings[index],
           cost: totalCost / testcaseBatch.length, // Distribute cost evenly
           tokens: Math.round(totalTokens / testcaseBatch.length), // Distribute tokens evenly
-          metadata: {
-            model: model,
+          metadata: buildEmbeddingMetadata(batchResult, {
             cost: totalCost / testcaseBatch.length,
             tokens: Math.round(totalTokens / testcaseBatch.length),
-            apiSource: 'testleaf-batch',
+            apiSource: `${batchResult.provider}-batch`,
             batchNumber: batchNumber,
             createdAt: new Date()
-          }
+          })
         }));
         
         console.log(`✅ [Batch ${batchNumber}/${totalBatches}] Success! Cost: $${totalCost.toFixed(6)} | Tokens: ${totalTokens}`);
@@ -223,15 +202,15 @@ async function main() {
     const testcases = JSON.parse(fs.readFileSync("src/data/testcases.json", "utf-8"));
     const progress = new ProgressTracker(testcases.length);
 
-    console.log(`🚀 TESTLEAF BATCH API PROCESSING: ${testcases.length} test cases`);
-    console.log(`⚡ Using Testleaf Batch Embedding API for Maximum Efficiency!`);
+    console.log(`🚀 BATCH EMBEDDING PROCESSING: ${testcases.length} test cases`);
+    console.log(`⚡ Using ${embeddingProvider.name} batch embeddings (${embeddingProvider.model}) for Maximum Efficiency!`);
     console.log(`⚙️  Configuration for Batch API:`);
     console.log(`   📦 Batch Size: ${BATCH_SIZE} testcases per API call`);
     console.log(`   🔄 Concurrent Batch Calls: ${CONCURRENT_LIMIT}`);
     console.log(`   💾 MongoDB Batch Size: ${MONGODB_BATCH_SIZE}`);
     console.log(`   ⏰ Delay Between Batch Groups: ${DELAY_BETWEEN_BATCHES}ms`);
-    console.log(`   🌐 API Endpoint: ${TESTLEAF_API_BASE}/embedding/batch/${USER_EMAIL}`);
-    console.log(`   📧 User Email: ${USER_EMAIL}`);
+    console.log(`   🧮 Embedding Provider: ${embeddingProvider.name} (${embeddingProvider.model})`);
+    console.log(`   📐 Dimensions: ${embeddingProvider.dimensions || 'Unknown'}`);
     console.log(`   🗄️  Database: ${process.env.DB_NAME}`);
     console.log(`   📦 Collection: ${process.env.COLLECTION_NAME}`);
     
@@ -337,7 +316,7 @@ async function main() {
 
   } catch (err) {
     if (err.response) {
-      console.error("❌ Testleaf API Error:", err.response.status, err.response.data);
+      console.error("❌ Embedding API Error:", err.response.status, err.response.data);
     } else {
       console.error("❌ Error:", err.message);
     }
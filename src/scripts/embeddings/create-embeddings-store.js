@@ -1,8 +1,8 @@
 import { MongoClient } from "mongodb";
 import dns from "dns";
-import axios from "axios";
 import dotenv from "dotenv";
 import fs from "fs";
+import { createEmbeddingProvider, buildEmbeddingMetadata } from "./embeddingProvider.js";
 
 dotenv.config();
 
@@ -19,10 +19,8 @@ const client = new MongoClient(process.env.MONGODB_URI, {
   socketTimeoutMS: 30000,
 });
 
-// Testleaf API configuration
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
+// Embedding provider (EMBEDDING_PROVIDER in .env)
+const embeddingProvider = createEmbeddingProvider();
 
 async function main() {
   try {
@@ -33,11 +31,11 @@ async function main() {
     // Load sample testcases
     const testcases = JSON.parse(fs.readFileSync("src/data/testcases.json", "utf-8"));
 
-    console.log(`🚀 Processing ${testcases.length} test cases using Testleaf API...`);
+    console.log(`🚀 Processing ${testcases.length} test cases using ${embeddingProvider.name} embeddings...`);
     console.log(`⚙️  Configuration:`);
-    console.log(`   🌐 API Base: ${TESTLEAF_API_BASE}`);
-    console.log(`   📧 User Email: ${USER_EMAIL}`);
-    console.log(`   🔑 Auth Token: ${AUTH_TOKEN ? '✅ Provided' : '❌ Missing'}`);
+    console.log(`   🧮 Embedding Provider: ${embeddingProvider.name}`);
+    console.log(`   🤖 Model: ${embeddingProvider.model}`);
+    console.log(`   📐 Dimensions: ${embeddingProvider.dimensions || 'Unknown'}`);
     console.log(`   🗄️  Database: ${process.env.DB_NAME}`);
     console.log(`   📦 Collection: ${process.env.COLLECTION_NAME}`);
     console.log(``);
@@ -58,41 +56,18 @@ async function main() {
           Expected Result: ${testcase.expectedResults}
         `;
         
-        // Generate embeddings using testleaf API
-        const embeddingResponse = await axios.post(
-          `${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`,
-          {
-            input: inputText,
-            model: "text-embedding-3-small"
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              ...(AUTH_TOKEN && { 'Authorization': `Bearer ${AUTH_TOKEN}` })
-            }
-          }
-        );
-
-        console.log(`📡 Server Response Received:`);
-        console.log(`   📊 Status: ${embeddingResponse.status}`);
-        console.log(`   📋 Response Status: ${embeddingResponse.data.status}`);
-        console.log(`   💬 Message: ${embeddingResponse.data.message || 'No message'}`);
-        
-        if (embeddingResponse.data.status !== 200) {
-          console.error(`❌ API Error Response:`, embeddingResponse.data);
-          throw new Error(`Testleaf API error: ${embeddingResponse.data.message}`);
-        }
+        // Generate embeddings with the configured provider
+        const embeddingResult = await embeddingProvider.embed(inputText);
 
-        const vector = embeddingResponse.data.data[0].embedding;
-        const cost = embeddingResponse.data.cost || 0;
-        const tokens = embeddingResponse.data.usage?.total_tokens || 0;
+        const vector = embeddingResult.embedding;
+        const cost = embeddingResult.cost;
+        const tokens = embeddingResult.tokens;
         
         console.log(`✅ Embedding Generated Successfully:`);
-        console.log(`   🤖 Model Used: ${embeddingResponse.data.model}`);
+        console.log(`   🤖 Model Used: ${embeddingResult.model}`);
         console.log(`   💰 Cost: $${cost.toFixed(6)}`);
         console.log(`   🔢 Tokens Used: ${tokens}`);
         console.log(`   📐 Vector Dimensions: ${vector?.length || 'Unknown'}`);
-        console.log(`   📊 Usage Details:`, embeddingResponse.data.usage);
 
         totalCost += cost;
         totalTokens += tokens;
@@ -102,12 +77,7 @@ async function main() {
           ...testcase,
           embedding: vector,
           createdAt: new Date(),
-          embeddingMetadata: {
-            model: embeddingResponse.data.model,
-            cost: cost,
-            tokens: tokens,
-            apiSource: 'testleaf'
-          }
+          embeddingMetadata: buildEmbeddingMetadata(embeddingResult)
         };
 
         console.log(`💾 Inserting into MongoDB...`);
@@ -133,7 +103,7 @@ async function main() {
           console.error(`   📝 Request Method: ${error.config?.method || 'Unknown'}`);
         } else if (error.request) {
           console.error(`   📡 No response received from server`);
-          console.error(`   🔗 Request URL: ${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`);
+          console.error(`   🔗 Provider: ${embeddingProvider.name} (${embeddingProvider.model})`);
           console.error(`   ⏰ Possible timeout or network issue`);
         } else {
           console.error(`   💥 Error Message: ${error.message}`);
@@ -153,7 +123,7 @@ async function main() {
 
   } catch (err) {
     if (err.response) {
-      console.error("❌ Testleaf API Error:", err.response.status, err.response.data);
+      console.error("❌ Embedding API Error:", err.response.status, err.response.data);
     } else {
       console.error("❌ Error:", err.message);
     }
@@ -1,9 +1,9 @@
 import { MongoClient } from "mongodb";
 import dns from "dns";
-import axios from "axios";
 import dotenv from "dotenv";
 import fs from "fs";
 import pLimit from "p-limit";
+import { createEmbeddingProvider, buildEmbeddingMetadata } from "./embeddingProvider.js";
 
 dotenv.config();
 
@@ -21,10 +21,8 @@ const client = new MongoClient(process.env.MONGODB_URI, {
   maxPoolSize: 20 // Increased connection pool for batch processing
 });
 
-// Testleaf API configuration
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
+// Embedding provider (EMBEDDING_PROVIDER in .env)
+const embeddingProvider = createEmbeddingProvider();
 
 // User Stories specific configuration
 const USER_STORIES_COLLECTION = process.env.USER_STORIES_COLLECTION || 'user_stories';
@@ -70,7 +68,7 @@ function createUserStoryInputText(userStory) {
 }
 
 /**
- * Generate embeddings for a batch of user stories using Testleaf Batch API
+ * Generate embeddings for a batch of user stories using the configured embedding provider
  */
 async function generateBatchUserStoryEmbeddings(userStoryBatch, batchNumber, totalBatches, maxRetries = 3) {
   return embeddingLimit(async () => {
@@ -83,47 +81,28 @@ async function generateBatchUserStoryEmbeddings(userStoryBatch, batchNumber, tot
         
         console.log(`🚀 [Batch ${batchNumber}/${totalBatches}] Processing ${userStoryBatch.length} user stories...`);
         
-        // Use Testleaf Batch API endpoint
-        const embeddingResponse = await axios.post(
-          `${TESTLEAF_API_BASE}/embedding/batch/${USER_EMAIL}`,
-          {
-            inputs: inputs,
-            model: "text-embedding-3-small"
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              ...(AUTH_TOKEN && { 'Authorization': `Bearer ${AUTH_TOKEN}` })
-            },
-            timeout: 300000 // Longer timeout for batch requests
-          }
-        );
-
-        if (embeddingResponse.data.status !== 200) {
-          throw new Error(`Batch API error: ${embeddingResponse.data.message}`);
-        }
+        // Embed the whole batch in one provider call
+        const batchResult = await embeddingProvider.embedBatch(inputs);
 
-        const embeddings = embeddingResponse.data.data;
-        const totalCost = embeddingResponse.data.cost || 0;
-        const totalTokens = embeddingResponse.data.usage?.total_tokens || 0;
-        const model = embeddingResponse.data.model;
+        const embeddings = batchResult.embeddings;
+        const totalCost = batchResult.cost;
+        const totalTokens = batchResult.tokens;
         
         // Map embeddings back to user stories
         const results = userStoryBatch.map((userStory, index) => ({
           userStory,
-          embedding: embeddings[index].embedding,
+          embedding: embeddings[index],
           cost: totalCost / userStoryBatch.length, // Distribute cost evenly
           tokens: Math.round(totalTokens / userStoryBatch.length), // Distribute tokens evenly
           inputText: inputs[index],
-          metadata: {
-            model: model,
+          metadata: buildEmbeddingMetadata(batchResult, {
             cost: totalCost / userStoryBatch.length,
             tokens: Math.round(totalTokens / userStoryBatch.length),
-            apiSource: 'testleaf-batch',
+            apiSource: `${batchResult.provider}-batch`,
             inputTextLength: inputs[index].length,
             batchNumber: batchNumber,
             generatedAt: new Date().toISOString()
-          }
+          })
         }));
         
         console.log(`✅ [Batch ${batchNumber}/${totalBatches}] Success! Cost: $${totalCost.toFixed(6)} | Tokens: ${totalTokens}`);
@@ -262,15 +241,15 @@ async function main() {
     const userStories = JSON.parse(fs.readFileSync(USER_STORIES_DATA_FILE, "utf-8"));
     const progress = new UserStoryProgressTracker(userStories.length);
 
-    console.log(`🚀 TESTLEAF BATCH API PROCESSING: ${userStories.length} user stories`);
-    console.log(`⚡ Using Testleaf Batch Embedding API for Maximum Efficiency!`);
+    console.log(`🚀 BATCH EMBEDDING PROCESSING: ${userStories.length} user stories`);
+    console.log(`⚡ Using ${embeddingProvider.name} batch embeddings (${embeddingProvider.model}) for Maximum Efficiency!`);
     console.log(`⚙️  Configuration for User Stories Batch API:`);
     console.log(`   📦 Batch Size: ${BATCH_SIZE} user stories per API call`);
     console.log(`   🔄 Concurrent Batch Calls: ${CONCURRENT_LIMIT}`);
     console.log(`   💾 MongoDB Batch Size: ${MONGODB_BATCH_SIZE}`);
     console.log(`   ⏰ Delay Between Batch Groups: ${DELAY_BETWEEN_BATCHES}ms`);
-    console.log(`   🌐 API Endpoint: ${TESTLEAF_API_BASE}/embedding/batch/${USER_EMAIL}`);
-    console.log(`   📧 User Email: ${USER_EMAIL}`);
+    console.log(`   🧮 Embedding Provider: ${embeddingProvider.name} (${embeddingProvider.model})`);
+    console.log(`   📐 Dimensions: ${embeddingProvider.dimensions || 'Unknown'}`);
     console.log(`   🗄️  Database: ${process.env.DB_NAME}`);
     console.log(`   📦 Collection: ${USER_STORIES_COLLECTION}`);
     
@@ -378,13 +357,13 @@ async function main() {
     console.log(`\n🔧 Vector Index Information:`);
     console.log(`   📦 Collection: ${USER_STORIES_COLLECTION}`);
     console.log(`   🔍 Index Name: user_stories_vector_index`);
-    console.log(`   📐 Dimensions: 1536`);
+    console.log(`   📐 Dimensions: ${embeddingProvider.dimensions || 'Unknown'} (must match numDimensions in the index config)`);
     console.log(`   📋 Config File: src/config/user-stories-vector-index.json`);
     console.log(`   💡 Remember to create the vector index in MongoDB Atlas if not already created!`);
 
   } catch (err) {
     if (err.response) {
-      console.error("❌ Testleaf API Error:", err.response.status, err.response.data);
+      console.error("❌ Embedding API Error:", err.response.status, err.response.data);
     } else {
       console.error("❌ Error:", err.message);
     }
@@ -1,8 +1,8 @@
 import { MongoClient } from "mongodb";
 import dns from "dns";
-import axios from "axios";
 import dotenv from "dotenv";
 import fs from "fs";
+import { createEmbeddingProvider, buildEmbeddingMetadata } from "./embeddingProvider.js";
 
 dotenv.config();
 
@@ -19,10 +19,8 @@ const client = new MongoClient(process.env.MONGODB_URI, {
   socketTimeoutMS: 30000,
 });
 
-// Testleaf API configuration
-const TESTLEAF_API_BASE = process.env.TESTLEAF_API_BASE || 'https://api.testleaf.ai';
-const USER_EMAIL = process.env.USER_EMAIL;
-const AUTH_TOKEN = process.env.AUTH_TOKEN;
+// Embedding provider (EMBEDDING_PROVIDER in .env)
+const embeddingProvider = createEmbeddingProvider();
 
 // User Stories specific configuration
 const USER_STORIES_COLLECTION = process.env.USER_STORIES_COLLECTION || 'user_stories';
@@ -75,11 +73,11 @@ async function main() {
     // Load user stories
     const userStories = JSON.parse(fs.readFileSync(USER_STORIES_DATA_FILE, "utf-8"));
 
-    console.log(`🚀 Processing ${userStories.length} user stories using Testleaf API...`);
+    console.log(`🚀 Processing ${userStories.length} user stories using ${embeddingProvider.name} embeddings...`);
     console.log(`⚙️  Configuration:`);
-    console.log(`   🌐 API Base: ${TESTLEAF_API_BASE}`);
-    console.log(`   📧 User Email: ${USER_EMAIL}`);
-    console.log(`   🔑 Auth Token: ${AUTH_TOKEN ? '✅ Provided' : '❌ Missing'}`);
+    console.log(`   🧮 Embedding Provider: ${embeddingProvider.name}`);
+    console.log(`   🤖 Model: ${embeddingProvider.model}`);
+    console.log(`   📐 Dimensions: ${embeddingProvider.dimensions || 'Unknown'}`);
     console.log(`   🗄️  Database: ${process.env.DB_NAME}`);
     console.log(`   📦 Collection: ${USER_STORIES_COLLECTION}`);
     console.log(`   📁 Data File: ${USER_STORIES_DATA_FILE}`);
@@ -102,41 +100,18 @@ async function main() {
         
         console.log(`📄 Input text length: ${inputText.length} characters`);
         
-        // Generate embeddings using testleaf API
-        const embeddingResponse = await axios.post(
-          `${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`,
-          {
-            input: inputText,
-            model: "text-embedding-3-small"
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              ...(AUTH_TOKEN && { 'Authorization': `Bearer ${AUTH_TOKEN}` })
-            }
-          }
-        );
-
-        console.log(`📡 Server Response Received:`);
-        console.log(`   📊 Status: ${embeddingResponse.status}`);
-        console.log(`   📋 Response Status: ${embeddingResponse.data.status}`);
-        console.log(`   💬 Message: ${embeddingResponse.data.message || 'No message'}`);
-        
-        if (embeddingResponse.data.status !== 200) {
-          console.error(`❌ API Error Response:`, embeddingResponse.data);
-          throw new Error(`Testleaf API error: ${embeddingResponse.data.message}`);
-        }
+        // Generate embeddings with the configured provider
+        const embeddingResult = await embeddingProvider.embed(inputText);
 
-        const vector = embeddingResponse.data.data[0].embedding;
-        const cost = embeddingResponse.data.cost || 0;
-        const tokens = embeddingResponse.data.usage?.total_tokens || 0;
+        const vector = embeddingResult.embedding;
+        const cost = embeddingResult.cost;
+        const tokens = embeddingResult.tokens;
         
         console.log(`✅ Embedding Generated Successfully:`);
-        console.log(`   🤖 Model Used: ${embeddingResponse.data.model}`);
+        console.log(`   🤖 Model Used: ${embeddingResult.model}`);
         console.log(`   💰 Cost: $${cost.toFixed(6)}`);
         console.log(`   🔢 Tokens Used: ${tokens}`);
         console.log(`   📐 Vector Dimensions: ${vector?.length || 'Unknown'}`);
-        console.log(`   📊 Usage Details:`, embeddingResponse.data.usage);
 
         totalCost += cost;
         totalTokens += tokens;
@@ -146,14 +121,10 @@ async function main() {
           ...userStory,
           embedding: vector,
           createdAt: new Date(),
-          embeddingMetadata: {
-            model: embeddingResponse.data.model,
-            cost: cost,
-            tokens: tokens,
-            apiSource: 'testleaf',
+          embeddingMetadata: buildEmbeddingMetadata(embeddingResult, {
             inputTextLength: inputText.length,
             generatedAt: new Date().toISOString()
-          },
+          }),
           // Additional metadata for search and filtering
           searchableText: inputText,
           lastEmbeddingUpdate: new Date()
@@ -186,7 +157,7 @@ async function main() {
           console.error(`   📝 Request Method: ${error.config?.method || 'Unknown'}`);
         } else if (error.request) {
           console.error(`   📡 No response received from server`);
-          console.error(`   🔗 Request URL: ${TESTLEAF_API_BASE}/embedding/text/${USER_EMAIL}`);
+          console.error(`   🔗 Provider: ${embeddingProvider.name} (${embeddingProvider.model})`);
           console.error(`   ⏰ Possible timeout or network issue`);
         } else {
           console.error(`   💥 Error Message: ${error.message}`);
@@ -214,13 +185,13 @@ async function main() {
     console.log(`\n🔧 Vector Index Information:`);
     console.log(`   📦 Collection: ${USER_STORIES_COLLECTION}`);
     console.log(`   🔍 Index Name: user_stories_vector_index`);
-    console.log(`   📐 Dimensions: 1536`);
+    console.log(`   📐 Dimensions: ${embeddingProvider.dimensions || 'Unknown'} (must match numDimensions in the index config)`);
     console.log(`   📋 Config File: src/config/user-stories-vector-index.json`);
     console.log(`   💡 Remember to create the vector index in MongoDB Atlas if not already created!`);
 
   } catch (err) {
     if (err.response) {
-      console.error("❌ Testleaf API Error:", err.response.status, err.response.data);
+      console.error("❌ Embedding API Error:", err.response.status, err.response.data);
     } else {
       console.error("❌ Error:", err.message);
     }
@@ -0,0 +1,390 @@
+/**
+ * Embedding Provider - Text embeddings behind a single interface
+ * Testleaf (default), OpenAI, a local transformers.js (ONNX) model for air-gapped machines
+ * and a deterministic fake for tests and offline development
+ *
+ * Every provider exposes embed(text) and embedBatch(texts); results carry the provider,
+ * model and vector dimensions so stored documents can be checked against the vector index.
+ * checkReady() reports { ready, error } without calling a paid API
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+
+export const EMBEDDING_PROVIDERS = ['testleaf', 'openai', 'local', 'fake'];
+
+const DEFAULT_MODELS = {
+  testleaf: 'text-embedding-3-small',
+  openai: 'text-embedding-3-small',
+  local: 'Xenova/all-MiniLM-L6-v2',
+  fake: 'fake-embedding'
+};
+
+// Output dimensions of known models (EMBEDDING_DIMENSIONS overrides for models that support shortening)
+const MODEL_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536,
+  'Xenova/all-MiniLM-L6-v2': 384,
+  'Xenova/all-mpnet-base-v2': 768,
+  'Xenova/bge-small-en-v1.5': 384,
+  'Xenova/bge-base-en-v1.5': 768,
+  // Same size as text-embedding-3-small, so the shipped vector index definitions accept it
+  'fake-embedding': 1536
+};
+
+// USD per 1M tokens for the OpenAI API (Testleaf reports its own cost)
+const MODEL_PRICING = {
+  'text-embedding-3-small': 0.02,
+  'text-embedding-3-large': 0.13,
+  'text-embedding-ada-002': 0.1
+};
+
+/**
+ * Testleaf embedding endpoints (/embedding/text and /embedding/batch)
+ */
+function createTestleafProvider({ apiBase, model, dimensions, userEmail, authToken }) {
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(authToken && { 'Authorization': `Bearer ${authToken}` })
+  };
+
+  const ensureConfigured = () => {
+    if (!apiBase || !userEmail) {
+      throw new Error('TESTLEAF_API_BASE and USER_EMAIL are required for the testleaf embedding provider');
+    }
+  };
+
+  return {
+    name: 'testleaf',
+    model,
+    dimensions,
+    async checkReady() {
+      try {
+        ensureConfigured();
+        return { ready: true };
+      } catch (error) {
+        return { ready: false, error: error.message };
+      }
+    },
+    async embed(text) {
+      ensureConfigured();
+      const response = await axios.post(`${apiBase}/embedding/text/${userEmail}`, {
+        input: text,
+        model
+      }, { headers });
+
+      if (response.data.status !== 200) {
+        throw new Error(`Testleaf API error: ${response.data.message}`);
+      }
+
+      const embedding = response.data.data[0].embedding;
+      return {
+        embedding,
+        tokens: response.data.usage?.total_tokens || 0,
+        cost: response.data.cost || 0,
+        model: response.data.model || model,
+        provider: 'testleaf',
+        dimensions: embedding.length
+      };
+    },
+    async embedBatch(texts) {
+      ensureConfigured();
+      const response = await axios.post(`${apiBase}/embedding/batch/${userEmail}`, {
+        inputs: texts,
+        model
+      }, {
+        headers,
+        timeout: 300000 // Longer timeout for batch requests
+      });
+
+      if (response.data.status !== 200) {
+        throw new Error(`Batch API error: ${response.data.message}`);
+      }
+
+      const embeddings = response.data.data.map(item => item.embedding);
+      return {
+        embeddings,
+        tokens: response.data.usage?.total_tokens || 0,
+        cost: response.data.cost || 0,
+        model: response.data.model || model,
+        provider: 'testleaf',
+        dimensions: embeddings[0]?.length || dimensions
+      };
+    }
+  };
+}
+
+/**
+ * OpenAI /embeddings (also works for OpenAI-compatible gateways)
+ */
+function createOpenAIProvider({ apiBase, model, dimensions, apiKey }) {
+  const embedBatch = async (texts) => {
+    if (!apiKey) {
+      throw new Error('EMBEDDING_API_KEY is required for the openai embedding provider');
+    }
+
+    const body = { input: texts, model };
+    // Only text-embedding-3 models accept a shortened output size
+    if (dimensions && model.startsWith('text-embedding-3') && dimensions !== MODEL_DIMENSIONS[model]) {
+      body.dimensions = dimensions;
+    }
+
+    const response = await axios.post(`${apiBase.replace(/\/$/, '')}/embeddings`, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      timeout: 300000
+    });
+
+    const embeddings = response.data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+    const tokens = response.data.usage?.total_tokens || 0;
+
+    return {
+      embeddings,
+      tokens,
+      cost: (tokens / 1000000) * (MODEL_PRICING[model] || 0),
+      model: response.data.model || model,
+      provider: 'openai',
+      dimensions: embeddings[0]?.length || dimensions
+    };
+  };
+
+  return {
+    name: 'openai',
+    model,
+    dimensions,
+    async checkReady() {
+      return apiKey ? { ready: true } : { ready: false, error: 'EMBEDDING_API_KEY is required for the openai embedding provider' };
+    },
+    async embed(text) {
+      const { embeddings, ...rest } = await embedBatch([text]);
+      return { embedding: embeddings[0], ...rest };
+    },
+    embedBatch
+  };
+}
+
+/**
+ * Local transformers.js feature-extraction pipeline (ONNX, runs in-process)
+ * The model is downloaded once into the transformers.js cache, or read from EMBEDDING_MODEL_PATH
+ */
+function createLocalProvider({ model, dimensions, modelPath }) {
+  let extractorPromise = null;
+
+  const getExtractor = async () => {
+    if (!extractorPromise) {
+      extractorPromise = (async () => {
+        let transformers;
+        try {
+          transformers = await import('@huggingface/transformers');
+        } catch (error) {
+          throw new Error('The local embedding provider requires @huggingface/transformers (npm install @huggingface/transformers)');
+        }
+        if (modelPath) {
+          transformers.env.localModelPath = modelPath;
+          transformers.env.allowRemoteModels = false;
+        }
+        return transformers.pipeline('feature-extraction', model);
+      })();
+      // Allow a retry after a failed load
+      extractorPromise.catch(() => { extractorPromise = null; });
+    }
+    return extractorPromise;
+  };
+
+  const embedBatch = async (texts) => {
+    const extractor = await getExtractor();
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    const embeddings = output.tolist();
+
+    return {
+      embeddings,
+      tokens: 0,
+      cost: 0,
+      model,
+      provider: 'local',
+      dimensions: embeddings[0]?.length || dimensions
+    };
+  };
+
+  return {
+    name: 'local',
+    model,
+    dimensions,
+    // Loads the model, so the first check can take a while on a cold cache
+    async checkReady() {
+      try {
+        await getExtractor();
+        return { ready: true };
+      } catch (error) {
+        return { ready: false, error: error.message };
+      }
+    },
+    async embed(text) {
+      const { embeddings, ...rest } = await embedBatch([text]);
+      return { embedding: embeddings[0], ...rest };
+    },
+    embedBatch
+  };
+}
+
+/**
+ * Deterministic bag-of-words vector: every word is hashed to a dimension and a sign, and the sum is
+ * L2-normalized, so texts sharing words get a positive cosine similarity
+ * @param {string} text - Input text
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>} - Unit vector (all zeros for text without words)
+ */
+export function fakeEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text ?? '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  words.forEach(word => {
+    const digest = crypto.createHash('sha256').update(word).digest();
+    vector[digest.readUInt32BE(0) % dimensions] += digest[4] & 1 ? 1 : -1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Fake provider for tests and offline development (no network, no model download)
+ */
+function createFakeProvider({ model, dimensions }) {
+  const embedBatch = async (texts) => ({
+    embeddings: texts.map(text => fakeEmbedding(text, dimensions)),
+    tokens: texts.reduce((sum, text) => sum + Math.ceil(String(text ?? '').length / 4), 0),
+    cost: 0,
+    model,
+    provider: 'fake',
+    dimensions
+  });
+
+  return {
+    name: 'fake',
+    model,
+    dimensions,
+    async checkReady() {
+      return { ready: true };
+    },
+    async embed(text) {
+      const { embeddings, ...rest } = await embedBatch([text]);
+      return { embedding: embeddings[0], ...rest };
+    },
+    embedBatch
+  };
+}
+
+/**
+ * Create the embedding provider selected in settings
+ * @param {Object} config - Overrides for EMBEDDING_PROVIDER, EMBEDDING_MODEL, EMBEDDING_API_BASE,
+ *                          EMBEDDING_API_KEY, EMBEDDING_DIMENSIONS and EMBEDDING_MODEL_PATH
+ * @returns {Object} - Provider with name, model, dimensions, embed(), embedBatch() and checkReady()
+ */
+export function createEmbeddingProvider(config = {}) {
+  const name = (config.provider || process.env.EMBEDDING_PROVIDER || 'testleaf').toLowerCase();
+  if (!EMBEDDING_PROVIDERS.includes(name)) {
+    throw new Error(`Unknown embedding provider '${name}' (expected one of: ${EMBEDDING_PROVIDERS.join(', ')})`);
+  }
+
+  const model = config.model || process.env.EMBEDDING_MODEL || DEFAULT_MODELS[name];
+  const dimensions = parseInt(config.dimensions || process.env.EMBEDDING_DIMENSIONS) || MODEL_DIMENSIONS[model] || null;
+
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider({
+        apiBase: config.apiBase || process.env.EMBEDDING_API_BASE || 'https://api.openai.com/v1',
+        model,
+        dimensions,
+        apiKey: config.apiKey || process.env.EMBEDDING_API_KEY
+      });
+    case 'local':
+      return createLocalProvider({
+        model,
+        dimensions,
+        modelPath: config.modelPath || process.env.EMBEDDING_MODEL_PATH
+      });
+    case 'fake':
+      return createFakeProvider({ model, dimensions: dimensions || MODEL_DIMENSIONS[DEFAULT_MODELS.fake] });
+    default:
+      return createTestleafProvider({
+        apiBase: config.apiBase || process.env.EMBEDDING_API_BASE || process.env.TESTLEAF_API_BASE || 'https://api.testleaf.com/ai',
+        model,
+        dimensions,
+        userEmail: config.userEmail || process.env.USER_EMAIL,
+        authToken: config.authToken || process.env.AUTH_TOKEN
+      });
+  }
+}
+
+/**
+ * Metadata stored alongside each embedding
+ * @param {Object} result - Result of embed() / embedBatch()
+ * @param {Object} extra - Additional fields (e.g. per-document cost, batchNumber)
+ * @returns {Object} - embeddingMetadata document
+ */
+export function buildEmbeddingMetadata(result, extra = {}) {
+  return {
+    model: result.model,
+    provider: result.provider,
+    dimensions: result.dimensions,
+    cost: result.cost,
+    tokens: result.tokens,
+    apiSource: result.provider,
+    ...extra
+  };
+}
+
+/**
+ * Vector dimensions declared for a path in a vector search index definition
+ * @param {Object} indexDefinition - Index definition ({ fields: [...] })
+ * @param {string} path - Vector field path
+ * @returns {number|null} - numDimensions, or null if the field is not defined
+ */
+export function getIndexDimensions(indexDefinition, path = 'embedding') {
+  const field = indexDefinition?.fields?.find(f => f.type === 'vector' && f.path === path);
+  return field?.numDimensions || null;
+}
+
+/**
+ * Check that the active provider produces vectors the index and stored documents can be compared with
+ * @param {Object} provider - Embedding provider
+ * @param {Object} context - { indexDimensions, stored: { provider, model, dimensions } }
+ * @returns {Object} - { ok, errors, warnings }
+ */
+export function checkEmbeddingCompatibility(provider, { indexDimensions = null, stored = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const expected = provider.dimensions;
+
+  if (!expected) {
+    warnings.push(`Unknown output dimensions for model '${provider.model}' - set EMBEDDING_DIMENSIONS to enable the index check`);
+  }
+
+  if (expected && indexDimensions && expected !== indexDimensions) {
+    errors.push(`Embedding provider '${provider.name}' (${provider.model}) produces ${expected}-dimensional vectors but the vector index expects ${indexDimensions}`);
+  }
+
+  if (stored) {
+    if (expected && stored.dimensions && expected !== stored.dimensions) {
+      errors.push(`Stored documents were embedded with ${stored.dimensions}-dimensional vectors (${stored.provider || 'unknown provider'}, ${stored.model || 'unknown model'}) but the active provider produces ${expected}`);
+    } else if (stored.model && stored.model !== provider.model) {
+      warnings.push(`Stored documents were embedded with '${stored.model}' but the active model is '${provider.model}' - similarity scores may be meaningless`);
+    }
+  }
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+export default {
+  EMBEDDING_PROVIDERS,
+  fakeEmbedding,
+  createEmbeddingProvider,
+  buildEmbeddingMetadata,
+  getIndexDimensions,
+  checkEmbeddingCompatibility
+};
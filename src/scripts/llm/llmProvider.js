@@ -0,0 +1,473 @@
+/**
+ * LLM Provider - Chat completion providers behind a single interface
+ * Testleaf (default), OpenAI-compatible APIs, local Ollama / llama.cpp servers and a deterministic fake
+ *
+ * Every provider exposes chat(messages, options) and resolves to
+ * { content, usage: { prompt, completion, total }, cost: { input, output, total }, model, provider }
+ * chatStream(messages, options) resolves to the same shape and calls options.onToken(text) for each
+ * chunk of the completion as it arrives (options.signal aborts the request)
+ * checkReady() reports { ready, error } without spending tokens
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+
+export const LLM_PROVIDERS = ['testleaf', 'openai', 'ollama', 'llamacpp', 'fake'];
+
+const DEFAULT_MODELS = {
+  testleaf: 'gpt-4o-mini',
+  openai: 'gpt-4o-mini',
+  ollama: 'llama3.1',
+  llamacpp: 'local-model',
+  fake: 'fake-llm'
+};
+
+const DEFAULT_API_BASES = {
+  testleaf: 'https://api.testleaf.com/ai',
+  openai: 'https://api.openai.com/v1',
+  ollama: 'http://localhost:11434',
+  llamacpp: 'http://localhost:8080/v1'
+};
+
+// USD per 1M tokens, used when the API does not report a cost
+const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 }
+};
+
+// Context window (prompt + completion tokens); LLM_CONTEXT_WINDOW overrides it, e.g. for a local
+// model served with a smaller context than it was trained with
+const MODEL_CONTEXT_WINDOWS = {
+  'gpt-4o-mini': 128000,
+  'gpt-4o': 128000,
+  'gpt-4.1-mini': 1047576,
+  'gpt-4.1': 1047576,
+  'llama3.1': 131072,
+  'fake-llm': 128000
+};
+
+const DEFAULT_CONTEXT_WINDOW = 32768;
+
+const REQUEST_DEFAULTS = {
+  timeout: 300000, // 5 minutes - rating prompts can be long
+  maxContentLength: Infinity,
+  maxBodyLength: Infinity
+};
+
+/**
+ * Estimate cost from token usage with the pricing table (0 for unknown/local models)
+ * @param {string} model - Model name
+ * @param {Object} usage - { prompt, completion }
+ * @returns {Object} - { input, output, total } in USD
+ */
+export function estimateCost(model, usage) {
+  const pricing = MODEL_PRICING[model];
+  if (!pricing) return { input: 0, output: 0, total: 0 };
+
+  const input = (usage.prompt / 1000000) * pricing.input;
+  const output = (usage.completion / 1000000) * pricing.output;
+  return { input, output, total: input + output };
+}
+
+/**
+ * Context window of a model
+ * @param {string} model - Model name
+ * @param {string|number} override - Window size that takes precedence (LLM_CONTEXT_WINDOW by default)
+ * @returns {number} - Tokens the model accepts for prompt and completion together
+ */
+export function getContextWindow(model, override = process.env.LLM_CONTEXT_WINDOW) {
+  const configured = parseInt(override);
+  if (configured > 0) return configured;
+  return MODEL_CONTEXT_WINDOWS[model] || DEFAULT_CONTEXT_WINDOW;
+}
+
+function normalizeUsage(usage = {}) {
+  const prompt = usage.prompt_tokens || 0;
+  const completion = usage.completion_tokens || 0;
+  return { prompt, completion, total: usage.total_tokens || prompt + completion };
+}
+
+// Split a streamed HTTP body into lines (SSE and NDJSON responses)
+async function forEachLine(stream, onLine) {
+  let buffered = '';
+  for await (const chunk of stream) {
+    buffered += chunk.toString('utf8');
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines.forEach(line => line.trim() && onLine(line.trim()));
+  }
+  if (buffered.trim()) onLine(buffered.trim());
+}
+
+// Readiness probe for local servers: a cheap GET that answers when the server is up
+async function probeServer(url) {
+  try {
+    await axios.get(url, { timeout: 3000 });
+    return { ready: true };
+  } catch (error) {
+    return { ready: false, error: `${url} unreachable: ${error.message}` };
+  }
+}
+
+/**
+ * Testleaf chat completions (OpenAI response wrapped in a transaction with the billed cost)
+ */
+function createTestleafProvider({ apiBase, model, userEmail, authToken }) {
+  const configError = (!apiBase || !userEmail || !authToken)
+    ? 'TESTLEAF_API_BASE, USER_EMAIL, and AUTH_TOKEN are required for the testleaf LLM provider'
+    : null;
+
+  return {
+    name: 'testleaf',
+    model,
+    async checkReady() {
+      return configError ? { ready: false, error: configError } : { ready: true };
+    },
+    async chat(messages, { temperature = 0.5, maxTokens = 1000, model: requestModel = model } = {}) {
+      if (configError) {
+        throw new Error(configError);
+      }
+
+      const response = await axios.post(`${apiBase}/v1/chat/completions`, {
+        model: requestModel,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        },
+        ...REQUEST_DEFAULTS
+      });
+
+      // Check if response has expected structure (Testleaf API transaction response)
+      if (!response.data || !response.data.transaction || !response.data.transaction.response) {
+        throw new Error(`Unexpected API response structure: ${JSON.stringify(response.data)}`);
+      }
+
+      const openaiResponse = response.data.transaction.response;
+      const totalCost = response.data.transaction.cost || 0;
+
+      return {
+        content: openaiResponse.choices[0].message.content,
+        usage: normalizeUsage(openaiResponse.usage),
+        // Testleaf only reports the total; split it with the approximate gpt-4o-mini input/output ratio
+        cost: { input: totalCost * 0.15, output: totalCost * 0.85, total: totalCost },
+        model: requestModel,
+        provider: 'testleaf'
+      };
+    },
+    // The Testleaf gateway answers with one transaction, so the completion arrives as a single chunk
+    async chatStream(messages, { onToken = () => {}, ...options } = {}) {
+      const completion = await this.chat(messages, options);
+      onToken(completion.content);
+      return completion;
+    }
+  };
+}
+
+/**
+ * OpenAI-compatible /chat/completions (OpenAI, Azure-style gateways, vLLM, llama.cpp server)
+ */
+function createOpenAICompatibleProvider({ name, apiBase, model, apiKey }) {
+  return {
+    name,
+    model,
+    async checkReady() {
+      if (!apiBase) return { ready: false, error: `LLM_API_BASE is required for the ${name} LLM provider` };
+      // Hosted APIs need a key; a local llama.cpp server is probed instead
+      if (name === 'openai') {
+        return apiKey ? { ready: true } : { ready: false, error: 'LLM_API_KEY is required for the openai LLM provider' };
+      }
+      return probeServer(`${apiBase.replace(/\/$/, '')}/models`);
+    },
+    async chat(messages, { temperature = 0.5, maxTokens = 1000, model: requestModel = model } = {}) {
+      if (!apiBase) {
+        throw new Error(`LLM_API_BASE is required for the ${name} LLM provider`);
+      }
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const response = await axios.post(`${apiBase.replace(/\/$/, '')}/chat/completions`, {
+        model: requestModel,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      }, { headers, ...REQUEST_DEFAULTS });
+
+      if (!response.data?.choices?.length) {
+        throw new Error(`Unexpected API response structure: ${JSON.stringify(response.data)}`);
+      }
+
+      const usage = normalizeUsage(response.data.usage);
+
+      return {
+        content: response.data.choices[0].message.content,
+        usage,
+        cost: estimateCost(requestModel, usage),
+        model: response.data.model || requestModel,
+        provider: name
+      };
+    },
+    async chatStream(messages, { temperature = 0.5, maxTokens = 1000, model: requestModel = model, onToken = () => {}, signal } = {}) {
+      if (!apiBase) {
+        throw new Error(`LLM_API_BASE is required for the ${name} LLM provider`);
+      }
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const response = await axios.post(`${apiBase.replace(/\/$/, '')}/chat/completions`, {
+        model: requestModel,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { headers, ...REQUEST_DEFAULTS, responseType: 'stream', signal });
+
+      let content = '';
+      let usage = normalizeUsage();
+      let responseModel = requestModel;
+      await forEachLine(response.data, (line) => {
+        if (!line.startsWith('data:')) return;
+        const data = line.substring(5).trim();
+        if (data === '[DONE]') return;
+
+        const chunk = JSON.parse(data);
+        if (chunk.model) responseModel = chunk.model;
+        // The usage arrives in a final chunk without choices (servers that ignore include_usage report none)
+        if (chunk.usage) usage = normalizeUsage(chunk.usage);
+        const text = chunk.choices?.[0]?.delta?.content;
+        if (text) {
+          content += text;
+          onToken(text);
+        }
+      });
+
+      return {
+        content,
+        usage,
+        cost: estimateCost(requestModel, usage),
+        model: responseModel,
+        provider: name
+      };
+    }
+  };
+}
+
+/**
+ * Ollama native /api/chat (chat is non-streaming, chatStream reads the NDJSON stream)
+ */
+function createOllamaProvider({ apiBase, model }) {
+  return {
+    name: 'ollama',
+    model,
+    async checkReady() {
+      return probeServer(`${apiBase.replace(/\/$/, '')}/api/tags`);
+    },
+    async chat(messages, { temperature = 0.5, maxTokens = 1000, model: requestModel = model } = {}) {
+      const response = await axios.post(`${apiBase.replace(/\/$/, '')}/api/chat`, {
+        model: requestModel,
+        messages,
+        stream: false,
+        options: {
+          temperature,
+          num_predict: maxTokens
+        }
+      }, REQUEST_DEFAULTS);
+
+      if (!response.data?.message) {
+        throw new Error(`Unexpected API response structure: ${JSON.stringify(response.data)}`);
+      }
+
+      const prompt = response.data.prompt_eval_count || 0;
+      const completion = response.data.eval_count || 0;
+
+      return {
+        content: response.data.message.content,
+        usage: { prompt, completion, total: prompt + completion },
+        cost: { input: 0, output: 0, total: 0 },
+        model: response.data.model || requestModel,
+        provider: 'ollama'
+      };
+    },
+    async chatStream(messages, { temperature = 0.5, maxTokens = 1000, model: requestModel = model, onToken = () => {}, signal } = {}) {
+      const response = await axios.post(`${apiBase.replace(/\/$/, '')}/api/chat`, {
+        model: requestModel,
+        messages,
+        stream: true,
+        options: {
+          temperature,
+          num_predict: maxTokens
+        }
+      }, { ...REQUEST_DEFAULTS, responseType: 'stream', signal });
+
+      let content = '';
+      let final = {};
+      await forEachLine(response.data, (line) => {
+        const chunk = JSON.parse(line);
+        if (chunk.error) throw new Error(chunk.error);
+        const text = chunk.message?.content;
+        if (text) {
+          content += text;
+          onToken(text);
+        }
+        if (chunk.done) final = chunk;
+      });
+
+      const prompt = final.prompt_eval_count || 0;
+      const completion = final.eval_count || 0;
+
+      return {
+        content,
+        usage: { prompt, completion, total: prompt + completion },
+        cost: { input: 0, output: 0, total: 0 },
+        model: final.model || requestModel,
+        provider: 'ollama'
+      };
+    }
+  };
+}
+
+/**
+ * Deterministic response for the fake provider
+ * Rating prompts get a valid rating JSON, listwise rerank prompts keep the candidate order,
+ * everything else a short text keyed by a hash of the input
+ */
+function fakeContent(messages) {
+  const text = messages.map(message => message.content).join('\n');
+  const digest = crypto.createHash('sha256').update(text).digest('hex');
+
+  if (text.includes('criteriaRatings')) {
+    return JSON.stringify({
+      analysis: {
+        userStoryTitle: 'Fake rated user story',
+        userStoryModule: 'General',
+        summary: 'Deterministic rating produced by the fake LLM provider.',
+        criteriaRatings: {
+          titleClarity: 7,
+          descriptionCompleteness: 7,
+          acceptanceCriteriaQuality: 7,
+          businessValueAlignment: 7,
+          technicalFeasibility: 7,
+          complianceCoverage: 7
+        },
+        averageScore: 7,
+        readinessStatus: 'Needs Refinement',
+        strengths: ['Story follows the expected structure'],
+        gapsIdentified: ['Fake provider does not analyze content'],
+        improvementRecommendations: ['Run against a real model for meaningful feedback'],
+        linkedTestCases: [],
+        sourceCitations: []
+      },
+      rationale: {
+        scoringExplanation: 'All criteria receive the same fixed score from the fake provider.',
+        impactSummary: 'No impact - responses are deterministic placeholders.'
+      },
+      finalRecommendation: `Fake recommendation ${digest.substring(0, 8)}`
+    }, null, 2);
+  }
+
+  if (text.includes('{"ranking"')) {
+    const candidates = text.match(/^\[\d+\]/gm) || [];
+    return JSON.stringify({
+      ranking: candidates.map((_, index) => ({ index: index + 1, rationale: 'Fake provider keeps the incoming order.' }))
+    });
+  }
+
+  return `Fake summary ${digest.substring(0, 8)} of ${text.length} characters.`;
+}
+
+const FAKE_STREAM_CHUNK = 12;
+
+/**
+ * Fake provider for tests and offline development
+ * @param {Object} config - { model, responses } where responses is an optional list returned in order
+ */
+function createFakeProvider({ model, responses = [] }) {
+  let calls = 0;
+
+  return {
+    name: 'fake',
+    model,
+    async checkReady() {
+      return { ready: true };
+    },
+    async chat(messages, { model: requestModel = model } = {}) {
+      const content = calls < responses.length ? responses[calls] : fakeContent(messages);
+      calls++;
+
+      const prompt = Math.ceil(messages.map(message => message.content).join('\n').length / 4);
+      const completion = Math.ceil(content.length / 4);
+
+      return {
+        content,
+        usage: { prompt, completion, total: prompt + completion },
+        cost: { input: 0, output: 0, total: 0 },
+        model: requestModel,
+        provider: 'fake'
+      };
+    },
+    // Replays the fake completion in small chunks, yielding between them like a network stream
+    async chatStream(messages, { onToken = () => {}, signal, ...options } = {}) {
+      const completion = await this.chat(messages, options);
+      for (let i = 0; i < completion.content.length; i += FAKE_STREAM_CHUNK) {
+        if (signal?.aborted) throw new Error('Request aborted');
+        onToken(completion.content.substring(i, i + FAKE_STREAM_CHUNK));
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      return completion;
+    }
+  };
+}
+
+/**
+ * Create the LLM provider selected in settings
+ * @param {Object} config - Overrides for LLM_PROVIDER, LLM_MODEL, LLM_API_BASE, LLM_API_KEY
+ * @returns {Object} - Provider with name, model, chat() and checkReady()
+ */
+export function createLLMProvider(config = {}) {
+  const name = (config.provider || process.env.LLM_PROVIDER || 'testleaf').toLowerCase();
+  if (!LLM_PROVIDERS.includes(name)) {
+    throw new Error(`Unknown LLM provider '${name}' (expected one of: ${LLM_PROVIDERS.join(', ')})`);
+  }
+
+  const model = config.model || process.env.LLM_MODEL || DEFAULT_MODELS[name];
+  const apiBase = config.apiBase || process.env.LLM_API_BASE
+    || (name === 'testleaf' ? process.env.TESTLEAF_API_BASE : null)
+    || DEFAULT_API_BASES[name];
+  const apiKey = config.apiKey || process.env.LLM_API_KEY;
+
+  switch (name) {
+    case 'testleaf':
+      return createTestleafProvider({
+        apiBase,
+        model,
+        userEmail: config.userEmail || process.env.USER_EMAIL,
+        authToken: config.authToken || process.env.AUTH_TOKEN
+      });
+    case 'openai':
+    case 'llamacpp':
+      return createOpenAICompatibleProvider({ name, apiBase, model, apiKey });
+    case 'ollama':
+      return createOllamaProvider({ apiBase, model });
+    default:
+      return createFakeProvider({ model, responses: config.responses });
+  }
+}
+
+export default {
+  LLM_PROVIDERS,
+  estimateCost,
+  getContextWindow,
+  createLLMProvider
+};
@@ -0,0 +1,187 @@
+/**
+ * Context Builder - Token-budget-aware packing of retrieved stories into LLM prompts
+ *
+ * Items are packed in relevance order in two passes:
+ * 1. every item gets a compact entry (the first tokens of each text field) while the budget allows;
+ *    items whose compact entry does not fit are dropped
+ * 2. the tokens left over expand the included entries back towards their full text, field by field in
+ *    priority order and item by item in relevance order, so every included item gets its acceptance
+ *    criteria back before any item gets its description, business value or notes
+ * Token counts are estimates of about 4 characters per token, the same rule as the fake LLM provider.
+ */
+
+export const CHARS_PER_TOKEN = 4;
+
+// Text fields in priority order; compactTokens is what each field keeps in the first pass
+// (0 = only added back from the tokens left over)
+export const CONTEXT_FIELDS = [
+  { field: 'acceptanceCriteria', compactTokens: 120 },
+  { field: 'description', compactTokens: 80 },
+  { field: 'businessValue', compactTokens: 40 },
+  { field: 'notes', compactTokens: 0 }
+];
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text - Text
+ * @returns {number} - Estimated tokens
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(String(text).length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Cut a text to about `tokens` tokens, at a word boundary when one is close, marking the cut with …
+ * @param {string} text - Text
+ * @param {number} tokens - Tokens to keep
+ * @returns {string} - The text itself when it already fits
+ */
+export function truncateToTokens(text, tokens) {
+  const value = String(text ?? '');
+  const maxChars = Math.max(0, tokens) * CHARS_PER_TOKEN;
+  if (value.length <= maxChars) return value;
+  if (maxChars <= 1) return '';
+
+  const cut = value.substring(0, maxChars - 1);
+  const wordEnd = cut.lastIndexOf(' ');
+  return `${(wordEnd > maxChars / 2 ? cut.substring(0, wordEnd) : cut).trimEnd()}…`;
+}
+
+/**
+ * Split a model's context window between the fixed prompt, the completion and the retrieved context
+ * @param {Object} options
+ * @param {number} options.contextWindow - Model context window
+ * @param {string} options.fixedText - Prompt text sent whatever the context (instructions, template, story)
+ * @param {number} options.outputTokens - Tokens reserved for the completion (maxTokens)
+ * @param {number} options.maxContextTokens - Upper limit for the context, so a large window is not filled just because it can be
+ * @returns {Object} - { contextWindow, fixedTokens, outputTokens, available, budget } (available < 0 when the prompt cannot fit)
+ */
+export function planTokenBudget({ contextWindow, fixedText = '', outputTokens = 0, maxContextTokens = Infinity }) {
+  const fixedTokens = estimateTokens(fixedText);
+  const available = contextWindow - fixedTokens - outputTokens;
+  return {
+    contextWindow,
+    fixedTokens,
+    outputTokens,
+    available,
+    budget: Math.max(0, Math.min(available, maxContextTokens))
+  };
+}
+
+/**
+ * Pack ranked items into a token budget
+ * @param {Object} options
+ * @param {Array<Object>} options.items - Items in relevance order
+ * @param {number} options.budget - Tokens the formatted entries may use together
+ * @param {Function} options.formatItem - Renders one (possibly truncated) item the way the prompt shows it
+ * @param {Array<Object>} options.fields - Text fields that may be truncated, in priority order
+ * @param {number} options.maxItems - Most items to include
+ * @param {Function} options.getId - Item id accessor
+ * @returns {Object} - { items (truncated copies, in relevance order), report { budget, used, remaining, candidates, included, dropped } }
+ */
+export function buildContext({
+  items,
+  budget,
+  formatItem = (item) => JSON.stringify(item, null, 2),
+  fields = CONTEXT_FIELDS,
+  maxItems = items.length,
+  getId = (item) => item.key || item.id
+}) {
+  const measure = (entry) => estimateTokens(formatItem(entry));
+  const textOf = (item, field) => (item[field] === undefined || item[field] === null ? '' : String(item[field]));
+
+  // Copy of the item with each text field cut to its kept tokens (fields keeping 0 are left out)
+  const entryFor = (item, kept) => {
+    const entry = { ...item };
+    fields.forEach(({ field }) => {
+      const text = textOf(item, field);
+      if (!text) return;
+      if (kept[field] > 0) entry[field] = truncateToTokens(text, kept[field]);
+      else delete entry[field];
+    });
+    return entry;
+  };
+
+  let remaining = Math.max(0, budget);
+  const packed = [];
+  const dropped = [];
+
+  items.forEach((item, index) => {
+    const fullTokens = measure(item);
+    if (packed.length >= maxItems) {
+      dropped.push({ id: getId(item), rank: index + 1, fullTokens, reason: 'maxItems' });
+      return;
+    }
+
+    const kept = {};
+    fields.forEach(({ field, compactTokens }) => {
+      kept[field] = Math.min(compactTokens, estimateTokens(textOf(item, field)));
+    });
+    const tokens = measure(entryFor(item, kept));
+    if (tokens > remaining) {
+      dropped.push({ id: getId(item), rank: index + 1, fullTokens, compactTokens: tokens, reason: 'budget' });
+      return;
+    }
+
+    remaining -= tokens;
+    packed.push({ item, index, kept, tokens, fullTokens });
+  });
+
+  fields.forEach(({ field }) => {
+    packed.forEach(entry => {
+      const fieldTokens = estimateTokens(textOf(entry.item, field));
+      if (remaining <= 0 || entry.kept[field] >= fieldTokens) return;
+
+      // Formatting (labels, JSON escaping) costs a little more than the text itself, so an
+      // expansion that overshoots is retried with the overshoot taken off
+      let target = Math.min(fieldTokens, entry.kept[field] + remaining);
+      for (let attempt = 0; attempt < 4 && target > entry.kept[field]; attempt++) {
+        const kept = { ...entry.kept, [field]: target };
+        const tokens = measure(entryFor(entry.item, kept));
+        const extra = tokens - entry.tokens;
+        if (extra <= remaining) {
+          entry.kept = kept;
+          entry.tokens = tokens;
+          remaining -= extra;
+          break;
+        }
+        target -= extra - remaining;
+      }
+    });
+  });
+
+  const included = packed.map(entry => {
+    const truncatedFields = fields
+      .map(({ field }) => ({ field, keptTokens: entry.kept[field], fullTokens: estimateTokens(textOf(entry.item, field)) }))
+      .filter(({ keptTokens, fullTokens }) => keptTokens < fullTokens);
+    return {
+      id: getId(entry.item),
+      rank: entry.index + 1,
+      tokens: entry.tokens,
+      fullTokens: entry.fullTokens,
+      truncated: truncatedFields.length > 0,
+      truncatedFields
+    };
+  });
+
+  return {
+    items: packed.map(entry => entryFor(entry.item, entry.kept)),
+    report: {
+      budget,
+      used: Math.max(0, budget) - remaining,
+      remaining,
+      candidates: items.length,
+      included,
+      dropped
+    }
+  };
+}
+
+export default {
+  CHARS_PER_TOKEN,
+  CONTEXT_FIELDS,
+  estimateTokens,
+  truncateToTokens,
+  planTokenBudget,
+  buildContext
+};
@@ -0,0 +1,165 @@
+/**
+ * Prompt Registry - Versioned prompt templates and JSON schemas stored in the prompt_versions collection
+ * Every save creates the next version number with author, change notes and a diff summary against
+ * the previous version; one version is marked active and used by the rating pipeline
+ */
+
+import crypto from 'crypto';
+import { hashPromptTemplate } from './ratingRecord.js';
+
+// Line diffs beyond this many cells (old lines x new lines) fall back to a prefix/suffix diff
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Label stored on ratings for a registry version
+ * @param {number} version - Version number
+ * @returns {string} - e.g. "v3"
+ */
+export function formatPromptVersion(version) {
+  return `v${version}`;
+}
+
+/**
+ * Read a version number from "3", 3 or "v3"
+ * @param {string|number} value - Version reference
+ * @returns {number|null} - Version number, or null if not a version reference
+ */
+export function parsePromptVersion(value) {
+  const match = String(value ?? '').trim().match(/^v?(\d+)$/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Short content hash of a JSON schema (key order as given)
+ * @param {Object|null} schema - JSON Schema
+ * @returns {string|null} - First 12 hex chars of the SHA-256 digest
+ */
+export function hashJsonSchema(schema) {
+  if (!schema) return null;
+  return crypto.createHash('sha256').update(JSON.stringify(schema)).digest('hex').substring(0, 12);
+}
+
+/**
+ * Line-based diff (longest common subsequence)
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {Array<Object>} - [{ type: 'same' | 'added' | 'removed', line }]
+ */
+export function diffLines(oldText = '', newText = '') {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Common prefix and suffix keep the LCS table small for typical edits
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const head = a.slice(0, prefix).map(line => ({ type: 'same', line }));
+  const tail = a.slice(a.length - suffix).map(line => ({ type: 'same', line }));
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+
+  if (oldMiddle.length * newMiddle.length > MAX_LCS_CELLS) {
+    return [
+      ...head,
+      ...oldMiddle.map(line => ({ type: 'removed', line })),
+      ...newMiddle.map(line => ({ type: 'added', line })),
+      ...tail
+    ];
+  }
+
+  const n = oldMiddle.length;
+  const m = newMiddle.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldMiddle[i] === newMiddle[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldMiddle[i] === newMiddle[j]) {
+      middle.push({ type: 'same', line: oldMiddle[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      middle.push({ type: 'removed', line: oldMiddle[i++] });
+    } else {
+      middle.push({ type: 'added', line: newMiddle[j++] });
+    }
+  }
+  while (i < n) middle.push({ type: 'removed', line: oldMiddle[i++] });
+  while (j < m) middle.push({ type: 'added', line: newMiddle[j++] });
+
+  return [...head, ...middle, ...tail];
+}
+
+/**
+ * Added/removed line counts of a diff
+ * @param {Array<Object>} diff - Result of diffLines()
+ * @returns {Object} - { added, removed, changed }
+ */
+export function summarizeDiff(diff) {
+  const added = diff.filter(entry => entry.type === 'added').length;
+  const removed = diff.filter(entry => entry.type === 'removed').length;
+  return { added, removed, changed: added > 0 || removed > 0 };
+}
+
+/**
+ * Template and schema diffs between two registry versions
+ * @param {Object|null} previous - Older prompt_versions document (null for the first version)
+ * @param {Object} current - Newer prompt_versions document (or the fields of one)
+ * @returns {Object} - { template, schema } each with { lines, added, removed, changed }
+ */
+export function diffPromptVersions(previous, current) {
+  const schemaText = (doc) => (doc?.jsonSchema ? JSON.stringify(doc.jsonSchema, null, 2) : '');
+  const templateLines = diffLines(previous?.promptTemplate || '', current.promptTemplate || '');
+  const schemaLines = diffLines(schemaText(previous), schemaText(current));
+
+  return {
+    template: { lines: templateLines, ...summarizeDiff(templateLines) },
+    schema: { lines: schemaLines, ...summarizeDiff(schemaLines) }
+  };
+}
+
+/**
+ * Build the document stored for a new version
+ * @param {Object} input - { promptTemplate, jsonSchema, author, notes }
+ * @param {Object} context - { version, previous } where previous is the latest stored version
+ * @returns {Object} - prompt_versions document
+ */
+export function buildPromptVersion({ promptTemplate, jsonSchema = null, author, notes = '' }, { version, previous = null }) {
+  const diff = diffPromptVersions(previous, { promptTemplate, jsonSchema });
+
+  return {
+    version,
+    label: formatPromptVersion(version),
+    promptTemplate,
+    jsonSchema,
+    promptHash: hashPromptTemplate(promptTemplate),
+    schemaHash: hashJsonSchema(jsonSchema),
+    author,
+    notes,
+    previousVersion: previous?.version ?? null,
+    changes: {
+      template: { added: diff.template.added, removed: diff.template.removed },
+      schema: { added: diff.schema.added, removed: diff.schema.removed }
+    },
+    active: false,
+    createdAt: new Date()
+  };
+}
+
+export default {
+  formatPromptVersion,
+  parsePromptVersion,
+  hashJsonSchema,
+  diffLines,
+  summarizeDiff,
+  diffPromptVersions,
+  buildPromptVersion
+};
@@ -0,0 +1,289 @@
+/**
+ * Rating Calibration - Agreement between model ratings and human (senior PO) ratings on a golden set
+ *
+ * Golden set entries are stories in the stories.json shape plus the human ratings:
+ * { key, summary, description, ..., humanRatings: { titleClarity: 8, ..., readinessStatus, rater } }
+ * (criteria may also be nested under humanRatings.criteriaRatings)
+ *
+ * Metrics: MAE and Spearman rank correlation per criterion and for the average score,
+ * Cohen's kappa (plus raw agreement and a confusion matrix) on readiness status
+ */
+
+import { RATING_CRITERIA, READINESS_STATUSES } from './ratingPrompt.js';
+import { averageCriteriaScore, toRatingRow } from './ratingExport.js';
+
+const round = (value, digits = 4) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Validate one golden set entry and split it into the story and the human ratings
+ * @param {Object} entry - Story with humanRatings
+ * @param {number} index - Position in the uploaded file (for error messages)
+ * @returns {Object} - { story, human: { criteriaRatings, averageScore, readinessStatus, rater }, errors }
+ */
+export function normalizeGoldenStory(entry, index) {
+  const label = entry?.key || `entry ${index + 1}`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { story: null, human: null, errors: [`${label}: must be an object`] };
+  }
+
+  const { humanRatings, ...story } = entry;
+  const errors = [];
+  if (!story.key && !story.summary) {
+    errors.push(`${label}: key or summary is required`);
+  }
+  if (!humanRatings || typeof humanRatings !== 'object') {
+    return { story, human: null, errors: [...errors, `${label}: humanRatings is required`] };
+  }
+
+  const source = humanRatings.criteriaRatings || humanRatings;
+  const criteriaRatings = {};
+  RATING_CRITERIA.forEach(criterion => {
+    const value = source[criterion];
+    if (value === undefined || value === null || value === '') return;
+    const score = Number(value);
+    if (Number.isNaN(score) || score < 1 || score > 10) {
+      errors.push(`${label}: ${criterion} must be a number from 1 to 10`);
+      return;
+    }
+    criteriaRatings[criterion] = score;
+  });
+
+  const readinessStatus = humanRatings.readinessStatus || null;
+  if (readinessStatus && !READINESS_STATUSES.includes(readinessStatus)) {
+    errors.push(`${label}: readinessStatus must be one of ${READINESS_STATUSES.join(', ')}`);
+  }
+  if (!RATING_CRITERIA.some(criterion => source[criterion] !== undefined) && !readinessStatus) {
+    errors.push(`${label}: humanRatings needs at least one criterion score or a readinessStatus`);
+  }
+
+  return {
+    story,
+    human: {
+      criteriaRatings,
+      averageScore: averageCriteriaScore(criteriaRatings),
+      readinessStatus,
+      rater: humanRatings.rater || null
+    },
+    errors
+  };
+}
+
+/**
+ * Validate an uploaded golden set
+ * @param {Array<Object>} entries - Golden set entries
+ * @returns {Object} - { stories: [{ story, human }], errors }
+ */
+export function parseGoldenSet(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return { stories: [], errors: ['A non-empty array of golden stories is required'] };
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const stories = entries.map((entry, index) => {
+    const normalized = normalizeGoldenStory(entry, index);
+    errors.push(...normalized.errors);
+    if (normalized.story?.key) {
+      if (seen.has(normalized.story.key)) errors.push(`${normalized.story.key}: duplicate key`);
+      seen.add(normalized.story.key);
+    }
+    return { story: normalized.story, human: normalized.human };
+  });
+
+  return { stories, errors };
+}
+
+/**
+ * Pair a golden story's human ratings with the model's rating of it
+ * @param {Object} goldenStory - { story, human } from parseGoldenSet()
+ * @param {Object} result - Result of the rating pipeline (or null on failure)
+ * @param {Error} error - Error raised while rating, if any
+ * @returns {Object} - { storyKey, summary, human, model, error, tokens, cost } (model is null on failure)
+ */
+export function toCalibrationRow({ story, human }, result, error = null) {
+  const row = toRatingRow(story, result, error);
+  const criteriaRatings = Object.fromEntries(
+    RATING_CRITERIA.filter(criterion => typeof row[criterion] === 'number').map(criterion => [criterion, row[criterion]])
+  );
+
+  return {
+    storyKey: row.storyKey,
+    summary: row.summary,
+    human,
+    model: error ? null : {
+      criteriaRatings,
+      averageScore: row.averageScore,
+      readinessStatus: row.readinessStatus,
+      validationPassed: row.validationPassed
+    },
+    error: row.error,
+    tokens: (result?.tokens?.summary?.total || 0) + (result?.tokens?.generation?.total || 0),
+    cost: (parseFloat(result?.cost?.summary?.total) || 0) + (parseFloat(result?.cost?.generation?.total) || 0)
+  };
+}
+
+/**
+ * Mean absolute error between paired values
+ * @param {Array<number>} expected - Human scores
+ * @param {Array<number>} actual - Model scores
+ * @returns {number|null} - MAE, or null without pairs
+ */
+export function meanAbsoluteError(expected, actual) {
+  if (expected.length === 0) return null;
+  return mean(expected.map((value, index) => Math.abs(actual[index] - value)));
+}
+
+/**
+ * Ranks starting at 1, ties sharing their average rank
+ * @param {Array<number>} values - Values to rank
+ * @returns {Array<number>} - Rank of each value
+ */
+function averageRanks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) ranks[order[i].index] = rank;
+    start = end + 1;
+  }
+  return ranks;
+}
+
+/**
+ * Spearman rank correlation (Pearson correlation of tie-averaged ranks)
+ * @param {Array<number>} x - First series
+ * @param {Array<number>} y - Second series
+ * @returns {number|null} - Correlation in -1..1, or null with fewer than 2 pairs or a constant series
+ */
+export function spearmanCorrelation(x, y) {
+  if (x.length < 2) return null;
+
+  const rx = averageRanks(x);
+  const ry = averageRanks(y);
+  const meanX = mean(rx);
+  const meanY = mean(ry);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  rx.forEach((rank, index) => {
+    covariance += (rank - meanX) * (ry[index] - meanY);
+    varianceX += (rank - meanX) ** 2;
+    varianceY += (ry[index] - meanY) ** 2;
+  });
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Cohen's kappa between two raters' labels
+ * @param {Array<string>} labelsA - Labels from rater A (human)
+ * @param {Array<string>} labelsB - Labels from rater B (model)
+ * @returns {Object} - { kappa, agreement, n, confusion } where confusion[human][model] counts pairs;
+ *                     kappa is null when chance agreement is 1 (both raters used a single label)
+ */
+export function cohensKappa(labelsA, labelsB) {
+  const n = labelsA.length;
+  const categories = [...new Set([...labelsA, ...labelsB])];
+  const confusion = Object.fromEntries(categories.map(a => [a, Object.fromEntries(categories.map(b => [b, 0]))]));
+  labelsA.forEach((label, index) => { confusion[label][labelsB[index]]++; });
+
+  if (n === 0) return { kappa: null, agreement: null, n, confusion };
+
+  const agreement = categories.reduce((sum, category) => sum + confusion[category][category], 0) / n;
+  const chance = categories.reduce((sum, category) => {
+    const countA = labelsA.filter(label => label === category).length;
+    const countB = labelsB.filter(label => label === category).length;
+    return sum + (countA / n) * (countB / n);
+  }, 0);
+
+  return {
+    kappa: chance === 1 ? null : (agreement - chance) / (1 - chance),
+    agreement,
+    n,
+    confusion
+  };
+}
+
+/**
+ * Agreement of model scores with human scores for one field
+ * @param {Array<Object>} rows - Calibration rows ({ human, model })
+ * @param {Function} pick - Reads the score from a human or model rating
+ * @returns {Object} - { n, mae, spearman, meanHuman, meanModel, bias }
+ */
+function scoreAgreement(rows, pick) {
+  const pairs = rows
+    .map(row => [pick(row.human), pick(row.model)])
+    .filter(([human, model]) => typeof human === 'number' && typeof model === 'number');
+  const humanScores = pairs.map(([human]) => human);
+  const modelScores = pairs.map(([, model]) => model);
+  const meanHuman = mean(humanScores);
+  const meanModel = mean(modelScores);
+
+  return {
+    n: pairs.length,
+    mae: round(meanAbsoluteError(humanScores, modelScores)),
+    spearman: round(spearmanCorrelation(humanScores, modelScores)),
+    meanHuman: round(meanHuman),
+    meanModel: round(meanModel),
+    // Positive when the model scores higher than the humans
+    bias: meanHuman === null ? null : round(meanModel - meanHuman)
+  };
+}
+
+/**
+ * Calibration metrics for a run over a golden set
+ * @param {Array<Object>} rows - [{ storyKey, human: { criteriaRatings, averageScore, readinessStatus },
+ *                                model: { criteriaRatings, averageScore, readinessStatus } | null }]
+ *                                (model is null when rating the story failed)
+ * @returns {Object} - { stories, rated, criteria, averageScore, overall, readiness }
+ */
+export function computeCalibrationMetrics(rows) {
+  const rated = rows.filter(row => row.model);
+
+  const criteria = Object.fromEntries(RATING_CRITERIA.map(criterion => [
+    criterion,
+    scoreAgreement(rated, rating => rating.criteriaRatings?.[criterion])
+  ]));
+  const averageScore = scoreAgreement(rated, rating => rating.averageScore);
+
+  const withStatus = rated.filter(row => row.human.readinessStatus && row.model.readinessStatus);
+  const readiness = cohensKappa(
+    withStatus.map(row => row.human.readinessStatus),
+    withStatus.map(row => row.model.readinessStatus)
+  );
+
+  const criterionMaes = Object.values(criteria).map(metrics => metrics.mae).filter(value => value !== null);
+  const criterionSpearmans = Object.values(criteria).map(metrics => metrics.spearman).filter(value => value !== null);
+
+  return {
+    stories: rows.length,
+    rated: rated.length,
+    criteria,
+    averageScore,
+    overall: {
+      mae: round(mean(criterionMaes)),
+      spearman: round(mean(criterionSpearmans))
+    },
+    readiness: {
+      ...readiness,
+      kappa: round(readiness.kappa),
+      agreement: round(readiness.agreement)
+    }
+  };
+}
+
+export default {
+  normalizeGoldenStory,
+  parseGoldenSet,
+  toCalibrationRow,
+  meanAbsoluteError,
+  spearmanCorrelation,
+  cohensKappa,
+  computeCalibrationMetrics
+};
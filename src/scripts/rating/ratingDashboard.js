@@ -0,0 +1,202 @@
+/**
+ * Rating Dashboard - Aggregations over stored story ratings
+ * Score distributions per story field, readiness share and score trends over time
+ */
+
+import { READINESS_STATUSES } from './ratingPrompt.js';
+
+// Fields the dashboard can group on, mapped to their path in a story_ratings document
+export const DASHBOARD_GROUP_FIELDS = {
+  epic: record => record.story?.epic,
+  module: record => record.module,
+  priority: record => record.story?.priority,
+  risk: record => record.story?.risk,
+  status: record => record.story?.status,
+  promptVersion: record => record.promptVersion
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function emptyReadinessCounts() {
+  return READINESS_STATUSES.reduce((counts, status) => ({ ...counts, [status]: 0 }), {});
+}
+
+/**
+ * Share of stories in each readiness status
+ * @param {Array<Object>} records - Latest rating per story
+ * @returns {Array<Object>} - [{ status, count, percentage }]
+ */
+export function readinessShare(records) {
+  const counts = emptyReadinessCounts();
+  let unknown = 0;
+
+  records.forEach(record => {
+    if (counts[record.readinessStatus] !== undefined) {
+      counts[record.readinessStatus]++;
+    } else {
+      unknown++;
+    }
+  });
+
+  const total = records.length || 1;
+  const share = Object.entries(counts).map(([status, count]) => ({
+    status,
+    count,
+    percentage: round((count / total) * 100)
+  }));
+
+  if (unknown > 0) {
+    share.push({ status: 'Unknown', count: unknown, percentage: round((unknown / total) * 100) });
+  }
+
+  return share;
+}
+
+/**
+ * Histogram of average scores in 1-point buckets (1-2, 2-3, ... 9-10)
+ * @param {Array<Object>} records - Ratings
+ * @returns {Array<Object>} - [{ bucket, min, max, count }]
+ */
+export function scoreHistogram(records) {
+  const buckets = Array.from({ length: 9 }, (_, index) => ({
+    bucket: `${index + 1}-${index + 2}`,
+    min: index + 1,
+    max: index + 2,
+    count: 0
+  }));
+
+  records.forEach(record => {
+    if (typeof record.averageScore !== 'number') return;
+    const index = Math.min(8, Math.max(0, Math.floor(record.averageScore) - 1));
+    buckets[index].count++;
+  });
+
+  return buckets;
+}
+
+/**
+ * Score distribution grouped by a story field
+ * @param {Array<Object>} records - Latest rating per story
+ * @param {string} field - One of DASHBOARD_GROUP_FIELDS
+ * @returns {Array<Object>} - Groups sorted by story count
+ */
+export function groupScores(records, field) {
+  const getValue = DASHBOARD_GROUP_FIELDS[field];
+  if (!getValue) {
+    throw new Error(`Unsupported group field '${field}'`);
+  }
+
+  const groups = new Map();
+
+  records.forEach(record => {
+    const key = getValue(record) || 'Unassigned';
+    if (!groups.has(key)) {
+      groups.set(key, { group: key, count: 0, scores: [], readiness: emptyReadinessCounts() });
+    }
+    const group = groups.get(key);
+    if (typeof record.averageScore === 'number') {
+      group.scores.push(record.averageScore);
+    }
+    if (group.readiness[record.readinessStatus] !== undefined) {
+      group.readiness[record.readinessStatus]++;
+    }
+    group.count++;
+  });
+
+  return Array.from(groups.values())
+    .map(({ group, scores, readiness, count }) => ({
+      group,
+      count,
+      averageScore: scores.length ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+      minScore: scores.length ? Math.min(...scores) : null,
+      maxScore: scores.length ? Math.max(...scores) : null,
+      readiness
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Start of the day/week/month a date falls in (UTC), as an ISO date string
+ */
+function periodStart(date, interval) {
+  const d = new Date(date);
+  if (interval === 'month') {
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1)).toISOString().split('T')[0];
+  }
+  if (interval === 'week') {
+    const day = d.getUTCDay() || 7; // Monday-based weeks
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day + 1)).toISOString().split('T')[0];
+  }
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Average score and readiness counts per period across all rating runs
+ * @param {Array<Object>} records - All rating runs in the time range
+ * @param {string} interval - day | week | month
+ * @returns {Array<Object>} - Periods in chronological order
+ */
+export function scoreTrend(records, interval = 'week') {
+  const periods = new Map();
+
+  records.forEach(record => {
+    const period = periodStart(record.createdAt, interval);
+    if (!periods.has(period)) {
+      periods.set(period, { period, runs: 0, scores: [], stories: new Set(), readiness: emptyReadinessCounts() });
+    }
+    const entry = periods.get(period);
+    entry.runs++;
+    entry.stories.add(record.storyKey);
+    if (typeof record.averageScore === 'number') {
+      entry.scores.push(record.averageScore);
+    }
+    if (entry.readiness[record.readinessStatus] !== undefined) {
+      entry.readiness[record.readinessStatus]++;
+    }
+  });
+
+  return Array.from(periods.values())
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(({ period, runs, scores, stories, readiness }) => ({
+      period,
+      runs,
+      storiesRated: stories.size,
+      averageScore: scores.length ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+      readiness
+    }));
+}
+
+/**
+ * Build the complete dashboard payload
+ * @param {Array<Object>} latestRecords - Latest rating per story
+ * @param {Array<Object>} allRecords - All rating runs (for trends)
+ * @param {Object} options - { interval }
+ * @returns {Object} - Dashboard data
+ */
+export function buildDashboard(latestRecords, allRecords, { interval = 'week' } = {}) {
+  const scores = latestRecords.map(r => r.averageScore).filter(score => typeof score === 'number');
+
+  return {
+    overview: {
+      storiesRated: latestRecords.length,
+      totalRuns: allRecords.length,
+      averageScore: scores.length ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null
+    },
+    readiness: readinessShare(latestRecords),
+    histogram: scoreHistogram(latestRecords),
+    groups: Object.keys(DASHBOARD_GROUP_FIELDS).reduce((groups, field) => ({
+      ...groups,
+      [field]: groupScores(latestRecords, field)
+    }), {}),
+    trend: scoreTrend(allRecords, interval)
+  };
+}
+
+export default {
+  DASHBOARD_GROUP_FIELDS,
+  readinessShare,
+  scoreHistogram,
+  groupScores,
+  scoreTrend,
+  buildDashboard
+};
@@ -0,0 +1,152 @@
+/**
+ * Rating Experiment - Compare two rating variants (prompt/schema version or model) over the same stories
+ * Each story is rated once per variant; the report covers per-criterion score deltas (B - A),
+ * readiness-status flips, token and cost differences and the JSON-validity rate of each variant
+ */
+
+import { RATING_CRITERIA } from './ratingPrompt.js';
+import { toRatingRow } from './ratingExport.js';
+
+export const EXPERIMENT_VARIANTS = ['a', 'b'];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Build one experiment row from a rating pipeline result
+ * @param {Object} story - Story that was rated
+ * @param {Object} result - Result of the rating pipeline (or null on failure)
+ * @param {Error} error - Error raised while rating, if any
+ * @returns {Object} - Rating row plus prompt version, model, attempts, tokens and cost
+ */
+export function toExperimentRow(story, result, error = null) {
+  return {
+    ...toRatingRow(story, result, error),
+    promptVersion: result?.promptVersion || null,
+    model: result?.model || null,
+    validationAttempts: result?.validation.attempts?.length || 0,
+    tokens: (result?.tokens?.summary?.total || 0) + (result?.tokens?.generation?.total || 0),
+    cost: (parseFloat(result?.cost?.summary?.total) || 0) + (parseFloat(result?.cost?.generation?.total) || 0)
+  };
+}
+
+/**
+ * Score difference B - A, or null when either side has no score
+ * @param {number|null} a - Variant A score
+ * @param {number|null} b - Variant B score
+ * @returns {number|null} - Delta rounded to 2 decimals
+ */
+function scoreDelta(a, b) {
+  return typeof a === 'number' && typeof b === 'number' ? round(b - a) : null;
+}
+
+/**
+ * Mean of each side and of the paired deltas for one score field
+ * @param {Array<Object>} pairs - [{ a, b }] rows rated by both variants
+ * @param {string} field - Row field (criterion or averageScore)
+ * @returns {Object} - { meanA, meanB, meanDelta, meanAbsDelta, changed, compared }
+ */
+function summarizeScoreField(pairs, field) {
+  const scored = pairs.filter(({ a, b }) => typeof a[field] === 'number' && typeof b[field] === 'number');
+  const deltas = scored.map(({ a, b }) => b[field] - a[field]);
+  const meanA = mean(scored.map(({ a }) => a[field]));
+  const meanB = mean(scored.map(({ b }) => b[field]));
+
+  return {
+    meanA: meanA === null ? null : round(meanA),
+    meanB: meanB === null ? null : round(meanB),
+    meanDelta: deltas.length > 0 ? round(mean(deltas)) : null,
+    meanAbsDelta: deltas.length > 0 ? round(mean(deltas.map(Math.abs))) : null,
+    changed: deltas.filter(delta => delta !== 0).length,
+    compared: scored.length
+  };
+}
+
+/**
+ * Totals for one variant
+ * @param {Array<Object>} rows - Experiment rows of the variant
+ * @returns {Object} - { rated, failed, validityRate, repaired, tokens, cost }
+ */
+function summarizeVariant(rows) {
+  const rated = rows.filter(row => row.status === 'completed');
+  const valid = rated.filter(row => row.validationPassed);
+
+  return {
+    rated: rated.length,
+    failed: rows.length - rated.length,
+    valid: valid.length,
+    // Failed runs count as invalid: they produced no usable JSON
+    validityRate: rows.length > 0 ? round(valid.length / rows.length, 4) : null,
+    repaired: valid.filter(row => row.validationAttempts > 1).length,
+    tokens: rows.reduce((sum, row) => sum + row.tokens, 0),
+    cost: round(rows.reduce((sum, row) => sum + row.cost, 0), 6)
+  };
+}
+
+/**
+ * Side-by-side comparison of two variants rated over the same stories
+ * @param {Array<Object>} rowsA - Experiment rows of variant A (toExperimentRow)
+ * @param {Array<Object>} rowsB - Experiment rows of variant B, in the same story order
+ * @returns {Object} - { stories, summary }
+ */
+export function compareExperimentRuns(rowsA, rowsB) {
+  const stories = rowsA.map((a, index) => {
+    const b = rowsB[index];
+    const compared = a.status === 'completed' && b.status === 'completed';
+    const deltas = {};
+    [...RATING_CRITERIA, 'averageScore'].forEach(field => {
+      deltas[field] = compared ? scoreDelta(a[field], b[field]) : null;
+    });
+
+    return {
+      storyKey: a.storyKey || b.storyKey,
+      summary: a.summary || b.summary,
+      a,
+      b,
+      compared,
+      deltas,
+      readinessFlip: compared && a.readinessStatus !== b.readinessStatus
+    };
+  });
+
+  const pairs = stories.filter(story => story.compared);
+  const flips = pairs.filter(story => story.readinessFlip);
+  const transitions = {};
+  flips.forEach(story => {
+    const key = `${story.a.readinessStatus || 'none'} → ${story.b.readinessStatus || 'none'}`;
+    transitions[key] = (transitions[key] || 0) + 1;
+  });
+
+  const variantA = summarizeVariant(rowsA);
+  const variantB = summarizeVariant(rowsB);
+
+  return {
+    stories,
+    summary: {
+      stories: stories.length,
+      compared: pairs.length,
+      criteria: Object.fromEntries(RATING_CRITERIA.map(criterion => [criterion, summarizeScoreField(pairs, criterion)])),
+      averageScore: summarizeScoreField(pairs, 'averageScore'),
+      readiness: {
+        flips: flips.length,
+        flipRate: pairs.length > 0 ? round(flips.length / pairs.length, 4) : null,
+        transitions
+      },
+      variants: { a: variantA, b: variantB },
+      differences: {
+        tokens: variantB.tokens - variantA.tokens,
+        cost: round(variantB.cost - variantA.cost, 6),
+        validityRate: variantA.validityRate !== null && variantB.validityRate !== null
+          ? round(variantB.validityRate - variantA.validityRate, 4)
+          : null
+      }
+    }
+  };
+}
+
+export default {
+  EXPERIMENT_VARIANTS,
+  toExperimentRow,
+  compareExperimentRuns
+};
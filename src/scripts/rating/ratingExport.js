@@ -0,0 +1,73 @@
+/**
+ * Rating Export - Flatten rating results into rows for JSON/CSV download
+ */
+
+import { RATING_CRITERIA } from './ratingPrompt.js';
+
+/**
+ * Average the criteria ratings, ignoring missing or non-numeric values
+ * @param {Object} criteriaRatings - Ratings keyed by criterion
+ * @returns {number|null} - Average rounded to 2 decimals
+ */
+export function averageCriteriaScore(criteriaRatings = {}) {
+  const scores = RATING_CRITERIA
+    .map(criterion => criteriaRatings[criterion])
+    .filter(score => typeof score === 'number');
+  if (scores.length === 0) return null;
+  return Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100;
+}
+
+/**
+ * Build one export row from a rating pipeline result
+ * @param {Object} story - Story that was rated
+ * @param {Object} result - Result of the rating pipeline (or null on failure)
+ * @param {Error} error - Error raised while rating, if any
+ * @returns {Object} - Flat row with the six criteria, average score and readiness status
+ */
+export function toRatingRow(story, result, error = null) {
+  const analysis = result?.response?.analysis || {};
+  const criteriaRatings = analysis.criteriaRatings || {};
+
+  const row = {
+    storyKey: story?.key || result?.storyKey || null,
+    summary: story?.summary || analysis.userStoryTitle || '',
+    status: error ? 'failed' : 'completed'
+  };
+
+  RATING_CRITERIA.forEach(criterion => {
+    row[criterion] = typeof criteriaRatings[criterion] === 'number' ? criteriaRatings[criterion] : null;
+  });
+
+  row.averageScore = typeof analysis.averageScore === 'number'
+    ? analysis.averageScore
+    : averageCriteriaScore(criteriaRatings);
+  row.readinessStatus = analysis.readinessStatus || null;
+  row.validationPassed = result ? result.validation.passed : false;
+  row.error = error ? error.message : null;
+
+  return row;
+}
+
+/**
+ * Convert export rows to CSV
+ * @param {Array<Object>} rows - Rows from toRatingRow
+ * @returns {string} - CSV content with a header line
+ */
+export function ratingRowsToCsv(rows) {
+  const headers = ['storyKey', 'summary', ...RATING_CRITERIA, 'averageScore', 'readinessStatus', 'validationPassed', 'status', 'error'];
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    return `"${String(value).replace(/"/g, '""')}"`;
+  };
+
+  return [
+    headers.join(','),
+    ...rows.map(row => headers.map(header => escape(row[header])).join(','))
+  ].join('\n');
+}
+
+export default {
+  averageCriteriaScore,
+  toRatingRow,
+  ratingRowsToCsv
+};
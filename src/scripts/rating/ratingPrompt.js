@@ -0,0 +1,250 @@
+/**
+ * Rating Prompt - User story rating prompt builder and response parsing
+ * Server-side port of the ICEPOT prompt used by PromptSchemaManager; schema validation lives in ratingSchema.js
+ */
+
+export const RATING_CRITERIA = [
+  'titleClarity',
+  'descriptionCompleteness',
+  'acceptanceCriteriaQuality',
+  'businessValueAlignment',
+  'technicalFeasibility',
+  'complianceCoverage'
+];
+
+export const READINESS_STATUSES = ['Ready for Dev', 'Needs Refinement', 'Blocked'];
+
+export const DEFAULT_PROMPT_TEMPLATE = `# USER STORY VALIDATION & ANALYSIS
+
+## INSTRUCTION
+You are a Product Owner and QA Expert. Analyze the given user story holistically and provide a comprehensive validation assessment. Focus on:
+- Title clarity and actionability
+- Description completeness and business context
+- Acceptance criteria quality and testability
+- Business value alignment and ROI potential
+- Technical feasibility and implementation complexity
+- Compliance coverage (HIPAA, regulatory requirements)
+
+## CONTEXT
+Healthcare management system with 6,000+ test cases covering Patient Registration, Laboratory, Ward Management, Billing, Prescription, Diagnostics, and Patient Communication modules. System handles PHI/PII data with strict HIPAA compliance requirements.
+
+## EXAMPLES
+Use the retrieved user stories below to understand domain terminology, acceptance criteria patterns, and compliance considerations. Pay attention to healthcare-specific entities: UHID, PRN, ERN, OTP, patient consent requirements.
+
+## PERSONA
+Senior Product Owner with 10+ years healthcare systems expertise. Deep understanding of HIPAA regulations, clinical workflows, and QA best practices. Focus on delivery readiness and risk mitigation.
+
+## OUTPUT FORMAT
+Respond ONLY with valid JSON matching this exact schema:
+
+{
+  "analysis": {
+    "userStoryTitle": "extracted or inferred title from the user story",
+    "userStoryModule": "primary healthcare module (e.g., Patient Communication, Laboratory, etc.)",
+    "summary": "2-3 sentence overview of the user story's main goal and business impact",
+    "criteriaRatings": {
+      "titleClarity": <number 1-10>,
+      "descriptionCompleteness": <number 1-10>,
+      "acceptanceCriteriaQuality": <number 1-10>,
+      "businessValueAlignment": <number 1-10>,
+      "technicalFeasibility": <number 1-10>,
+      "complianceCoverage": <number 1-10>
+    },
+    "averageScore": <calculated average of all criteria ratings>,
+    "readinessStatus": "Ready for Dev | Needs Refinement | Blocked",
+    "strengths": ["list of well-defined aspects"],
+    "gapsIdentified": ["list of missing or unclear elements"],
+    "improvementRecommendations": ["specific, actionable suggestions"],
+    "linkedTestCases": ["IDs of related test cases from retrieved context"],
+    "sourceCitations": ["references to similar user stories or patterns found"]
+  },
+  "rationale": {
+    "scoringExplanation": "detailed explanation of why each criterion received its rating",
+    "impactSummary": "explanation of how identified gaps affect development timeline, testing effort, or compliance risk"
+  },
+  "finalRecommendation": "concise next steps - whether to proceed, refine, or block development"
+}
+
+## SCORING GUIDELINES
+- **titleClarity (1-10)**: Clear, specific, actionable title with role, goal, benefit
+- **descriptionCompleteness (1-10)**: Complete context, user workflow, business rules
+- **acceptanceCriteriaQuality (1-10)**: Measurable, testable, comprehensive coverage
+- **businessValueAlignment (1-10)**: Clear ROI, user benefit, strategic alignment
+- **technicalFeasibility (1-10)**: Implementation complexity, dependency assessment
+- **complianceCoverage (1-10)**: HIPAA requirements, audit trails, data protection
+
+## READINESS CRITERIA
+- **Ready for Dev**: Average score ≥ 8.0, no critical gaps, clear acceptance criteria
+- **Needs Refinement**: Average score 6.0-7.9, minor gaps, refinement needed
+- **Blocked**: Average score < 6.0, critical gaps, compliance issues, unclear requirements
+
+## TONE
+Professional, constructive, actionable. Focus on delivery readiness and risk mitigation. Use healthcare domain terminology appropriately.`;
+
+const OUTPUT_JSON_SKELETON = `{
+  "analysis": {
+    "userStoryTitle": "string",
+    "userStoryModule": "string",
+    "summary": "string",
+    "criteriaRatings": {
+      "titleClarity": "number (1-10)",
+      "descriptionCompleteness": "number (1-10)",
+      "acceptanceCriteriaQuality": "number (1-10)",
+      "businessValueAlignment": "number (1-10)",
+      "technicalFeasibility": "number (1-10)",
+      "complianceCoverage": "number (1-10)"
+    },
+    "averageScore": "number (1-10)",
+    "readinessStatus": "Ready for Dev | Needs Refinement | Blocked",
+    "strengths": ["string"],
+    "gapsIdentified": ["string"],
+    "improvementRecommendations": ["string"],
+    "linkedTestCases": ["string"],
+    "sourceCitations": ["string"]
+  },
+  "rationale": {
+    "scoringExplanation": "string describing why each score was assigned",
+    "impactSummary": "string explaining how identified gaps affect delivery or testing"
+  },
+  "finalRecommendation": "string summarizing next steps or required actions"
+}`;
+
+/**
+ * Convert a user story into the plain-text form used as rating input
+ * @param {string|Object} userStory - Raw text or a story in the stories.json shape
+ * @returns {string} - User story text
+ */
+export function formatUserStory(userStory) {
+  if (!userStory) return '';
+  if (typeof userStory === 'string') return userStory.trim();
+
+  const lines = [];
+  if (userStory.epic || userStory.module) lines.push(`Module: ${userStory.module || userStory.epic}`);
+  if (userStory.key) lines.push(`User Story ID: ${userStory.key}`);
+  if (userStory.summary || userStory.title) lines.push(`User Story Title: ${userStory.summary || userStory.title}`);
+  if (userStory.description) lines.push('', 'User Story Description:', userStory.description);
+  if (userStory.acceptanceCriteria) lines.push('', 'Acceptance Criteria:', userStory.acceptanceCriteria);
+  if (userStory.businessValue) lines.push('', 'Business Value:', userStory.businessValue);
+
+  return lines.join('\n').trim();
+}
+
+/**
+ * Extract the story key (e.g. HC-125) from a user story
+ * @param {string|Object} userStory - Raw text or story object
+ * @returns {string|null} - Story key if one can be found
+ */
+export function extractStoryKey(userStory) {
+  if (!userStory) return null;
+  if (typeof userStory === 'object') return userStory.key || null;
+
+  const labelled = userStory.match(/(?:User Story ID|Story Key|Story ID|Key)\s*:\s*([A-Z][A-Z0-9]+-\d+)/i);
+  if (labelled) return labelled[1].toUpperCase();
+
+  const bare = userStory.match(/\b([A-Z][A-Z0-9]+-\d+)\b/);
+  return bare ? bare[1] : null;
+}
+
+/**
+ * Fields of a retrieved story shown in the REFERENCE USER STORIES section
+ * @param {Object} us - Retrieved story (already truncated by the context builder)
+ * @returns {Object} - Reference entry (missing fields are left out of the JSON)
+ */
+export function referenceStoryEntry(us) {
+  return {
+    key: us.key,
+    summary: us.summary,
+    description: us.description,
+    businessValue: us.businessValue,
+    priority: us.priority,
+    acceptanceCriteria: us.acceptanceCriteria,
+    notes: us.notes
+  };
+}
+
+/**
+ * Build the full rating prompt (template + story + RAG context)
+ * @param {Object} params - Prompt inputs; jsonSchema (optional) is appended when a custom schema is enforced
+ * @returns {string} - Prompt sent to the LLM
+ */
+export function buildRatingPrompt({ promptTemplate = DEFAULT_PROMPT_TEMPLATE, userStoryText, ragSummary, referenceStories = [], totalRetrieved = 0, jsonSchema = null }) {
+  const essentialUserStories = referenceStories.map(referenceStoryEntry);
+
+  return `${promptTemplate}
+
+### GIVEN USER STORY
+${userStoryText}
+
+### RAG SUMMARY (${totalRetrieved} similar User Stories found):
+${ragSummary}
+
+### REFERENCE USER STORIES (Top ${essentialUserStories.length} - Study the test steps format):
+${JSON.stringify(essentialUserStories, null, 2)}
+
+### REQUIREMENTS:
+1. Analyze the user story holistically — title, description, acceptance criteria, business value, technical feasibility, and compliance.
+2. Assign numerical ratings (1–10) for each criterion.
+3. Identify gaps or ambiguities and suggest specific improvements.
+4. Provide a final readiness verdict (“Ready for Dev”, “Needs Refinement”, or “Blocked”).
+
+Keep feedback professional, concise, and objective.
+
+### OUTPUT JSON:
+${OUTPUT_JSON_SKELETON}${jsonSchema ? `
+
+### JSON SCHEMA (the response must validate against it):
+${JSON.stringify(jsonSchema, null, 2)}` : ''}`;
+}
+
+/**
+ * Parse the raw LLM output into a JSON object
+ * Handles plain JSON, fenced blocks (```json or bare ```), prose around the object and the
+ * { raw } wrapper from /api/test-prompt; truncated output is reported as an error
+ * @param {string|Object} response - LLM response
+ * @returns {Object} - { parsed, errors } where parsed is { raw } when the text is not valid JSON
+ */
+export function parseRatingResponse(response) {
+  let rawText = null;
+
+  if (response && typeof response === 'object' && response.raw) {
+    rawText = response.raw;
+  } else if (typeof response === 'string') {
+    rawText = response;
+  } else {
+    return { parsed: response, errors: [] };
+  }
+
+  let jsonText = rawText.trim();
+  const fenced = jsonText.match(/```(?:json)?\s*([\s\S]*?)\s*(?:```|$)/i);
+  if (fenced) {
+    jsonText = fenced[1].trim();
+  }
+  const start = jsonText.indexOf('{');
+  const end = jsonText.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    jsonText = jsonText.substring(start, end + 1);
+  }
+
+  try {
+    return { parsed: JSON.parse(jsonText), errors: [] };
+  } catch (e) {
+    const truncated = !rawText.trim().replace(/```\s*$/, '').trim().endsWith('}');
+    return {
+      parsed: { raw: rawText },
+      errors: [truncated
+        ? `Response is truncated (no closing brace) - JSON could not be parsed: ${e.message}`
+        : `Failed to parse JSON: ${e.message}`]
+    };
+  }
+}
+
+export default {
+  RATING_CRITERIA,
+  READINESS_STATUSES,
+  DEFAULT_PROMPT_TEMPLATE,
+  formatUserStory,
+  extractStoryKey,
+  referenceStoryEntry,
+  buildRatingPrompt,
+  parseRatingResponse
+};
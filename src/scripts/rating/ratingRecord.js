@@ -0,0 +1,120 @@
+/**
+ * Rating Record - Shape of the documents stored in the story_ratings collection
+ * and helpers for reading a story's rating history
+ */
+
+import crypto from 'crypto';
+import { averageCriteriaScore } from './ratingExport.js';
+
+/**
+ * Short content hash identifying a prompt template
+ * @param {string} promptTemplate - Prompt template text
+ * @returns {string} - First 12 hex chars of the SHA-256 digest
+ */
+export function hashPromptTemplate(promptTemplate = '') {
+  return crypto.createHash('sha256').update(promptTemplate).digest('hex').substring(0, 12);
+}
+
+/**
+ * Pick the story fields used for grouping ratings (epic, priority, risk, status)
+ * @param {Object} story - Story in the stories.json shape
+ * @returns {Object} - Story metadata snapshot
+ */
+export function snapshotStory(story = {}) {
+  return {
+    summary: story.summary || null,
+    epic: story.epic || null,
+    priority: story.priority?.name || story.priority || null,
+    risk: story.risk || null,
+    status: story.status?.name || story.status || null
+  };
+}
+
+/**
+ * Build the document stored for one rating run
+ * @param {Object} result - Result of the rating pipeline
+ * @param {Object} meta - Run metadata (story, promptVersion, promptHash, source, jobId)
+ * @returns {Object} - story_ratings document
+ */
+export function buildRatingRecord(result, { story = null, promptVersion = null, promptHash = null, source = 'api', jobId = null } = {}) {
+  const analysis = result.response?.analysis || {};
+  const criteriaRatings = analysis.criteriaRatings || {};
+  const summaryTokens = result.tokens?.summary?.total || 0;
+  const generationTokens = result.tokens?.generation?.total || 0;
+  const summaryCost = parseFloat(result.cost?.summary?.total) || 0;
+  const generationCost = parseFloat(result.cost?.generation?.total) || 0;
+
+  return {
+    storyKey: result.storyKey,
+    story: snapshotStory(story || {}),
+    module: analysis.userStoryModule || null,
+    promptVersion,
+    promptHash,
+    model: result.model,
+    provider: result.provider || null,
+    criteriaRatings,
+    averageScore: typeof analysis.averageScore === 'number' ? analysis.averageScore : averageCriteriaScore(criteriaRatings),
+    readinessStatus: analysis.readinessStatus || null,
+    validationPassed: result.validation.passed,
+    validationErrors: result.validation.errors,
+    validationAttempts: result.validation.attempts?.length || 1,
+    tokens: {
+      summary: summaryTokens,
+      generation: generationTokens,
+      total: summaryTokens + generationTokens
+    },
+    cost: {
+      summary: summaryCost,
+      generation: generationCost,
+      total: summaryCost + generationCost
+    },
+    response: result.response,
+    timings: result.timings,
+    source,
+    jobId,
+    createdAt: new Date()
+  };
+}
+
+/**
+ * Annotate a story's rating history (oldest first) with score changes between runs
+ * @param {Array<Object>} records - story_ratings documents sorted by createdAt ascending
+ * @returns {Object} - { history, summary }
+ */
+export function summarizeRatingHistory(records) {
+  const history = records.map((record, index) => {
+    const previous = index > 0 ? records[index - 1] : null;
+    const scoreChange = previous && typeof record.averageScore === 'number' && typeof previous.averageScore === 'number'
+      ? Math.round((record.averageScore - previous.averageScore) * 100) / 100
+      : null;
+
+    return {
+      ...record,
+      scoreChange,
+      readinessChanged: previous ? previous.readinessStatus !== record.readinessStatus : false
+    };
+  });
+
+  const first = history[0] || null;
+  const latest = history[history.length - 1] || null;
+
+  return {
+    history,
+    summary: {
+      runs: history.length,
+      firstScore: first?.averageScore ?? null,
+      latestScore: latest?.averageScore ?? null,
+      totalChange: first && latest && typeof first.averageScore === 'number' && typeof latest.averageScore === 'number'
+        ? Math.round((latest.averageScore - first.averageScore) * 100) / 100
+        : null,
+      latestReadinessStatus: latest?.readinessStatus || null
+    }
+  };
+}
+
+export default {
+  hashPromptTemplate,
+  snapshotStory,
+  buildRatingRecord,
+  summarizeRatingHistory
+};
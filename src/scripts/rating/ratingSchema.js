@@ -0,0 +1,140 @@
+/**
+ * Rating Schema - JSON Schema validation of LLM rating responses (AJV)
+ * The default schema mirrors the OUTPUT JSON section of the rating prompt; PromptSchemaManager can
+ * send an edited schema instead. Validation errors are turned into a repair prompt for the model
+ */
+
+import Ajv from 'ajv';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { RATING_CRITERIA, READINESS_STATUSES } from './ratingPrompt.js';
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const score = { type: 'number', minimum: 1, maximum: 10 };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+export const RATING_RESPONSE_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'User Story Rating',
+  type: 'object',
+  required: ['analysis', 'rationale', 'finalRecommendation'],
+  properties: {
+    analysis: {
+      type: 'object',
+      required: [
+        'userStoryTitle',
+        'userStoryModule',
+        'summary',
+        'criteriaRatings',
+        'averageScore',
+        'readinessStatus',
+        'strengths',
+        'gapsIdentified',
+        'improvementRecommendations',
+        'linkedTestCases',
+        'sourceCitations'
+      ],
+      properties: {
+        userStoryTitle: nonEmptyString,
+        userStoryModule: nonEmptyString,
+        summary: nonEmptyString,
+        criteriaRatings: {
+          type: 'object',
+          required: RATING_CRITERIA,
+          properties: Object.fromEntries(RATING_CRITERIA.map(criterion => [criterion, score]))
+        },
+        averageScore: score,
+        readinessStatus: { type: 'string', enum: READINESS_STATUSES },
+        strengths: stringList,
+        gapsIdentified: stringList,
+        improvementRecommendations: stringList,
+        linkedTestCases: stringList,
+        sourceCitations: stringList
+      }
+    },
+    rationale: {
+      type: 'object',
+      required: ['scoringExplanation', 'impactSummary'],
+      properties: {
+        scoringExplanation: nonEmptyString,
+        impactSummary: nonEmptyString
+      }
+    },
+    finalRecommendation: nonEmptyString
+  }
+};
+
+const compiled = new Map();
+
+/**
+ * Compile a JSON Schema (draft-07 by default, 2020-12 when its $schema says so); results are cached
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} - AJV validate function
+ */
+export function compileResponseSchema(schema = RATING_RESPONSE_SCHEMA) {
+  const key = JSON.stringify(schema);
+  if (!compiled.has(key)) {
+    const AjvClass = String(schema.$schema || '').includes('2020-12') ? Ajv2020 : Ajv;
+    const ajv = new AjvClass({ allErrors: true, strict: false });
+    addFormats(ajv);
+
+    try {
+      compiled.set(key, ajv.compile(schema));
+    } catch (error) {
+      throw new Error(`Invalid JSON Schema: ${error.message}`);
+    }
+  }
+  return compiled.get(key);
+}
+
+/**
+ * Readable messages for AJV errors, e.g. "/analysis/averageScore must be <= 10"
+ * @param {Array<Object>} errors - validate.errors
+ * @returns {Array<string>} - One message per error
+ */
+export function formatSchemaErrors(errors = []) {
+  return (errors || []).map(error => {
+    const path = error.instancePath || '(root)';
+    if (error.keyword === 'enum') {
+      return `${path} must be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+    if (error.keyword === 'additionalProperties') {
+      return `${path} must not have additional property '${error.params.additionalProperty}'`;
+    }
+    return `${path} ${error.message}`;
+  });
+}
+
+/**
+ * Validate a parsed rating response against a JSON Schema
+ * @param {Object} response - Parsed LLM response
+ * @param {Object} schema - JSON Schema (defaults to RATING_RESPONSE_SCHEMA)
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+export function validateRatingResponse(response, schema = RATING_RESPONSE_SCHEMA) {
+  const validate = compileResponseSchema(schema);
+  return validate(response) ? [] : formatSchemaErrors(validate.errors);
+}
+
+/**
+ * Follow-up message asking the model to fix its previous reply
+ * @param {Array<string>} errors - Parse or schema errors of the previous reply
+ * @param {Object} schema - JSON Schema the reply must satisfy
+ * @returns {string} - Repair prompt
+ */
+export function buildRepairPrompt(errors, schema = RATING_RESPONSE_SCHEMA) {
+  return `Your previous response failed validation:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the complete, corrected JSON object only - no markdown fences or commentary.
+It must validate against this JSON Schema:
+${JSON.stringify(schema, null, 2)}`;
+}
+
+export default {
+  RATING_RESPONSE_SCHEMA,
+  compileResponseSchema,
+  formatSchemaErrors,
+  validateRatingResponse,
+  buildRepairPrompt
+};
@@ -0,0 +1,141 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import { createEmbeddingProvider } from "../embeddings/embeddingProvider.js";
+import { saveLocalStore, getLocalStorePath } from "./searchBackend.js";
+
+dotenv.config();
+
+/**
+ * Build a local search index (SEARCH_BACKEND=local) from a JSON data file
+ *
+ * Usage: node src/scripts/search/build-local-index.js [testcases|userstories] [inputFile]
+ *   testcases   → src/data/testcases.json into COLLECTION_NAME (default)
+ *   userstories → src/data/stories.json into USER_STORIES_COLLECTION_NAME
+ */
+
+const BATCH_SIZE = 100;
+
+// Same input text as create-embeddings-batch.js, so local and Atlas vectors are comparable
+function createTestcaseInputText(testcase) {
+  return `
+    ID: ${testcase.id}
+    Module: ${testcase.module}
+    Title: ${testcase.title}
+    Description: ${testcase.description}
+    Steps: ${testcase.steps}
+    Expected Result: ${testcase.expectedResults}
+  `.trim();
+}
+
+// Same input text as create-userstories-embeddings-batch.js
+function createUserStoryInputText(userStory) {
+  const components = Array.isArray(userStory.components) ? userStory.components.join(', ') : '';
+  const labels = Array.isArray(userStory.labels) ? userStory.labels.join(', ') : '';
+  const fixVersions = Array.isArray(userStory.fixVersions) ? userStory.fixVersions.join(', ') : '';
+
+  return `
+    Story Key: ${userStory.key || ''}
+    Summary: ${userStory.summary || ''}
+    Description: ${userStory.description || ''}
+    Status: ${userStory.status?.name || ''}
+    Priority: ${userStory.priority?.name || ''}
+    Assignee: ${userStory.assignee?.displayName || ''}
+    Reporter: ${userStory.reporter?.displayName || ''}
+    Project: ${userStory.project || ''}
+    Epic: ${userStory.epic || ''}
+    Story Points: ${userStory.storyPoints || ''}
+    Components: ${components}
+    Labels: ${labels}
+    Fix Versions: ${fixVersions}
+    Acceptance Criteria: ${userStory.acceptanceCriteria || ''}
+    Business Value: ${userStory.businessValue || ''}
+    Dependencies: ${userStory.dependencies || ''}
+    Notes: ${userStory.notes || ''}
+  `.trim();
+}
+
+const TARGETS = {
+  testcases: {
+    inputFile: "src/data/testcases.json",
+    collectionName: () => process.env.COLLECTION_NAME,
+    toText: createTestcaseInputText
+  },
+  userstories: {
+    inputFile: "src/data/stories.json",
+    collectionName: () => process.env.USER_STORIES_COLLECTION_NAME || 'user_stories',
+    toText: createUserStoryInputText
+  }
+};
+
+async function main() {
+  const type = process.argv[2] || "testcases";
+  const target = TARGETS[type];
+  if (!target) {
+    console.error(`❌ Unknown type '${type}' (expected: ${Object.keys(TARGETS).join(', ')})`);
+    process.exit(1);
+  }
+
+  const inputFile = process.argv[3] || target.inputFile;
+  const collectionName = target.collectionName();
+  const embeddingProvider = createEmbeddingProvider();
+
+  try {
+    const items = JSON.parse(fs.readFileSync(inputFile, "utf-8"));
+
+    console.log(`📂 BUILDING LOCAL INDEX: ${items.length} ${type} from ${inputFile}`);
+    console.log(`   🧮 Embedding Provider: ${embeddingProvider.name} (${embeddingProvider.model})`);
+    console.log(`   📦 Collection: ${collectionName}`);
+    console.log(`   💾 Output: ${getLocalStorePath(collectionName)}\n`);
+
+    const startTime = Date.now();
+    const documents = [];
+    let totalCost = 0;
+    let totalTokens = 0;
+    let dimensions = embeddingProvider.dimensions;
+    let model = embeddingProvider.model;
+
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+      const batch = items.slice(i, i + BATCH_SIZE);
+      const batchResult = await embeddingProvider.embedBatch(batch.map(target.toText));
+
+      batch.forEach((item, index) => {
+        documents.push({
+          ...item,
+          embedding: batchResult.embeddings[index],
+          createdAt: new Date().toISOString()
+        });
+      });
+
+      totalCost += batchResult.cost;
+      totalTokens += batchResult.tokens;
+      dimensions = batchResult.dimensions;
+      model = batchResult.model;
+      console.log(`✅ Embedded ${Math.min(i + BATCH_SIZE, items.length)}/${items.length}`);
+    }
+
+    const storePath = saveLocalStore(collectionName, documents, {
+      provider: embeddingProvider.name,
+      model,
+      dimensions,
+      sourceFile: inputFile
+    });
+
+    console.log(`\n🎉 LOCAL INDEX COMPLETE`);
+    console.log(`   📝 Documents: ${documents.length}`);
+    console.log(`   📐 Dimensions: ${dimensions}`);
+    console.log(`   💰 Total Cost: $${totalCost.toFixed(6)}`);
+    console.log(`   🔢 Total Tokens: ${totalTokens.toLocaleString()}`);
+    console.log(`   ⏱️  Time: ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+    console.log(`   💾 Saved to: ${storePath}`);
+    console.log(`\n💡 Set SEARCH_BACKEND=local in .env to search this index`);
+  } catch (err) {
+    if (err.response) {
+      console.error("❌ Embedding API Error:", err.response.status, err.response.data);
+    } else {
+      console.error("❌ Error:", err.message);
+    }
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,100 @@
+/**
+ * Combined Search - Merge results from several corpora (test cases, user stories) into one list
+ * Raw scores from different collections are not comparable, so each corpus is normalized
+ * on its own before the results are interleaved
+ */
+
+export const NORMALIZATION_METHODS = ['minmax', 'zscore', 'rank', 'none'];
+
+/**
+ * Normalize one corpus' scores
+ * @param {Array<number>} scores - Scores in rank order
+ * @param {string} method - minmax | zscore | rank | none
+ * @returns {Array<number>} - Normalized scores (0-1 except for none)
+ */
+export function normalizeScores(scores, method = 'minmax') {
+  if (scores.length === 0) return [];
+
+  switch (method) {
+    case 'none':
+      return [...scores];
+
+    case 'rank':
+      // Position only: 1, 1/2, 1/3, ...
+      return scores.map((_, index) => 1 / (index + 1));
+
+    case 'zscore': {
+      const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+      const std = Math.sqrt(scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length);
+      if (std === 0) return scores.map(() => 1);
+      // Squash z-scores into 0-1 so corpora share a scale
+      return scores.map(score => 1 / (1 + Math.exp(-(score - mean) / std)));
+    }
+
+    default: {
+      const max = Math.max(...scores);
+      const min = Math.min(...scores);
+      if (max === min) return scores.map(() => 1);
+      return scores.map(score => (score - min) / (max - min));
+    }
+  }
+}
+
+/**
+ * Unified result shape shared by every corpus
+ * @param {Object} corpus - Corpus definition (searchCorpora.js)
+ * @param {Object} doc - Search result document
+ * @param {Object} scores - { score, normalizedScore, corpusRank }
+ * @returns {Object} - { corpus, id, title, description, score, normalizedScore, corpusRank, document }
+ */
+export function toUnifiedResult(corpus, doc, { score, normalizedScore, corpusRank }) {
+  const { embedding, ...document } = doc;
+  return {
+    corpus: corpus.name,
+    id: doc[corpus.idField] ?? String(doc._id),
+    title: doc[corpus.titleField] || '',
+    description: doc.description || '',
+    score,
+    normalizedScore,
+    corpusRank,
+    document
+  };
+}
+
+/**
+ * Normalize each corpus and merge into one ranked list
+ * @param {Array<Object>} corpusResults - [{ corpus, results, scoreField }]
+ * @param {Object} options - { normalization, limit } (limit caps the merged list)
+ * @returns {Object} - { results, byCorpus }
+ */
+export function combineCorpusResults(corpusResults, { normalization = 'minmax', limit = null } = {}) {
+  const byCorpus = {};
+
+  corpusResults.forEach(({ corpus, results, scoreField = 'score' }) => {
+    const scores = results.map(result => result[scoreField] || 0);
+    const normalized = normalizeScores(scores, normalization);
+
+    byCorpus[corpus.name] = results.map((result, index) => toUnifiedResult(corpus, result, {
+      score: scores[index],
+      normalizedScore: normalized[index],
+      corpusRank: index + 1
+    }));
+  });
+
+  const merged = Object.values(byCorpus)
+    .flat()
+    .sort((a, b) => (b.normalizedScore - a.normalizedScore) || (a.corpusRank - b.corpusRank))
+    .map((result, index) => ({ ...result, rank: index + 1 }));
+
+  return {
+    results: limit ? merged.slice(0, limit) : merged,
+    byCorpus
+  };
+}
+
+export default {
+  NORMALIZATION_METHODS,
+  normalizeScores,
+  toUnifiedResult,
+  combineCorpusResults
+};
@@ -0,0 +1,164 @@
+/**
+ * Cross-Encoder - Local ONNX cross-encoder (transformers.js) that rescores query/document pairs
+ * Used as an optional stage after score fusion in the rerank pipeline; when the model or
+ * @huggingface/transformers is unavailable the fused order is kept and the error is reported
+ */
+
+export const DEFAULT_CROSS_ENCODER_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+
+/**
+ * Create a cross-encoder around a sequence-classification model
+ * The model is downloaded once into the transformers.js cache, or read from modelPath
+ * @param {Object} config - { model, modelPath, batchSize }
+ * @returns {Object} - Encoder with model, checkReady() and score(query, passages)
+ */
+export function createCrossEncoder({ model = DEFAULT_CROSS_ENCODER_MODEL, modelPath = null, batchSize = 16 } = {}) {
+  let loadPromise = null;
+
+  const load = async () => {
+    if (!loadPromise) {
+      loadPromise = (async () => {
+        let transformers;
+        try {
+          transformers = await import('@huggingface/transformers');
+        } catch (error) {
+          throw new Error('The cross-encoder requires @huggingface/transformers (npm install @huggingface/transformers)');
+        }
+        if (modelPath) {
+          transformers.env.localModelPath = modelPath;
+          transformers.env.allowRemoteModels = false;
+        }
+        const [tokenizer, classifier] = await Promise.all([
+          transformers.AutoTokenizer.from_pretrained(model),
+          transformers.AutoModelForSequenceClassification.from_pretrained(model)
+        ]);
+        return { tokenizer, classifier };
+      })();
+      // Allow a retry after a failed load
+      loadPromise.catch(() => { loadPromise = null; });
+    }
+    return loadPromise;
+  };
+
+  return {
+    model,
+    // Loads the model, so the first check can take a while on a cold cache
+    async checkReady() {
+      try {
+        await load();
+        return { ready: true };
+      } catch (error) {
+        return { ready: false, error: error.message };
+      }
+    },
+
+    /**
+     * Relevance of each passage to the query
+     * @param {string} query - Search query
+     * @param {Array<string>} passages - Document texts
+     * @returns {Promise<Array<number>>} - Scores in 0-1 (sigmoid of the relevance logit)
+     */
+    async score(query, passages) {
+      const { tokenizer, classifier } = await load();
+      const scores = [];
+
+      for (let i = 0; i < passages.length; i += batchSize) {
+        const batch = passages.slice(i, i + batchSize);
+        const inputs = tokenizer(new Array(batch.length).fill(query), {
+          text_pair: batch,
+          padding: true,
+          truncation: true
+        });
+        const { logits } = await classifier(inputs);
+
+        // ms-marco models emit one logit; two-label models score the "relevant" class
+        logits.tolist().forEach(row => {
+          scores.push(row.length === 1 ? sigmoid(row[0]) : sigmoid(row[row.length - 1] - row[0]));
+        });
+      }
+
+      return scores;
+    }
+  };
+}
+
+const encoders = new Map();
+
+/**
+ * Shared cross-encoder for the configured model (CROSS_ENCODER_MODEL, CROSS_ENCODER_MODEL_PATH)
+ * @param {Object} config - Overrides for model and modelPath
+ * @returns {Object} - Cached encoder
+ */
+export function getCrossEncoder(config = {}) {
+  const model = config.model || process.env.CROSS_ENCODER_MODEL || DEFAULT_CROSS_ENCODER_MODEL;
+  const modelPath = config.modelPath || process.env.CROSS_ENCODER_MODEL_PATH || null;
+  const key = `${model}|${modelPath || ''}`;
+
+  if (!encoders.has(key)) {
+    encoders.set(key, createCrossEncoder({ model, modelPath }));
+  }
+  return encoders.get(key);
+}
+
+/**
+ * Text the cross-encoder reads for a document
+ * @param {Object} doc - Search result
+ * @param {Array<string>} fields - Fields in reading order (e.g. the corpus bm25Fields)
+ * @returns {string} - Joined field values
+ */
+export function buildPassage(doc, fields) {
+  return fields
+    .map(field => doc[field])
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .map(value => (Array.isArray(value) ? value.join(' ') : String(value)))
+    .join(' - ');
+}
+
+/**
+ * Rescore the top-K of an already ranked list; documents past top-K keep their order below it
+ * @param {Object} encoder - Cross-encoder (createCrossEncoder / getCrossEncoder)
+ * @param {string} query - Search query
+ * @param {Array<Object>} documents - Ranked documents (e.g. fused results)
+ * @param {Object} options - { fields, topK }
+ * @returns {Promise<Object>} - { applied, results, model, topK, time, error }; results carry
+ *                              fusedRank (before), crossEncoderRank (after) and crossEncoderScore
+ */
+export async function crossEncoderRerank(encoder, query, documents, { fields, topK = 20 } = {}) {
+  const startTime = Date.now();
+  const head = documents.slice(0, topK);
+  const tail = documents.slice(topK);
+
+  try {
+    const scores = await encoder.score(query, head.map(doc => buildPassage(doc, fields)));
+
+    const rescored = head
+      .map((doc, index) => ({ ...doc, crossEncoderScore: scores[index], fusedRank: index + 1 }))
+      .sort((a, b) => (b.crossEncoderScore - a.crossEncoderScore) || (a.fusedRank - b.fusedRank));
+
+    const results = [
+      ...rescored,
+      ...tail.map((doc, index) => ({ ...doc, crossEncoderScore: null, fusedRank: head.length + index + 1 }))
+    ].map((doc, index) => ({ ...doc, crossEncoderRank: index + 1 }));
+
+    return { applied: true, results, model: encoder.model, topK: head.length, time: Date.now() - startTime, error: null };
+  } catch (error) {
+    return {
+      applied: false,
+      results: documents,
+      model: encoder.model,
+      topK: head.length,
+      time: Date.now() - startTime,
+      error: error.message
+    };
+  }
+}
+
+export default {
+  DEFAULT_CROSS_ENCODER_MODEL,
+  createCrossEncoder,
+  getCrossEncoder,
+  buildPassage,
+  crossEncoderRerank
+};
@@ -0,0 +1,176 @@
+/**
+ * Duplicate Detection - Find near-duplicate user stories across a whole backlog
+ *
+ * Every pair of stories is scored as
+ *   score = embeddingWeight x cosine(embeddings) + (1 - embeddingWeight) x weighted Jaccard(word sets)
+ * Words are weighted by inverse document frequency, and template words that appear in more than
+ * maxDocFrequency of the stories ("As a user, I want to ... so that ...") are left out, so shared
+ * boilerplate and repeated acceptance criteria templates do not make stories look alike.
+ * Pairs at or above the threshold are linked and each connected set of stories becomes a candidate group.
+ */
+
+import crypto from 'crypto';
+import { tokenize } from './localSearchIndex.js';
+import { normalizeVector } from './semanticDedup.js';
+
+export const DUPLICATE_DECISIONS = ['merge', 'keep-both', 'ignore'];
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Text compared for a story
+ * @param {Object} story - User story
+ * @returns {string} - Summary, description and acceptance criteria
+ */
+export function storyDuplicateText(story) {
+  return [story.summary, story.description, story.acceptanceCriteria].filter(Boolean).join('\n');
+}
+
+/**
+ * Stable id of a group, derived from its member keys so decisions survive a re-scan with the same members
+ * @param {Array<string>} keys - Member keys
+ * @returns {string} - 12 character hash
+ */
+export function duplicateGroupId(keys) {
+  return crypto.createHash('sha256').update([...keys].sort().join('\n')).digest('hex').substring(0, 12);
+}
+
+/**
+ * Inverse document frequency of every word; words in more than maxDocFrequency of the documents are template words
+ * @param {Array<Set<string>>} tokenSets - Word set of each document
+ * @param {number} maxDocFrequency - Share of documents (0-1)
+ * @returns {Object} - { idf: Map(word → log(N / df)), template: Set of template words }
+ */
+export function tokenWeights(tokenSets, maxDocFrequency = 0.5) {
+  const documentFrequency = new Map();
+  tokenSets.forEach(tokens => tokens.forEach(token => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1)));
+  const maxCount = Math.max(1, tokenSets.length * maxDocFrequency);
+
+  const idf = new Map();
+  const template = new Set();
+  documentFrequency.forEach((count, token) => {
+    if (count > maxCount) template.add(token);
+    else idf.set(token, Math.log(tokenSets.length / count) || 1e-6);
+  });
+  return { idf, template };
+}
+
+/**
+ * Weighted Jaccard similarity of two word sets
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @param {Map<string, number>} weights - Word weights (words without a weight count 1)
+ * @returns {number} - weight(a ∩ b) / weight(a ∪ b) (0 for two empty sets)
+ */
+export function weightedJaccardSimilarity(a, b, weights = new Map()) {
+  let intersection = 0;
+  let union = 0;
+  a.forEach(token => {
+    const weight = weights.get(token) ?? 1;
+    union += weight;
+    if (b.has(token)) intersection += weight;
+  });
+  b.forEach(token => { if (!a.has(token)) union += weights.get(token) ?? 1; });
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Score every pair of items and group the ones linked by a pair at or above the threshold
+ * @param {Object} options
+ * @param {Array<Object>} options.items - Stories
+ * @param {Array<Array<number>>|null} options.vectors - Embedding of each item (null for text similarity only)
+ * @param {number} options.threshold - Minimum pair score for a duplicate candidate
+ * @param {number} options.embeddingWeight - Weight of the embedding similarity (0-1; ignored without vectors)
+ * @param {number} options.maxDocFrequency - Words in more than this share of the items are ignored by the text similarity
+ * @param {Function} options.getId - Item id accessor
+ * @param {Function} options.getText - Item text accessor
+ * @param {Function} options.onProgress - Called with (itemsCompared, total) while scoring
+ * @returns {Promise<Object>} - { groups, pairCount, templateTokens, options }
+ */
+export async function findDuplicateGroups({
+  items,
+  vectors = null,
+  threshold = 0.85,
+  embeddingWeight = 0.6,
+  maxDocFrequency = 0.5,
+  getId = (item) => item.key,
+  getText = storyDuplicateText,
+  onProgress = () => {}
+}) {
+  const weight = vectors ? embeddingWeight : 0;
+  const normalized = vectors ? vectors.map(normalizeVector) : null;
+
+  const allTokens = items.map(item => new Set(tokenize(getText(item))));
+  const { idf, template } = tokenWeights(allTokens, maxDocFrequency);
+  const tokenSets = allTokens.map(tokens => new Set([...tokens].filter(token => !template.has(token))));
+
+  // Union-find over the linked pairs
+  const parent = items.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const pairs = [];
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      let embeddingSimilarity = null;
+      if (normalized) {
+        embeddingSimilarity = 0;
+        for (let d = 0; d < normalized[i].length; d++) embeddingSimilarity += normalized[i][d] * normalized[j][d];
+      }
+      const textSimilarity = weightedJaccardSimilarity(tokenSets[i], tokenSets[j], idf);
+      const score = weight * (embeddingSimilarity ?? 0) + (1 - weight) * textSimilarity;
+      if (score >= threshold) {
+        pairs.push({ a: i, b: j, score, embeddingSimilarity, textSimilarity });
+        parent[find(j)] = find(i);
+      }
+    }
+    onProgress(i + 1, items.length);
+    // Yield between rows so a large backlog does not block the server
+    if (i % 25 === 24) await new Promise(resolve => setImmediate(resolve));
+  }
+
+  const membersByRoot = new Map();
+  pairs.forEach(({ a, b }) => [a, b].forEach(index => {
+    const root = find(index);
+    if (!membersByRoot.has(root)) membersByRoot.set(root, new Set());
+    membersByRoot.get(root).add(index);
+  }));
+
+  const groups = [...membersByRoot.entries()].map(([root, memberSet]) => {
+    const members = [...memberSet].sort((x, y) => x - y);
+    const groupPairs = pairs
+      .filter(pair => find(pair.a) === root)
+      .sort((x, y) => y.score - x.score)
+      .map(pair => ({
+        a: getId(items[pair.a]),
+        b: getId(items[pair.b]),
+        score: round(pair.score),
+        embeddingSimilarity: pair.embeddingSimilarity === null ? null : round(pair.embeddingSimilarity),
+        textSimilarity: round(pair.textSimilarity)
+      }));
+    const keys = members.map(index => getId(items[index]));
+    return {
+      id: duplicateGroupId(keys),
+      size: members.length,
+      maxScore: groupPairs[0].score,
+      minScore: groupPairs[groupPairs.length - 1].score,
+      members: members.map(index => ({ ...items[index] })),
+      pairs: groupPairs
+    };
+  }).sort((x, y) => y.maxScore - x.maxScore || y.size - x.size);
+
+  return {
+    groups,
+    pairCount: pairs.length,
+    templateTokens: [...template].sort(),
+    options: { threshold, embeddingWeight: weight, maxDocFrequency }
+  };
+}
+
+export default {
+  DUPLICATE_DECISIONS,
+  storyDuplicateText,
+  duplicateGroupId,
+  tokenWeights,
+  weightedJaccardSimilarity,
+  findDuplicateGroups
+};
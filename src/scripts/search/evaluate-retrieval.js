@@ -0,0 +1,85 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import axios from "axios";
+
+dotenv.config();
+
+/**
+ * Evaluate vector, BM25, hybrid and rerank fusion methods against relevance judgments
+ * Runs through the API server (npm run server) so the CLI scores exactly what the app serves
+ *
+ * Usage: node src/scripts/search/evaluate-retrieval.js [options]
+ *   --k=10                     cutoff for recall@k and nDCG@k
+ *   --corpus=testcases         only judgments for this corpus (testcases | userstories)
+ *   --methods=vector,bm25      subset of vector, bm25, hybrid, rerank-rrf, rerank-weighted, rerank-reciprocal
+ *   --judgments=file.json      evaluate these judgments instead of src/data/relevance-judgments.json
+ *   --api=http://localhost:3001/api
+ *   --json                     print the raw report
+ */
+
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+  });
+  return args;
+}
+
+const formatMetric = (value) => (value === null || value === undefined ? '   -  ' : value.toFixed(4));
+
+function printReport(report) {
+  const k = report.k;
+
+  console.log(`\n📏 RETRIEVAL EVALUATION (k=${k}, ${report.queries.length} queries, ${report.totalTime}ms)\n`);
+  console.log(`${'Method'.padEnd(22)} ${`Recall@${k}`.padEnd(10)} ${'MRR'.padEnd(8)} ${`nDCG@${k}`.padEnd(9)} Errors`);
+  report.methods.forEach(method => {
+    const summary = report.summary[method.id];
+    console.log(`${method.label.padEnd(22)} ${formatMetric(summary.recall).padEnd(10)} ${formatMetric(summary.mrr).padEnd(8)} ${formatMetric(summary.ndcg).padEnd(9)} ${summary.errors}`);
+  });
+
+  console.log(`\n\n🔍 PER-QUERY BREAKDOWN\n`);
+  report.queries.forEach(query => {
+    console.log(`[${query.id}] (${query.corpus}, ${query.relevantCount} relevant) "${query.query}"`);
+    report.methods.forEach(method => {
+      const result = query.methods[method.id];
+      if (result.error) {
+        console.log(`   ${method.label.padEnd(20)} ❌ ${result.error}`);
+        return;
+      }
+      const missed = result.missed.length > 0 ? `  missed: ${result.missed.join(', ')}` : '';
+      console.log(`   ${method.label.padEnd(20)} R=${formatMetric(result.recall)}  RR=${formatMetric(result.mrr)}  nDCG=${formatMetric(result.ndcg)}  first hit: ${result.firstRelevantRank ?? '-'}${missed}`);
+    });
+    console.log('');
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const apiBase = (args.api || `http://localhost:${process.env.PORT || 3001}/api`).replace(/\/$/, '');
+
+  const body = { k: args.k ? parseInt(args.k) : 10 };
+  if (args.corpus) body.corpus = args.corpus;
+  if (args.methods) body.methods = String(args.methods).split(',').map(method => method.trim()).filter(Boolean);
+  if (args.judgments) body.judgments = JSON.parse(fs.readFileSync(args.judgments, 'utf-8'));
+
+  try {
+    const response = await axios.post(`${apiBase}/evaluation/run`, body);
+    if (args.json) {
+      console.log(JSON.stringify(response.data, null, 2));
+    } else {
+      printReport(response.data);
+    }
+  } catch (error) {
+    if (error.response) {
+      console.error(`❌ ${error.response.data.error || `HTTP ${error.response.status}`}`);
+      (error.response.data.errors || []).forEach(message => console.error(`   - ${message}`));
+      if (error.response.data.details) console.error(`   ${error.response.data.details}`);
+    } else {
+      console.error(`❌ Could not reach the API at ${apiBase} (start it with npm run server): ${error.message}`);
+    }
+    process.exit(1);
+  }
+}
+
+main();
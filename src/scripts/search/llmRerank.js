@@ -0,0 +1,137 @@
+/**
+ * LLM Rerank - Listwise reranking of fused search candidates by the configured chat model
+ * The model sees the query and the numbered top-N candidates at once and returns an ordering
+ * with a short rationale per item; unparseable or failed replies keep the incoming order
+ */
+
+import { buildPassage } from './crossEncoder.js';
+
+// Long user stories and test steps are cut so N candidates fit comfortably in one prompt
+const MAX_PASSAGE_CHARS = 700;
+
+/**
+ * Chat messages asking for a listwise ranking
+ * @param {string} query - Search query (may be a full user story)
+ * @param {Array<Object>} candidates - Documents in their current order
+ * @param {Object} options - { fields, maxPassageChars }
+ * @returns {Array<Object>} - [{ role, content }]
+ */
+export function buildListwiseRerankMessages(query, candidates, { fields, maxPassageChars = MAX_PASSAGE_CHARS } = {}) {
+  const candidateText = candidates.map((doc, index) => {
+    const passage = buildPassage(doc, fields);
+    const trimmed = passage.length > maxPassageChars ? `${passage.substring(0, maxPassageChars)}...` : passage;
+    return `[${index + 1}] ${trimmed}`;
+  }).join('\n\n');
+
+  const systemPrompt = `You are a search relevance judge for a QA team. Rank candidate documents by how well they answer the query.
+Judge meaning, not word overlap: a candidate covering the same feature, flow or acceptance criteria is relevant even if worded differently.
+Respond with JSON only, in this shape:
+{"ranking": [{"index": 1, "rationale": "one short sentence"}]}
+List every candidate exactly once, most relevant first, using the numbers shown in brackets.`;
+
+  const userPrompt = `Query:\n${query}\n\nCandidates (${candidates.length}):\n\n${candidateText}`;
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt }
+  ];
+}
+
+/**
+ * Read the model's ranking, tolerating code fences, duplicates and missing items
+ * @param {string} content - Model reply
+ * @param {number} count - Number of candidates sent
+ * @returns {Object} - { order: [{ index (0-based), rationale }], errors } (order always covers every candidate)
+ */
+export function parseListwiseRanking(content, count) {
+  const errors = [];
+  let ranking = [];
+
+  try {
+    const cleaned = String(content).replace(/```(?:json)?/gi, '').trim();
+    const jsonText = cleaned.substring(cleaned.indexOf('{'), cleaned.lastIndexOf('}') + 1);
+    const parsed = JSON.parse(jsonText);
+    ranking = Array.isArray(parsed) ? parsed : parsed.ranking;
+    if (!Array.isArray(ranking)) {
+      throw new Error('missing "ranking" array');
+    }
+  } catch (error) {
+    return { order: null, errors: [`Could not parse LLM ranking: ${error.message}`] };
+  }
+
+  const seen = new Set();
+  const order = [];
+  ranking.forEach(item => {
+    const index = parseInt(typeof item === 'object' ? item.index : item) - 1;
+    if (Number.isNaN(index) || index < 0 || index >= count) {
+      errors.push(`Ignored out-of-range index ${JSON.stringify(item?.index ?? item)}`);
+      return;
+    }
+    if (seen.has(index)) {
+      errors.push(`Ignored duplicate index ${index + 1}`);
+      return;
+    }
+    seen.add(index);
+    order.push({ index, rationale: typeof item === 'object' && item.rationale ? String(item.rationale) : null });
+  });
+
+  // Candidates the model left out keep their relative order at the end
+  for (let index = 0; index < count; index++) {
+    if (!seen.has(index)) {
+      errors.push(`Candidate ${index + 1} missing from ranking`);
+      order.push({ index, rationale: null });
+    }
+  }
+
+  return { order, errors };
+}
+
+/**
+ * Reorder the top-N documents by the model's judgment; documents past top-N stay below
+ * @param {Object} provider - LLM provider (llmProvider.js)
+ * @param {string} query - Search query
+ * @param {Array<Object>} documents - Ranked documents (e.g. fused results)
+ * @param {Object} options - { fields, topN, temperature, maxTokens }
+ * @returns {Promise<Object>} - { applied, results, model, provider, topN, time, tokens, cost, warnings, error };
+ *                              results carry beforeLlmRank, llmRank and llmRationale
+ */
+export async function llmListwiseRerank(provider, query, documents, { fields, topN = 10, temperature = 0, maxTokens = 1500 } = {}) {
+  const startTime = Date.now();
+  const head = documents.slice(0, topN);
+  const tail = documents.slice(topN);
+  const report = {
+    model: provider.model,
+    provider: provider.name,
+    topN: head.length,
+    tokens: null,
+    cost: null,
+    warnings: []
+  };
+
+  try {
+    const completion = await provider.chat(buildListwiseRerankMessages(query, head, { fields }), { temperature, maxTokens });
+    report.model = completion.model;
+    report.tokens = completion.usage;
+    report.cost = completion.cost;
+
+    const { order, errors } = parseListwiseRanking(completion.content, head.length);
+    if (!order) {
+      throw new Error(errors[0]);
+    }
+
+    const results = [
+      ...order.map(({ index, rationale }) => ({ ...head[index], beforeLlmRank: index + 1, llmRationale: rationale })),
+      ...tail.map((doc, index) => ({ ...doc, beforeLlmRank: head.length + index + 1, llmRationale: null }))
+    ].map((doc, index) => ({ ...doc, llmRank: index + 1 }));
+
+    return { ...report, applied: true, results, warnings: errors, time: Date.now() - startTime, error: null };
+  } catch (error) {
+    return { ...report, applied: false, results: documents, time: Date.now() - startTime, error: error.message };
+  }
+}
+
+export default {
+  buildListwiseRerankMessages,
+  parseListwiseRanking,
+  llmListwiseRerank
+};
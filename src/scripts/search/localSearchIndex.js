@@ -0,0 +1,296 @@
+/**
+ * Local Search Index - In-process BM25 and flat vector search over plain documents
+ * Mirrors the Atlas $search text/compound and $vectorSearch stages used by the server
+ * so search works without an Atlas cluster
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Read a (possibly dotted) path from a document
+ * @param {Object} doc - Document
+ * @param {string} path - Field path, e.g. "status.name"
+ * @returns {*} - Value at the path
+ */
+export function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * Tokenize text like lucene.standard (lowercased word/number runs)
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Tokens
+ */
+export function tokenize(text) {
+  if (text === null || text === undefined) return [];
+  return String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+// Analyze a field value with the analyzer from the index mapping
+function analyze(value, analyzer) {
+  const values = Array.isArray(value) ? value : [value];
+  if (analyzer === 'lucene.keyword') {
+    return values.filter(v => v !== null && v !== undefined && v !== '').map(v => String(v));
+  }
+  return values.flatMap(v => tokenize(typeof v === 'object' && v !== null ? JSON.stringify(v) : v));
+}
+
+/**
+ * Levenshtein distance, stopping early once it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Check a document against equality filters (dotted paths, array membership, $eq and $in)
+ * @param {Object} doc - Document
+ * @param {Object} filters - { path: value | { $eq } | { $in: [] } }
+ * @returns {boolean} - True if every filter matches
+ */
+export function matchesFilters(doc, filters = {}) {
+  return Object.entries(filters).every(([path, condition]) => {
+    if (condition === undefined || condition === null || condition === '') return true;
+
+    const value = getPath(doc, path);
+    const values = Array.isArray(value) ? value : [value];
+
+    if (typeof condition === 'object' && !Array.isArray(condition)) {
+      if ('$in' in condition) return values.some(v => condition.$in.includes(v));
+      if ('$eq' in condition) return values.includes(condition.$eq);
+    }
+    return values.includes(condition);
+  });
+}
+
+/**
+ * Apply a MongoDB-style projection ({ field: 1 } inclusion or { field: 0 } exclusion)
+ * @param {Object} doc - Document
+ * @param {Object} projection - Projection spec
+ * @returns {Object} - Projected copy
+ */
+export function applyProjection(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) return { ...doc };
+
+  const inclusive = Object.entries(projection).some(([key, value]) => key !== '_id' && value);
+  if (inclusive) {
+    const projected = projection._id === 0 ? {} : { _id: doc._id };
+    Object.entries(projection).forEach(([key, value]) => {
+      if (value && key in doc) projected[key] = doc[key];
+    });
+    return projected;
+  }
+
+  const projected = { ...doc };
+  Object.entries(projection).forEach(([key, value]) => {
+    if (!value) delete projected[key];
+  });
+  return projected;
+}
+
+/**
+ * Create an in-memory index over a set of documents
+ * @param {Array<Object>} documents - Documents (with an `embedding` array for vector search)
+ * @param {Object} options - { textMapping: Atlas search mapping fields, vectorPath }
+ * @returns {Object} - Index with bm25Search(), vectorSearch(), find(), distinct() and size
+ */
+export function createLocalSearchIndex(documents, { textMapping = {}, vectorPath = 'embedding' } = {}) {
+  const docs = documents.map((doc, index) => ({
+    ...doc,
+    _id: doc._id ?? doc.id ?? doc.key ?? String(index)
+  }));
+
+  // Per-field inverted indexes are built on first use, since callers choose the field list
+  const fieldIndexes = new Map();
+
+  const getFieldIndex = (field) => {
+    if (fieldIndexes.has(field)) return fieldIndexes.get(field);
+
+    const analyzer = textMapping[field]?.analyzer || 'lucene.standard';
+    const postings = new Map();
+    const lengths = new Array(docs.length).fill(0);
+
+    docs.forEach((doc, docIndex) => {
+      const tokens = analyze(getPath(doc, field), analyzer);
+      lengths[docIndex] = tokens.length;
+      tokens.forEach(token => {
+        if (!postings.has(token)) postings.set(token, new Map());
+        const termPostings = postings.get(token);
+        termPostings.set(docIndex, (termPostings.get(docIndex) || 0) + 1);
+      });
+    });
+
+    const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+    const fieldIndex = {
+      analyzer,
+      postings,
+      lengths,
+      averageLength: totalLength / (docs.filter((_, i) => lengths[i] > 0).length || 1)
+    };
+    fieldIndexes.set(field, fieldIndex);
+    return fieldIndex;
+  };
+
+  // Expand a query term to indexed terms within the fuzzy edit distance
+  const expandTerm = (fieldIndex, term, fuzzy) => {
+    if (!fuzzy) {
+      return fieldIndex.postings.has(term) ? [{ term, weight: 1 }] : [];
+    }
+
+    const maxEdits = Math.min(fuzzy.maxEdits ?? 2, 2);
+    const prefixLength = fuzzy.prefixLength ?? 0;
+    const prefix = term.substring(0, prefixLength);
+    const expansions = [];
+
+    for (const candidate of fieldIndex.postings.keys()) {
+      if (prefixLength > 0 && !candidate.startsWith(prefix)) continue;
+      const distance = candidate === term ? 0 : editDistance(term, candidate, maxEdits);
+      if (distance <= maxEdits) {
+        // Same down-weighting Lucene applies to fuzzy matches
+        expansions.push({ term: candidate, weight: distance === 0 ? 1 : 1 - distance / Math.min(term.length, candidate.length) });
+      }
+    }
+    return expansions;
+  };
+
+  /**
+   * BM25 search over one or more fields
+   * @param {Object} params - { query, fields: [path | { path, boost }], fuzzy, filters, limit, projection, scoreField }
+   * @returns {Array<Object>} - Matching documents sorted by score
+   */
+  const bm25Search = ({ query, fields, fuzzy = null, filters = {}, limit = 10, projection = null, scoreField = 'score' }) => {
+    const scores = new Map();
+    const paths = fields.map(field => (typeof field === 'string' ? { path: field, boost: 1 } : { boost: 1, ...field }));
+
+    paths.forEach(({ path, boost }) => {
+      const fieldIndex = getFieldIndex(path);
+      const queryTerms = fieldIndex.analyzer === 'lucene.keyword' ? [String(query)] : [...new Set(tokenize(query))];
+
+      queryTerms.forEach(queryTerm => {
+        // Best-scoring expansion per document for this query term
+        const termScores = new Map();
+
+        expandTerm(fieldIndex, queryTerm, fuzzy).forEach(({ term, weight }) => {
+          const termPostings = fieldIndex.postings.get(term);
+          const idf = Math.log(1 + (docs.length - termPostings.size + 0.5) / (termPostings.size + 0.5));
+
+          termPostings.forEach((tf, docIndex) => {
+            const lengthNorm = 1 - BM25_B + BM25_B * (fieldIndex.lengths[docIndex] / (fieldIndex.averageLength || 1));
+            const score = idf * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm)) * weight * boost;
+            if (score > (termScores.get(docIndex) || 0)) termScores.set(docIndex, score);
+          });
+        });
+
+        termScores.forEach((score, docIndex) => {
+          scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+        });
+      });
+    });
+
+    return Array.from(scores.entries())
+      .filter(([docIndex]) => matchesFilters(docs[docIndex], filters))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([docIndex, score]) => ({ ...applyProjection(docs[docIndex], projection), [scoreField]: score }));
+  };
+
+  // Normalized vectors for cosine similarity (flat, exact search)
+  let vectors = null;
+  const getVectors = () => {
+    if (!vectors) {
+      vectors = docs.map(doc => {
+        const vector = getPath(doc, vectorPath);
+        if (!Array.isArray(vector) || vector.length === 0) return null;
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+        return Float32Array.from(vector, v => v / norm);
+      });
+    }
+    return vectors;
+  };
+
+  /**
+   * Exact cosine similarity search; filters are applied before ranking (like $vectorSearch filter),
+   * postFilters only to the top candidateLimit documents (like a $match after the stage)
+   * @param {Object} params - { queryVector, filters, postFilters, limit, candidateLimit, projection, scoreField }
+   * @returns {Array<Object>} - Documents sorted by score, scored (1 + cosine) / 2 like Atlas
+   */
+  const vectorSearch = ({ queryVector, filters = {}, postFilters = {}, limit = 10, candidateLimit = null, projection = null, scoreField = 'score' }) => {
+    const norm = Math.sqrt(queryVector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    const query = queryVector.map(v => v / norm);
+
+    const scored = [];
+    getVectors().forEach((vector, docIndex) => {
+      if (!vector || vector.length !== query.length) return;
+      if (!matchesFilters(docs[docIndex], filters)) return;
+
+      let dot = 0;
+      for (let i = 0; i < vector.length; i++) dot += vector[i] * query[i];
+      scored.push([docIndex, (1 + dot) / 2]);
+    });
+
+    let ranked = scored.sort((a, b) => b[1] - a[1]);
+    if (Object.keys(postFilters).length > 0) {
+      ranked = ranked.slice(0, candidateLimit || limit).filter(([docIndex]) => matchesFilters(docs[docIndex], postFilters));
+    }
+
+    return ranked
+      .slice(0, limit)
+      .map(([docIndex, score]) => ({ ...applyProjection(docs[docIndex], projection), [scoreField]: score }));
+  };
+
+  /**
+   * Documents matching the filters, in store order (like collection.find)
+   * @param {Object} params - { filters, projection, limit }
+   * @returns {Array<Object>} - Projected documents
+   */
+  const find = ({ filters = {}, projection = null, limit = 0 }) => {
+    const matches = docs.filter(doc => matchesFilters(doc, filters));
+    return (limit > 0 ? matches.slice(0, limit) : matches).map(doc => applyProjection(doc, projection));
+  };
+
+  /**
+   * Distinct values of a field (like collection.distinct)
+   */
+  const distinct = (path) => {
+    const values = new Set();
+    docs.forEach(doc => {
+      const value = getPath(doc, path);
+      (Array.isArray(value) ? value : [value]).forEach(v => {
+        if (v !== undefined && v !== null) values.add(v);
+      });
+    });
+    return Array.from(values);
+  };
+
+  return {
+    size: docs.length,
+    documents: docs,
+    bm25Search,
+    vectorSearch,
+    find,
+    distinct
+  };
+}
+
+export default {
+  getPath,
+  tokenize,
+  matchesFilters,
+  applyProjection,
+  createLocalSearchIndex
+};
@@ -0,0 +1,72 @@
+/**
+ * MMR Diversify - Maximal marginal relevance reordering of ranked search results
+ *
+ * Results are picked one at a time; each pick maximizes
+ *   lambda x relevance - (1 - lambda) x max cosine similarity to the results already picked
+ * Relevance is the ranking score min-max normalized to 0-1 over the pool (or the position when the order
+ * does not come from a score), so lambda = 1 keeps the relevance order and lower values push
+ * near-identical results further down.
+ */
+
+import { normalizeVector } from './semanticDedup.js';
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Reorder a ranked pool with MMR
+ * @param {Object} options
+ * @param {Array<Object>} options.items - Results in relevance order
+ * @param {Array<Array<number>>} options.vectors - Embedding of each item (same order)
+ * @param {Array<number>|null} options.scores - Relevance score of each item (null to use the position)
+ * @param {number} options.lambda - Relevance/diversity trade-off (0-1)
+ * @param {number} options.limit - Number of results to pick (defaults to the whole pool)
+ * @returns {Array<Object>} - Picked items with relevanceRank, mmrRank, mmrScore and maxSimilarity
+ */
+export function mmrDiversify({ items, vectors, scores = null, lambda = 0.7, limit = items.length }) {
+  const normalized = vectors.map(normalizeVector);
+  const rankingScores = scores || items.map((_, i) => items.length - i);
+  const minScore = Math.min(...rankingScores);
+  const scoreRange = Math.max(...rankingScores) - minScore;
+  const relevance = rankingScores.map(score => (scoreRange > 0 ? (score - minScore) / scoreRange : 1));
+
+  const similarity = (i, j) => {
+    let dot = 0;
+    for (let d = 0; d < normalized[i].length; d++) dot += normalized[i][d] * normalized[j][d];
+    return dot;
+  };
+
+  // Highest similarity of each remaining item to the picked ones, updated after every pick
+  const maxSimilarity = new Array(items.length).fill(null);
+  const remaining = new Set(items.map((_, i) => i));
+  const picked = [];
+
+  while (picked.length < Math.min(limit, items.length)) {
+    let best = null;
+    remaining.forEach(i => {
+      const penalty = maxSimilarity[i] ?? 0;
+      const mmrScore = lambda * relevance[i] - (1 - lambda) * penalty;
+      // Ties keep the relevance order
+      if (!best || mmrScore > best.mmrScore + 1e-12) best = { index: i, mmrScore };
+    });
+
+    remaining.delete(best.index);
+    picked.push({
+      ...items[best.index],
+      relevanceRank: best.index + 1,
+      mmrRank: picked.length + 1,
+      mmrScore: round(best.mmrScore),
+      maxSimilarity: maxSimilarity[best.index] === null ? null : round(maxSimilarity[best.index])
+    });
+
+    remaining.forEach(i => {
+      const value = similarity(i, best.index);
+      if (maxSimilarity[i] === null || value > maxSimilarity[i]) maxSimilarity[i] = value;
+    });
+  }
+
+  return picked;
+}
+
+export default {
+  mmrDiversify
+};
@@ -0,0 +1,193 @@
+/**
+ * Retrieval Evaluation - Score search methods against query → relevant-document judgments
+ *
+ * A judgment names a query, the corpus it searches and the relevant document ids
+ * (test case `id` / user story `key`), either as a list or with graded relevance:
+ * { id: "otp-login", query: "login with OTP", corpus: "testcases", relevant: { "TC-12": 3, "TC-40": 1 } }
+ *
+ * Metrics per query: recall@k, reciprocal rank (MRR when averaged) and nDCG@k with graded gains
+ */
+
+import { SEARCH_CORPUS_NAMES } from './searchCorpora.js';
+
+// Methods the harness runs; rerank methods use the score fusion pipeline without the optional stages
+export const RETRIEVAL_METHODS = [
+  { id: 'vector', label: 'Vector' },
+  { id: 'bm25', label: 'BM25' },
+  { id: 'hybrid', label: 'Hybrid' },
+  { id: 'rerank-rrf', label: 'Rerank (RRF)', fusionMethod: 'rrf' },
+  { id: 'rerank-weighted', label: 'Rerank (Weighted)', fusionMethod: 'weighted' },
+  { id: 'rerank-reciprocal', label: 'Rerank (Reciprocal)', fusionMethod: 'reciprocal' }
+];
+
+export const RETRIEVAL_METHOD_IDS = RETRIEVAL_METHODS.map(method => method.id);
+
+const METRICS = ['recall', 'mrr', 'ndcg'];
+
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+/**
+ * Validate one judgment and normalize `relevant` to { docId: grade }
+ * @param {Object} entry - Judgment
+ * @param {number} index - Position in the judgments list (for ids and error messages)
+ * @returns {Object} - { judgment, errors }
+ */
+export function normalizeJudgment(entry, index) {
+  const label = entry?.id || `judgment ${index + 1}`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { judgment: null, errors: [`${label}: must be an object`] };
+  }
+
+  const errors = [];
+  const query = String(entry.query || '').trim();
+  if (!query) errors.push(`${label}: query is required`);
+
+  const corpus = String(entry.corpus || 'testcases').toLowerCase();
+  if (!SEARCH_CORPUS_NAMES.includes(corpus)) {
+    errors.push(`${label}: unknown corpus '${entry.corpus}' (use ${SEARCH_CORPUS_NAMES.join(' or ')})`);
+  }
+
+  const relevant = {};
+  const source = Array.isArray(entry.relevant)
+    ? entry.relevant.map(docId => [docId, 1])
+    : Object.entries(entry.relevant || {});
+  source.forEach(([docId, grade]) => {
+    const value = Number(grade);
+    if (!String(docId).trim() || Number.isNaN(value) || value < 0) {
+      errors.push(`${label}: invalid relevance '${docId}: ${grade}' (grades are numbers >= 0)`);
+      return;
+    }
+    relevant[String(docId).trim()] = value;
+  });
+  if (!Object.values(relevant).some(grade => grade > 0)) {
+    errors.push(`${label}: at least one relevant document is required`);
+  }
+
+  return {
+    judgment: {
+      id: String(entry.id || `q${index + 1}`),
+      query,
+      corpus,
+      relevant,
+      notes: entry.notes || ''
+    },
+    errors
+  };
+}
+
+/**
+ * Validate a judgments list
+ * @param {Array<Object>} entries - Judgments
+ * @returns {Object} - { judgments, errors }
+ */
+export function parseJudgments(entries) {
+  if (!Array.isArray(entries)) {
+    return { judgments: [], errors: ['Judgments must be an array'] };
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const judgments = entries.map((entry, index) => {
+    const normalized = normalizeJudgment(entry, index);
+    errors.push(...normalized.errors);
+    if (normalized.judgment) {
+      if (seen.has(normalized.judgment.id)) errors.push(`${normalized.judgment.id}: duplicate id`);
+      seen.add(normalized.judgment.id);
+    }
+    return normalized.judgment;
+  });
+
+  return { judgments, errors };
+}
+
+/**
+ * Share of the relevant documents found in the top k
+ * @param {Array<string>} rankedIds - Retrieved document ids, best first
+ * @param {Object} relevant - { docId: grade }
+ * @param {number} k - Cutoff
+ * @returns {number|null} - Recall in 0-1
+ */
+export function recallAtK(rankedIds, relevant, k) {
+  const relevantIds = Object.keys(relevant).filter(docId => relevant[docId] > 0);
+  if (relevantIds.length === 0) return null;
+  const top = new Set(rankedIds.slice(0, k));
+  return relevantIds.filter(docId => top.has(docId)).length / relevantIds.length;
+}
+
+/**
+ * 1 / rank of the first relevant document within the top k (0 when none is retrieved)
+ * @param {Array<string>} rankedIds - Retrieved document ids, best first
+ * @param {Object} relevant - { docId: grade }
+ * @param {number} k - Cutoff
+ * @returns {number} - Reciprocal rank
+ */
+export function reciprocalRank(rankedIds, relevant, k) {
+  const index = rankedIds.slice(0, k).findIndex(docId => relevant[docId] > 0);
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+/**
+ * Normalized discounted cumulative gain with gains 2^grade - 1
+ * @param {Array<string>} rankedIds - Retrieved document ids, best first
+ * @param {Object} relevant - { docId: grade }
+ * @param {number} k - Cutoff
+ * @returns {number|null} - nDCG in 0-1
+ */
+export function ndcgAtK(rankedIds, relevant, k) {
+  const dcg = (grades) => grades.reduce((sum, grade, index) => sum + (2 ** grade - 1) / Math.log2(index + 2), 0);
+
+  const ideal = dcg(Object.values(relevant).filter(grade => grade > 0).sort((a, b) => b - a).slice(0, k));
+  if (ideal === 0) return null;
+  return dcg(rankedIds.slice(0, k).map(docId => relevant[docId] || 0)) / ideal;
+}
+
+/**
+ * Metrics for one ranked list
+ * @param {Array<string>} rankedIds - Retrieved document ids, best first
+ * @param {Object} relevant - { docId: grade }
+ * @param {number} k - Cutoff
+ * @returns {Object} - { recall, mrr, ndcg, firstRelevantRank, retrieved: [{ id, grade }] }
+ */
+export function evaluateRanking(rankedIds, relevant, k) {
+  const top = rankedIds.slice(0, k);
+  const firstRelevant = top.findIndex(docId => relevant[docId] > 0);
+
+  return {
+    recall: round(recallAtK(rankedIds, relevant, k)),
+    mrr: round(reciprocalRank(rankedIds, relevant, k)),
+    ndcg: round(ndcgAtK(rankedIds, relevant, k)),
+    firstRelevantRank: firstRelevant === -1 ? null : firstRelevant + 1,
+    retrieved: top.map(docId => ({ id: docId, grade: relevant[docId] || 0 })),
+    missed: Object.keys(relevant).filter(docId => relevant[docId] > 0 && !top.includes(docId))
+  };
+}
+
+/**
+ * Mean metrics per method over the evaluated queries
+ * @param {Array<Object>} queries - [{ methods: { [methodId]: { recall, mrr, ndcg, error } } }]
+ * @param {Array<string>} methodIds - Methods that were run
+ * @returns {Object} - { [methodId]: { recall, mrr, ndcg, queries, errors } }
+ */
+export function summarizeEvaluation(queries, methodIds) {
+  return Object.fromEntries(methodIds.map(methodId => {
+    const scored = queries.map(query => query.methods[methodId]).filter(result => result && !result.error);
+    const summary = { queries: scored.length, errors: queries.length - scored.length };
+    METRICS.forEach(metric => {
+      const values = scored.map(result => result[metric]).filter(value => value !== null);
+      summary[metric] = values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+    });
+    return [methodId, summary];
+  }));
+}
+
+export default {
+  RETRIEVAL_METHODS,
+  RETRIEVAL_METHOD_IDS,
+  normalizeJudgment,
+  parseJudgments,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  evaluateRanking,
+  summarizeEvaluation
+};
@@ -0,0 +1,263 @@
+/**
+ * Search Backend - BM25 and vector search over a collection, backed by MongoDB Atlas or a local index
+ * Selected with SEARCH_BACKEND (atlas | local). The local backend reads file-backed stores from
+ * LOCAL_INDEX_DIR written by build-local-index.js, so search works without an Atlas cluster
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLocalSearchIndex } from './localSearchIndex.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SEARCH_BACKENDS = ['atlas', 'local'];
+
+export const DEFAULT_LOCAL_INDEX_DIR = path.join(__dirname, '../../data/local-index');
+
+/**
+ * Active search backend name from settings
+ * @returns {string} - atlas | local
+ */
+export function getSearchBackendName() {
+  const name = (process.env.SEARCH_BACKEND || 'atlas').toLowerCase();
+  if (!SEARCH_BACKENDS.includes(name)) {
+    throw new Error(`Unknown search backend '${name}' (expected one of: ${SEARCH_BACKENDS.join(', ')})`);
+  }
+  return name;
+}
+
+/**
+ * Load an index definition from src/config
+ * @param {string} fileName - e.g. testcases-bm25-index.json
+ * @returns {Object|null} - Parsed definition, or null if the file is missing
+ */
+export function loadIndexConfig(fileName) {
+  const configPath = path.join(__dirname, '../../config', fileName);
+  if (!fs.existsSync(configPath)) return null;
+  return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+}
+
+// Normalize a field list to [{ path, boost }]
+function toWeightedFields(fields) {
+  if (!Array.isArray(fields)) {
+    return Object.entries(fields).map(([field, boost]) => ({ path: field, boost }));
+  }
+  return fields.map(field => (typeof field === 'string' ? { path: field, boost: 1 } : { boost: 1, ...field }));
+}
+
+// Default to dropping the embedding; inclusion projections must also keep the score field
+function withScoreField(projection, scoreField) {
+  if (!projection) return { embedding: 0 };
+  const inclusive = Object.entries(projection).some(([key, value]) => key !== '_id' && value);
+  return inclusive ? { ...projection, [scoreField]: 1 } : projection;
+}
+
+/**
+ * Atlas backend: $search and $vectorSearch aggregation stages on a MongoDB collection
+ * @param {Object} collection - MongoDB collection
+ * @param {Object} options - { bm25IndexName, vectorIndexName, close }
+ */
+export function createAtlasSearchBackend(collection, { bm25IndexName, vectorIndexName, close = async () => {} }) {
+  return {
+    name: 'atlas',
+
+    async bm25Search({ query, fields, fuzzy = null, filters = {}, limit = 10, projection = null, scoreField = 'score' }) {
+      const weighted = toWeightedFields(fields);
+      const boosted = weighted.some(field => field.boost !== 1);
+
+      // Per-field boosts need a compound query; a plain field list is a single text query
+      const searchStage = boosted
+        ? {
+            index: bm25IndexName,
+            compound: {
+              should: weighted.map(({ path: fieldPath, boost }) => ({
+                text: {
+                  query,
+                  path: fieldPath,
+                  ...(fuzzy && { fuzzy }),
+                  score: { boost: { value: boost } }
+                }
+              })),
+              minimumShouldMatch: 1
+            }
+          }
+        : {
+            index: bm25IndexName,
+            text: {
+              query,
+              path: weighted.map(field => field.path),
+              ...(fuzzy && { fuzzy })
+            }
+          };
+
+      const pipeline = [
+        { $search: searchStage },
+        { $addFields: { [scoreField]: { $meta: 'searchScore' } } }
+      ];
+
+      if (Object.keys(filters).length > 0) {
+        pipeline.push({ $match: filters });
+      }
+      pipeline.push(
+        { $project: withScoreField(projection, scoreField) },
+        { $limit: limit }
+      );
+
+      return collection.aggregate(pipeline).toArray();
+    },
+
+    // filters go into $vectorSearch.filter (index filter paths only); postFilters are matched after the
+    // stage, which then returns candidateLimit documents so enough of them survive the $match
+    async vectorSearch({ queryVector, filters = {}, postFilters = {}, limit = 10, numCandidates = null, candidateLimit = null, projection = null, scoreField = 'score' }) {
+      const hasFilters = Object.keys(filters).length > 0;
+      const postFilter = Object.keys(postFilters).length > 0;
+      const stageLimit = postFilter ? (candidateLimit || limit) : limit;
+
+      const pipeline = [
+        {
+          $vectorSearch: {
+            queryVector,
+            path: 'embedding',
+            numCandidates: Math.max(numCandidates || stageLimit * 2, stageLimit),
+            limit: stageLimit,
+            index: vectorIndexName,
+            ...(hasFilters && { filter: filters })
+          }
+        },
+        { $addFields: { [scoreField]: { $meta: 'vectorSearchScore' } } }
+      ];
+
+      if (postFilter) {
+        pipeline.push({ $match: postFilters }, { $limit: limit });
+      }
+      pipeline.push({ $project: withScoreField(projection, scoreField) });
+
+      return collection.aggregate(pipeline).toArray();
+    },
+
+    async find({ filters = {}, projection = null, limit = 0 }) {
+      return collection.find(filters, { projection: projection || undefined }).limit(limit).toArray();
+    },
+
+    async distinct(field) {
+      return collection.distinct(field);
+    },
+
+    close
+  };
+}
+
+// Parsed local stores, reloaded when the file changes
+const localStoreCache = new Map();
+
+/**
+ * Path of the local store file for a collection
+ */
+export function getLocalStorePath(collectionName, dir = process.env.LOCAL_INDEX_DIR || DEFAULT_LOCAL_INDEX_DIR) {
+  return path.join(dir, `${collectionName}.json`);
+}
+
+/**
+ * Write documents (with embeddings) to a local store file
+ * @param {string} collectionName - Collection the store replaces
+ * @param {Array<Object>} documents - Documents with embeddings
+ * @param {Object} metadata - Embedding provider, model and dimensions
+ * @param {string} dir - Store directory
+ * @returns {string} - Written file path
+ */
+export function saveLocalStore(collectionName, documents, metadata = {}, dir = process.env.LOCAL_INDEX_DIR || DEFAULT_LOCAL_INDEX_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const storePath = getLocalStorePath(collectionName, dir);
+  fs.writeFileSync(storePath, JSON.stringify({
+    metadata: {
+      collection: collectionName,
+      count: documents.length,
+      createdAt: new Date().toISOString(),
+      ...metadata
+    },
+    documents
+  }));
+  localStoreCache.delete(storePath);
+  return storePath;
+}
+
+function loadLocalStore(storePath, textMapping) {
+  if (!fs.existsSync(storePath)) return null;
+
+  const { mtimeMs } = fs.statSync(storePath);
+  let entry = localStoreCache.get(storePath);
+  if (!entry || entry.mtimeMs !== mtimeMs) {
+    const { metadata = {}, documents = [] } = JSON.parse(fs.readFileSync(storePath, 'utf-8'));
+    entry = { mtimeMs, metadata, documents, indexes: new Map() };
+    localStoreCache.set(storePath, entry);
+    console.log(`📂 Loaded local index ${path.basename(storePath)}: ${documents.length} documents`);
+  }
+
+  // One index per analyzer mapping, since callers may pass different mappings for the same store
+  const mappingKey = JSON.stringify(textMapping);
+  if (!entry.indexes.has(mappingKey)) {
+    entry.indexes.set(mappingKey, createLocalSearchIndex(entry.documents, { textMapping }));
+  }
+  return { metadata: entry.metadata, index: entry.indexes.get(mappingKey) };
+}
+
+/**
+ * Local backend: in-process BM25 and exact vector search over a file-backed store
+ * @param {string} collectionName - Collection name (store file name)
+ * @param {Object} options - { textMapping, vectorIndexDefinition, dir }
+ */
+export function createLocalSearchBackend(collectionName, { textMapping = {}, vectorIndexDefinition = null, dir } = {}) {
+  const storePath = getLocalStorePath(collectionName, dir);
+
+  const getStore = () => {
+    const store = loadLocalStore(storePath, textMapping);
+    if (!store) {
+      throw new Error(`Local index '${storePath}' not found. Run: node src/scripts/search/build-local-index.js`);
+    }
+    return store;
+  };
+
+  return {
+    name: 'local',
+    storePath,
+    vectorIndexDefinition,
+
+    // Store metadata ({ provider, model, dimensions, count }) or null if the store is missing
+    getMetadata() {
+      const store = loadLocalStore(storePath, textMapping);
+      return store ? { ...store.metadata, count: store.index.size } : null;
+    },
+
+    async bm25Search({ fields, projection = null, ...params }) {
+      return getStore().index.bm25Search({ ...params, fields: toWeightedFields(fields), projection: projection || { embedding: 0 } });
+    },
+
+    // Pre-filters narrow the candidates before ranking, post-filters see the top candidateLimit like on Atlas;
+    // the search is exact so numCandidates is not needed
+    async vectorSearch({ queryVector, filters = {}, postFilters = {}, limit = 10, candidateLimit = null, projection = null, scoreField = 'score' }) {
+      return getStore().index.vectorSearch({ queryVector, filters, postFilters, limit, candidateLimit, projection: projection || { embedding: 0 }, scoreField });
+    },
+
+    async find({ filters = {}, projection = null, limit = 0 }) {
+      return getStore().index.find({ filters, projection, limit });
+    },
+
+    async distinct(field) {
+      return getStore().index.distinct(field);
+    },
+
+    async close() {}
+  };
+}
+
+export default {
+  SEARCH_BACKENDS,
+  DEFAULT_LOCAL_INDEX_DIR,
+  getSearchBackendName,
+  loadIndexConfig,
+  createAtlasSearchBackend,
+  getLocalStorePath,
+  saveLocalStore,
+  createLocalSearchBackend
+};
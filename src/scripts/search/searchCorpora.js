@@ -0,0 +1,177 @@
+/**
+ * Search Corpora - Collections the search routes can query (test cases and user stories)
+ * Each corpus names its collection, Atlas indexes, BM25 fields, result projection and filter paths;
+ * user story filters are limited to the filter paths declared in user-stories-vector-index.json
+ */
+
+import { loadIndexConfig } from './searchBackend.js';
+
+export const SEARCH_CORPORA = {
+  testcases: {
+    name: 'testcases',
+    label: 'Test Cases',
+    collectionName: () => process.env.COLLECTION_NAME,
+    bm25IndexName: () => process.env.BM25_INDEX_NAME,
+    vectorIndexName: () => process.env.VECTOR_INDEX_NAME,
+    bm25Config: 'testcases-bm25-index.json',
+    vectorConfig: 'testcases-vector-index.json',
+    idField: 'id',
+    titleField: 'title',
+    bm25Fields: ['id', 'title', 'description', 'steps', 'expectedResults', 'module'],
+    // Boosts used by the rerank pipeline
+    fieldWeights: {
+      id: 10.0,
+      title: 8.0,
+      module: 5.0,
+      description: 2.0,
+      expectedResults: 1.5,
+      steps: 1.0,
+      preRequisites: 0.8
+    },
+    projection: {
+      id: 1,
+      module: 1,
+      preRequisites: 1,
+      title: 1,
+      description: 1,
+      steps: 1,
+      expectedResults: 1,
+      automationManual: 1,
+      priority: 1,
+      createdBy: 1,
+      createdDate: 1,
+      lastModifiedDate: 1,
+      risk: 1,
+      version: 1,
+      type: 1,
+      sourceFile: 1,
+      createdAt: 1
+    },
+    // Test case filters are plain top-level fields and pass through unchanged
+    filterAliases: null
+  },
+
+  userstories: {
+    name: 'userstories',
+    label: 'User Stories',
+    collectionName: () => process.env.USER_STORIES_COLLECTION_NAME || 'user_stories',
+    bm25IndexName: () => process.env.USER_STORIES_BM25_INDEX_NAME || 'bm25_user_stories',
+    vectorIndexName: () => process.env.USER_STORIES_VECTOR_INDEX_NAME,
+    bm25Config: 'user-stories-bm25-index.json',
+    vectorConfig: 'user-stories-vector-index.json',
+    idField: 'key',
+    titleField: 'summary',
+    bm25Fields: ['key', 'summary', 'description', 'acceptanceCriteria', 'epic'],
+    fieldWeights: {
+      key: 10.0,
+      summary: 8.0,
+      epic: 4.0,
+      acceptanceCriteria: 2.0,
+      description: 1.5
+    },
+    projection: {
+      key: 1,
+      summary: 1,
+      description: 1,
+      acceptanceCriteria: 1,
+      epic: 1,
+      status: 1,
+      priority: 1,
+      assignee: 1,
+      reporter: 1,
+      storyPoints: 1,
+      components: 1,
+      labels: 1,
+      fixVersions: 1,
+      jiraMetadata: 1,
+      url: 1,
+      createdAt: 1
+    },
+    // Short names accepted by the API (same as search-jira-stories.js searchWithFilters)
+    filterAliases: {
+      projectKey: 'jiraMetadata.projectKey',
+      status: 'status.name',
+      priority: 'priority.name',
+      assignee: 'assignee.displayName',
+      components: 'components',
+      labels: 'labels',
+      fixVersions: 'fixVersions'
+    }
+  }
+};
+
+export const SEARCH_CORPUS_NAMES = Object.keys(SEARCH_CORPORA);
+
+/**
+ * Look up a corpus by name
+ * @param {string} name - testcases | userstories
+ * @returns {Object|null} - Corpus definition, or null if unknown
+ */
+export function getSearchCorpus(name = 'testcases') {
+  return SEARCH_CORPORA[String(name).toLowerCase()] || null;
+}
+
+/**
+ * Filter paths declared in the corpus vector index definition
+ * @param {Object} corpus - Corpus definition
+ * @returns {Array<string>} - Paths of "filter" fields
+ */
+export function getFilterPaths(corpus) {
+  const definition = loadIndexConfig(corpus.vectorConfig);
+  return (definition?.fields || []).filter(field => field.type === 'filter').map(field => field.path);
+}
+
+/**
+ * Translate request filters into MongoDB match conditions for a corpus
+ * Empty values are dropped and arrays become $in; for corpora with aliases only the
+ * index filter paths (or their short names) are accepted
+ * @param {Object} corpus - Corpus definition
+ * @param {Object} filters - Request filters
+ * @returns {Object} - { filters, rejected } where rejected lists unknown filter keys
+ */
+export function buildCorpusFilters(corpus, filters = {}) {
+  const conditions = {};
+  const rejected = [];
+  const allowedPaths = corpus.filterAliases ? getFilterPaths(corpus) : null;
+
+  Object.entries(filters || {}).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value) && value.length === 0) return;
+
+    const filterPath = corpus.filterAliases?.[key] || key;
+    if (allowedPaths && !allowedPaths.includes(filterPath)) {
+      rejected.push(key);
+      return;
+    }
+
+    conditions[filterPath] = Array.isArray(value) ? { $in: value } : value;
+  });
+
+  return { filters: conditions, rejected };
+}
+
+/**
+ * Split match conditions into $vectorSearch pre-filters (paths the vector index declares as filter
+ * fields) and conditions that have to be matched after the vector stage
+ * @param {Object} corpus - Corpus definition
+ * @param {Object} conditions - Match conditions from buildCorpusFilters()
+ * @returns {Object} - { preFilters, postFilters }
+ */
+export function splitVectorFilters(corpus, conditions = {}) {
+  const filterPaths = getFilterPaths(corpus);
+  const preFilters = {};
+  const postFilters = {};
+  Object.entries(conditions).forEach(([filterPath, condition]) => {
+    (filterPaths.includes(filterPath) ? preFilters : postFilters)[filterPath] = condition;
+  });
+  return { preFilters, postFilters };
+}
+
+export default {
+  SEARCH_CORPORA,
+  SEARCH_CORPUS_NAMES,
+  getSearchCorpus,
+  getFilterPaths,
+  buildCorpusFilters,
+  splitVectorFilters
+};
@@ -0,0 +1,249 @@
+/**
+ * Search Profiles - Named parameter sets every search route can load by name
+ *
+ * A request that names a profile gets the profile's values for every parameter it does not set itself.
+ * Shared sections apply to each route that has the stage, route sections only to that route:
+ * { name: "strict-ids",
+ *   bm25: { fuzzy: { maxEdits, prefixLength } | null, fields: { testcases: [path] | { path: boost } } },
+ *   vector: { numCandidatesMultiplier, minCandidates },
+ *   hybrid: { bm25Weight, vectorWeight, candidateMultiplier, mmr, mmrLambda },
+ *   rerank: { fusionMethod, bm25Weight, vectorWeight, rrfK, rerankTopK, mmr, mmrLambda, fieldWeights: { testcases: { id: 10, ... } } } }
+ */
+
+import { SEARCH_CORPORA, SEARCH_CORPUS_NAMES } from './searchCorpora.js';
+
+export const SEARCH_PROFILE_ROUTES = ['vector', 'bm25', 'hybrid', 'rerank'];
+
+export const FUSION_METHODS = ['rrf', 'weighted', 'reciprocal'];
+
+export const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+const DEFAULT_FUZZY = { maxEdits: 1, prefixLength: 2 };
+
+const corpusFieldWeights = () => Object.fromEntries(SEARCH_CORPUS_NAMES.map(name => [name, { ...SEARCH_CORPORA[name].fieldWeights }]));
+
+// Parameters each route uses when neither the request nor a profile sets them
+export const DEFAULT_SEARCH_PARAMS = {
+  vector: { numCandidatesMultiplier: 10, minCandidates: 100 },
+  bm25: { fuzzy: DEFAULT_FUZZY },
+  hybrid: {
+    bm25Weight: 0.5,
+    vectorWeight: 0.5,
+    candidateMultiplier: 3, // each side retrieves limit x candidateMultiplier before combining
+    numCandidatesMultiplier: 2,
+    minCandidates: 200,
+    fuzzy: DEFAULT_FUZZY,
+    mmr: false, // MMR diversification of the combined candidates
+    mmrLambda: 0.7
+  },
+  rerank: {
+    fusionMethod: 'rrf',
+    bm25Weight: 0.4,
+    vectorWeight: 0.6,
+    rrfK: 60,
+    rerankTopK: 50,
+    numCandidatesMultiplier: 2,
+    minCandidates: 100,
+    fuzzy: DEFAULT_FUZZY,
+    mmr: false,
+    mmrLambda: 0.7,
+    fieldWeights: corpusFieldWeights()
+  }
+};
+
+// Read-only profiles shipped with the app
+export const BUILT_IN_SEARCH_PROFILES = [
+  {
+    name: 'strict-ids',
+    description: 'Exact lookups: no fuzzy matching, id/key and title dominate BM25, keyword side outweighs vector',
+    builtIn: true,
+    bm25: {
+      fuzzy: null,
+      fields: {
+        testcases: { id: 20.0, title: 4.0, module: 2.0 },
+        userstories: { key: 20.0, summary: 4.0, epic: 2.0 }
+      }
+    },
+    hybrid: { bm25Weight: 0.8, vectorWeight: 0.2 },
+    rerank: {
+      fusionMethod: 'weighted',
+      bm25Weight: 0.8,
+      vectorWeight: 0.2,
+      fieldWeights: {
+        testcases: { id: 20.0, title: 4.0, module: 2.0 },
+        userstories: { key: 20.0, summary: 4.0, epic: 2.0 }
+      }
+    }
+  },
+  {
+    name: 'recall-heavy',
+    description: 'Broad recall: looser fuzzy matching, vector-leaning weights and larger candidate pools',
+    builtIn: true,
+    bm25: { fuzzy: { maxEdits: 2, prefixLength: 1 } },
+    vector: { numCandidatesMultiplier: 20, minCandidates: 300 },
+    hybrid: { bm25Weight: 0.3, vectorWeight: 0.7, candidateMultiplier: 5 },
+    rerank: { fusionMethod: 'rrf', rrfK: 60, rerankTopK: 100 }
+  }
+];
+
+const isNumberIn = (value, min, max) => typeof value === 'number' && !Number.isNaN(value) && value >= min && value <= max;
+
+// Numeric limits per section key: [min, max]
+const NUMERIC_RANGES = {
+  vector: { numCandidatesMultiplier: [1, 50], minCandidates: [1, 10000] },
+  hybrid: { bm25Weight: [0, 1], vectorWeight: [0, 1], candidateMultiplier: [1, 20], mmrLambda: [0, 1] },
+  rerank: { bm25Weight: [0, 1], vectorWeight: [0, 1], rrfK: [1, 1000], rerankTopK: [5, 500], mmrLambda: [0, 1] }
+};
+
+/**
+ * Validate a profile (unknown keys are dropped)
+ * @param {Object} entry - Profile
+ * @returns {Object} - { profile, errors }
+ */
+export function normalizeSearchProfile(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { profile: null, errors: ['Profile must be an object'] };
+  }
+
+  const errors = [];
+  const name = String(entry.name || '').trim();
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    errors.push('name must be 1-64 letters, digits, - or _ (starting with a letter or digit)');
+  }
+
+  const profile = { name, description: String(entry.description || '') };
+
+  // Per-corpus maps (BM25 fields, rerank boosts); boost maps hold numbers from 0 to 100
+  const checkCorpusMap = (label, value, allowList) => {
+    const result = {};
+    Object.entries(value || {}).forEach(([corpus, fields]) => {
+      if (!SEARCH_CORPUS_NAMES.includes(corpus)) {
+        errors.push(`${label}: unknown corpus '${corpus}'`);
+        return;
+      }
+      if (allowList && Array.isArray(fields)) {
+        if (fields.length === 0 || fields.some(field => typeof field !== 'string' || !field.trim())) {
+          errors.push(`${label}.${corpus}: field lists must be non-empty arrays of field paths`);
+          return;
+        }
+        result[corpus] = [...fields];
+        return;
+      }
+      const invalid = Object.entries(fields || {}).filter(([, boost]) => !isNumberIn(boost, 0, 100));
+      if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0 || invalid.length > 0) {
+        errors.push(`${label}.${corpus}: boosts must be numbers from 0 to 100${invalid.length > 0 ? ` (${invalid.map(([field]) => field).join(', ')})` : ''}`);
+        return;
+      }
+      result[corpus] = { ...fields };
+    });
+    return result;
+  };
+
+  if (entry.bm25) {
+    profile.bm25 = {};
+    if (entry.bm25.fuzzy !== undefined) {
+      const { fuzzy } = entry.bm25;
+      if (fuzzy === null || fuzzy === false) {
+        profile.bm25.fuzzy = null;
+      } else if (!fuzzy || ![1, 2].includes(fuzzy.maxEdits) || !isNumberIn(fuzzy.prefixLength ?? 0, 0, 10)) {
+        errors.push('bm25.fuzzy must be null (off) or { maxEdits: 1 | 2, prefixLength: 0-10 }');
+      } else {
+        profile.bm25.fuzzy = { maxEdits: fuzzy.maxEdits, prefixLength: fuzzy.prefixLength ?? 0 };
+      }
+    }
+    if (entry.bm25.fields !== undefined) {
+      profile.bm25.fields = checkCorpusMap('bm25.fields', entry.bm25.fields, true);
+    }
+  }
+
+  Object.entries(NUMERIC_RANGES).forEach(([section, ranges]) => {
+    if (!entry[section]) return;
+    profile[section] = {};
+    Object.entries(ranges).forEach(([key, [min, max]]) => {
+      const value = entry[section][key];
+      if (value === undefined) return;
+      if (!isNumberIn(value, min, max)) errors.push(`${section}.${key} must be a number from ${min} to ${max}`);
+      else profile[section][key] = value;
+    });
+  });
+
+  ['hybrid', 'rerank'].forEach(section => {
+    if (entry[section]?.mmr === undefined) return;
+    if (typeof entry[section].mmr !== 'boolean') errors.push(`${section}.mmr must be true or false`);
+    else profile[section].mmr = entry[section].mmr;
+  });
+
+  if (entry.rerank) {
+    if (entry.rerank.fusionMethod !== undefined) {
+      if (!FUSION_METHODS.includes(entry.rerank.fusionMethod)) errors.push(`rerank.fusionMethod must be one of ${FUSION_METHODS.join(', ')}`);
+      else profile.rerank.fusionMethod = entry.rerank.fusionMethod;
+    }
+    if (entry.rerank.fieldWeights !== undefined) {
+      profile.rerank.fieldWeights = checkCorpusMap('rerank.fieldWeights', entry.rerank.fieldWeights, false);
+    }
+  }
+
+  if (!SEARCH_PROFILE_ROUTES.some(section => profile[section])) {
+    errors.push(`A profile needs at least one of the ${SEARCH_PROFILE_ROUTES.join(', ')} sections`);
+  }
+  if (entry.tuning) profile.tuning = entry.tuning;
+
+  return { profile, errors };
+}
+
+/**
+ * Route parameters a profile provides for a corpus
+ * @param {Object} profile - Search profile
+ * @param {string} route - vector | bm25 | hybrid | rerank
+ * @param {string} corpus - Corpus the request searches
+ * @returns {Object} - Parameters for the route function
+ */
+export function profileSearchParams(profile, route, corpus = 'testcases') {
+  const params = {};
+
+  // Shared BM25 settings for the routes with a keyword stage (rerank ranks by its own field boosts)
+  if (route !== 'vector' && profile?.bm25) {
+    if (profile.bm25.fuzzy !== undefined) params.fuzzy = profile.bm25.fuzzy;
+    const fields = profile.bm25.fields?.[corpus];
+    if (fields && route === 'bm25') params.fields = fields;
+    if (fields && route === 'hybrid') params.bm25Fields = fields;
+  }
+  if (route !== 'bm25' && profile?.vector) {
+    Object.assign(params, profile.vector);
+  }
+
+  if (route === 'hybrid' || route === 'rerank') {
+    const { fieldWeights, ...section } = profile?.[route] || {};
+    Object.assign(params, section);
+    if (fieldWeights?.[corpus]) params.fieldWeights = fieldWeights[corpus];
+  }
+
+  return params;
+}
+
+/**
+ * Fill in the parameters a request leaves unset from a profile
+ * @param {Object} profile - Search profile
+ * @param {string} route - vector | bm25 | hybrid | rerank
+ * @param {Object} params - Request parameters
+ * @returns {Object} - Parameters with the profile's values as defaults and the profile name
+ */
+export function applySearchProfile(profile, route, params) {
+  const explicit = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined && value !== null));
+  return {
+    ...profileSearchParams(profile, route, explicit.corpus || 'testcases'),
+    ...explicit,
+    profile: profile.name
+  };
+}
+
+export default {
+  SEARCH_PROFILE_ROUTES,
+  FUSION_METHODS,
+  PROFILE_NAME_PATTERN,
+  DEFAULT_SEARCH_PARAMS,
+  BUILT_IN_SEARCH_PROFILES,
+  normalizeSearchProfile,
+  profileSearchParams,
+  applySearchProfile
+};
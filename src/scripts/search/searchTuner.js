@@ -0,0 +1,151 @@
+/**
+ * Search Tuner - Find hybrid/rerank parameters that score best on the relevance judgments
+ *
+ * Grid search over the fusion weights (or the RRF constant for RRF, which ignores the weights),
+ * then greedy coordinate search over the rerank BM25 field boosts: each boost is scaled by each
+ * factor in turn and a change is kept when it improves the target metric.
+ * Scoring is delegated to an `evaluate(params)` callback so the tuner does not depend on a search backend.
+ */
+
+export const TUNING_METRICS = ['ndcg', 'mrr', 'recall'];
+
+export const RRF_K_GRID = [5, 10, 20, 40, 60, 80, 120];
+
+export const BOOST_FACTORS = [0.5, 2];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * BM25/vector weight pairs summing to 1
+ * @param {number} step - Grid step
+ * @returns {Array<Object>} - [{ bm25Weight, vectorWeight }]
+ */
+export function weightGrid(step = 0.1) {
+  const pairs = [];
+  for (let i = 0; i <= Math.round(1 / step); i++) {
+    const bm25Weight = round(Math.min(1, i * step));
+    pairs.push({ bm25Weight, vectorWeight: round(1 - bm25Weight) });
+  }
+  return pairs;
+}
+
+/**
+ * Stages the tuner runs for a route
+ * @param {Object} options - { route, fusionMethod, tuneBoosts }
+ * @returns {Array<string>} - weights | rrfK | boosts
+ */
+export function planTuningStages({ route, fusionMethod = 'rrf', tuneBoosts = true }) {
+  if (route === 'hybrid') return ['weights'];
+  return [fusionMethod === 'rrf' ? 'rrfK' : 'weights', ...(tuneBoosts ? ['boosts'] : [])];
+}
+
+/**
+ * Upper bound on the number of trials (coordinate search may stop early)
+ * @param {Object} options - { stages, baseline, corpora, weightStep, boostRounds }
+ * @returns {number} - Trial count including the baseline
+ */
+export function estimateTrialCount({ stages, baseline, corpora = [], weightStep = 0.1, boostRounds = 2 }) {
+  return stages.reduce((count, stage) => {
+    if (stage === 'weights') return count + weightGrid(weightStep).length;
+    if (stage === 'rrfK') return count + RRF_K_GRID.length;
+    const fields = corpora.reduce((sum, corpus) => sum + Object.keys(baseline.fieldWeights?.[corpus] || {}).length, 0);
+    return count + fields * BOOST_FACTORS.length * boostRounds;
+  }, 1);
+}
+
+/**
+ * Tune search parameters against an evaluation callback
+ * @param {Object} options
+ * @param {string} options.route - hybrid | rerank
+ * @param {Object} options.baseline - Starting parameters ({ bm25Weight, vectorWeight, fusionMethod, rrfK, fieldWeights: { corpus: {...} } })
+ * @param {Function} options.evaluate - async (params) => { recall, mrr, ndcg } mean metrics over the judgments
+ * @param {string} options.metric - Metric to maximize (ndcg | mrr | recall)
+ * @param {Array<string>} options.corpora - Corpora the judgments search (boosts are tuned per corpus)
+ * @param {boolean} options.tuneBoosts - Include the BM25 field boost stage (rerank only)
+ * @param {number} options.weightStep - Weight grid step
+ * @param {number} options.boostRounds - Maximum passes over the field boosts
+ * @param {Function} options.onTrial - Called with (trial, { completed, best }) after every trial
+ * @returns {Promise<Object>} - { metric, stages, baseline, best, improvement, trials }
+ */
+export async function tuneSearchParameters({
+  route,
+  baseline,
+  evaluate,
+  metric = 'ndcg',
+  corpora = [],
+  tuneBoosts = true,
+  weightStep = 0.1,
+  boostRounds = 2,
+  onTrial = () => {}
+}) {
+  const stages = planTuningStages({ route, fusionMethod: baseline.fusionMethod, tuneBoosts });
+  const trials = [];
+  let best = null;
+
+  const runTrial = async (stage, label, params) => {
+    const metrics = await evaluate(params);
+    const trial = { index: trials.length + 1, stage, label, params, metrics, score: metrics[metric] ?? 0, improved: false };
+    // Ties keep the earlier (closer to baseline) parameters
+    if (!best || trial.score > best.score + 1e-9) {
+      trial.improved = Boolean(best);
+      best = trial;
+    }
+    trials.push(trial);
+    onTrial(trial, { completed: trials.length, best });
+    return trial;
+  };
+
+  const baselineTrial = await runTrial('baseline', 'baseline', baseline);
+
+  for (const stage of stages) {
+    if (stage === 'weights') {
+      for (const weights of weightGrid(weightStep)) {
+        await runTrial(stage, `bm25 ${weights.bm25Weight} / vector ${weights.vectorWeight}`, { ...best.params, ...weights });
+      }
+    } else if (stage === 'rrfK') {
+      for (const rrfK of RRF_K_GRID) {
+        await runTrial(stage, `k = ${rrfK}`, { ...best.params, rrfK });
+      }
+    } else if (stage === 'boosts') {
+      for (let roundIndex = 0; roundIndex < boostRounds; roundIndex++) {
+        const before = best;
+        for (const corpus of corpora) {
+          for (const field of Object.keys(best.params.fieldWeights?.[corpus] || {})) {
+            for (const factor of BOOST_FACTORS) {
+              const current = best.params.fieldWeights[corpus][field];
+              const boost = round(Math.min(100, current * factor));
+              if (boost === current) continue;
+              await runTrial(stage, `${corpus}.${field} ${current} → ${boost}`, {
+                ...best.params,
+                fieldWeights: {
+                  ...best.params.fieldWeights,
+                  [corpus]: { ...best.params.fieldWeights[corpus], [field]: boost }
+                }
+              });
+            }
+          }
+        }
+        if (best === before) break;
+      }
+    }
+  }
+
+  return {
+    metric,
+    stages,
+    baseline: { params: baselineTrial.params, metrics: baselineTrial.metrics, score: baselineTrial.score },
+    best: { params: best.params, metrics: best.metrics, score: best.score, trial: best.index, label: best.label },
+    improvement: round(best.score - baselineTrial.score, 4),
+    trials
+  };
+}
+
+export default {
+  TUNING_METRICS,
+  RRF_K_GRID,
+  BOOST_FACTORS,
+  weightGrid,
+  planTuningStages,
+  estimateTrialCount,
+  tuneSearchParameters
+};
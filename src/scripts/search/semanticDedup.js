@@ -0,0 +1,207 @@
+/**
+ * Semantic Dedup - Group near-duplicate search results by embedding cosine similarity
+ *
+ * Two clustering modes:
+ * - greedy: results are visited in rank order and join the first cluster whose representative is at
+ *   least `threshold` similar (one pass, like the title dedup)
+ * - agglomerative: every result starts alone and the two most similar clusters are merged until no pair
+ *   reaches `threshold` under the chosen linkage (single | complete | average)
+ * Each cluster keeps one representative; the other members are reported as its duplicates.
+ */
+
+export const CLUSTERING_MODES = ['greedy', 'agglomerative'];
+
+export const LINKAGE_METHODS = ['single', 'complete', 'average'];
+
+export const REPRESENTATIVE_STRATEGIES = ['rank', 'centroid'];
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Scale a vector to unit length, so cosine similarity becomes a dot product
+ * @param {Array<number>} vector - Embedding
+ * @returns {Float32Array} - Normalized copy
+ */
+export function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return Float32Array.from(vector, v => v / norm);
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} - Similarity from -1 to 1 (0 when either vector is empty or the lengths differ)
+ */
+export function cosineSimilarity(a, b) {
+  if (!a?.length || a.length !== b?.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Pairwise cosine similarities (vectors are normalized once, so each pair is a dot product)
+ * @param {Array<Array<number>>} vectors - Embeddings of equal length
+ * @returns {Array<Float64Array>} - Symmetric matrix with 1 on the diagonal
+ */
+export function similarityMatrix(vectors) {
+  const normalized = vectors.map(normalizeVector);
+  const matrix = normalized.map(() => new Float64Array(normalized.length));
+  for (let i = 0; i < normalized.length; i++) {
+    matrix[i][i] = 1;
+    for (let j = i + 1; j < normalized.length; j++) {
+      let dot = 0;
+      for (let d = 0; d < normalized[i].length; d++) dot += normalized[i][d] * normalized[j][d];
+      matrix[i][j] = dot;
+      matrix[j][i] = dot;
+    }
+  }
+  return matrix;
+}
+
+// One pass in rank order; clusters are compared through their first (best ranked) member
+function greedyClusters(matrix, threshold) {
+  const clusters = [];
+  for (let i = 0; i < matrix.length; i++) {
+    const cluster = clusters.find(members => matrix[members[0]][i] >= threshold);
+    if (cluster) cluster.push(i);
+    else clusters.push([i]);
+  }
+  return clusters;
+}
+
+function linkageSimilarity(matrix, a, b, linkage) {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  a.forEach(i => b.forEach(j => {
+    const similarity = matrix[i][j];
+    if (similarity < min) min = similarity;
+    if (similarity > max) max = similarity;
+    sum += similarity;
+  }));
+  if (linkage === 'single') return max;
+  if (linkage === 'complete') return min;
+  return sum / (a.length * b.length);
+}
+
+// Merge the most similar pair of clusters until the best pair falls below the threshold
+function agglomerativeClusters(matrix, threshold, linkage) {
+  const clusters = matrix.map((_, i) => [i]);
+  for (;;) {
+    let best = null;
+    for (let a = 0; a < clusters.length; a++) {
+      for (let b = a + 1; b < clusters.length; b++) {
+        const similarity = linkageSimilarity(matrix, clusters[a], clusters[b], linkage);
+        if (similarity >= threshold && (!best || similarity > best.similarity)) best = { a, b, similarity };
+      }
+    }
+    if (!best) break;
+    clusters[best.a] = [...clusters[best.a], ...clusters[best.b]].sort((x, y) => x - y);
+    clusters.splice(best.b, 1);
+  }
+  return clusters.sort((x, y) => x[0] - y[0]);
+}
+
+// Best ranked member, or the member with the highest mean similarity to the rest of the cluster
+function pickRepresentative(matrix, members, strategy) {
+  if (strategy !== 'centroid' || members.length < 3) return members[0];
+  const meanSimilarity = (i) => members.reduce((sum, j) => sum + (i === j ? 0 : matrix[i][j]), 0) / (members.length - 1);
+  return members.reduce((best, i) => (meanSimilarity(i) > meanSimilarity(best) + 1e-9 ? i : best), members[0]);
+}
+
+/**
+ * Cluster results by embedding similarity and keep one representative per cluster
+ * @param {Object} options
+ * @param {Array<Object>} options.items - Results in rank order
+ * @param {Array<Array<number>>} options.vectors - Embedding of each item (same order)
+ * @param {number} options.threshold - Minimum cosine similarity for two results to be duplicates
+ * @param {string} options.clustering - greedy | agglomerative
+ * @param {string} options.linkage - single | complete | average (agglomerative only)
+ * @param {string} options.representative - rank (best ranked member) | centroid (most central member)
+ * @param {Function} options.getId - Item id accessor
+ * @returns {Object} - { deduplicated, duplicates, clusters, stats }
+ */
+export function semanticDeduplicate({
+  items,
+  vectors,
+  threshold = 0.9,
+  clustering = 'greedy',
+  linkage = 'average',
+  representative = 'rank',
+  getId = (item) => item.id
+}) {
+  const matrix = similarityMatrix(vectors);
+  const memberGroups = clustering === 'agglomerative'
+    ? agglomerativeClusters(matrix, threshold, linkage)
+    : greedyClusters(matrix, threshold);
+
+  const deduplicated = [];
+  const duplicates = [];
+  const clusters = memberGroups.map((members, index) => {
+    const clusterId = index + 1;
+    const representativeIndex = pickRepresentative(matrix, members, representative);
+    const representativeId = getId(items[representativeIndex]);
+
+    const pairSimilarities = [];
+    members.forEach((i, position) => members.slice(position + 1).forEach(j => pairSimilarities.push(matrix[i][j])));
+
+    deduplicated.push({ ...items[representativeIndex], clusterId, clusterSize: members.length });
+    members.filter(i => i !== representativeIndex).forEach(i => {
+      duplicates.push({
+        ...items[i],
+        clusterId,
+        rank: i + 1,
+        duplicateOf: representativeId,
+        similarity: round(matrix[representativeIndex][i])
+      });
+    });
+
+    return {
+      id: clusterId,
+      representative: representativeId,
+      size: members.length,
+      // Lowest pairwise similarity inside the cluster (1 for singletons)
+      cohesion: pairSimilarities.length > 0 ? round(Math.min(...pairSimilarities)) : 1,
+      members: members.map(i => ({
+        id: getId(items[i]),
+        title: items[i].title ?? items[i].summary ?? '',
+        rank: i + 1,
+        representative: i === representativeIndex,
+        similarity: round(matrix[representativeIndex][i])
+      }))
+    };
+  });
+
+  // Clusters (and so the representatives) are ordered by their best ranked member
+  return {
+    deduplicated,
+    duplicates: duplicates.sort((a, b) => a.rank - b.rank),
+    clusters,
+    stats: {
+      originalCount: items.length,
+      deduplicatedCount: deduplicated.length,
+      duplicatesRemoved: duplicates.length,
+      clusterCount: clusters.length,
+      duplicateClusters: clusters.filter(cluster => cluster.size > 1).length,
+      reductionPercentage: items.length > 0 ? ((duplicates.length / items.length) * 100).toFixed(1) : '0.0'
+    }
+  };
+}
+
+export default {
+  CLUSTERING_MODES,
+  LINKAGE_METHODS,
+  REPRESENTATIVE_STRATEGIES,
+  normalizeVector,
+  cosineSimilarity,
+  similarityMatrix,
+  semanticDeduplicate
+};
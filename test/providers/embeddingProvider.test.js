@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createEmbeddingProvider,
+  fakeEmbedding,
+  getIndexDimensions,
+  checkEmbeddingCompatibility
+} from '../../src/scripts/embeddings/embeddingProvider.js';
+
+const cosine = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+test('fake embeddings are deterministic unit vectors', () => {
+  const vector = fakeEmbedding('Reset password by email', 64);
+  assert.equal(vector.length, 64);
+  assert.ok(Math.abs(cosine(vector, vector) - 1) < 1e-9);
+  assert.deepEqual(fakeEmbedding('reset PASSWORD, by email!', 64), vector);
+  assert.deepEqual(fakeEmbedding('', 8), new Array(8).fill(0));
+});
+
+test('fake embeddings of texts sharing words are closer than unrelated texts', () => {
+  const query = fakeEmbedding('reset password email link', 1536);
+  const related = fakeEmbedding('password reset link sent by email', 1536);
+  const unrelated = fakeEmbedding('export invoices to pdf with tax lines', 1536);
+  assert.ok(cosine(query, related) > cosine(query, unrelated));
+});
+
+test('the fake provider matches the shipped 1536-dimension indexes', async () => {
+  const provider = createEmbeddingProvider({ provider: 'fake', model: 'fake-embedding' });
+  const { embeddings, dimensions, provider: name, cost } = await provider.embedBatch(['one', 'two']);
+
+  assert.equal(name, 'fake');
+  assert.equal(dimensions, 1536);
+  assert.equal(embeddings.length, 2);
+  assert.equal(cost, 0);
+  assert.ok(checkEmbeddingCompatibility(provider, { indexDimensions: 1536 }).ok);
+  assert.deepEqual((await provider.embed('one')).embedding, embeddings[0]);
+});
+
+test('an unknown provider is rejected', () => {
+  assert.throws(() => createEmbeddingProvider({ provider: 'nope' }), /Unknown embedding provider 'nope'/);
+});
+
+test('getIndexDimensions reads numDimensions of the vector field', () => {
+  const definition = { fields: [{ type: 'filter', path: 'module' }, { type: 'vector', path: 'embedding', numDimensions: 384 }] };
+  assert.equal(getIndexDimensions(definition), 384);
+  assert.equal(getIndexDimensions(definition, 'other'), null);
+  assert.equal(getIndexDimensions(null), null);
+});
+
+test('checkEmbeddingCompatibility reports dimension mismatches and model changes', () => {
+  const provider = createEmbeddingProvider({ provider: 'fake', model: 'fake-embedding' });
+
+  const mismatch = checkEmbeddingCompatibility(provider, { indexDimensions: 384, stored: { provider: 'local', model: 'Xenova/all-MiniLM-L6-v2', dimensions: 384 } });
+  assert.equal(mismatch.ok, false);
+  assert.equal(mismatch.errors.length, 2);
+
+  const otherModel = checkEmbeddingCompatibility(provider, { indexDimensions: 1536, stored: { provider: 'openai', model: 'text-embedding-3-small', dimensions: 1536 } });
+  assert.equal(otherModel.ok, true);
+  assert.match(otherModel.warnings[0], /similarity scores may be meaningless/);
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LLM_PROVIDERS, createLLMProvider, estimateCost } from '../../src/scripts/llm/llmProvider.js';
+import { RATING_CRITERIA, READINESS_STATUSES } from '../../src/scripts/rating/ratingPrompt.js';
+
+test('the fake provider returns a rating JSON for rating prompts', async () => {
+  const provider = createLLMProvider({ provider: 'fake' });
+  const completion = await provider.chat([{ role: 'user', content: 'Return JSON with criteriaRatings for this story' }]);
+  const { analysis, rationale, finalRecommendation } = JSON.parse(completion.content);
+
+  assert.equal(completion.provider, 'fake');
+  assert.deepEqual(Object.keys(analysis.criteriaRatings), RATING_CRITERIA);
+  assert.ok(READINESS_STATUSES.includes(analysis.readinessStatus));
+  assert.ok(rationale.scoringExplanation);
+  assert.ok(finalRecommendation);
+  assert.ok(completion.usage.total > 0);
+  assert.deepEqual(completion.cost, { input: 0, output: 0, total: 0 });
+});
+
+test('the fake provider is deterministic and replays configured responses first', async () => {
+  const messages = [{ role: 'user', content: 'Summarize these results' }];
+  const first = await createLLMProvider({ provider: 'fake' }).chat(messages);
+  const second = await createLLMProvider({ provider: 'fake' }).chat(messages);
+  assert.equal(first.content, second.content);
+
+  const scripted = createLLMProvider({ provider: 'fake', responses: ['not json'] });
+  assert.equal((await scripted.chat(messages)).content, 'not json');
+  assert.equal((await scripted.chat(messages)).content, first.content);
+});
+
+test('an unknown provider is rejected', () => {
+  assert.ok(LLM_PROVIDERS.includes('fake'));
+  assert.throws(() => createLLMProvider({ provider: 'nope' }), /Unknown LLM provider 'nope'/);
+});
+
+test('estimateCost prices known models per million tokens', () => {
+  const cost = estimateCost('gpt-4o-mini', { prompt: 1000000, completion: 500000 });
+  assert.ok(Math.abs(cost.total - 0.45) < 1e-9);
+  assert.deepEqual(estimateCost('unknown-model', { prompt: 10, completion: 10 }), { input: 0, output: 0, total: 0 });
+});
+
+test('the fake provider streams the same content it returns', async () => {
+  const provider = createLLMProvider({ provider: 'fake' });
+  const tokens = [];
+  const completion = await provider.chatStream([{ role: 'user', content: 'Summarize these results' }], {
+    onToken: text => tokens.push(text)
+  });
+
+  assert.ok(tokens.length > 1);
+  assert.equal(tokens.join(''), completion.content);
+});
+
+test('the fake provider stream stops when aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(
+    createLLMProvider({ provider: 'fake' }).chatStream([{ role: 'user', content: 'Summarize' }], { signal: controller.signal }),
+    /Request aborted/
+  );
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateTokens,
+  truncateToTokens,
+  planTokenBudget,
+  buildContext
+} from '../../src/scripts/rating/contextBuilder.js';
+
+const words = (count, word = 'word') => Array.from({ length: count }, () => word).join(' ');
+
+test('estimateTokens counts about 4 characters per token', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcd'), 1);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('truncateToTokens cuts at a word boundary and marks the cut', () => {
+  const text = 'the quick brown fox jumps over the lazy dog';
+  assert.equal(truncateToTokens(text, 100), text);
+
+  const cut = truncateToTokens(text, 4);
+  assert.equal(cut, 'the quick…');
+  assert.ok(cut.length <= 16);
+  assert.equal(truncateToTokens('abcdefghijklmnopqrstuvwxyz', 2), 'abcdefg…');
+});
+
+test('planTokenBudget caps the context and reports prompts that cannot fit', () => {
+  const plan = planTokenBudget({ contextWindow: 1000, fixedText: 'x'.repeat(400), outputTokens: 300, maxContextTokens: 500 });
+  assert.deepEqual(plan, { contextWindow: 1000, fixedTokens: 100, outputTokens: 300, available: 600, budget: 500 });
+
+  const tooLarge = planTokenBudget({ contextWindow: 100, fixedText: 'x'.repeat(400), outputTokens: 50 });
+  assert.equal(tooLarge.available, -50);
+  assert.equal(tooLarge.budget, 0);
+});
+
+test('buildContext keeps everything when the budget allows', () => {
+  const items = [
+    { key: 'A', acceptanceCriteria: 'short criteria', description: 'short description' },
+    { key: 'B', acceptanceCriteria: 'other criteria' }
+  ];
+  const { items: packed, report } = buildContext({ items, budget: 10000 });
+
+  assert.deepEqual(packed, items);
+  assert.equal(report.dropped.length, 0);
+  assert.ok(report.included.every(entry => !entry.truncated));
+  assert.equal(report.used + report.remaining, report.budget);
+});
+
+test('buildContext drops items whose compact entry does not fit, in relevance order', () => {
+  const items = ['A', 'B', 'C'].map(key => ({ key, acceptanceCriteria: words(200), description: words(200) }));
+  const { items: packed, report } = buildContext({ items, budget: 450 });
+
+  assert.deepEqual(packed.map(item => item.key), ['A', 'B']);
+  assert.deepEqual(report.dropped.map(entry => [entry.id, entry.rank, entry.reason]), [['C', 3, 'budget']]);
+  assert.ok(report.used <= report.budget);
+});
+
+test('buildContext expands acceptance criteria of every item before any description', () => {
+  const items = ['A', 'B'].map(key => ({ key, acceptanceCriteria: words(200), description: words(200) }));
+  // Compact entries use about 210 tokens each; the rest covers both criteria but not the descriptions
+  const { items: packed, report } = buildContext({ items, budget: 700 });
+
+  packed.forEach(item => assert.equal(item.acceptanceCriteria, words(200)));
+  packed.forEach(item => assert.ok(item.description.endsWith('…')));
+  report.included.forEach(entry => {
+    assert.deepEqual(entry.truncatedFields.map(field => field.field), ['description']);
+  });
+});
+
+test('buildContext respects maxItems', () => {
+  const items = ['A', 'B', 'C'].map(key => ({ key, acceptanceCriteria: 'criteria' }));
+  const { report } = buildContext({ items, budget: 10000, maxItems: 2 });
+  assert.deepEqual(report.dropped.map(entry => [entry.id, entry.reason]), [['C', 'maxItems']]);
+});
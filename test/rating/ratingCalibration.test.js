@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  meanAbsoluteError,
+  spearmanCorrelation,
+  cohensKappa,
+  parseGoldenSet
+} from '../../src/scripts/rating/ratingCalibration.js';
+
+test('meanAbsoluteError averages the absolute differences', () => {
+  assert.equal(meanAbsoluteError([5, 7, 9], [6, 7, 7]), 1);
+  assert.equal(meanAbsoluteError([], []), null);
+});
+
+test('spearmanCorrelation is 1 and -1 for monotonic series', () => {
+  assert.equal(spearmanCorrelation([1, 2, 3, 4], [10, 20, 30, 400]), 1);
+  assert.equal(spearmanCorrelation([1, 2, 3, 4], [4, 3, 2, 1]), -1);
+});
+
+test('spearmanCorrelation gives tied values their average rank', () => {
+  // Ranks of y are 1.5, 1.5, 3, 4 → Pearson of [1, 2, 3, 4] and those ranks
+  assert.ok(Math.abs(spearmanCorrelation([1, 2, 3, 4], [5, 5, 6, 7]) - 0.9487) < 1e-4);
+});
+
+test('spearmanCorrelation is null for too few pairs or a constant series', () => {
+  assert.equal(spearmanCorrelation([3], [4]), null);
+  assert.equal(spearmanCorrelation([1, 2, 3], [5, 5, 5]), null);
+});
+
+test('cohensKappa corrects agreement for chance', () => {
+  const human = ['Ready for Dev', 'Ready for Dev', 'Needs Refinement', 'Needs Refinement'];
+  const model = ['Ready for Dev', 'Needs Refinement', 'Needs Refinement', 'Needs Refinement'];
+  const { kappa, agreement, n, confusion } = cohensKappa(human, model);
+
+  assert.equal(n, 4);
+  assert.equal(agreement, 0.75);
+  // chance = 0.5 x 0.25 + 0.5 x 0.75 = 0.5
+  assert.equal(kappa, 0.5);
+  assert.equal(confusion['Ready for Dev']['Needs Refinement'], 1);
+});
+
+test('cohensKappa is null when both raters used a single label', () => {
+  assert.equal(cohensKappa(['Blocked', 'Blocked'], ['Blocked', 'Blocked']).kappa, null);
+  assert.equal(cohensKappa([], []).agreement, null);
+});
+
+test('parseGoldenSet splits stories from their human ratings', () => {
+  const { stories, errors } = parseGoldenSet([
+    { key: 'US-1', summary: 'Login', humanRatings: { titleClarity: 8, descriptionCompleteness: 6, readinessStatus: 'Ready for Dev' } }
+  ]);
+
+  assert.deepEqual(errors, []);
+  assert.equal(stories[0].story.key, 'US-1');
+  assert.equal(stories[0].story.humanRatings, undefined);
+  assert.deepEqual(stories[0].human.criteriaRatings, { titleClarity: 8, descriptionCompleteness: 6 });
+  assert.equal(stories[0].human.readinessStatus, 'Ready for Dev');
+});
+
+test('parseGoldenSet reports missing ratings, out-of-range scores and duplicate keys', () => {
+  const { errors } = parseGoldenSet([
+    { key: 'US-1', summary: 'No ratings here' },
+    { key: 'US-2', humanRatings: { titleClarity: 11 } },
+    { key: 'US-2', humanRatings: { readinessStatus: 'Blocked' } }
+  ]);
+
+  assert.ok(errors.includes('US-1: humanRatings is required'));
+  assert.ok(errors.includes('US-2: titleClarity must be a number from 1 to 10'));
+  assert.ok(errors.includes('US-2: duplicate key'));
+});
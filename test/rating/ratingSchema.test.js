@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  RATING_RESPONSE_SCHEMA,
+  validateRatingResponse,
+  compileResponseSchema,
+  buildRepairPrompt
+} from '../../src/scripts/rating/ratingSchema.js';
+import { RATING_CRITERIA } from '../../src/scripts/rating/ratingPrompt.js';
+import { createLLMProvider } from '../../src/scripts/llm/llmProvider.js';
+
+const validRating = () => ({
+  analysis: {
+    userStoryTitle: 'Reset password',
+    userStoryModule: 'Auth',
+    summary: 'Users can reset a forgotten password by email.',
+    criteriaRatings: Object.fromEntries(RATING_CRITERIA.map(criterion => [criterion, 8])),
+    averageScore: 8,
+    readinessStatus: 'Ready for Dev',
+    strengths: ['Clear acceptance criteria'],
+    gapsIdentified: [],
+    improvementRecommendations: [],
+    linkedTestCases: ['TC-1'],
+    sourceCitations: []
+  },
+  rationale: {
+    scoringExplanation: 'Well specified.',
+    impactSummary: 'Low risk.'
+  },
+  finalRecommendation: 'Ready to implement.'
+});
+
+test('a complete rating passes the default schema', () => {
+  assert.deepEqual(validateRatingResponse(validRating()), []);
+});
+
+test('the fake LLM provider rating passes the default schema', async () => {
+  const completion = await createLLMProvider({ provider: 'fake' }).chat([{ role: 'user', content: 'Rate with criteriaRatings' }]);
+  assert.deepEqual(validateRatingResponse(JSON.parse(completion.content)), []);
+});
+
+test('schema errors name the failing path', () => {
+  const rating = validRating();
+  rating.analysis.averageScore = 12;
+  rating.analysis.readinessStatus = 'Done';
+  delete rating.rationale;
+
+  const errors = validateRatingResponse(rating);
+  assert.ok(errors.includes('/analysis/averageScore must be <= 10'));
+  assert.ok(errors.includes('/analysis/readinessStatus must be one of: Ready for Dev, Needs Refinement, Blocked'));
+  assert.ok(errors.includes("(root) must have required property 'rationale'"));
+});
+
+test('a custom 2020-12 schema is compiled with the matching draft', () => {
+  const schema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    type: 'object',
+    required: ['score'],
+    properties: { score: { type: 'integer' } }
+  };
+
+  assert.deepEqual(validateRatingResponse({ score: 3 }, schema), []);
+  assert.deepEqual(validateRatingResponse({ score: 'high' }, schema), ['/score must be integer']);
+  assert.equal(compileResponseSchema(schema), compileResponseSchema({ ...schema }));
+});
+
+test('an invalid schema is rejected', () => {
+  assert.throws(() => compileResponseSchema({ type: 'nonsense' }), /Invalid JSON Schema/);
+});
+
+test('the repair prompt lists the errors and the schema', () => {
+  const prompt = buildRepairPrompt(['/analysis/averageScore must be <= 10']);
+  assert.match(prompt, /- \/analysis\/averageScore must be <= 10/);
+  assert.ok(prompt.includes(JSON.stringify(RATING_RESPONSE_SCHEMA, null, 2)));
+});
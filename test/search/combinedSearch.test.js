@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeScores, combineCorpusResults } from '../../src/scripts/search/combinedSearch.js';
+import { SEARCH_CORPORA } from '../../src/scripts/search/searchCorpora.js';
+
+test('minmax scales scores to 0-1', () => {
+  assert.deepEqual(normalizeScores([4, 3, 2]), [1, 0.5, 0]);
+  assert.deepEqual(normalizeScores([5, 5]), [1, 1]);
+  assert.deepEqual(normalizeScores([]), []);
+});
+
+test('rank uses the position only', () => {
+  assert.deepEqual(normalizeScores([0.9, 0.1, 0.05, 0.01], 'rank'), [1, 0.5, 1 / 3, 0.25]);
+});
+
+test('zscore squashes scores around the mean into 0-1', () => {
+  const normalized = normalizeScores([3, 2, 1], 'zscore');
+  assert.equal(normalized[1], 0.5);
+  assert.ok(normalized[0] > 0.5 && normalized[0] < 1);
+  assert.ok(Math.abs(normalized[0] + normalized[2] - 1) < 1e-12);
+  assert.deepEqual(normalizeScores([2, 2], 'zscore'), [1, 1]);
+});
+
+test('none keeps the raw scores', () => {
+  assert.deepEqual(normalizeScores([12.5, 3], 'none'), [12.5, 3]);
+});
+
+test('combineCorpusResults interleaves corpora on their normalized scores', () => {
+  const { results, byCorpus } = combineCorpusResults([
+    { corpus: SEARCH_CORPORA.testcases, results: [{ id: 'TC-1', title: 'Login', score: 20, embedding: [1] }, { id: 'TC-2', score: 10 }] },
+    { corpus: SEARCH_CORPORA.userstories, results: [{ key: 'US-1', summary: 'Login story', score: 0.9 }, { key: 'US-2', score: 0.6 }, { key: 'US-3', score: 0.3 }] }
+  ], { limit: 4 });
+
+  assert.deepEqual(results.map(result => result.id), ['TC-1', 'US-1', 'US-2', 'TC-2']);
+  assert.deepEqual(results.map(result => result.rank), [1, 2, 3, 4]);
+  assert.equal(results[0].document.embedding, undefined);
+  assert.equal(byCorpus.userstories.length, 3);
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  duplicateGroupId,
+  tokenWeights,
+  weightedJaccardSimilarity,
+  findDuplicateGroups
+} from '../../src/scripts/search/duplicateDetection.js';
+
+const stories = [
+  { key: 'US-1', summary: 'As a user I want to reset my password by email', acceptanceCriteria: 'Reset link expires after one hour' },
+  { key: 'US-2', summary: 'As a user I want to reset my password via email', acceptanceCriteria: 'Reset link expires after one hour' },
+  { key: 'US-3', summary: 'As a user I want to export invoices to PDF', acceptanceCriteria: 'Export includes tax lines' },
+  { key: 'US-4', summary: 'As a user I want to filter orders by date', acceptanceCriteria: 'Filter keeps the chosen range' }
+];
+
+test('duplicateGroupId does not depend on member order', () => {
+  assert.equal(duplicateGroupId(['US-2', 'US-1']), duplicateGroupId(['US-1', 'US-2']));
+  assert.notEqual(duplicateGroupId(['US-1', 'US-2']), duplicateGroupId(['US-1', 'US-3']));
+});
+
+test('tokenWeights treats words in most documents as template words', () => {
+  const { idf, template } = tokenWeights([new Set(['as', 'login']), new Set(['as', 'export']), new Set(['as', 'login'])], 0.7);
+  assert.ok(template.has('as'));
+  assert.ok(!template.has('login'));
+  assert.ok(idf.get('export') > idf.get('login'));
+});
+
+test('weightedJaccardSimilarity weights shared and distinct words', () => {
+  const a = new Set(['reset', 'password']);
+  const b = new Set(['reset', 'email']);
+  assert.equal(weightedJaccardSimilarity(a, b), 1 / 3);
+  assert.equal(weightedJaccardSimilarity(a, b, new Map([['reset', 4]])), 4 / 6);
+  assert.equal(weightedJaccardSimilarity(new Set(), new Set()), 0);
+});
+
+test('findDuplicateGroups groups near-identical stories and ignores the story template', async () => {
+  const progress = [];
+  const { groups, pairCount, templateTokens } = await findDuplicateGroups({
+    items: stories,
+    threshold: 0.6,
+    onProgress: (done, total) => progress.push([done, total])
+  });
+
+  assert.equal(pairCount, 1);
+  assert.equal(groups.length, 1);
+  assert.deepEqual(groups[0].members.map(story => story.key), ['US-1', 'US-2']);
+  assert.equal(groups[0].id, duplicateGroupId(['US-1', 'US-2']));
+  assert.equal(groups[0].pairs[0].embeddingSimilarity, null);
+  assert.ok(templateTokens.includes('user'));
+  assert.deepEqual(progress[progress.length - 1], [4, 4]);
+});
+
+test('findDuplicateGroups links chains of pairs into one group', async () => {
+  const { groups } = await findDuplicateGroups({
+    items: [{ key: 'A' }, { key: 'B' }, { key: 'C' }, { key: 'D' }],
+    vectors: [[1, 0, 0], [0.96, 0.28, 0], [0.8, 0.6, 0], [0, 0, 1]],
+    threshold: 0.9,
+    embeddingWeight: 1
+  });
+
+  // A~B and B~C pass the threshold, A~C does not
+  assert.equal(groups.length, 1);
+  assert.deepEqual(groups[0].members.map(story => story.key), ['A', 'B', 'C']);
+  assert.equal(groups[0].pairs.length, 2);
+});
@@ -0,0 +1,158 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getPath,
+  tokenize,
+  matchesFilters,
+  applyProjection,
+  createLocalSearchIndex
+} from '../../src/scripts/search/localSearchIndex.js';
+
+const DOCUMENTS = [
+  { id: 'TC-1', title: 'Login with valid password', description: 'User signs in', module: 'Auth', status: { name: 'Done' }, labels: ['smoke'], embedding: [1, 0, 0] },
+  { id: 'TC-2', title: 'Reset password by email', description: 'Password reset link is sent by email', module: 'Auth', status: { name: 'Open' }, labels: ['regression'], embedding: [0.8, 0.6, 0] },
+  { id: 'TC-3', title: 'Export invoices', description: 'Invoices export to PDF with the password protected option', module: 'Billing', status: { name: 'Open' }, labels: ['smoke', 'regression'], embedding: [0, 1, 0] },
+  { id: 'TC-4', title: 'Filter orders by date', description: 'Orders list filter', module: 'Orders', status: { name: 'Done' }, labels: [], embedding: [0, 0, 1] }
+];
+
+const TEXT_MAPPING = { module: { type: 'string', analyzer: 'lucene.keyword' } };
+
+const ids = (results) => results.map(result => result.id);
+
+test('getPath reads dotted paths and tokenize lowercases word runs', () => {
+  assert.equal(getPath(DOCUMENTS[0], 'status.name'), 'Done');
+  assert.equal(getPath(DOCUMENTS[0], 'missing.name'), undefined);
+  assert.deepEqual(tokenize('Reset-Password, TC_12!'), ['reset', 'password', 'tc_12']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('matchesFilters supports dotted paths, array membership, $eq and $in', () => {
+  const doc = DOCUMENTS[2];
+  assert.ok(matchesFilters(doc, { 'status.name': 'Open', labels: 'smoke' }));
+  assert.ok(matchesFilters(doc, { module: { $in: ['Auth', 'Billing'] } }));
+  assert.ok(matchesFilters(doc, { module: { $eq: 'Billing' }, priority: '' }));
+  assert.ok(!matchesFilters(doc, { module: 'Auth' }));
+});
+
+test('applyProjection includes listed fields and keeps _id unless excluded', () => {
+  const doc = { _id: 'x', id: 'TC-1', title: 'Login', embedding: [1] };
+  assert.deepEqual(applyProjection(doc, { id: 1, title: 1 }), { _id: 'x', id: 'TC-1', title: 'Login' });
+  assert.deepEqual(applyProjection(doc, { id: 1, _id: 0 }), { id: 'TC-1' });
+});
+
+test('applyProjection excludes fields set to 0', () => {
+  const doc = { _id: 'x', id: 'TC-1', title: 'Login', embedding: [1] };
+  assert.deepEqual(applyProjection(doc, { embedding: 0 }), { _id: 'x', id: 'TC-1', title: 'Login' });
+  assert.deepEqual(applyProjection(doc, null), doc);
+  assert.notEqual(applyProjection(doc, {}), doc);
+});
+
+test('bm25Search ranks by term frequency and field boosts', () => {
+  const index = createLocalSearchIndex(DOCUMENTS, { textMapping: TEXT_MAPPING });
+
+  // TC-2 mentions password twice; TC-3 only in its long description
+  const byDescription = index.bm25Search({ query: 'password', fields: ['title', 'description'] });
+  assert.deepEqual(ids(byDescription), ['TC-2', 'TC-1', 'TC-3']);
+
+  // A title boost lifts the documents with the term in the title above TC-3 by a wider margin
+  const boosted = index.bm25Search({ query: 'password', fields: [{ path: 'title', boost: 10 }, 'description'] });
+  assert.deepEqual(ids(boosted).slice(0, 2).sort(), ['TC-1', 'TC-2']);
+  assert.ok(boosted[1].score > 5 * boosted[2].score);
+});
+
+test('bm25Search fuzzy matching finds misspelled terms within maxEdits', () => {
+  const index = createLocalSearchIndex(DOCUMENTS);
+
+  assert.deepEqual(index.bm25Search({ query: 'pasword', fields: ['title'] }), []);
+
+  const fuzzy = index.bm25Search({ query: 'pasword', fields: ['title'], fuzzy: { maxEdits: 1 } });
+  assert.deepEqual(ids(fuzzy).sort(), ['TC-1', 'TC-2']);
+
+  const exact = index.bm25Search({ query: 'password', fields: ['title'] });
+  assert.ok(fuzzy[0].score < exact[0].score);
+
+  // The prefix must match exactly
+  assert.deepEqual(index.bm25Search({ query: 'oassword', fields: ['title'], fuzzy: { maxEdits: 1, prefixLength: 1 } }), []);
+});
+
+test('bm25Search matches keyword fields as whole values and applies filters, limit and projection', () => {
+  const index = createLocalSearchIndex(DOCUMENTS, { textMapping: TEXT_MAPPING });
+
+  assert.deepEqual(ids(index.bm25Search({ query: 'Auth', fields: ['module'] })).sort(), ['TC-1', 'TC-2']);
+  assert.deepEqual(index.bm25Search({ query: 'auth', fields: ['module'] }), []);
+
+  const results = index.bm25Search({
+    query: 'password',
+    fields: ['title', 'description'],
+    filters: { 'status.name': 'Open' },
+    limit: 1,
+    projection: { id: 1, _id: 0 },
+    scoreField: 'bm25Score'
+  });
+  assert.equal(results.length, 1);
+  assert.deepEqual(Object.keys(results[0]), ['id', 'bm25Score']);
+  assert.equal(results[0].id, 'TC-2');
+});
+
+test('vectorSearch ranks by cosine similarity scored like Atlas', () => {
+  const index = createLocalSearchIndex(DOCUMENTS);
+  const results = index.vectorSearch({ queryVector: [2, 0, 0], limit: 3 });
+
+  assert.deepEqual(ids(results), ['TC-1', 'TC-2', 'TC-3']);
+  assert.equal(results[0].score, 1);
+  assert.ok(Math.abs(results[1].score - 0.9) < 1e-6);
+  assert.equal(results[2].score, 0.5);
+});
+
+test('vectorSearch applies filters before ranking', () => {
+  const index = createLocalSearchIndex(DOCUMENTS);
+  const results = index.vectorSearch({ queryVector: [1, 0, 0], filters: { module: 'Billing' }, limit: 5 });
+  assert.deepEqual(ids(results), ['TC-3']);
+});
+
+test('vectorSearch post-filters only the top candidateLimit documents', () => {
+  const index = createLocalSearchIndex(DOCUMENTS);
+  const postFilters = { 'status.name': 'Done' };
+
+  // Ranked TC-1, TC-2, TC-3, TC-4: the Done documents are ranks 1 and 4
+  assert.deepEqual(ids(index.vectorSearch({ queryVector: [1, 0, 0], postFilters, limit: 2, candidateLimit: 3 })), ['TC-1']);
+  assert.deepEqual(ids(index.vectorSearch({ queryVector: [1, 0, 0], postFilters, limit: 2, candidateLimit: 4 })), ['TC-1', 'TC-4']);
+
+  // Without candidateLimit only `limit` candidates are post-filtered
+  assert.deepEqual(ids(index.vectorSearch({ queryVector: [1, 0, 0], postFilters, limit: 2 })), ['TC-1']);
+});
+
+test('vectorSearch combines pre-filters with post-filters', () => {
+  const index = createLocalSearchIndex(DOCUMENTS);
+  const results = index.vectorSearch({
+    queryVector: [1, 0, 0],
+    filters: { module: 'Auth' },
+    postFilters: { labels: 'regression' },
+    limit: 5,
+    candidateLimit: 5
+  });
+  assert.deepEqual(ids(results), ['TC-2']);
+});
+
+test('vectorSearch skips documents without a vector of the query size', () => {
+  const index = createLocalSearchIndex([...DOCUMENTS, { id: 'TC-5', title: 'No vector' }, { id: 'TC-6', embedding: [1, 0] }]);
+  assert.equal(index.vectorSearch({ queryVector: [1, 0, 0], limit: 10 }).length, 4);
+});
+
+test('find returns matching documents in store order with projection and limit', () => {
+  const index = createLocalSearchIndex(DOCUMENTS);
+
+  assert.deepEqual(ids(index.find({ filters: { labels: 'smoke' } })), ['TC-1', 'TC-3']);
+  assert.deepEqual(index.find({ filters: { module: 'Auth' }, projection: { id: 1, _id: 0 }, limit: 1 }), [{ id: 'TC-1' }]);
+  assert.equal(index.find({}).length, 4);
+  assert.ok(index.find({ projection: { embedding: 0 } }).every(doc => !('embedding' in doc)));
+});
+
+test('distinct collects values across arrays and skips missing ones', () => {
+  const index = createLocalSearchIndex(DOCUMENTS);
+  assert.deepEqual(index.distinct('module'), ['Auth', 'Billing', 'Orders']);
+  assert.deepEqual(index.distinct('labels').sort(), ['regression', 'smoke']);
+  assert.deepEqual(index.distinct('priority'), []);
+  assert.equal(index.size, 4);
+  assert.equal(index.documents[0]._id, 'TC-1');
+});
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mmrDiversify } from '../../src/scripts/search/mmrDiversify.js';
+
+const items = [{ id: 'A' }, { id: 'A-copy' }, { id: 'B' }];
+const vectors = [[1, 0], [0.99, 0.01], [0, 1]];
+const scores = [1, 0.95, 0.9];
+
+test('lambda 1 keeps the relevance order', () => {
+  const picked = mmrDiversify({ items, vectors, scores, lambda: 1 });
+  assert.deepEqual(picked.map(item => item.id), ['A', 'A-copy', 'B']);
+  assert.deepEqual(picked.map(item => item.relevanceRank), [1, 2, 3]);
+});
+
+test('a lower lambda moves a near-duplicate below a different result', () => {
+  const picked = mmrDiversify({ items, vectors, scores, lambda: 0.5 });
+  assert.deepEqual(picked.map(item => item.id), ['A', 'B', 'A-copy']);
+  assert.equal(picked[0].maxSimilarity, null);
+  assert.equal(picked[1].maxSimilarity, 0);
+  assert.ok(picked[2].maxSimilarity > 0.99);
+  assert.deepEqual(picked.map(item => item.mmrRank), [1, 2, 3]);
+});
+
+test('the position is the relevance when there are no scores', () => {
+  const picked = mmrDiversify({ items, vectors, lambda: 0.5, limit: 2 });
+  assert.deepEqual(picked.map(item => item.id), ['A', 'B']);
+});
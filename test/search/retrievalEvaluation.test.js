@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  evaluateRanking,
+  parseJudgments,
+  summarizeEvaluation
+} from '../../src/scripts/search/retrievalEvaluation.js';
+
+const relevant = { 'TC-1': 2, 'TC-2': 1, 'TC-9': 0 };
+
+test('recallAtK counts relevant documents in the top k', () => {
+  assert.equal(recallAtK(['TC-1', 'TC-3', 'TC-2'], relevant, 2), 0.5);
+  assert.equal(recallAtK(['TC-1', 'TC-3', 'TC-2'], relevant, 3), 1);
+  assert.equal(recallAtK(['TC-1'], { 'TC-9': 0 }, 5), null);
+});
+
+test('reciprocalRank uses the first relevant document within k', () => {
+  assert.equal(reciprocalRank(['TC-3', 'TC-9', 'TC-2'], relevant, 10), 1 / 3);
+  assert.equal(reciprocalRank(['TC-3', 'TC-9', 'TC-2'], relevant, 2), 0);
+});
+
+test('ndcgAtK is 1 for the ideal order and lower otherwise', () => {
+  assert.equal(ndcgAtK(['TC-1', 'TC-2'], relevant, 2), 1);
+
+  // DCG = 1 + 3 / log2(3); ideal DCG = 3 + 1 / log2(3)
+  const expected = (1 + 3 / Math.log2(3)) / (3 + 1 / Math.log2(3));
+  assert.ok(Math.abs(ndcgAtK(['TC-2', 'TC-1'], relevant, 2) - expected) < 1e-9);
+  assert.equal(ndcgAtK(['TC-1'], {}, 5), null);
+});
+
+test('evaluateRanking reports the first relevant rank and the missed documents', () => {
+  const result = evaluateRanking(['TC-3', 'TC-1', 'TC-4'], relevant, 3);
+  assert.equal(result.firstRelevantRank, 2);
+  assert.equal(result.mrr, 0.5);
+  assert.equal(result.recall, 0.5);
+  assert.deepEqual(result.missed, ['TC-2']);
+  assert.deepEqual(result.retrieved.map(doc => doc.grade), [0, 2, 0]);
+});
+
+test('parseJudgments accepts id lists and graded maps and reports bad entries', () => {
+  const { judgments, errors } = parseJudgments([
+    { id: 'login', query: 'login lockout', relevant: ['TC-1', 'TC-2'] },
+    { query: 'password reset', corpus: 'userstories', relevant: { 'US-4': 2 } },
+    { id: 'login', query: '', relevant: { 'TC-5': -1 } }
+  ]);
+
+  assert.deepEqual(judgments[0].relevant, { 'TC-1': 1, 'TC-2': 1 });
+  assert.equal(judgments[1].id, 'q2');
+  assert.equal(judgments[1].corpus, 'userstories');
+  assert.ok(errors.includes('login: query is required'));
+  assert.ok(errors.includes('login: duplicate id'));
+  assert.ok(errors.some(error => error.includes("invalid relevance 'TC-5: -1'")));
+});
+
+test('summarizeEvaluation averages per method and counts failed queries', () => {
+  const summary = summarizeEvaluation([
+    { methods: { bm25: { recall: 1, mrr: 1, ndcg: 1 } } },
+    { methods: { bm25: { recall: 0.5, mrr: 0, ndcg: null } } },
+    { methods: { bm25: { error: 'Index missing' } } }
+  ], ['bm25']);
+
+  assert.deepEqual(summary.bm25, { queries: 2, errors: 1, recall: 0.75, mrr: 0.5, ndcg: 1 });
+});
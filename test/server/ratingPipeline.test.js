@@ -0,0 +1,192 @@
+/**
+ * End-to-end rating pipeline, fully offline: a local search index built with the fake embedding provider,
+ * the server started with the fake LLM provider and no MongoDB, and ratings requested over HTTP
+ */
+
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+const TEST_CASES = [
+  ['Reset password with a valid email link', 'Auth'],
+  ['Reset link expires after one hour', 'Auth'],
+  ['Reset password rejects a reused link', 'Auth'],
+  ['Login locks the account after five failed attempts', 'Auth'],
+  ['Password must meet the complexity rules', 'Auth'],
+  ['Email is sent when the password changes', 'Notifications'],
+  ['Export invoices to PDF', 'Billing'],
+  ['Filter orders by date range', 'Orders']
+].map(([title, module], index) => ({
+  id: `TC-${index + 1}`,
+  title,
+  module,
+  description: `${title} for a registered user`,
+  steps: 'Open the page, submit the form',
+  expectedResults: `${title} works as specified`,
+  priority: 'High'
+}));
+
+const STORY = {
+  key: 'US-100',
+  summary: 'Reset password by email',
+  description: 'As a registered user I want to reset my password through an email link so that I can log in again',
+  acceptanceCriteria: 'Reset link is emailed; link expires after one hour; a reused link is rejected'
+};
+
+let workDir;
+let server;
+let baseUrl;
+
+// Free port for the server (PORT=0 would not tell us which one it picked)
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rating-pipeline-'));
+  const testcasesFile = path.join(workDir, 'testcases.json');
+  const storiesFile = path.join(workDir, 'stories.json');
+  fs.writeFileSync(testcasesFile, JSON.stringify(TEST_CASES));
+  fs.writeFileSync(storiesFile, JSON.stringify([STORY]));
+
+  // Run from the temp directory so a developer's .env is not picked up
+  const env = {
+    ...process.env,
+    LLM_PROVIDER: 'fake',
+    LLM_MODEL: '',
+    EMBEDDING_PROVIDER: 'fake',
+    EMBEDDING_MODEL: '',
+    EMBEDDING_DIMENSIONS: '',
+    SEARCH_BACKEND: 'local',
+    LOCAL_INDEX_DIR: workDir,
+    COLLECTION_NAME: 'test_cases',
+    USER_STORIES_COLLECTION_NAME: 'user_stories',
+    RERANK_CROSS_ENCODER: 'false',
+    MONGODB_URI: ''
+  };
+
+  const buildIndex = path.join(ROOT, 'src/scripts/search/build-local-index.js');
+  await promisify(execFile)(process.execPath, [buildIndex, 'testcases', testcasesFile], { cwd: workDir, env });
+  await promisify(execFile)(process.execPath, [buildIndex, 'userstories', storiesFile], { cwd: workDir, env });
+
+  const port = await getFreePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [path.join(ROOT, 'server/index.js')], {
+    cwd: workDir,
+    env: { ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 20000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    server.stdout.on('data', onData);
+    server.stderr.on('data', onData);
+    server.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+});
+
+after(() => {
+  server?.kill();
+  if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const post = (route, body) => fetch(`${baseUrl}${route}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+// Server-Sent Events of a finished response as [{ event, data }]
+async function readEvents(response) {
+  const text = await response.text();
+  return text.split('\n\n')
+    .map(block => {
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      return event && data ? { event, data: JSON.parse(data) } : null;
+    })
+    .filter(Boolean);
+}
+
+test('rates a story through every pipeline step', async () => {
+  const response = await post('/api/userstories/rate', { userStory: STORY, persist: false });
+  const result = await response.json();
+
+  assert.equal(response.status, 200, JSON.stringify(result));
+  assert.equal(result.success, true);
+  assert.equal(result.storyKey, 'US-100');
+  assert.equal(result.validation.passed, true);
+  assert.equal(result.response.analysis.averageScore, 7);
+
+  const { context } = result;
+  assert.notEqual(context.processedQuery, context.originalQuery);
+  assert.ok(context.hybridResultCount > 0);
+  assert.equal(context.rerankApplied, true);
+  assert.ok(context.contextBudget.references.included.length > 0);
+  assert.ok(context.contextBudget.references.included.some(entry => entry.id.startsWith('TC-')));
+});
+
+test('streams pipeline steps and tokens, then the same result', async () => {
+  const response = await post('/api/userstories/rate/stream', { userStory: STORY, persist: false });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+  const events = await readEvents(response);
+  const doneSteps = events.filter(({ event, data }) => event === 'step' && data.status === 'done').map(({ data }) => data.step);
+  assert.deepEqual(doneSteps, ['preprocess', 'hybridSearch', 'rerank', 'dedup', 'summarize', 'prompt', 'generate']);
+
+  const tokens = events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join('');
+  const last = events[events.length - 1];
+  assert.equal(last.event, 'result');
+  assert.equal(last.data.validation.passed, true);
+  assert.deepEqual(JSON.parse(tokens), last.data.response);
+});
+
+test('rejects a rating request without a story', async () => {
+  const response = await post('/api/userstories/rate', {});
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, 'User story is required');
+});
+
+test('rejects batch and experiment story lists with entries that are not objects', async () => {
+  for (const route of ['/api/userstories/rate/batch', '/api/experiments/rating']) {
+    const response = await post(route, { stories: [STORY, null, 'US-101'] });
+    assert.equal(response.status, 400, route);
+    assert.equal((await response.json()).error, 'User story at index 1 must be an object');
+  }
+});
+
+test('searches user stories offline with the fake embeddings', async () => {
+  const response = await post('/api/userstories/search/hybrid', { query: 'reset password email', limit: 5 });
+  const result = await response.json();
+
+  assert.equal(response.status, 200, JSON.stringify(result));
+  assert.equal(result.results[0].key, 'US-100');
+});